@@ -4,73 +4,23 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const { SYSTEM_PROMPT } = require('./system-prompt');
 const { checkGate } = require('./_auth');
+const Engine = require('../public/js/engine.js');
+const { Carlo } = Engine;
 
 // --- Formula Validation Helpers ---
+// The checks are Carlo.validateFormulaAgainstVariables (the same code the dashboard runs) and
+// Carlo.validateCorrelations
 
 /**
- * Extract variable-like identifiers from a formula string.
- * Returns tokens that aren't math/JS built-ins.
+ * Validate the outcome formulas, then the correlations block, of a tool call's prismaData.
+ * Returns the formula result as is, or { valid: false, reason: 'invalid_correlations', errors }.
  */
-function extractFormulaIdentifiers(formula) {
-  if (!formula || typeof formula !== 'string') return [];
-  const tokens = formula.match(/\b[a-zA-Z_]\w*\b/g) || [];
-  const safeTokens = new Set([
-    'Math', 'max', 'min', 'pow', 'sqrt', 'abs', 'ceil', 'floor', 'log', 'exp', 'round',
-    'PI', 'E', 'Infinity', 'NaN', 'true', 'false', 'scenario',
-    'return', 'var', 'let', 'const', 'if', 'else', 'new', 'typeof'
-  ]);
-  return [...new Set(tokens.filter(t => !safeTokens.has(t)))];
-}
-
-/**
- * Validate that a tool call's outcome formula references only known variable IDs,
- * and that scenarios actually override at least one formula variable.
- */
-function validateFormulaAgainstVariables(prismaData) {
-  const outcome = prismaData.outcome;
-  if (!outcome || !outcome.formula) return { valid: true };
-
-  const variables = prismaData.variables || [];
-  const variableIds = new Set(variables.map(v => v.id));
-
-  const formulaIds = extractFormulaIdentifiers(outcome.formula);
-  if (formulaIds.length === 0) return { valid: true };
-
-  // Check: every formula identifier must be a known variable ID
-  const badIds = formulaIds.filter(id => !variableIds.has(id));
-  if (badIds.length > 0) {
-    return {
-      valid: false,
-      reason: 'formula_mismatch',
-      badIdentifiers: badIds,
-      formulaIdentifiers: formulaIds,
-      variableIds: [...variableIds]
-    };
-  }
-
-  // Cross-validation: at least one formula variable must appear in a non-nothing scenario's changes
-  const scenarios = prismaData.scenarios || [];
-  const nonNothingScenarios = scenarios.filter(s => s.id !== 'nothing' && s.id !== 'do_nothing');
-
-  if (nonNothingScenarios.length > 0) {
-    const formulaIdSet = new Set(formulaIds);
-    const hasOverlap = nonNothingScenarios.some(s => {
-      if (!s.changes) return false;
-      return Object.keys(s.changes).some(key => formulaIdSet.has(key));
-    });
-
-    if (!hasOverlap) {
-      return {
-        valid: false,
-        reason: 'no_scenario_overlap',
-        formulaIdentifiers: formulaIds,
-        variableIds: [...variableIds],
-        scenarioChangeKeys: [...new Set(nonNothingScenarios.flatMap(s => Object.keys(s.changes || {})))]
-      };
-    }
-  }
-
-  return { valid: true };
+function validateModel(prismaData) {
+  const validation = Carlo.validateFormulaAgainstVariables(prismaData);
+  if (!validation.valid) return validation;
+  const correlations = Carlo.validateCorrelations(prismaData.correlations, prismaData.variables);
+  if (!correlations.valid) return { valid: false, reason: 'invalid_correlations', errors: correlations.errors };
+  return validation;
 }
 
 /**
@@ -83,10 +33,19 @@ function buildValidationHint(validationResult, prismaData) {
     return `Your formula references ${validationResult.badIdentifiers.map(id => '`' + id + '`').join(', ')} but the variable ids are [${varIds.map(id => '`' + id + '`').join(', ')}]. The formula MUST use exact variable ids. Also, at least one formula variable must appear in scenario changes. Regenerate the tool call with the corrected formula.`;
   }
 
+  if (validationResult.reason === 'formula_syntax') {
+    const which = validationResult.outcomeId ? ` for \`${validationResult.outcomeId}\`` : '';
+    return `Your outcome formula${which} does not parse: ${validationResult.error}. Use only variable ids, numbers, + - * / % **, comparisons, ternaries and Math.* functions (e.g. Math.max). Regenerate the tool call with the corrected formula.`;
+  }
+
   if (validationResult.reason === 'no_scenario_overlap') {
     return `Your formula uses variables [${validationResult.formulaIdentifiers.join(', ')}] but none of these appear in any scenario's changes (scenario change keys: [${validationResult.scenarioChangeKeys.join(', ')}]). At least one formula variable must be overridden in scenario changes so outcomes differ between scenarios. Regenerate the tool call.`;
   }
 
+  if (validationResult.reason === 'invalid_correlations') {
+    return `Your correlations are invalid: ${validationResult.errors.join('; ')}. Each entry needs two different variable ids from [${varIds.map(id => '`' + id + '`').join(', ')}] and a coefficient between -1 and 1, and the coefficients together must be possible at once (weaken or drop the conflicting ones). Regenerate the tool call with corrected correlations.`;
+  }
+
   return 'Formula validation failed. Please regenerate the tool call with correct variable ids.';
 }
 
@@ -219,11 +178,78 @@ module.exports = async function handler(req, res) {
                     max: { type: 'number', description: 'Maximum possible value' },
                     distribution: {
                       type: 'string',
-                      enum: ['fixed', 'normal', 'uniform', 'right_skewed', 'left_skewed'],
-                      description: 'Distribution shape'
+                      enum: ['fixed', 'normal', 'uniform', 'right_skewed', 'left_skewed', 'triangular', 'pert', 'lognormal', 'gamma', 'beta', 'poisson', 'bernoulli', 'empirical'],
+                      description: 'Distribution shape. triangular/pert: value is the most likely value. lognormal: value is the median. gamma: value is the mean. beta: value is the mean rate within [min, max]. poisson: value is the average count. bernoulli: value is the probability (0-1) of a yes/no event; samples are 0 or 1. empirical: resample real values from the uploaded CSV (needs sourceColumn); value/min/max are recalculated from the data.'
+                    },
+                    params: {
+                      type: 'object',
+                      description: 'Optional shape parameters for the distribution',
+                      properties: {
+                        lambda: { type: 'number', description: 'pert: peakedness around the mode (default 4). poisson: mean count. right_skewed/left_skewed: tail steepness (default 2.5)' },
+                        mu: { type: 'number', description: 'lognormal: mean of ln(x) (defaults to ln(value))' },
+                        sigma: { type: 'number', description: 'lognormal: std of ln(x) (defaults so max is about the 95th percentile)' },
+                        shape: { type: 'number', description: 'gamma: shape (> 0); mean = shape × scale' },
+                        scale: { type: 'number', description: 'gamma: scale (> 0)' },
+                        alpha: { type: 'number', description: 'beta: shape alpha (> 0), scaled to [min, max]' },
+                        beta: { type: 'number', description: 'beta: shape beta (> 0), scaled to [min, max]' },
+                        p: { type: 'number', description: 'bernoulli: probability of the event (0-1)' }
+                      }
+                    },
+                    sourceColumn: { type: 'string', description: 'empirical / fit: exact CSV column to resample from or fit' },
+                    fit: {
+                      type: 'string',
+                      enum: ['best', 'normal', 'lognormal', 'gamma', 'exponential', 'beta', 'poisson', 'bernoulli', 'uniform'],
+                      description: 'Fit a distribution to sourceColumn (with filters / aggregation) and simulate it: "best" picks the lowest AIC, a family name forces that shape. Replaces distribution, value, min, max and params.'
+                    },
+                    filters: {
+                      type: 'array',
+                      description: 'empirical: keep only matching rows, e.g. {column: "driver_id", op: "=", value: "D2"} or {column: "day_of_week", op: "in", value: ["Tuesday", "Thursday"]}',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          column: { type: 'string', description: 'Exact CSV column name' },
+                          op: { type: 'string', enum: ['=', '!=', '>', '>=', '<', '<=', 'in', 'not_in'] },
+                          value: { description: 'Value to compare against (array for in / not_in)' }
+                        },
+                        required: ['column', 'op', 'value']
+                      }
+                    },
+                    aggregation: {
+                      type: 'object',
+                      description: 'empirical: turn rows into one value per group before resampling (e.g. deliveries per day = groupBy "date", fn "count")',
+                      properties: {
+                        groupBy: { type: 'string', description: 'Column to group rows by (usually the date column)' },
+                        fn: { type: 'string', enum: ['sum', 'mean', 'median', 'min', 'max', 'count'], description: 'How to reduce each group (default mean)' },
+                        window: { type: 'number', description: 'Optional rolling window of consecutive groups, e.g. 7 for weekly totals from daily groups' }
+                      }
                     },
                     unit: { type: 'string', description: 'Unit of measurement (e.g., "€/month", "drivers")' },
-                    isInput: { type: 'boolean', description: 'Whether user can adjust this variable in UI' }
+                    isInput: { type: 'boolean', description: 'Whether user can adjust this variable in UI' },
+                    source: {
+                      type: 'string',
+                      enum: ['sampled', 'derived'],
+                      description: 'Optional. derived = computed from incoming edges instead of sampled. Defaults to derived when an edge formula assigns this variable'
+                    },
+                    dynamics: {
+                      type: 'object',
+                      description: 'Optional, multi-period runs only (needs horizon): how this variable moves from period to period',
+                      properties: {
+                        growth: { type: 'number', description: 'Compounding growth per period as a fraction (0.02 = +2%/period; negative shrinks)' },
+                        lag: { type: 'number', description: 'Periods before a scenario change starts to take effect' },
+                        ramp: { type: 'number', description: 'Periods a scenario change takes to reach full effect once the lag is over' },
+                        rampShape: { type: 'string', enum: ['linear', 's_curve'], description: 'Shape of the ramp. Default: linear' },
+                        resample: { type: 'boolean', description: 'Draw a fresh value every period (e.g. monthly demand) instead of one draw for the whole horizon' }
+                      }
+                    },
+                    lever: {
+                      type: 'object',
+                      description: 'Optional. Marks a decision lever the user sets (drivers to hire, price to charge); the optimizer searches its settings for the best option',
+                      properties: {
+                        min: { type: 'number', description: 'Lowest setting to try. Default: the variable min' },
+                        max: { type: 'number', description: 'Highest setting to try. Default: the variable max' },
+                        step: { type: 'number', description: 'Spacing between settings (1 for whole units). Default: 1 for small whole-number ranges, else a tenth of the range' }
+                      }
+                    }
                   },
                   required: ['id', 'label', 'value', 'min', 'max', 'distribution', 'unit']
                 }
@@ -242,12 +268,31 @@ module.exports = async function handler(req, res) {
                       description: 'positive = more A causes more B, negative = more A causes less B'
                     },
                     strength: { type: 'number', description: 'Strength of relationship (0-1)' },
-                    formula: { type: 'string', description: 'Optional JavaScript formula for calculating the relationship' },
+                    formula: { type: 'string', description: 'Optional "target = expression" formula; the target is then computed from it and feeds the outcome. With a horizon, prev_<id> reads last period\'s value (carry-over stocks, e.g. "customers = prev_customers * (1 - churn) + signups")' },
                     isFeedbackLoop: { type: 'boolean', description: 'True if this edge is part of a feedback cycle' }
                   },
                   required: ['from', 'to', 'effect', 'strength']
                 }
               },
+              correlations: {
+                type: 'array',
+                description: 'Optional pairwise correlations between uncertain variables (sampled jointly with a Gaussian copula; each variable keeps its own distribution). The coefficients must be mutually consistent (positive semi-definite matrix) or the simulation is rejected.',
+                items: {
+                  type: 'object',
+                  properties: {
+                    between: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      minItems: 2,
+                      maxItems: 2,
+                      description: 'The two variable ids'
+                    },
+                    coefficient: { type: 'number', minimum: -1, maximum: 1, description: 'Correlation from -1 (move opposite) to 1 (move together)' },
+                    reason: { type: 'string', description: 'Why these move together (e.g. "busier days force overtime")' }
+                  },
+                  required: ['between', 'coefficient']
+                }
+              },
               scenarios: {
                 type: 'array',
                 description: 'Decision options to simulate.',
@@ -266,7 +311,18 @@ module.exports = async function handler(req, res) {
                           value: { type: 'number' },
                           min: { type: 'number' },
                           max: { type: 'number' },
-                          delta: { type: 'number', description: 'Change from baseline (for costs/revenue)' }
+                          delta: { type: 'number', description: 'Change from baseline (for costs/revenue)' },
+                          dynamics: {
+                            type: 'object',
+                            description: 'Optional per-scenario override of the variable dynamics (e.g. a longer ramp for a riskier rollout)',
+                            properties: {
+                              growth: { type: 'number' },
+                              lag: { type: 'number' },
+                              ramp: { type: 'number' },
+                              rampShape: { type: 'string', enum: ['linear', 's_curve'] },
+                              resample: { type: 'boolean' }
+                            }
+                          }
                         }
                       }
                     },
@@ -279,6 +335,167 @@ module.exports = async function handler(req, res) {
                   required: ['id', 'label', 'color', 'changes', 'assumptions']
                 }
               },
+              outcomes: {
+                type: 'array',
+                description: 'Optional. Several outcome metrics to trade off (e.g. cost, on-time rate, burnout) instead of a single outcome. The first is the primary metric; every metric gets its own score and the scores are rolled into the decision score by weight.',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', description: 'Unique outcome metric identifier' },
+                    label: { type: 'string', description: 'Human-readable name' },
+                    unit: { type: 'string', description: 'Unit of measurement' },
+                    formula: { type: 'string', description: 'JavaScript formula using variable ids' },
+                    direction: {
+                      type: 'string',
+                      enum: ['higher_is_better', 'lower_is_better'],
+                      description: 'Whether higher values are better or worse. Default: higher_is_better'
+                    },
+                    weight: { type: 'number', description: 'Relative importance in the decision score (≥ 0). Default: 1' }
+                  },
+                  required: ['id', 'label', 'unit', 'formula']
+                }
+              },
+              constraints: {
+                type: 'array',
+                description: 'Optional hard limits (guardrails), e.g. monthly cost must not exceed 25000. An option that breaks a limit in more futures than allowed is ruled out whatever its score.',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', description: 'Unique constraint identifier' },
+                    label: { type: 'string', description: 'Human-readable name of the limited quantity, e.g. "Monthly cost"' },
+                    formula: { type: 'string', description: 'Expression for the limited quantity, using variable ids or outcome ids (actual values, not changes)' },
+                    operator: { type: 'string', enum: ['<=', '<', '>=', '>'], description: 'How the quantity must compare to the threshold. Default: <=' },
+                    threshold: { type: 'number', description: 'The limit' },
+                    maxViolationProbability: { type: 'number', description: 'Share of futures (0-1) allowed to break the limit. Default: 0.05' },
+                    unit: { type: 'string', description: 'Unit of the threshold' }
+                  },
+                  required: ['id', 'label', 'formula', 'threshold']
+                }
+              },
+              events: {
+                type: 'array',
+                description: 'Optional discrete risk events that may strike each period, e.g. a driver quits or a van breaks down. Results show how the outcome moves in the futures where each one happens.',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', description: 'Unique event identifier' },
+                    label: { type: 'string', description: 'Short description, e.g. "Kai quits"' },
+                    probability: { type: 'number', description: 'Chance the event starts in any one period (0-1)' },
+                    preconditions: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Optional formulas over variable ids that must all hold for the event to fire, e.g. "driver_count >= 3". A variable computed by an edge formula can only be read as prev_<id> (its value last period)'
+                    },
+                    impacts: {
+                      type: 'array',
+                      description: 'How the event changes sampled variables while it lasts',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          variable: { type: 'string', description: 'Variable id' },
+                          type: { type: 'string', enum: ['add', 'multiply', 'replace'], description: 'add the value, multiply by it, or replace with it. Default: add' },
+                          value: { type: 'number', description: 'Impact value' }
+                        },
+                        required: ['variable', 'value']
+                      }
+                    },
+                    duration: { type: 'number', description: 'Periods the impacts last. Default: 1' }
+                  },
+                  required: ['id', 'label', 'probability', 'impacts']
+                }
+              },
+              optimization: {
+                type: 'object',
+                description: 'Optional. How the optimizer searches the lever variables',
+                properties: {
+                  objective: {
+                    type: 'string',
+                    enum: ['score', 'mean', 'median', 'p10', 'p90'],
+                    description: 'What to maximise: the decision score, or a statistic of the primary outcome change (p10 = safest). Default: score'
+                  },
+                  budget: { type: 'number', description: 'Most lever settings to simulate. Default: 40' },
+                  iterations: { type: 'number', description: 'Iterations per lever setting. Default: 500' },
+                  top: { type: 'number', description: 'Best settings to add as options. Default: 3' },
+                  baseScenarioId: { type: 'string', description: 'Scenario the levers are set on top of. Default: the "do nothing" scenario' }
+                }
+              },
+              markov: {
+                type: 'object',
+                description: 'Optional. People or things that move between states month by month (a driver going reliable → burned out → quit) and how each state shifts variables',
+                properties: {
+                  enabled: { type: 'boolean', description: 'Run the state walks. Default: false' },
+                  months: { type: 'number', description: 'Months to walk. Default: 6' },
+                  joint: { type: 'boolean', description: 'Walk one path per simulated future, so the outcome distribution includes the state risk (the futures where a driver burns out). Default: false' },
+                  entities: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string', description: 'snake_case id, e.g. driver_kai' },
+                        label: { type: 'string' },
+                        type: { type: 'string', enum: ['individual', 'cohort'], description: 'cohort = a group counted per state (a fleet, a customer base). Default: individual' },
+                        initialState: { type: 'string', description: 'State today. With estimate: defaults to the last state seen in the data' },
+                        initialCounts: { type: 'object', description: 'Cohorts: members per state today, e.g. { reliable: 30, unreliable: 8 }' },
+                        inflows: { type: 'object', description: 'Cohorts: joiners per month by state, e.g. { reliable: 2 }, or one count per month: { reliable: [2, 2] }' },
+                        outflows: { type: 'object', description: 'Cohorts: chance per month that a member in the state leaves, e.g. { quit: 1 }' },
+                        scenarioInflows: { type: 'object', description: 'Cohorts: { scenarioId: inflows } — e.g. hiring under one scenario' },
+                        scenarioOutflows: { type: 'object', description: 'Cohorts: { scenarioId: outflows }' },
+                        states: { type: 'array', items: { type: 'string' } },
+                        transitions: { type: 'object', description: '{ fromState: { toState: probability } } — rows sum to 1. With estimate: the prior the data is smoothed towards' },
+                        scenarioTransitions: { type: 'object', description: '{ scenarioId: transitions } for scenarios that change the odds' },
+                        estimate: {
+                          type: 'object',
+                          description: 'Count the transitions in the uploaded data instead of guessing them',
+                          properties: {
+                            entityColumn: { type: 'string', description: 'Column naming the entity, e.g. "driver_id"' },
+                            entityValue: { type: 'string', description: 'This entity\'s value in entityColumn, e.g. "D3". Omit to pool every entity' },
+                            timeColumn: { type: 'string', description: 'Date column' },
+                            period: { type: 'string', enum: ['month', 'row'], description: 'month = group rows by calendar month; row = each row is already one month. Default: month' },
+                            rules: {
+                              type: 'array',
+                              description: 'First match wins, e.g. { state: "burned_out", when: "overtime_hours > 2", for: 3 }',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  state: { type: 'string' },
+                                  when: { type: 'string', description: 'Formula over column names' },
+                                  for: { type: 'number', description: 'Consecutive rows the condition must hold. Default: 1' }
+                                },
+                                required: ['state', 'when']
+                              }
+                            },
+                            otherwise: { type: 'string', description: 'State of rows no rule matches. Default: keep the previous state' },
+                            absorbing: { type: 'array', items: { type: 'string' }, description: 'States never left, e.g. ["quit"]' },
+                            prior: { type: 'number', description: 'Observations the prior is worth per row. Default: number of states' }
+                          },
+                          required: ['timeColumn', 'rules']
+                        }
+                      },
+                      required: ['id', 'label', 'states']
+                    }
+                  },
+                  policies: {
+                    type: 'object',
+                    description: 'Optional. Staged plans: { scenarioId: { schedule?: [{ month, use }], trigger?: { when, use, from?, label? } } } — "use" names the scenario whose transitions apply; the trigger formula reads month, entity ids (driver_kai === \'burned_out\') and cohort counts (fleet_reliable / fleet_total < 0.7)'
+                  },
+                  stateEffects: { type: 'object', description: '{ "entityId.state": { variableId: shift } } — how being in a state moves variables; for a cohort the shift is per member gained or lost since today' }
+                }
+              },
+              horizon: {
+                type: 'object',
+                description: 'Optional. Simulate several periods instead of one: the outcome formula is evaluated every period and aggregated. Omit for a single-period decision.',
+                properties: {
+                  periods: { type: 'number', description: 'Number of periods (1-120), e.g. 12 for a year of months' },
+                  periodLabel: { type: 'string', description: 'Singular period name. Default: "period"' },
+                  discountRate: { type: 'number', description: 'Discount rate per period as a fraction (0.01 = 1%/period). Default: 0' },
+                  aggregate: {
+                    type: 'string',
+                    enum: ['npv', 'cumulative', 'final'],
+                    description: 'npv = discounted sum over the horizon, cumulative = plain sum, final = last period only. Default: npv'
+                  }
+                },
+                required: ['periods']
+              },
               outcome: {
                 type: 'object',
                 description: 'Primary outcome metric to optimize.',
@@ -314,7 +531,7 @@ module.exports = async function handler(req, res) {
                   type: 'object',
                   properties: {
                     id: { type: 'string', description: 'Unique chart ID' },
-                    type: { type: 'string', enum: ['bar', 'line', 'pie', 'scatter'], description: 'Chart type' },
+                    type: { type: 'string', enum: ['bar', 'line', 'pie', 'scatter', 'distribution'], description: 'Chart type. distribution: histogram of the numeric column x with its fitted distributions overlaid (y and aggregation are ignored — use "*" and "count")' },
                     title: { type: 'string', description: 'Chart title' },
                     x: { type: 'string', description: 'Column name for x-axis' },
                     y: { type: 'string', description: 'Column name for y-axis (use "*" for row count)' },
@@ -418,7 +635,7 @@ module.exports = async function handler(req, res) {
       const missing = [];
       if (!pd.variables || !Array.isArray(pd.variables) || pd.variables.length === 0) missing.push('variables');
       if (!pd.scenarios || !Array.isArray(pd.scenarios) || pd.scenarios.length === 0) missing.push('scenarios');
-      if (!pd.outcome || !pd.outcome.formula) missing.push('outcome with formula');
+      if (!Carlo.resolveOutcomes(pd).some(outcome => outcome.formula)) missing.push('outcome with formula');
       if (!pd.edges || !Array.isArray(pd.edges)) missing.push('edges');
 
       if (missing.length > 0 && !toolCall.input._retried) {
@@ -459,10 +676,10 @@ module.exports = async function handler(req, res) {
       }
     }
 
-    // 5c. Server-side formula validation + retry-with-hint
+    // 5c. Server-side formula and correlation validation + retry-with-hint
     if (toolCall?.input?.prismaData) {
       const pd = toolCall.input.prismaData;
-      const validation = validateFormulaAgainstVariables(pd);
+      const validation = validateModel(pd);
 
       if (validation.valid) {
         console.log('[Formula Validation] PASSED');
@@ -502,7 +719,7 @@ module.exports = async function handler(req, res) {
 
           // Validate retry result
           if (retryToolCall?.input?.prismaData) {
-            const retryValidation = validateFormulaAgainstVariables(retryToolCall.input.prismaData);
+            const retryValidation = validateModel(retryToolCall.input.prismaData);
             if (retryValidation.valid) {
               console.log('[Formula Validation] Retry SUCCEEDED');
               message = retryMessage;
@@ -530,6 +747,11 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // 5d. Stamp the schema version the model was validated against (the dashboard checks it)
+    if (toolCall?.input?.prismaData) {
+      toolCall.input.prismaData.schemaVersion = Engine.SCHEMA_VERSION;
+    }
+
     // 6. Return sanitized response
     return res.status(200).json({
       message: message.trim(),
@@ -30,7 +30,7 @@ module.exports = async function handler(req, res) {
 
   // 3. Parse and validate input
   const body = req.body || {};
-  const { bestScenario, runnerUp, topVariable, unit, percentPositive, median } = body;
+  const { bestScenario, runnerUp, topVariable, valueOfInformation, unit, percentPositive, percentPositiveCI, median } = body;
 
   // Validate required fields
   if (!bestScenario || typeof bestScenario.label !== 'string' || typeof bestScenario.score !== 'number') {
@@ -47,9 +47,16 @@ module.exports = async function handler(req, res) {
   if (topVariable && typeof topVariable.label === 'string' && topVariable.label.length > 200) {
     return res.status(400).json({ error: 'topVariable.label too long.' });
   }
+  const voiTop = valueOfInformation && valueOfInformation.topVariable;
+  if (voiTop && typeof voiTop.label === 'string' && voiTop.label.length > 200) {
+    return res.status(400).json({ error: 'valueOfInformation.topVariable.label too long.' });
+  }
   if (typeof unit === 'string' && unit.length > 200) {
     return res.status(400).json({ error: 'unit too long.' });
   }
+  if (typeof percentPositiveCI === 'string' && percentPositiveCI.length > 200) {
+    return res.status(400).json({ error: 'percentPositiveCI too long.' });
+  }
 
   // Validate numbers are in sane range
   if (bestScenario.score < 0 || bestScenario.score > 100) {
@@ -58,14 +65,24 @@ module.exports = async function handler(req, res) {
   if (runnerUp && typeof runnerUp.score === 'number' && (runnerUp.score < 0 || runnerUp.score > 100)) {
     return res.status(400).json({ error: 'runnerUp.score must be 0-100.' });
   }
+  if (valueOfInformation && !Number.isFinite(valueOfInformation.evpi)) {
+    return res.status(400).json({ error: 'valueOfInformation.evpi must be a number.' });
+  }
+  if (voiTop && (typeof voiTop.label !== 'string' || !Number.isFinite(voiTop.evppi))) {
+    return res.status(400).json({ error: 'valueOfInformation.topVariable needs a label and evppi.' });
+  }
 
   // 4. Build prompt
   const context = [
     `Best scenario: "${bestScenario.label}" scoring ${bestScenario.score}/100`,
-    `${percentPositive || '?'}% of simulated futures are positive`,
+    `${percentPositive || '?'}% of simulated futures are positive` +
+      (typeof percentPositiveCI === 'string' && percentPositiveCI ? ` (95% CI ${percentPositiveCI}% — don't treat differences inside that range as real)` : ''),
     `Median outcome: ${median || 0} ${unit || ''}`,
     runnerUp ? `Runner-up: "${runnerUp.label}" scoring ${runnerUp.score}/100` : 'No runner-up scenario',
-    topVariable ? `Most influential variable: "${topVariable.label}" (swings outcome by ${topVariable.swing || '?'} ${unit || ''})` : 'No top variable identified'
+    topVariable ? `Most influential variable: "${topVariable.label}" (swings outcome by ${topVariable.swing || '?'} ${unit || ''})` : 'No top variable identified',
+    !valueOfInformation ? 'Value of information not available'
+      : voiTop ? `Worth learning before deciding: "${voiTop.label}" (expected value of that information ${Math.round(voiTop.evppi)} ${unit || ''}, out of ${Math.round(valueOfInformation.evpi)} for knowing everything)`
+        : 'No single uncertainty would change which scenario wins — more research would not pay off'
   ].join('. ');
 
   const prompt = `You are a concise decision advisor. Given these Monte Carlo simulation results, write exactly 3 recommendation cards. Each must be 1-2 sentences, natural and direct — no jargon, no bullet points, no hedging.
@@ -74,7 +91,7 @@ Simulation context: ${context}
 
 Return a JSON object with exactly these 3 keys:
 - "action": What to do (reference the winning scenario by name, include the score and key stat)
-- "watch": What variable to monitor (reference the most influential variable, explain why it matters)
+- "watch": What variable to monitor (if a variable is worth learning before deciding, say to pin it down first and that a pilot or research costing less than its information value is worth doing; otherwise reference the most influential variable and explain why it matters)
 - "trigger": When to reconsider (reference the runner-up scenario if available, specify what would flip the decision)
 
 Return ONLY the JSON object, no markdown fencing, no explanation.`;
@@ -0,0 +1,582 @@
+#!/usr/bin/env node
+// bin/prisma-sim.js
+// Headless simulation: run a prismaData JSON file through Carlo, Nassim and Markov from Node
+//
+// Usage: prisma-sim <prismaData.json> [options]
+//   -n, --iterations <n>            Futures per scenario (default 1000)
+//   -s, --seed <n>                  Seed — the same seed replays the same run (default: random, reported)
+//       --scenarios <id,id>         Only run these scenarios
+//       --sampling <method>         random | lhs | sobol | halton (default random)
+//       --data <rows.csv|rows.json> Rows for empirical and fitted variables (sourceColumn)
+//       --sensitivity-iterations <n>  Futures per sensitivity probe (default 300)
+//       --no-sensitivity            Skip the sensitivity probes
+//       --no-markov                 Skip Markov (joint runs too) even when prismaData.markov is enabled
+//   -f, --format <json|csv|text>    Output format (default json); csv is one row per scenario
+//   -o, --output <file>             Write to a file instead of stdout
+//   -q, --quiet                     Drop engine warnings (stderr)
+//   -h, --help
+//
+// The engine is the shared one in public/js (engine.js), so a CLI run matches the dashboard
+// for the same seed.
+
+const fs = require('fs');
+const Engine = require('../public/js/engine.js');
+
+const DEFAULTS = { iterations: 1000, sensitivityIterations: 300, markovIterations: 1000, format: 'json' };
+const FORMATS = ['json', 'csv', 'text'];
+
+const USAGE = fs.readFileSync(__filename, 'utf8')
+  .split('\n')
+  .filter(line => line.startsWith('// Usage') || line.startsWith('//   '))
+  .map(line => line.slice(3))
+  .join('\n');
+
+class UsageError extends Error {}
+
+// --- Arguments ---
+
+/**
+ * Parse command-line flags (both "--flag value" and "--flag=value")
+ *
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} Options; throws UsageError on bad flags
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, sensitivity: true, markov: true };
+  const aliases = { '-n': '--iterations', '-s': '--seed', '-f': '--format', '-o': '--output', '-q': '--quiet', '-h': '--help' };
+  const positional = [];
+
+  const number = (flag, raw, { integer = true, min = 1 } = {}) => {
+    const value = Number(raw);
+    if (raw === undefined || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min) {
+      throw new UsageError(`${flag} needs a ${integer ? 'whole ' : ''}number >= ${min} (got ${raw === undefined ? 'nothing' : '"' + raw + '"'})`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = aliases[argv[i]] || argv[i];
+    let inline;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, inline] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+    }
+    const next = () => (inline !== undefined ? inline : argv[++i]);
+
+    switch (arg) {
+      case '--help': options.help = true; break;
+      case '--iterations': options.iterations = number(arg, next()); break;
+      case '--seed': options.seed = number(arg, next(), { min: 0 }); break;
+      case '--sensitivity-iterations': options.sensitivityIterations = number(arg, next()); break;
+      case '--no-sensitivity': options.sensitivity = false; break;
+      case '--no-markov': options.markov = false; break;
+      case '--quiet': options.quiet = true; break;
+      case '--sampling': options.sampling = next(); break;
+      case '--data': options.data = next(); break;
+      case '--output': options.output = next(); break;
+      case '--scenarios': {
+        const list = next();
+        options.scenarios = (list || '').split(',').map(s => s.trim()).filter(Boolean);
+        if (options.scenarios.length === 0) throw new UsageError('--scenarios needs a comma-separated list of scenario ids');
+        break;
+      }
+      case '--format':
+        options.format = next();
+        if (!FORMATS.includes(options.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+        break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+        positional.push(arg);
+    }
+  }
+
+  if (!options.help && positional.length !== 1) {
+    throw new UsageError(positional.length === 0 ? 'Missing prismaData file' : 'Expected one prismaData file');
+  }
+  options.input = positional[0];
+  return options;
+}
+
+// --- Input ---
+
+/**
+ * Read rows for empirical / fitted variables: a JSON array of row objects, or a CSV with a header
+ * row (typed like the browser's PapaParse upload: numbers and booleans converted, empty cells null)
+ */
+function readRows(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (file.toLowerCase().endsWith('.json')) {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) throw new Error(`${file} must hold an array of row objects`);
+    return rows;
+  }
+  return parseCsv(text);
+}
+
+/**
+ * Parse CSV text (quoted fields, doubled quotes, CRLF) into row objects keyed by the header
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.length > 1 || r[0] !== '');
+  if (nonEmpty.length === 0) return [];
+  const [header, ...body] = nonEmpty;
+  return body.map(cells => {
+    const row = {};
+    header.forEach((column, j) => { row[column] = typeCell(cells[j]); });
+    return row;
+  });
+}
+
+function typeCell(raw) {
+  if (raw === undefined || raw === '') return null;
+  if (raw === 'true' || raw === 'TRUE') return true;
+  if (raw === 'false' || raw === 'FALSE') return false;
+  if (/^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(raw)) return parseFloat(raw);
+  return raw;
+}
+
+/**
+ * Settle central values and calibrate data-backed variables, as the dashboard does on merge:
+ * `fit` variables take their fitted distribution, empirical ones their observed value / min / max,
+ * and Markov entities with `estimate` the transitions counted in the data
+ */
+function prepareData(prismaData, rows) {
+  const { Carlo, DistFit, Markov } = Engine;
+  const data = JSON.parse(JSON.stringify(prismaData));
+
+  data.variables = (data.variables || []).map(variable => {
+    const v = { ...variable, value: Carlo.getCentralValue(variable) };
+    if (!v.sourceColumn || !rows) return v;
+    try {
+      if (v.fit) return DistFit.resolveVariable(v, rows);
+      if (v.distribution === 'empirical') {
+        const stats = Carlo.describeEmpiricalPool(Carlo.buildEmpiricalPool(v, rows));
+        return { ...v, value: stats.value, min: stats.min, max: stats.max };
+      }
+    } catch (e) {
+      // Carlo throws the same error at run time for empirical variables
+      console.warn('[prisma-sim]', e.message);
+    }
+    return v;
+  });
+
+  if (rows && data.markov && Array.isArray(data.markov.entities)) {
+    data.markov.entities = data.markov.entities.map(entity => {
+      if (!entity.estimate) return entity;
+      try {
+        return Markov.resolveEntity(entity, rows);
+      } catch (e) {
+        console.warn('[prisma-sim]', e.message);
+        return entity;
+      }
+    });
+  }
+
+  return data;
+}
+
+// --- Validation ---
+
+/**
+ * The checks api/chat.js runs on a tool call, for a file that never went through the server.
+ * A formula that doesn't compile or contradictory correlations would only leave the engine
+ * falling back to meaningless numbers, so they stop the run; an outcome no option moves is
+ * reported with the results.
+ *
+ * @param {Object} prismaData - Prepared PRISMA_DATA
+ * @returns {Array<string>} Warnings for the report; throws on a model that can't be simulated
+ */
+function validateModel(prismaData) {
+  const { Carlo } = Engine;
+  const formula = Carlo.validateFormulaAgainstVariables(prismaData);
+  if (formula.reason === 'formula_syntax') {
+    throw new Error(`Outcome formula${formula.outcomeId ? ' "' + formula.outcomeId + '"' : ''} does not parse: ${formula.error}`);
+  }
+  if (formula.reason === 'formula_mismatch') {
+    throw new Error(`Outcome formula reads ${formula.badIdentifiers.join(', ')}, which are not variables or edge-derived values (variables: ${formula.variableIds.join(', ')})`);
+  }
+  const correlations = Carlo.validateCorrelations(prismaData.correlations, prismaData.variables);
+  if (!correlations.valid) throw new Error('Invalid correlations: ' + correlations.errors.join('; '));
+
+  const warnings = [];
+  if (formula.reason === 'no_scenario_overlap') {
+    warnings.push(`No scenario changes anything the outcome formula reads (${formula.formulaIdentifiers.join(', ')}); every option scores the same`);
+  }
+  return warnings;
+}
+
+/**
+ * Route console.warn through a once-per-message filter: the engines warn each time they
+ * prepare a run, which is every scenario, sensitivity probe and timeline month
+ *
+ * @param {Array<string>} seen - Messages warned so far, filled in place
+ * @returns {Function} Restores the previous console.warn
+ */
+function warnOnce(seen) {
+  const warn = console.warn;
+  console.warn = (...args) => {
+    const message = args.map(String).join(' ');
+    if (seen.includes(message)) return;
+    seen.push(message);
+    warn.apply(console, args);
+  };
+  return () => { console.warn = warn; };
+}
+
+// --- Simulation ---
+
+/**
+ * Run every engine on a prismaData object
+ *
+ * @param {Object} prismaData - PRISMA_DATA (variables, scenarios, outcome, ...)
+ * @param {Object} options - { iterations, seed?, scenarios?, sampling?, rows?, sensitivity,
+ *   sensitivityIterations, markov }
+ * @returns {Promise<Object>} Report (see README "Headless runs"); engine warnings, each once, in `warnings`
+ */
+async function simulate(prismaData, options = {}) {
+  const warnings = [];
+  const restore = warnOnce(warnings);
+  try {
+    const report = await runEngines(prismaData, options);
+    return { ...report, warnings };
+  } finally {
+    restore();
+  }
+}
+
+/**
+ * The engine runs behind simulate(), without the warning filter
+ */
+async function runEngines(prismaData, options) {
+  const { Prng, Carlo, Nassim, Markov } = Engine;
+  const started = Date.now();
+  const settings = { ...DEFAULTS, sensitivity: true, markov: true, ...options };
+  const seed = Number.isFinite(settings.seed) ? settings.seed : Prng.randomSeed();
+
+  const schema = Engine.checkSchemaVersion(prismaData);
+  if (!schema.valid) console.warn('[prisma-sim] ' + schema.errors.join('; '));
+
+  const data = prepareData(prismaData, settings.rows);
+  if (!Array.isArray(data.scenarios) || data.scenarios.length === 0) throw new Error('prismaData has no scenarios');
+  if (Carlo.resolveOutcomes(data).length === 0) throw new Error('prismaData has no outcome formula');
+
+  if (settings.scenarios) {
+    const unknown = settings.scenarios.filter(id => !data.scenarios.some(s => s.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scenario ${unknown.join(', ')} (scenarios: ${data.scenarios.map(s => s.id).join(', ')})`);
+    }
+    data.scenarios = data.scenarios.filter(s => settings.scenarios.includes(s.id));
+  }
+  if (settings.sampling && !Carlo.SAMPLING_METHODS.includes(settings.sampling)) {
+    throw new Error(`Unknown sampling "${settings.sampling}" (use ${Carlo.SAMPLING_METHODS.join(', ')})`);
+  }
+  for (const warning of validateModel(data)) console.warn('[prisma-sim] ' + warning);
+
+  // markov.joint: each future walks its own Markov path (skipped with --no-markov)
+  const joint = settings.markov && Markov.isJoint(data);
+  const runOptions = { seed, data: settings.rows, sampling: settings.sampling, recordInputs: true };
+  const carloResults = joint
+    ? Markov.runJointAllScenarios(data, settings.iterations, runOptions)
+    : Carlo.runCarloAllScenarios(data, settings.iterations, runOptions);
+  const nassimResults = Nassim.classifyAllScenarios(carloResults, data);
+  const { bestId, bestScore, allInfeasible } = Nassim.pickBestScenario(nassimResults, data.scenarios);
+  const decisionId = bestId || data.scenarios[0].id;
+  const labelOf = id => (data.scenarios.find(s => s.id === id) || {}).label || id;
+
+  const verdict = Nassim.generateVerdict(
+    nassimResults[decisionId], carloResults[decisionId].summary, data, labelOf(decisionId), nassimResults
+  );
+  const text = parts => (parts || []).map(p => p.text).join('');
+
+  // Sensitivity on "do nothing" (or the first scenario), like the dashboard
+  let sensitivity = null;
+  if (settings.sensitivity) {
+    const base = data.scenarios.find(s => s.id === 'nothing' || s.id === 'do_nothing') || data.scenarios[0];
+    const sensitivityOptions = { seed, data: settings.rows, sampling: settings.sampling };
+    // Joint runs: the paths come from the sensitivity seed, as in the dashboard's probes
+    if (joint) {
+      sensitivityOptions.pathShifts = Markov.jointOptions(data, base.id, Nassim.sensitivityRunOptions(sensitivityOptions)).pathShifts;
+    }
+    const results = await new Promise(resolve => {
+      Nassim.runFullSensitivity(data, base.id, settings.sensitivityIterations, resolve, sensitivityOptions);
+    });
+    sensitivity = {
+      scenarioId: base.id,
+      iterations: settings.sensitivityIterations,
+      variables: results.map(r => ({
+        variableId: r.variableId,
+        variableLabel: r.variableLabel,
+        impactLow: r.impactLow,
+        impactHigh: r.impactHigh,
+        totalSwing: r.totalSwing
+      }))
+    };
+  }
+
+  let markov = null;
+  if (settings.markov && data.markov && data.markov.enabled) {
+    const months = data.markov.months || 6;
+    const timelines = {};
+    const analysis = {};
+    const cohorts = {};
+    const policies = {};
+    for (const scenario of data.scenarios) {
+      const results = Markov.runAllMarkov(data, scenario.id, settings.markovIterations, { seed: Prng.deriveSeed(seed, 'markov') });
+      timelines[scenario.id] = Markov.getMarkovOutcomeTimeline(data, scenario.id, results, months, { seed, data: settings.rows, sampling: settings.sampling });
+      analysis[scenario.id] = {};
+      cohorts[scenario.id] = {};
+      for (const [entityId, result] of Object.entries(results)) {
+        if (result.analysis) analysis[scenario.id][entityId] = result.analysis;
+        if (result.monthlyCounts) cohorts[scenario.id][entityId] = result.monthlyCounts;
+        if (result.policy) policies[scenario.id] = result.policy;
+      }
+    }
+    markov = { months, method: data.markov.method || 'exact', joint, timelines, analysis, cohorts, policies };
+  }
+
+  const primary = Carlo.resolveOutcomes(data)[0];
+  return {
+    input: settings.input || null,
+    title: (data.meta && data.meta.title) || null,
+    schemaVersion: Engine.SCHEMA_VERSION,
+    seed,
+    iterations: settings.iterations,
+    sampling: settings.sampling || 'random',
+    fits: data.variables.filter(v => v.fitted).map(v => ({ variableId: v.id, ...v.fitted })),
+    transitionEstimates: ((data.markov && data.markov.entities) || []).filter(e => e.estimated).map(e => ({
+      entityId: e.id,
+      initialState: e.initialState,
+      transitions: e.transitions,
+      ...e.estimated
+    })),
+    outcome: { id: primary.id, label: primary.label || primary.id, unit: primary.unit || (data.outcome && data.outcome.unit) || '' },
+    decision: {
+      scenarioId: decisionId,
+      scenarioLabel: labelOf(decisionId),
+      score: bestId ? bestScore : Nassim.computeDecisionScore(nassimResults[decisionId]),
+      allInfeasible,
+      verdict: {
+        headline: verdict.headline,
+        context: verdict.context,
+        summary: text(verdict.summaryParts),
+        risk: text(verdict.riskParts),
+        constraints: text(verdict.constraintParts)
+      }
+    },
+    scenarios: data.scenarios.map(scenario => {
+      const result = carloResults[scenario.id];
+      const classification = nassimResults[scenario.id];
+      const { outcomes, inputs, ...rest } = result;
+      return {
+        id: scenario.id,
+        label: scenario.label || scenario.id,
+        score: Nassim.computeDecisionScore(classification),
+        classification: classification.classification,
+        reasoning: classification.reasoning,
+        infeasible: !!classification.infeasible,
+        violatedConstraints: (classification.violatedConstraints || []).map(v => Nassim.describeViolation(v)),
+        ...rest
+      };
+    }),
+    comparisons: Carlo.compareScenarios(carloResults, { seed }).map(c => ({
+      a: c.a,
+      b: c.b,
+      probability: c.probability,
+      probabilityCI: c.probabilityCI,
+      medianDifference: c.difference.median,
+      medianCI: c.medianCI
+    })),
+    sensitivity,
+    valueOfInformation: Nassim.computeValueOfInformation(carloResults, data),
+    markov,
+    elapsedMs: Date.now() - started
+  };
+}
+
+// --- Output ---
+
+const CSV_COLUMNS = ['id', 'label', 'score', 'classification', 'infeasible', 'percentPositive',
+  'percentPositiveLow', 'percentPositiveHigh', 'mean', 'median', 'p10', 'p25', 'p75', 'p90', 'min', 'max', 'std', 'iterations'];
+
+/**
+ * One row per scenario, with the run's seed and the recommended scenario marked
+ */
+function toCsv(report) {
+  const escape = value => {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const lines = [[...CSV_COLUMNS, 'recommended', 'seed'].join(',')];
+  for (const s of report.scenarios) {
+    const summary = s.summary || {};
+    const row = {
+      ...summary,
+      id: s.id,
+      label: s.label,
+      score: s.score,
+      classification: s.classification,
+      infeasible: s.infeasible,
+      percentPositiveLow: summary.percentPositiveCI && summary.percentPositiveCI.low,
+      percentPositiveHigh: summary.percentPositiveCI && summary.percentPositiveCI.high
+    };
+    lines.push([...CSV_COLUMNS.map(c => escape(row[c])), s.id === report.decision.scenarioId, report.seed].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Plain-text report: the verdict as the dashboard words it, then a scenario table
+ */
+function toText(report) {
+  const fmt = n => (Number.isFinite(n) ? Math.round(n).toLocaleString('en-US') : '—');
+  const unit = report.outcome.unit ? ' (' + report.outcome.unit + ')' : '';
+  const v = report.decision.verdict;
+  const lines = [
+    (report.title || 'Prisma simulation') + ' — seed ' + report.seed + ', ' + report.iterations.toLocaleString('en-US') + ' futures per scenario',
+    '',
+    v.headline + ' (score ' + report.decision.score + '/100)',
+    v.summary,
+    v.risk
+  ];
+  if (v.constraints) lines.push('Ruled out: ' + v.constraints);
+
+  const rows = report.scenarios.map(s => [
+    s.label + (s.id === report.decision.scenarioId ? ' *' : ''),
+    String(s.score),
+    Math.round(s.summary.percentPositive) + '%',
+    fmt(s.summary.p10), fmt(s.summary.median), fmt(s.summary.p90)
+  ]);
+  const header = ['Scenario', 'Score', 'Positive', 'P10', 'Median', 'P90'];
+  const widths = header.map((h, j) => Math.max(h.length, ...rows.map(r => r[j].length)));
+  const line = cells => cells.map((c, j) => (j === 0 ? c.padEnd(widths[j]) : c.padStart(widths[j]))).join('  ');
+  lines.push('', report.outcome.label + unit, line(header), ...rows.map(line));
+
+  if (report.sensitivity && report.sensitivity.variables.length > 0) {
+    lines.push('', 'What moves the outcome most:');
+    for (const s of report.sensitivity.variables.slice(0, 5)) {
+      lines.push('  ' + s.variableLabel + ' — swing ' + fmt(s.totalSwing));
+    }
+  }
+  if (report.valueOfInformation && report.valueOfInformation.variables[0] && report.valueOfInformation.variables[0].evppi > 0) {
+    const top = report.valueOfInformation.variables[0];
+    lines.push('', 'Worth knowing before deciding: ' + top.variableLabel + ' (' + fmt(top.evppi) + ' of ' + fmt(report.valueOfInformation.evpi) + ')');
+  }
+  if (report.markov) {
+    lines.push('', 'Markov, median at month ' + report.markov.months + ':');
+    for (const [id, timeline] of Object.entries(report.markov.timelines)) {
+      const last = timeline[timeline.length - 1];
+      lines.push('  ' + ((report.scenarios.find(s => s.id === id) || {}).label || id) + ' — ' + fmt(last && last.outcomeMedian));
+    }
+    for (const [id, entities] of Object.entries(report.markov.analysis || {})) {
+      for (const [entityId, chain] of Object.entries(entities)) {
+        if (chain.expectedMonths === null || chain.absorbingStates.length === 0) continue;
+        const scenarioLabel = (report.scenarios.find(s => s.id === id) || {}).label || id;
+        lines.push('  ' + scenarioLabel + ': expected ' + chain.expectedMonths.toFixed(1) + ' months until ' + entityId + ' reaches ' + chain.absorbingStates.join(' / '));
+      }
+    }
+    for (const [id, policy] of Object.entries(report.markov.policies || {})) {
+      const scenarioLabel = (report.scenarios.find(s => s.id === id) || {}).label || id;
+      const switched = policy.switchedByMonth[policy.switchedByMonth.length - 1];
+      const peak = policy.firedByMonth.indexOf(Math.max(...policy.firedByMonth));
+      lines.push('  ' + scenarioLabel + ': "' + policy.label + '" switched in ' + Math.round(switched * 100) + '% of futures' +
+        (switched > 0 ? ' (most often in month ' + peak + ')' : ''));
+    }
+    for (const s of report.scenarios) {
+      for (const [entityId, states] of Object.entries(s.markovStates || {})) {
+        const worst = Object.entries(states).filter(([, end]) => end.impact && end.impact.median < 0)
+          .sort((a, b) => a[1].impact.median - b[1].impact.median)[0];
+        if (!worst) continue;
+        lines.push('  ' + s.label + ': ' + entityId + ' ends ' + worst[0] + ' in ' + Math.round(worst[1].share * 100) +
+          '% of futures — median ' + fmt(worst[1].impact.median) + ' vs the rest');
+      }
+    }
+    for (const [id, entities] of Object.entries(report.markov.cohorts || {})) {
+      for (const [entityId, counts] of Object.entries(entities)) {
+        const scenarioLabel = (report.scenarios.find(s => s.id === id) || {}).label || id;
+        const last = Object.entries(counts[counts.length - 1]).filter(([, c]) => c.p90 > 0);
+        lines.push('  ' + scenarioLabel + ': ' + entityId + ' at month ' + report.markov.months + ' — ' +
+          last.map(([state, c]) => Math.round(c.mean) + ' ' + state + ' (' + c.p10 + '–' + c.p90 + ')').join(', '));
+      }
+    }
+  }
+  if (report.warnings && report.warnings.length > 0) {
+    lines.push('', 'Warnings:', ...report.warnings.map(w => '  ' + w));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function format(report, kind) {
+  if (kind === 'csv') return toCsv(report);
+  if (kind === 'text') return toText(report);
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+// --- Main ---
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write('prisma-sim: ' + e.message + '\n\n' + USAGE + '\n');
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  try {
+    const prismaData = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+    const rows = options.data ? readRows(options.data) : undefined;
+    if (options.quiet) console.warn = () => {};
+    const report = await simulate(prismaData, { ...options, rows });
+    const output = format(report, options.format);
+    if (options.output) fs.writeFileSync(options.output, output);
+    else process.stdout.write(output);
+    return 0;
+  } catch (e) {
+    process.stderr.write('prisma-sim: ' + e.message + '\n');
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { simulate, parseArgs, parseCsv, toCsv, toText };
@@ -6,493 +6,2584 @@
  *
  * All functions are PURE (no DOM access, no side effects, no global state).
  *
- * NOTE: Uses new Function() for safe formula evaluation in sandboxed context.
- * This is intentional for the simulation engine to evaluate mathematical formulas.
+ * Formulas are compiled once per run with Formula (formula.js) — never eval / new Function.
  */
 
-/**
- * Validate a formula string to prevent code injection.
- * Only allows: variable names, numbers, basic math ops, Math.* functions, parens, commas, dots,
- * string literals (single/double quotes for ternary comparisons), and ternary operators.
- * Rejects anything that could access globals, DOM, network, or eval.
- */
-function validateFormula(formula) {
-  if (typeof formula !== 'string') return false;
-  if (formula.length > 1000) return false;
-
-  // Blocklist: dangerous tokens that should never appear in a math formula
-  const dangerous = /\b(fetch|eval|import|require|document|window|globalThis|self|top|parent|frames|constructor|prototype|__proto__|Function|setTimeout|setInterval|XMLHttpRequest|WebSocket|Worker|Blob|URL|location|navigator|alert|confirm|prompt|console|process|child_process|exec|spawn)\b/;
-  if (dangerous.test(formula)) return false;
-
-  // Reject template literals and bracket access (property injection)
-  if (/[`\[\]]/.test(formula)) return false;
-
-  // Reject semicolons, curly braces (block statements)
-  if (/[;{}]/.test(formula)) return false;
-
-  // Reject assignment operators (=) but allow ==, ===, !=, !==, >=, <=
-  // Strategy: strip out comparison operators first, then check for remaining bare =
-  const withoutComparisons = formula
-    .replace(/===/g, '')
-    .replace(/!==/g, '')
-    .replace(/==/g, '')
-    .replace(/!=/g, '')
-    .replace(/>=/g, '')
-    .replace(/<=/g, '');
-  if (/=/.test(withoutComparisons)) return false;
-
-  // Allowlist: only permit safe characters
-  // Letters (variable names / Math), digits, math ops, parens, dots, commas, spaces,
-  // underscores, ternary, comparison, single/double quotes (for string literals in ternaries)
-  const allowed = /^[a-zA-Z0-9_\s+\-*/%().,:?<>=!&|^~'"]+$/;
-  if (!allowed.test(formula)) return false;
-
-  return true;
-}
+const Carlo = {
+  /**
+   * Supported distribution types. Shape parameters live in variable.params;
+   * `value` is always the central value the sliders move (see getCentralValue).
+   *
+   *   fixed        value
+   *   uniform      min … max
+   *   normal       centered on value, std = range / 6, truncated to [min, max]
+   *   right_skewed / left_skewed   exponential tail, params.lambda (default 2.5)
+   *   triangular   min, mode = value, max
+   *   pert         min, mode = value, max, params.lambda (default 4) — expert estimates
+   *   lognormal    median = value, params.sigma (log-space spread) — costs
+   *   gamma        mean = value, params.shape / params.scale — positive amounts and waiting times
+   *   beta         mean = value on [min, max], params.alpha / params.beta — rates
+   *   poisson      mean = value (params.lambda) — counts
+   *   bernoulli    1 with probability value (params.p), else 0 — yes/no events
+   *   empirical    bootstrap from real observations: `samples`, or `sourceColumn` (+ filters,
+   *                aggregation) resolved against uploaded CSV rows; value = center (median)
+   */
+  DISTRIBUTIONS: ['fixed', 'uniform', 'normal', 'right_skewed', 'left_skewed',
+    'triangular', 'pert', 'lognormal', 'gamma', 'beta', 'poisson', 'bernoulli', 'empirical'],
 
-/**
- * Sanitize an AI-generated outcome formula to fix common issues.
- * This runs BEFORE validateFormula() and attempts to transform formulas
- * that reference undefined variables (like 'scenario') into working math.
- *
- * Returns { formula, needsScenarioId } — if the formula branches on scenario,
- * we flag it so runCarlo can inject the scenarioId.
- */
-function sanitizeFormula(formula, variableIds) {
-  if (typeof formula !== 'string') return { formula: '', needsScenarioId: false };
+  EMPIRICAL_FILTER_OPS: ['=', '!=', '>', '>=', '<', '<=', 'in', 'not_in'],
+  EMPIRICAL_AGGREGATIONS: ['sum', 'mean', 'median', 'min', 'max', 'count'],
 
-  let sanitized = formula.trim();
-  let needsScenarioId = false;
+  /**
+   * Defaults for adaptive runs (runCarloAdaptive). tolerance is the allowed 95% Monte Carlo
+   * error: a share of the P10–P90 spread for median/P10/P90, and × 100 percentage points
+   * for percentPositive.
+   */
+  CONVERGENCE: { tolerance: 0.02, batchSize: 1000, minIterations: 1000, maxIterations: 20000 },
 
-  // Detect scenario-branching formulas: patterns like (scenario === 'bitcoin')
-  // These reference 'scenario' which is not a variable — it's the scenario ID
-  if (/\bscenario\b/.test(sanitized)) {
-    needsScenarioId = true;
-    // No other transformation needed — we'll inject 'scenario' as an arg at eval time
-  }
+  /**
+   * How each future's uniforms are drawn (options.sampling):
+   *   random   independent draws (default)
+   *   lhs      Latin hypercube: each variable's [0, 1) is cut into `iterations` equal strata and
+   *            every stratum is drawn exactly once (per batch in adaptive runs)
+   *   sobol    Sobol low-discrepancy sequence (Joe–Kuo direction numbers), digit-shifted at random
+   *            from the seed; beyond 1 + SOBOL_DIRECTIONS.length variables it falls back to halton
+   *   halton   Halton sequence (one prime base per variable), shifted at random from the seed
+   * The uniforms still go through each distribution's inverse CDF (quantile) and the copula, so
+   * shapes and correlations are unchanged — the draws just cover the range more evenly, and the
+   * tails settle with fewer iterations. Variables resampled every period draw independently after
+   * the first period. Standard errors assume independent draws, so they overstate the others'.
+   */
+  SAMPLING_METHODS: ['random', 'lhs', 'sobol', 'halton'],
+
+  // Sobol dimensions 2…21: [degree s, coefficients a, initial direction numbers m] (Joe & Kuo 2008)
+  SOBOL_DIRECTIONS: [
+    [1, 0, [1]],
+    [2, 1, [1, 3]],
+    [3, 1, [1, 3, 1]],
+    [3, 2, [1, 1, 1]],
+    [4, 1, [1, 1, 3, 3]],
+    [4, 4, [1, 3, 5, 13]],
+    [5, 2, [1, 1, 5, 5, 17]],
+    [5, 4, [1, 1, 5, 5, 5]],
+    [5, 7, [1, 1, 7, 11, 19]],
+    [5, 11, [1, 1, 5, 1, 1]],
+    [5, 13, [1, 1, 1, 3, 11]],
+    [5, 14, [1, 3, 5, 5, 31]],
+    [6, 1, [1, 3, 3, 9, 7, 49]],
+    [6, 13, [1, 1, 1, 15, 21, 21]],
+    [6, 16, [1, 3, 1, 13, 27, 49]],
+    [6, 19, [1, 1, 1, 15, 7, 5]],
+    [6, 22, [1, 3, 1, 15, 13, 25]],
+    [6, 25, [1, 1, 5, 5, 19, 61]],
+    [7, 1, [1, 3, 7, 11, 23, 15, 103]],
+    [7, 4, [1, 3, 7, 13, 13, 15, 69]]
+  ],
 
-  return { formula: sanitized, needsScenarioId };
-}
+  /**
+   * Multi-period runs. prismaData.horizon = { periods, periodLabel?, discountRate?, aggregate? }
+   * plays every iteration out period by period; its outcome is then the aggregate of the
+   * per-period deltas: 'npv' (default — period t discounted by (1 + discountRate)^(t + 1)),
+   * 'cumulative' (plain sum) or 'final' (last period only).
+   *
+   * variable.dynamics (also per scenario change) shapes a variable over the periods:
+   *   growth     compounding rate per period (0.02 = +2% per period, negative decays)
+   *   lag        periods before a scenario change starts to apply
+   *   ramp       periods for a scenario change to phase in fully; rampShape 'linear' | 's_curve'
+   *   resample   fresh draw every period instead of one draw per future
+   * Formulas can read prev_<id>, the value one period earlier (carry-over stocks, lags).
+   */
+  HORIZON_AGGREGATES: ['npv', 'cumulative', 'final'],
+  RAMP_SHAPES: ['linear', 's_curve'],
+  PREV_PREFIX: 'prev_',
+  MAX_PERIODS: 120,
+
+  /**
+   * Outcome metrics. prismaData.outcomes = [{ id, label, unit, formula, direction?, weight? }]
+   * replaces the single prismaData.outcome; the first entry is the primary metric and drives
+   * `outcomes` / `summary` of every result. With more than one metric, results also carry
+   * `metrics` (one { outcomes, summary } per id) and Nassim rolls them into one score by weight.
+   */
+  OUTCOME_DIRECTIONS: ['higher_is_better', 'lower_is_better'],
+
+  /**
+   * Guardrails. prismaData.constraints = [{ id, label, formula, operator, threshold,
+   * maxViolationProbability?, unit? }] — e.g. monthly cost <= 25000 may be broken in at most
+   * 5% of futures (the default). Formulas read the model's values (not deltas) and the outcome
+   * metrics by id; with a horizon a future breaks a constraint if any period does. Results
+   * carry `constraints` (see _summarizeConstraints), and Nassim marks a scenario that breaks
+   * one infeasible.
+   */
+  CONSTRAINT_OPERATORS: ['<=', '<', '>=', '>'],
+  DEFAULT_MAX_VIOLATION: 0.05,
+
+  /**
+   * Discrete risk events. prismaData.events = [{ id, label, probability, preconditions?, impacts,
+   * duration? }] — e.g. "a driver quits" with probability 0.05 per period, cutting driver_count by
+   * 1 for 3 periods. Each period an event that isn't already running fires with its probability if
+   * every precondition formula holds (they read the period's sampled values and prev_<id>; a
+   * derived node's current value isn't computed yet, so reading it rejects the event). While it
+   * runs, each impact { variable, type, value } adds to, multiplies or replaces a sampled variable
+   * before the causal graph and the outcomes are evaluated. Without a horizon there is one period.
+   * Results carry `events` (see _summarizeEvents): how often each occurred, and the outcome in the
+   * futures with and without it.
+   */
+  EVENT_IMPACT_TYPES: ['add', 'multiply', 'replace'],
+
+  /**
+   * Head-to-head comparisons (compareScenarios). Scenarios in one run share a random stream
+   * (common random numbers), so iteration i of every scenario plays out the same future and
+   * the per-iteration difference isolates the decision itself. resamples and confidence set
+   * the bootstrap interval on the median difference.
+   */
+  COMPARISON: { resamples: 1000, confidence: 0.95 },
 
-const Carlo = {
   /**
    * Sample a random value from a variable's distribution
    *
-   * @param {Object} variable - Variable object with {value, min, max, distribution}
-   * @returns {number} Random sample from the distribution
+   * @param {Object} variable - Variable object with {value, min, max, distribution, params}
+   * @param {Function} rng - Uniform [0, 1) generator (default: Math.random)
+   * @returns {number} Random sample from the distribution
+   */
+  sampleFromDistribution(variable, rng = Math.random) {
+    return this.quantile(variable, rng());
+  },
+
+  /**
+   * Inverse CDF: map a uniform draw u ∈ (0, 1) to a value of the variable's distribution.
+   * Every distribution goes through here so correlated (copula) draws keep each
+   * variable's own marginal shape.
+   *
+   * @param {Object} variable - Variable object with {value, min, max, distribution, params}
+   * @param {number} u - Uniform draw in [0, 1)
+   * @returns {number} Value at that quantile
+   */
+  quantile(variable, u) {
+    const { value, min, max, distribution } = variable;
+    const params = variable.params || {};
+    // Keep away from 0 and 1 so inverse CDFs stay finite
+    const p = Math.min(Math.max(u, 1e-12), 1 - 1e-12);
+
+    switch (distribution) {
+      case 'fixed':
+        return value;
+
+      case 'uniform':
+        return min + p * (max - min);
+
+      case 'normal': {
+        // Standard deviation = (max - min) / 6 (so 99.7% falls within range)
+        const stdDev = (max - min) / 6;
+        const sample = value + this.normalQuantile(p) * stdDev;
+
+        // Truncate to [min, max]
+        return Math.max(min, Math.min(max, sample));
+      }
+
+      case 'right_skewed': {
+        // Exponential decay shape: more values near min, long tail to max
+        const lambda = params.lambda > 0 ? params.lambda : 2.5; // Controls skew intensity
+        const t = -Math.log(1 - p) / lambda;
+        // Scale to [0, 1] range (capped at reasonable value)
+        const normalized = Math.min(t, 3) / 3;
+        // Map to [min, max]
+        return min + normalized * (max - min);
+      }
+
+      case 'left_skewed': {
+        // Mirror of right_skewed: cluster near max, tail to min
+        const lambda = params.lambda > 0 ? params.lambda : 2.5;
+        const t = -Math.log(1 - p) / lambda;
+        const normalized = Math.min(t, 3) / 3;
+        // Invert to create left skew
+        return max - normalized * (max - min);
+      }
+
+      case 'triangular': {
+        if (max <= min) return value;
+        const mode = Math.max(min, Math.min(max, value));
+        const split = (mode - min) / (max - min);
+        return p < split
+          ? min + Math.sqrt(p * (max - min) * (mode - min))
+          : max - Math.sqrt((1 - p) * (max - min) * (max - mode));
+      }
+
+      case 'pert':
+      case 'beta': {
+        if (max <= min) return value;
+        const { alpha, beta } = this._betaShape(variable);
+        return min + this.betaQuantile(p, alpha, beta) * (max - min);
+      }
+
+      case 'lognormal': {
+        const { mu, sigma } = this._lognormalShape(variable);
+        return Math.exp(mu + sigma * this.normalQuantile(p));
+      }
+
+      case 'gamma': {
+        const { shape, scale } = this._gammaShape(variable);
+        return scale * this._gammaQuantile(p, shape);
+      }
+
+      case 'poisson': {
+        const lambda = params.lambda !== undefined ? params.lambda : value;
+        return this._poissonQuantile(p, lambda);
+      }
+
+      case 'bernoulli': {
+        const prob = params.p !== undefined ? params.p : value;
+        // Inverse CDF (monotone in u, so copula correlations carry over)
+        return p > 1 - prob ? 1 : 0;
+      }
+
+      case 'empirical': {
+        const pool = variable.samples;
+        if (!pool || pool.length === 0) return value;
+        // Bootstrap: each draw is one observed value (inverse empirical CDF over the sorted pool)
+        const observed = pool[Math.min(pool.length - 1, Math.floor(p * pool.length))];
+        // Slider / scenario changes move the center; the observed spread is kept
+        const shift = value !== undefined ? value - this._poolMedian(pool) : 0;
+        return observed + shift;
+      }
+
+      default:
+        console.warn(`Unknown distribution type: ${distribution}, using uniform`);
+        return min + p * (max - min);
+    }
+  },
+
+  /**
+   * Central value of a variable — what sliders show and scenarios override.
+   * For parametric distributions the params win, so value always mirrors them.
+   *
+   * @param {Object} variable - Variable object
+   * @returns {number} Central value (mode / median / mean depending on distribution)
+   */
+  getCentralValue(variable) {
+    const params = variable.params || {};
+    switch (variable.distribution) {
+      case 'lognormal':
+        return params.mu !== undefined ? Math.exp(params.mu) : variable.value;
+      case 'gamma':
+        return params.shape > 0 && params.scale > 0 ? params.shape * params.scale : variable.value;
+      case 'beta':
+        if (params.alpha > 0 && params.beta > 0) {
+          return variable.min + (variable.max - variable.min) * params.alpha / (params.alpha + params.beta);
+        }
+        return variable.value;
+      case 'poisson':
+        return params.lambda !== undefined ? params.lambda : variable.value;
+      case 'bernoulli':
+        return params.p !== undefined ? params.p : variable.value;
+      case 'empirical':
+        if (variable.value === undefined && variable.samples && variable.samples.length > 0) {
+          return this._poolMedian(variable.samples);
+        }
+        return variable.value;
+      default:
+        return variable.value;
+    }
+  },
+
+  /**
+   * Move a variable's central value, keeping its shape parameters in sync.
+   * Mutates the variable (callers pass a copy when they need the original).
+   *
+   * @param {Object} variable - Variable object
+   * @param {number} newValue - New central value
+   */
+  setCentralValue(variable, newValue) {
+    variable.value = newValue;
+    if (!variable.params) return;
+
+    const params = { ...variable.params };
+    switch (variable.distribution) {
+      case 'lognormal':
+        if (params.mu !== undefined && newValue > 0) params.mu = Math.log(newValue);
+        break;
+      case 'gamma':
+        // Keep the shape (how skewed), stretch the scale to the new mean
+        if (params.shape > 0 && newValue > 0) params.scale = newValue / params.shape;
+        break;
+      case 'beta':
+        if (params.alpha > 0 && params.beta > 0 && variable.max > variable.min) {
+          // Keep the concentration (how sure we are), move the mean
+          const concentration = params.alpha + params.beta;
+          const mean = Math.min(0.999, Math.max(0.001, (newValue - variable.min) / (variable.max - variable.min)));
+          params.alpha = mean * concentration;
+          params.beta = (1 - mean) * concentration;
+        }
+        break;
+      case 'poisson':
+        if (params.lambda !== undefined) params.lambda = Math.max(0, newValue);
+        break;
+      case 'bernoulli':
+        if (params.p !== undefined) params.p = Math.min(1, Math.max(0, newValue));
+        break;
+    }
+    variable.params = params;
+  },
+
+  /**
+   * Slider range for a variable (bernoulli is a probability, so always 0…1)
+   *
+   * @param {Object} variable - Variable object
+   * @returns {{min: number, max: number}}
+   */
+  getRange(variable) {
+    if (variable.distribution === 'bernoulli') return { min: 0, max: 1 };
+    return { min: variable.min, max: variable.max };
+  },
+
+  /**
+   * Check a variable's distribution parameters
+   *
+   * @param {Object} variable - Variable object
+   * @returns {Object} {valid: boolean, errors: [string]}
+   */
+  validateDistribution(variable) {
+    const errors = [];
+    const { id, value, min, max, distribution } = variable;
+    const params = variable.params || {};
+
+    if (!this.DISTRIBUTIONS.includes(distribution)) {
+      errors.push(`${id}: unknown distribution "${distribution}"`);
+    }
+    if (['triangular', 'pert', 'beta'].includes(distribution) && !(max > min)) {
+      errors.push(`${id}: ${distribution} needs max > min`);
+    }
+    if (['triangular', 'pert'].includes(distribution) && (value < min || value > max)) {
+      errors.push(`${id}: mode (value) must lie between min and max`);
+    }
+    if (distribution === 'pert' && params.lambda !== undefined && !(params.lambda > 0)) {
+      errors.push(`${id}: pert params.lambda must be > 0`);
+    }
+    if (distribution === 'lognormal') {
+      if (params.sigma !== undefined && !(params.sigma > 0)) errors.push(`${id}: lognormal params.sigma must be > 0`);
+      if (params.mu === undefined && !(value > 0)) errors.push(`${id}: lognormal needs value (median) > 0 or params.mu`);
+    }
+    if (distribution === 'gamma') {
+      const hasShape = params.shape !== undefined;
+      const hasScale = params.scale !== undefined;
+      if (hasShape !== hasScale) errors.push(`${id}: gamma needs both params.shape and params.scale`);
+      if ((hasShape && !(params.shape > 0)) || (hasScale && !(params.scale > 0))) {
+        errors.push(`${id}: gamma params.shape and params.scale must be > 0`);
+      }
+      if (!hasShape && !(value > 0)) errors.push(`${id}: gamma needs value (mean) > 0 or params.shape / params.scale`);
+    }
+    if (distribution === 'beta') {
+      const hasAlpha = params.alpha !== undefined;
+      const hasBeta = params.beta !== undefined;
+      if (hasAlpha !== hasBeta) errors.push(`${id}: beta needs both params.alpha and params.beta`);
+      if ((hasAlpha && !(params.alpha > 0)) || (hasBeta && !(params.beta > 0))) {
+        errors.push(`${id}: beta params.alpha and params.beta must be > 0`);
+      }
+    }
+    if (distribution === 'poisson' && !(this.getCentralValue(variable) >= 0)) {
+      errors.push(`${id}: poisson mean (params.lambda or value) must be >= 0`);
+    }
+    if (distribution === 'bernoulli') {
+      const prob = this.getCentralValue(variable);
+      if (!(prob >= 0 && prob <= 1)) errors.push(`${id}: bernoulli probability (params.p or value) must be between 0 and 1`);
+    }
+    if (distribution === 'empirical') {
+      if (!variable.sourceColumn && !(Array.isArray(variable.samples) && variable.samples.length > 0)) {
+        errors.push(`${id}: empirical needs a sourceColumn (or inline samples)`);
+      }
+      for (const filter of variable.filters || []) {
+        if (!this.EMPIRICAL_FILTER_OPS.includes(filter.op)) {
+          errors.push(`${id}: unknown filter op "${filter.op}" (use ${this.EMPIRICAL_FILTER_OPS.join(', ')})`);
+        }
+      }
+      const agg = variable.aggregation;
+      if (agg && agg.fn && !this.EMPIRICAL_AGGREGATIONS.includes(agg.fn)) {
+        errors.push(`${id}: unknown aggregation fn "${agg.fn}" (use ${this.EMPIRICAL_AGGREGATIONS.join(', ')})`);
+      }
+      if (agg && agg.window !== undefined && !(Number.isInteger(agg.window) && agg.window >= 1)) {
+        errors.push(`${id}: aggregation window must be a whole number >= 1`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Build the resampling pool for an empirical variable from uploaded rows.
+   * Rows are filtered, then optionally aggregated: grouped by a column (e.g. date),
+   * reduced with fn, and combined over a rolling window of consecutive groups
+   * (e.g. daily counts → 7-day totals).
+   *
+   * @param {Object} variable - {id, sourceColumn, filters?, aggregation?: {groupBy, fn, window}}
+   * @param {Array<Object>} rows - Parsed CSV rows (Dashboard._csvData)
+   * @returns {Array<number>} Sorted sample values
+   */
+  buildEmpiricalPool(variable, rows) {
+    const { id, sourceColumn } = variable;
+    if (!sourceColumn) {
+      throw new Error(`Empirical variable "${id}" needs a sourceColumn`);
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error(`Empirical variable "${id}" needs uploaded data to sample from`);
+    }
+
+    const columns = Object.keys(rows[0]);
+    const agg = variable.aggregation || null;
+    const referenced = [sourceColumn, ...(variable.filters || []).map(f => f.column)];
+    if (agg && agg.groupBy) referenced.push(agg.groupBy);
+    for (const column of referenced) {
+      if (!columns.includes(column)) {
+        throw new Error(`Empirical variable "${id}": column "${column}" not found (columns: ${columns.join(', ')})`);
+      }
+    }
+
+    const filtered = rows.filter(row => (variable.filters || []).every(f => this._matchesFilter(row, f)));
+    const fn = (agg && agg.fn) || 'mean';
+    let values;
+
+    if (agg && (agg.groupBy || agg.window > 1)) {
+      // Group rows (each row is its own group when only a window is given)
+      const groups = new Map();
+      filtered.forEach((row, i) => {
+        const key = agg.groupBy ? row[agg.groupBy] : i;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+      const keys = [...groups.keys()].sort((a, b) => this._compareCells(a, b));
+      const groupValues = keys.map(key => {
+        const groupRows = groups.get(key);
+        if (fn === 'count') return groupRows.length;
+        return this._aggregate(groupRows.map(r => r[sourceColumn]).filter(v => this._isNumeric(v)).map(Number), fn);
+      }).filter(v => v !== null);
+
+      const window = agg.window || 1;
+      if (window > 1) {
+        // Rolling windows over consecutive groups; counts add up across the window
+        const windowFn = fn === 'count' ? 'sum' : fn;
+        values = [];
+        for (let i = 0; i + window <= groupValues.length; i++) {
+          values.push(this._aggregate(groupValues.slice(i, i + window), windowFn));
+        }
+      } else {
+        values = groupValues;
+      }
+    } else {
+      values = filtered.map(r => r[sourceColumn]).filter(v => this._isNumeric(v)).map(Number);
+    }
+
+    if (values.length === 0) {
+      throw new Error(`Empirical variable "${id}": no numeric values in "${sourceColumn}" after filters`);
+    }
+    return values.sort((a, b) => a - b);
+  },
+
+  /**
+   * Summary of an empirical pool — used to fill value/min/max for sliders and sensitivity
+   *
+   * @param {Array<number>} pool - Sorted samples
+   * @returns {{value: number, min: number, max: number, count: number}}
+   */
+  describeEmpiricalPool(pool) {
+    return {
+      value: this._poolMedian(pool),
+      min: pool[0],
+      max: pool[pool.length - 1],
+      count: pool.length
+    };
+  },
+
+  /**
+   * Resolve empirical variables for a run: sourceColumn → sorted `samples` (on copies)
+   *
+   * @param {Array} variables - prismaData.variables
+   * @param {Array<Object>} rows - Uploaded CSV rows
+   * @param {Map} [pools] - Pools built so far from these rows, by pool definition (filled in place)
+   */
+  _resolveEmpirical(variables, rows, pools = null) {
+    return variables.map(variable => {
+      if (variable.distribution !== 'empirical') return variable;
+      if (variable.sourceColumn) {
+        return { ...variable, samples: this._empiricalPool(variable, rows, pools) };
+      }
+      if (Array.isArray(variable.samples)) {
+        return { ...variable, samples: variable.samples.filter(v => this._isNumeric(v)).map(Number).sort((a, b) => a - b) };
+      }
+      return variable;
+    });
+  },
+
+  /**
+   * buildEmpiricalPool, reusing the pool in `pools` when one with the same definition is there
+   */
+  _empiricalPool(variable, rows, pools) {
+    if (!pools) return this.buildEmpiricalPool(variable, rows);
+    const key = JSON.stringify([variable.sourceColumn, variable.filters || [], variable.aggregation || null]);
+    if (!pools.has(key)) pools.set(key, this.buildEmpiricalPool(variable, rows));
+    return pools.get(key);
+  },
+
+  _matchesFilter(row, filter) {
+    const cell = row[filter.column];
+    const target = filter.value;
+    switch (filter.op) {
+      case '=': return String(cell) === String(target);
+      case '!=': return String(cell) !== String(target);
+      case 'in': return (Array.isArray(target) ? target : [target]).some(t => String(cell) === String(t));
+      case 'not_in': return !(Array.isArray(target) ? target : [target]).some(t => String(cell) === String(t));
+      case '>': return this._compareCells(cell, target) > 0;
+      case '>=': return this._compareCells(cell, target) >= 0;
+      case '<': return this._compareCells(cell, target) < 0;
+      case '<=': return this._compareCells(cell, target) <= 0;
+      default:
+        throw new Error(`Unknown filter op "${filter.op}" on column "${filter.column}"`);
+    }
+  },
+
+  /**
+   * Compare two CSV cells: numerically when both are numbers, otherwise as strings (ISO dates sort correctly)
+   */
+  _compareCells(a, b) {
+    if (this._isNumeric(a) && this._isNumeric(b)) return Number(a) - Number(b);
+    return String(a).localeCompare(String(b));
+  },
+
+  _isNumeric(v) {
+    return v !== null && v !== '' && typeof v !== 'boolean' && isFinite(Number(v));
+  },
+
+  _aggregate(values, fn) {
+    if (values.length === 0) return null;
+    switch (fn) {
+      case 'sum': return values.reduce((s, v) => s + v, 0);
+      case 'mean': return values.reduce((s, v) => s + v, 0) / values.length;
+      case 'median': return this._poolMedian([...values].sort((a, b) => a - b));
+      case 'min': return values.reduce((m, v) => Math.min(m, v), Infinity);
+      case 'max': return values.reduce((m, v) => Math.max(m, v), -Infinity);
+      case 'count': return values.length;
+      default:
+        throw new Error(`Unknown aggregation fn "${fn}"`);
+    }
+  },
+
+  _poolMedian(sorted) {
+    const n = sorted.length;
+    return n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  },
+
+  /**
+   * Beta shape (alpha, beta) on [0, 1] for pert and beta variables.
+   * PERT: alpha = 1 + λ·(mode − min)/range, beta = 1 + λ·(max − mode)/range.
+   * Beta without params: mean = value, std = range / 6 (same spread as normal).
+   */
+  _betaShape(variable) {
+    const { value, min, max, distribution } = variable;
+    const params = variable.params || {};
+    const range = max - min;
+
+    if (distribution === 'pert') {
+      const lambda = params.lambda > 0 ? params.lambda : 4;
+      const mode = Math.max(min, Math.min(max, value));
+      return {
+        alpha: 1 + lambda * (mode - min) / range,
+        beta: 1 + lambda * (max - mode) / range
+      };
+    }
+
+    if (params.alpha > 0 && params.beta > 0) {
+      return { alpha: params.alpha, beta: params.beta };
+    }
+
+    // Method of moments from the mean (value) and a std of 1/6 of the range
+    const mean = Math.min(0.99, Math.max(0.01, (value - min) / range));
+    const variance = 1 / 36;
+    const concentration = Math.max(2, mean * (1 - mean) / variance - 1);
+    return { alpha: mean * concentration, beta: (1 - mean) * concentration };
+  },
+
+  /**
+   * Lognormal shape: mu = ln(median), sigma defaults so that max ≈ the 95th percentile
+   */
+  _lognormalShape(variable) {
+    const { value, max } = variable;
+    const params = variable.params || {};
+    const mu = params.mu !== undefined ? params.mu : Math.log(Math.max(value, 1e-9));
+    let sigma = params.sigma;
+    if (!(sigma > 0)) {
+      const median = Math.exp(mu);
+      sigma = max > median ? Math.log(max / median) / 1.645 : 0.25;
+    }
+    return { mu, sigma };
+  },
+
+  /**
+   * Gamma shape and scale. Without params: mean = value, std = range / 6 (same spread as normal).
+   */
+  _gammaShape(variable) {
+    const { value, min, max } = variable;
+    const params = variable.params || {};
+    if (params.shape > 0 && params.scale > 0) {
+      return { shape: params.shape, scale: params.scale };
+    }
+    const mean = Math.max(value, 1e-9);
+    const std = max > min ? (max - min) / 6 : mean / 2;
+    const shape = (mean / std) * (mean / std);
+    return { shape, scale: mean / shape };
+  },
+
+  /**
+   * Inverse of the regularized lower incomplete gamma function for unit scale
+   * (Wilson–Hilferty start, Newton steps, bisection as a safety net)
+   */
+  _gammaQuantile(p, shape) {
+    const logGammaShape = this._logGamma(shape);
+    const z = this.normalQuantile(p);
+    const wh = 1 - 1 / (9 * shape) + z / (3 * Math.sqrt(shape));
+    let x = wh > 0 ? shape * wh * wh * wh : Math.exp((Math.log(p) + logGammaShape + Math.log(shape)) / shape);
+
+    let lo = 0;
+    let hi = Math.max(x, shape) * 2 + 10;
+    while (this._gammaCdf(hi, shape, logGammaShape) < p) hi *= 2;
+    if (!(x > lo && x < hi)) x = (lo + hi) / 2;
+
+    for (let i = 0; i < 60; i++) {
+      const err = this._gammaCdf(x, shape, logGammaShape) - p;
+      if (Math.abs(err) < 1e-10) break;
+      if (err < 0) lo = x; else hi = x;
+
+      const density = Math.exp((shape - 1) * Math.log(x) - x - logGammaShape);
+      let next = x - err / density;
+      if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+      if (Math.abs(next - x) < 1e-12 * Math.max(1, x)) break;
+      x = next;
+    }
+    return x;
+  },
+
+  /**
+   * Regularized lower incomplete gamma P(a, x) (series below a + 1, continued fraction above —
+   * Numerical Recipes gammp). logGammaA = ln Γ(a) can be passed in for repeated calls.
+   */
+  _gammaCdf(x, a, logGammaA) {
+    if (x <= 0) return 0;
+    const lnGa = logGammaA !== undefined ? logGammaA : this._logGamma(a);
+    const front = Math.exp(-x + a * Math.log(x) - lnGa);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n <= 500; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 3e-14) break;
+      }
+      return Math.min(1, sum * front);
+    }
+
+    const tiny = 1e-30;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i <= 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 3e-14) break;
+    }
+    return Math.max(0, 1 - front * h);
+  },
+
+  /**
+   * Inverse CDF of a Poisson(lambda) by summing the pmf; normal approximation for large lambda
+   */
+  _poissonQuantile(p, lambda) {
+    if (!(lambda > 0)) return 0;
+    if (lambda > 500) {
+      return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * this.normalQuantile(p)));
+    }
+
+    let k = 0;
+    let pmf = Math.exp(-lambda);
+    let cdf = pmf;
+    while (cdf < p && k < lambda * 10 + 100) {
+      k++;
+      pmf *= lambda / k;
+      cdf += pmf;
+    }
+    return k;
+  },
+
+  /**
+   * Inverse Beta(alpha, beta) CDF — the inverse of the regularized incomplete beta function
+   * (Newton steps, bisection as a safety net)
+   *
+   * @param {number} p - Probability in [0, 1]
+   * @param {number} alpha - Shape α > 0
+   * @param {number} beta - Shape β > 0
+   * @returns {number} Quantile in [0, 1]
+   */
+  betaQuantile(p, alpha, beta) {
+    const logBeta = this._logGamma(alpha) + this._logGamma(beta) - this._logGamma(alpha + beta);
+    let lo = 0;
+    let hi = 1;
+    let x = alpha / (alpha + beta);
+
+    for (let i = 0; i < 60; i++) {
+      const err = this._betaCdf(x, alpha, beta, logBeta) - p;
+      if (Math.abs(err) < 1e-10) break;
+      if (err < 0) lo = x; else hi = x;
+
+      const density = Math.exp((alpha - 1) * Math.log(x) + (beta - 1) * Math.log(1 - x) - logBeta);
+      let next = x - err / density;
+      // Fall back to bisection when Newton leaves the bracket
+      if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+      if (Math.abs(next - x) < 1e-12) break;
+      x = next;
+    }
+    return x;
+  },
+
+  /**
+   * Regularized incomplete beta I_x(a, b) (continued fraction, Numerical Recipes betai)
+   * logBeta = ln B(a, b) can be passed in when evaluating the same shape repeatedly.
+   */
+  _betaCdf(x, a, b, logBeta) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const lnB = logBeta !== undefined ? logBeta : this._logGamma(a) + this._logGamma(b) - this._logGamma(a + b);
+    const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - lnB);
+    // The continued fraction converges fastest on this side of the mean
+    if (x < (a + 1) / (a + b + 2)) {
+      return front * this._betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * this._betaContinuedFraction(1 - x, b, a) / b;
+  },
+
+  _betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      // Even step
+      let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+      // Odd step
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 3e-12) break;
+    }
+    return h;
+  },
+
+  /**
+   * ln Γ(x) (Lanczos approximation, g = 7)
+   */
+  _logGamma(x) {
+    const coef = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) {
+      // Reflection formula
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this._logGamma(1 - x);
+    }
+    const z = x - 1;
+    let sum = coef[0];
+    for (let i = 1; i < 9; i++) sum += coef[i] / (z + i);
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+  },
+
+  /**
+   * Standard normal CDF Φ(z) (complementary error function, Numerical Recipes erfcc, |err| < 1.2e-7)
+   *
+   * @param {number} z - Standard normal value
+   * @returns {number} Probability in [0, 1]
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+      t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+      t * (-0.82215223 + t * 0.17087277)))))))));
+    return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+  },
+
+  /**
+   * Inverse standard normal CDF Φ⁻¹(p) (Acklam's rational approximation, rel. err < 1.2e-9)
+   *
+   * @param {number} p - Probability in (0, 1)
+   * @returns {number} Standard normal quantile
+   */
+  normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+      const q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  },
+
+  /**
+   * Validate a correlations block: [{ between: [idA, idB], coefficient }]
+   * Rejects unknown ids, coefficients outside [-1, 1], duplicate pairs,
+   * and matrices that are not positive semi-definite (mutually impossible coefficients).
+   *
+   * @param {Array} correlations - prismaData.correlations
+   * @param {Array} variables - prismaData.variables
+   * @returns {Object} {valid: boolean, errors: [string]}
+   */
+  validateCorrelations(correlations, variables) {
+    const errors = [];
+    if (correlations === undefined || correlations === null) return { valid: true, errors };
+    if (!Array.isArray(correlations)) {
+      return { valid: false, errors: ['correlations must be an array'] };
+    }
+
+    const varIds = new Set((variables || []).map(v => v.id));
+    const seen = new Set();
+
+    correlations.forEach((corr, i) => {
+      const pair = corr && corr.between;
+      if (!Array.isArray(pair) || pair.length !== 2) {
+        errors.push(`correlations[${i}]: "between" must list exactly two variable ids`);
+        return;
+      }
+      const [a, b] = pair;
+      if (a === b) errors.push(`correlations[${i}]: a variable cannot be correlated with itself (${a})`);
+      for (const id of pair) {
+        if (!varIds.has(id)) errors.push(`correlations[${i}]: unknown variable "${id}"`);
+      }
+      const coef = corr.coefficient;
+      if (typeof coef !== 'number' || !isFinite(coef) || coef < -1 || coef > 1) {
+        errors.push(`correlations[${i}]: coefficient must be a number between -1 and 1 (got ${coef})`);
+      }
+      const key = [a, b].sort().join('|');
+      if (seen.has(key)) errors.push(`correlations[${i}]: duplicate pair ${a} / ${b}`);
+      seen.add(key);
+    });
+
+    if (errors.length === 0) {
+      const { matrix } = this._buildCorrelationMatrix(correlations);
+      if (!this._cholesky(matrix)) {
+        errors.push('correlation matrix is not positive semi-definite — the coefficients contradict each other (e.g. A~B and B~C strongly positive but A~C strongly negative)');
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Build the Gaussian copula for a run: the Cholesky factor of the correlation
+   * matrix plus the position of each correlated variable in the variables array.
+   *
+   * @param {Array} variables - Variables in sampling order
+   * @param {Array} correlations - prismaData.correlations
+   * @returns {Object|null} {indices, factor} or null when nothing is correlated
+   */
+  buildCopula(variables, correlations) {
+    if (!correlations || correlations.length === 0) return null;
+
+    const validation = this.validateCorrelations(correlations, variables);
+    if (!validation.valid) {
+      throw new Error('Invalid correlations: ' + validation.errors.join('; '));
+    }
+
+    const { ids, matrix } = this._buildCorrelationMatrix(correlations);
+    const indices = ids.map(id => variables.findIndex(v => v.id === id));
+    return { indices, factor: this._cholesky(matrix) };
+  },
+
+  /**
+   * Turn independent uniforms into correlated ones, in place.
+   * u → z = Φ⁻¹(u) → L·z → Φ(L·z); marginals stay uniform so quantile() keeps each shape.
+   *
+   * @param {Array<number>} uniforms - One uniform per variable (mutated)
+   * @param {Object} copula - Result of buildCopula()
+   */
+  correlateUniforms(uniforms, copula) {
+    const { indices, factor } = copula;
+    const z = indices.map(idx => this.normalQuantile(Math.min(Math.max(uniforms[idx], 1e-12), 1 - 1e-12)));
+
+    for (let i = 0; i < indices.length; i++) {
+      let x = 0;
+      for (let k = 0; k <= i; k++) {
+        x += factor[i][k] * z[k];
+      }
+      uniforms[indices[i]] = this.normalCdf(x);
+    }
+  },
+
+  /**
+   * Assemble the symmetric correlation matrix (1s on the diagonal) for the ids in a correlations block
+   */
+  _buildCorrelationMatrix(correlations) {
+    const ids = [];
+    for (const corr of correlations) {
+      for (const id of corr.between) {
+        if (!ids.includes(id)) ids.push(id);
+      }
+    }
+
+    const matrix = ids.map((_, i) => ids.map((__, j) => (i === j ? 1 : 0)));
+    for (const corr of correlations) {
+      const i = ids.indexOf(corr.between[0]);
+      const j = ids.indexOf(corr.between[1]);
+      matrix[i][j] = corr.coefficient;
+      matrix[j][i] = corr.coefficient;
+    }
+
+    return { ids, matrix };
+  },
+
+  /**
+   * Cholesky factorization that tolerates semi-definite matrices (e.g. a ±1 coefficient).
+   * Returns the lower-triangular factor, or null if the matrix is not positive semi-definite.
+   */
+  _cholesky(matrix) {
+    const n = matrix.length;
+    const tolerance = 1e-10;
+    const L = matrix.map(() => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+      let diag = matrix[j][j];
+      for (let k = 0; k < j; k++) diag -= L[j][k] * L[j][k];
+      if (diag < -tolerance) return null;
+      L[j][j] = Math.sqrt(Math.max(diag, 0));
+
+      for (let i = j + 1; i < n; i++) {
+        let offDiag = matrix[i][j];
+        for (let k = 0; k < j; k++) offDiag -= L[i][k] * L[j][k];
+        if (L[j][j] > tolerance) {
+          L[i][j] = offDiag / L[j][j];
+        } else if (Math.abs(offDiag) > 1e-8) {
+          // Zero pivot but non-zero remainder: no valid factor exists
+          return null;
+        }
+      }
+    }
+
+    return L;
+  },
+
+  /**
+   * Apply scenario changes to variables array
+   *
+   * @param {Array} variables - Original variables array
+   * @param {Object} scenario - Scenario object with changes
+   * @returns {Array} New variables array with changes applied
+   */
+  applyScenarioChanges(variables, scenario) {
+    if (!scenario.changes || Object.keys(scenario.changes).length === 0) {
+      // No changes (e.g., "do nothing" scenario)
+      return variables.map(v => ({ ...v }));
+    }
+
+    return variables.map(variable => {
+      const change = scenario.changes[variable.id];
+      if (!change) {
+        return { ...variable };
+      }
+
+      const updated = { ...variable };
+
+      // Apply value override (keeps params such as lognormal mu or poisson lambda in sync)
+      if (change.value !== undefined) {
+        this.setCentralValue(updated, change.value);
+      }
+
+      // Apply min/max overrides
+      if (change.min !== undefined) {
+        updated.min = change.min;
+      }
+      if (change.max !== undefined) {
+        updated.max = change.max;
+      }
+
+      // Apply delta (additive change)
+      if (change.delta !== undefined) {
+        const shifted = this.getCentralValue(updated) + change.delta;
+        // Adjust bounds proportionally
+        updated.min += change.delta;
+        updated.max += change.delta;
+        this.setCentralValue(updated, shifted);
+      }
+
+      // Scenario-specific dynamics (e.g. a hire that ramps up) extend the variable's own
+      if (change.dynamics) {
+        updated.dynamics = { ...(variable.dynamics || {}), ...change.dynamics };
+      }
+
+      return updated;
+    });
+  },
+
+  /**
+   * Safely split an edge formula into target variable and expression.
+   * Handles formulas with === and == by only splitting on bare = (assignment).
+   *
+   * @param {string} formula - Edge formula like "target_var = expression"
+   * @returns {{ target: string, expression: string } | null} Parsed result or null
+   */
+  parseEdgeFormula(formula) {
+    if (!formula || typeof formula !== 'string') return null;
+
+    // Find the first bare = that is NOT part of ==, ===, !=, !==, >=, <=
+    // We scan character by character
+    for (let i = 0; i < formula.length; i++) {
+      if (formula[i] === '=') {
+        // Check it's not part of ==, ===
+        if (formula[i + 1] === '=') continue; // skip == or ===
+        // Check it's not preceded by !, <, >, or another =
+        if (i > 0 && (formula[i - 1] === '!' || formula[i - 1] === '<' || formula[i - 1] === '>' || formula[i - 1] === '=')) continue;
+
+        const target = formula.substring(0, i).trim();
+        const expression = formula.substring(i + 1).trim();
+        if (target && expression) {
+          return { target, expression };
+        }
+      }
+    }
+
+    return null;
+  },
+  /**
+   * Work out how the causal graph is evaluated.
+   *
+   * Every node is either SAMPLED (drawn from its distribution) or DERIVED (computed from its
+   * incoming edges), never both, so an effect is not counted twice. By default a variable is
+   * derived when an edge formula assigns it; `variable.source` ('sampled' | 'derived') overrides
+   * that, and ids in options.pinned (scenario interventions) are always sampled.
+   *
+   * Derived nodes are ordered topologically. A cycle among derived nodes is broken by lagging one
+   * edge (preferring an edge marked isFeedbackLoop) — that edge reads the node's sampled,
+   * start-of-period value. Cycles are reported against the declared feedbackLoops.
+   *
+   * @param {Object} prismaData - { variables, edges, feedbackLoops }
+   * @param {Object} options - { pinned?: Array<string> } — ids forced to sampled
+   * @returns {Object} { nodes, sources, steps, cycles, unclosedLoops, warnings }
+   *   steps are in evaluation order: { id, kind: 'formula'|'strength', expression?, deps, compiled?, terms? }
+   */
+  analyzeCausalGraph(prismaData, options = {}) {
+    const variables = prismaData.variables || [];
+    const edges = prismaData.edges || [];
+    const feedbackLoops = prismaData.feedbackLoops || [];
+    const pinned = new Set(options.pinned || []);
+    const warnings = [];
+
+    const varById = new Map(variables.map(v => [v.id, v]));
+    const nodes = new Set(variables.map(v => v.id));
+    const formulaByTarget = new Map();
+    const strengthEdgesByTarget = new Map();
+
+    for (const edge of edges) {
+      if (edge.formula) {
+        // No assignment found — treat the whole formula as the expression for edge.to
+        const parsed = this.parseEdgeFormula(edge.formula) || { target: edge.to, expression: edge.formula };
+        if (edge.to && parsed.target !== edge.to) {
+          warnings.push(`Edge ${edge.from}->${edge.to} formula assigns "${parsed.target}"; using the formula's target`);
+        }
+        nodes.add(parsed.target);
+        const existing = formulaByTarget.get(parsed.target);
+        if (!existing) {
+          formulaByTarget.set(parsed.target, { expression: parsed.expression, edge });
+        } else if (existing.expression !== parsed.expression) {
+          warnings.push(`Conflicting formulas for "${parsed.target}"; using the one on edge ${existing.edge.from}->${existing.edge.to}`);
+        }
+      } else if (edge.to) {
+        if (!strengthEdgesByTarget.has(edge.to)) strengthEdgesByTarget.set(edge.to, []);
+        strengthEdgesByTarget.get(edge.to).push(edge);
+      }
+    }
+
+    // Decide sampled vs derived for every node
+    const sources = {};
+    for (const id of nodes) {
+      const variable = varById.get(id);
+      const hasFormula = formulaByTarget.has(id);
+      if (!variable) {
+        // Intermediate node only defined by an edge formula
+        if (hasFormula) sources[id] = 'derived';
+        continue;
+      }
+      if (pinned.has(id) || variable.source === 'sampled') {
+        sources[id] = 'sampled';
+      } else if (variable.source === 'derived') {
+        if (hasFormula || strengthEdgesByTarget.has(id)) {
+          sources[id] = 'derived';
+        } else {
+          warnings.push(`"${id}" is marked derived but no edge points to it; sampling it instead`);
+          sources[id] = 'sampled';
+        }
+      } else {
+        sources[id] = hasFormula ? 'derived' : 'sampled';
+      }
+    }
+
+    // Build one evaluation step per derived node
+    const stepById = new Map();
+    for (const id of Object.keys(sources)) {
+      if (sources[id] !== 'derived') continue;
+      const formula = formulaByTarget.get(id);
+      if (formula) {
+        let compiled;
+        try {
+          compiled = Formula.compile(formula.expression, { names: this._graphNames(nodes) });
+        } catch (e) {
+          warnings.push(`Formula for "${id}" rejected (${e.message}): "${formula.expression}"; sampling it instead`);
+          if (varById.has(id)) sources[id] = 'sampled';
+          else delete sources[id];
+          continue;
+        }
+        const deps = compiled.identifiers.filter(t => t !== id);
+        stepById.set(id, { id, kind: 'formula', expression: formula.expression, deps, compiled, edge: formula.edge });
+      } else {
+        // Explicitly derived without a formula: a full-range swing in the source moves the
+        // target by strength × its own range, around the target's central value
+        const target = varById.get(id);
+        const targetRange = this.getRange(target);
+        const terms = [];
+        for (const edge of strengthEdgesByTarget.get(id)) {
+          const from = varById.get(edge.from);
+          const fromRange = from ? this.getRange(from) : null;
+          if (!from || !fromRange || fromRange.max === fromRange.min) continue;
+          const sign = edge.effect === 'negative' ? -1 : 1;
+          terms.push({
+            from: edge.from,
+            center: this.getCentralValue(from),
+            weight: sign * (edge.strength ?? 0.5) * (targetRange.max - targetRange.min) / (fromRange.max - fromRange.min)
+          });
+        }
+        stepById.set(id, {
+          id,
+          kind: 'strength',
+          deps: terms.map(t => t.from),
+          center: this.getCentralValue(target),
+          terms
+        });
+      }
+    }
+
+    // Topological order over derived nodes, lagging one edge per cycle until none remain
+    const deps = new Map();
+    for (const step of stepById.values()) {
+      deps.set(step.id, new Set(step.deps.filter(d => stepById.has(d))));
+    }
+    const loopOf = (nodeIds) => {
+      const key = [...new Set(nodeIds)].sort().join('|');
+      return feedbackLoops.find(loop => Array.isArray(loop.path) && [...new Set(loop.path)].sort().join('|') === key) || null;
+    };
+    const cycles = [];
+    let order;
+    for (;;) {
+      const sorted = this._topologicalSort(deps);
+      if (sorted.remaining.length === 0) {
+        order = sorted.order;
+        break;
+      }
+      const path = this._findCycle(sorted.remaining, deps);
+      const loop = loopOf(path);
+      // Lag an edge flagged as feedback if there is one, otherwise the edge closing the cycle
+      let lagIndex = path.length - 2;
+      for (let i = 0; i < path.length - 1; i++) {
+        const step = stepById.get(path[i + 1]);
+        if (step.edge && step.edge.isFeedbackLoop) { lagIndex = i; break; }
+      }
+      const lagged = { from: path[lagIndex], to: path[lagIndex + 1] };
+      deps.get(lagged.to).delete(lagged.from);
+      cycles.push({ path, loop: loop ? (loop.label || null) : null, declared: !!loop, lagged });
+    }
+
+    // Declared loops that the edges never close have no effect on the numbers
+    const unclosedLoops = feedbackLoops
+      .filter(loop => Array.isArray(loop.path) && !cycles.some(c => loopOf(c.path) === loop))
+      .map(loop => loop.label || loop.path.join(' → '));
+
+    return {
+      nodes: [...nodes],
+      sources,
+      steps: order.map(id => stepById.get(id)),
+      cycles,
+      unclosedLoops,
+      warnings
+    };
+  },
+
+  /**
+   * Evaluate derived nodes in place, in the order produced by analyzeCausalGraph.
+   * Lagged cycle edges read whatever the node held before its own step (its sampled value).
+   *
+   * @param {Object} graph - Result of analyzeCausalGraph
+   * @param {Object} values - Map of {nodeId: value}; sampled values in, derived values filled in
+   * @param {Object} [offsets] - {nodeId: amount} added to a derived node as it is computed, so the
+   *   nodes downstream see it (path shifts, see _sampleOutcomes)
+   * @returns {Object} The same values map
+   */
+  evaluateCausalGraph(graph, values, offsets = null) {
+    for (const step of graph.steps) {
+      let result;
+      if (step.kind === 'formula') {
+        result = step.compiled.evaluate(values);
+      } else {
+        result = step.center;
+        for (const term of step.terms) {
+          result += term.weight * (values[term.from] - term.center);
+        }
+      }
+      if (typeof result === 'number' && isFinite(result)) {
+        values[step.id] = offsets && offsets[step.id] ? result + offsets[step.id] : result;
+      }
+    }
+    return values;
+  },
+
+  /**
+   * Kahn's algorithm over a dependency map
+   *
+   * @param {Map<string, Set<string>>} deps - node → nodes it depends on
+   * @returns {{ order: Array<string>, remaining: Array<string> }} remaining nodes sit on or behind a cycle
+   */
+  _topologicalSort(deps) {
+    const pending = new Map();
+    const dependents = new Map();
+    for (const [id, set] of deps) {
+      pending.set(id, set.size);
+      for (const d of set) {
+        if (!dependents.has(d)) dependents.set(d, []);
+        dependents.get(d).push(id);
+      }
+    }
+    const queue = [...deps.keys()].filter(id => pending.get(id) === 0);
+    const order = [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      for (const next of (dependents.get(id) || [])) {
+        pending.set(next, pending.get(next) - 1);
+        if (pending.get(next) === 0) queue.push(next);
+      }
+    }
+    const done = new Set(order);
+    return { order, remaining: [...deps.keys()].filter(id => !done.has(id)) };
+  },
+
+  /**
+   * Find one cycle among nodes left over by _topologicalSort. Each of them still has an
+   * unresolved dependency inside the set, so walking dependencies must revisit a node.
+   *
+   * @returns {Array<string>} Cycle in edge direction, first node repeated at the end
+   */
+  _findCycle(remaining, deps) {
+    const inSet = new Set(remaining);
+    const seen = new Map();
+    const walk = [];
+    let id = remaining[0];
+    while (!seen.has(id)) {
+      seen.set(id, walk.length);
+      walk.push(id);
+      id = [...deps.get(id)].find(d => inSet.has(d));
+    }
+    // walk follows dependencies (to → from); reverse it into edge direction
+    const cycle = walk.slice(seen.get(id)).reverse();
+    cycle.push(cycle[0]);
+    return cycle;
+  },
+
+  /**
+   * Evaluate the outcome for one set of sampled values: derived nodes are computed from
+   * the edges in topological order, then the outcome formula reads the result.
+   *
+   * @param {Object} variableValues - Map of {variableId: sampledValue}
+   * @param {Array} edges - Causal graph edges
+   * @param {string} outcomeFormula - Formula to calculate final outcome
+   * @returns {number} Final outcome value
+   */
+  evaluateOutcome(variableValues, edges, outcomeFormula) {
+    const variables = Object.keys(variableValues).map(id => ({ id, value: variableValues[id] }));
+    const graph = this.analyzeCausalGraph({ variables, edges });
+    const values = this.evaluateCausalGraph(graph, { ...variableValues });
+
+    // Calculate final outcome using the formula
+    if (outcomeFormula) {
+      try {
+        return Formula.compile(outcomeFormula, { names: Object.keys(values) }).evaluate(values);
+      } catch (e) {
+        console.warn('Outcome formula rejected:', e.message);
+        return 0;
+      }
+    }
+
+    // No formula: return 0 (should not happen in normal usage)
+    return 0;
+  },
+
+  /**
+   * Identifiers a formula may read: every graph node and its prev_<id>
+   */
+  _graphNames(nodes) {
+    const names = [...nodes];
+    return names.concat(names.map(id => this.PREV_PREFIX + id));
+  },
+
+  /**
+   * Normalized horizon of a model, or null for a single-period run (see HORIZON_AGGREGATES)
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Object|null} { periods, periodLabel, discountRate, aggregate }
+   */
+  resolveHorizon(prismaData) {
+    const horizon = prismaData && prismaData.horizon;
+    if (!horizon) return null;
+    const periods = Math.floor(Number(horizon.periods));
+    if (!Number.isFinite(periods) || periods < 1) return null;
+    const discountRate = Number(horizon.discountRate);
+    return {
+      periods: Math.min(periods, this.MAX_PERIODS),
+      periodLabel: horizon.periodLabel || 'period',
+      discountRate: Number.isFinite(discountRate) && discountRate > -1 ? discountRate : 0,
+      aggregate: this.HORIZON_AGGREGATES.includes(horizon.aggregate) ? horizon.aggregate : 'npv'
+    };
+  },
+
+  /**
+   * Check a horizon block (resolveHorizon falls back to defaults for bad fields)
+   *
+   * @param {Object} horizon - prismaData.horizon
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateHorizon(horizon) {
+    const errors = [];
+    const periods = Number(horizon.periods);
+    if (!Number.isInteger(periods) || periods < 1) {
+      errors.push(`horizon.periods must be a positive integer (got ${horizon.periods})`);
+    } else if (periods > this.MAX_PERIODS) {
+      errors.push(`horizon.periods ${periods} is capped at ${this.MAX_PERIODS}`);
+    }
+    if (horizon.discountRate !== undefined && !(Number(horizon.discountRate) > -1)) {
+      errors.push(`horizon.discountRate must be greater than -1 (got ${horizon.discountRate}); using 0`);
+    }
+    if (horizon.aggregate !== undefined && !this.HORIZON_AGGREGATES.includes(horizon.aggregate)) {
+      errors.push(`horizon.aggregate "${horizon.aggregate}" is not one of ${this.HORIZON_AGGREGATES.join(', ')}; using npv`);
+    }
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Check a variable's dynamics block
+   *
+   * @param {Object} variable - Variable with optional dynamics
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateDynamics(variable) {
+    const dynamics = variable.dynamics;
+    const errors = [];
+    if (!dynamics) return { valid: true, errors };
+    const id = variable.id;
+    if (dynamics.growth !== undefined && !(Number(dynamics.growth) > -1)) {
+      errors.push(`${id}: dynamics.growth must be greater than -1 (got ${dynamics.growth})`);
+    }
+    if (dynamics.lag !== undefined && !(Number.isInteger(dynamics.lag) && dynamics.lag >= 0)) {
+      errors.push(`${id}: dynamics.lag must be a whole number of periods (got ${dynamics.lag})`);
+    }
+    if (dynamics.ramp !== undefined && !(Number.isInteger(dynamics.ramp) && dynamics.ramp >= 1)) {
+      errors.push(`${id}: dynamics.ramp must be a whole number of periods ≥ 1 (got ${dynamics.ramp})`);
+    }
+    if (dynamics.rampShape !== undefined && !this.RAMP_SHAPES.includes(dynamics.rampShape)) {
+      errors.push(`${id}: dynamics.rampShape "${dynamics.rampShape}" is not one of ${this.RAMP_SHAPES.join(', ')}`);
+    }
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Dynamics with defaults filled in and bad fields dropped, or null when there are none
+   */
+  _resolveDynamics(variable) {
+    const dynamics = variable.dynamics;
+    if (!dynamics) return null;
+    const growth = Number(dynamics.growth);
+    const lag = Number(dynamics.lag);
+    const ramp = Number(dynamics.ramp);
+    return {
+      growth: Number.isFinite(growth) && growth > -1 ? growth : 0,
+      lag: Number.isInteger(lag) && lag > 0 ? lag : 0,
+      ramp: Number.isInteger(ramp) && ramp > 1 ? ramp : 1,
+      rampShape: dynamics.rampShape === 's_curve' ? 's_curve' : 'linear',
+      resample: !!dynamics.resample
+    };
+  },
+
+  /**
+   * The outcome metrics of a model: prismaData.outcomes, or the single prismaData.outcome.
+   * Ids default to outcome_<n>, weights to 1.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Array<Object>} [{ id, label, unit, formula, direction, weight }] — primary first
+   */
+  resolveOutcomes(prismaData) {
+    const list = prismaData && Array.isArray(prismaData.outcomes) && prismaData.outcomes.length > 0
+      ? prismaData.outcomes
+      : (prismaData && prismaData.outcome ? [prismaData.outcome] : []);
+    return list.filter(Boolean).map((outcome, i) => {
+      const weight = Number(outcome.weight);
+      return {
+        id: outcome.id || 'outcome_' + (i + 1),
+        label: outcome.label || outcome.id || 'Outcome ' + (i + 1),
+        unit: outcome.unit || '',
+        formula: outcome.formula || '',
+        direction: outcome.direction === 'lower_is_better' ? 'lower_is_better' : 'higher_is_better',
+        weight: outcome.weight !== undefined && Number.isFinite(weight) && weight >= 0 ? weight : 1
+      };
+    });
+  },
+
+  /**
+   * Check an outcomes list (resolveOutcomes falls back to defaults for bad fields)
+   *
+   * @param {Array} outcomes - prismaData.outcomes
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateOutcomes(outcomes) {
+    const errors = [];
+    if (!Array.isArray(outcomes)) {
+      return { valid: false, errors: ['outcomes must be an array of outcome metrics'] };
+    }
+    const seen = new Set();
+    outcomes.forEach((outcome, i) => {
+      const name = (outcome && outcome.id) || 'outcomes[' + i + ']';
+      if (!outcome || !outcome.formula) errors.push(`${name}: missing formula`);
+      if (outcome && outcome.id) {
+        if (seen.has(outcome.id)) errors.push(`${name}: duplicate outcome id`);
+        seen.add(outcome.id);
+      }
+      if (outcome && outcome.direction !== undefined && !this.OUTCOME_DIRECTIONS.includes(outcome.direction)) {
+        errors.push(`${name}: direction "${outcome.direction}" is not one of ${this.OUTCOME_DIRECTIONS.join(', ')}`);
+      }
+      if (outcome && outcome.weight !== undefined && !(Number(outcome.weight) >= 0)) {
+        errors.push(`${name}: weight must be a number ≥ 0 (got ${outcome.weight}); using 1`);
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Check that the outcome formulas read only what a run provides — graph nodes (variables and
+   * edge-derived values), their prev_<id>, and `scenario` — and that some option other than
+   * doing nothing changes a variable they read, directly or through the edges feeding a derived
+   * node (otherwise every option scores the same).
+   * api/chat.js runs this on each simulation tool call and retries with a hint; the dashboard
+   * runs it on what arrives, so server and client reject exactly the same models.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Object} { valid: true } or { valid: false, reason, ... } — reason is
+   *   'formula_syntax' (+ error, outcomeId), 'formula_mismatch' (+ badIdentifiers) or
+   *   'no_scenario_overlap' (+ scenarioChangeKeys); formulaIdentifiers and variableIds throughout
+   */
+  validateFormulaAgainstVariables(prismaData) {
+    const outcomes = this.resolveOutcomes(prismaData).filter(outcome => outcome.formula);
+    if (outcomes.length === 0) return { valid: true };
+
+    const variableIds = (prismaData.variables || []).map(v => v.id);
+    const graph = this.analyzeCausalGraph(prismaData);
+    const known = new Set([...this._graphNames(graph.nodes), 'scenario']);
+
+    const formulaIds = [];
+    for (const outcome of outcomes) {
+      try {
+        formulaIds.push(...Formula.identifiers(outcome.formula).filter(id => id !== 'scenario'));
+      } catch (e) {
+        return { valid: false, reason: 'formula_syntax', error: e.message, outcomeId: outcome.id, variableIds };
+      }
+    }
+    if (formulaIds.length === 0) return { valid: true };
+    const formulaIdentifiers = [...new Set(formulaIds)];
+
+    const badIdentifiers = formulaIdentifiers.filter(id => !known.has(id));
+    if (badIdentifiers.length > 0) {
+      return { valid: false, reason: 'formula_mismatch', badIdentifiers, formulaIdentifiers, variableIds };
+    }
+
+    const options = (prismaData.scenarios || []).filter(s => s && s.id !== 'nothing' && s.id !== 'do_nothing');
+    // A scenario that changes an upstream driver of a derived node moves the outcome too
+    const stripPrev = id => (id.startsWith(this.PREV_PREFIX) ? id.slice(this.PREV_PREFIX.length) : id);
+    const depsById = new Map(graph.steps.map(step => [step.id, step.deps]));
+    const read = new Set();
+    const pending = formulaIds.map(stripPrev);
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (read.has(id)) continue;
+      read.add(id);
+      for (const dep of depsById.get(id) || []) pending.push(stripPrev(dep));
+    }
+    if (options.length > 0 && !options.some(s => Object.keys(s.changes || {}).some(key => read.has(key)))) {
+      return {
+        valid: false,
+        reason: 'no_scenario_overlap',
+        formulaIdentifiers,
+        variableIds,
+        scenarioChangeKeys: [...new Set(options.flatMap(s => Object.keys(s.changes || {})))]
+      };
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * The constraints of a model with defaults filled in (see CONSTRAINT_OPERATORS)
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Array<Object>} [{ id, label, formula, operator, threshold, maxViolationProbability, unit }]
+   */
+  resolveConstraints(prismaData) {
+    const list = prismaData && Array.isArray(prismaData.constraints) ? prismaData.constraints : [];
+    return list.filter(c => c && c.formula && Number.isFinite(Number(c.threshold))).map((c, i) => {
+      const maxViolation = Number(c.maxViolationProbability);
+      return {
+        id: c.id || 'constraint_' + (i + 1),
+        label: c.label || c.id || 'Constraint ' + (i + 1),
+        formula: c.formula,
+        operator: this.CONSTRAINT_OPERATORS.includes(c.operator) ? c.operator : '<=',
+        threshold: Number(c.threshold),
+        maxViolationProbability: c.maxViolationProbability !== undefined && maxViolation >= 0 && maxViolation <= 1
+          ? maxViolation
+          : this.DEFAULT_MAX_VIOLATION,
+        unit: c.unit || ''
+      };
+    });
+  },
+
+  /**
+   * Check a constraints list (resolveConstraints drops or defaults bad entries)
+   *
+   * @param {Array} constraints - prismaData.constraints
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateConstraints(constraints) {
+    const errors = [];
+    if (!Array.isArray(constraints)) {
+      return { valid: false, errors: ['constraints must be an array'] };
+    }
+    constraints.forEach((c, i) => {
+      const name = (c && c.id) || 'constraints[' + i + ']';
+      if (!c || !c.formula) errors.push(`${name}: missing formula; ignored`);
+      if (!c || !Number.isFinite(Number(c.threshold))) errors.push(`${name}: threshold must be a number; ignored`);
+      if (c && c.operator !== undefined && !this.CONSTRAINT_OPERATORS.includes(c.operator)) {
+        errors.push(`${name}: operator "${c.operator}" is not one of ${this.CONSTRAINT_OPERATORS.join(', ')}; using <=`);
+      }
+      if (c && c.maxViolationProbability !== undefined && !(Number(c.maxViolationProbability) >= 0 && Number(c.maxViolationProbability) <= 1)) {
+        errors.push(`${name}: maxViolationProbability must be between 0 and 1 (got ${c.maxViolationProbability}); using ${this.DEFAULT_MAX_VIOLATION}`);
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Normalized risk events of a model (see EVENT_IMPACT_TYPES); entries without a probability or
+   * an impacts list are dropped, bad fields defaulted
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Array<Object>} [{ id, label, probability, preconditions: string[], impacts, duration }]
+   */
+  resolveEvents(prismaData) {
+    const list = prismaData && Array.isArray(prismaData.events) ? prismaData.events : [];
+    return list.filter(e => e && Number.isFinite(Number(e.probability)) && Array.isArray(e.impacts)).map((e, i) => {
+      const duration = Math.floor(Number(e.duration));
+      const preconditions = e.preconditions === undefined || e.preconditions === null ? [] : [].concat(e.preconditions);
+      return {
+        id: e.id || 'event_' + (i + 1),
+        label: e.label || e.id || 'Event ' + (i + 1),
+        probability: Math.min(1, Math.max(0, Number(e.probability))),
+        preconditions: preconditions.filter(p => typeof p === 'string' && p.trim()),
+        impacts: e.impacts
+          .filter(impact => impact && impact.variable && Number.isFinite(Number(impact.value)))
+          .map(impact => ({
+            variable: impact.variable,
+            type: this.EVENT_IMPACT_TYPES.includes(impact.type) ? impact.type : 'add',
+            value: Number(impact.value)
+          })),
+        duration: duration >= 1 ? duration : 1
+      };
+    });
+  },
+
+  /**
+   * Check an events list (resolveEvents drops or defaults bad entries)
+   *
+   * @param {Array} events - prismaData.events
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateEvents(events) {
+    const errors = [];
+    if (!Array.isArray(events)) {
+      return { valid: false, errors: ['events must be an array'] };
+    }
+    events.forEach((e, i) => {
+      const name = (e && e.id) || 'events[' + i + ']';
+      const probability = e ? Number(e.probability) : NaN;
+      if (!Number.isFinite(probability)) {
+        errors.push(`${name}: probability must be a number; ignored`);
+      } else if (probability < 0 || probability > 1) {
+        errors.push(`${name}: probability must be between 0 and 1 (got ${e.probability}); clamped`);
+      }
+      if (!e || !Array.isArray(e.impacts)) {
+        errors.push(`${name}: impacts must be an array; ignored`);
+      } else {
+        e.impacts.forEach((impact, k) => {
+          if (!impact || !impact.variable) errors.push(`${name}: impacts[${k}] has no variable; ignored`);
+          else if (!Number.isFinite(Number(impact.value))) errors.push(`${name}: impact on "${impact.variable}" needs a numeric value; ignored`);
+          if (impact && impact.type !== undefined && !this.EVENT_IMPACT_TYPES.includes(impact.type)) {
+            errors.push(`${name}: impact type "${impact.type}" is not one of ${this.EVENT_IMPACT_TYPES.join(', ')}; using add`);
+          }
+        });
+      }
+      if (e && e.duration !== undefined && !(Number(e.duration) >= 1)) {
+        errors.push(`${name}: duration must be at least 1 period (got ${e.duration}); using 1`);
+      }
+    });
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Whether a constraint value breaks its threshold
+   */
+  _violates(constraint, value) {
+    switch (constraint.operator) {
+      case '<': return value >= constraint.threshold;
+      case '>=': return value < constraint.threshold;
+      case '>': return value <= constraint.threshold;
+      default: return value > constraint.threshold;
+    }
+  },
+
+  /**
+   * Run Monte Carlo simulation for a specific scenario
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {string} scenarioId - ID of the scenario to simulate
+   * @param {number} iterations - Number of simulation runs (default: 1000)
+   * @param {Object} options - { seed?: number, rng?: Function, data?: Array, sampling?: string, recordInputs?: boolean }
+   *   — seed makes the run reproducible; data holds the uploaded CSV rows that empirical variables resample
+   *   from; sampling is one of SAMPLING_METHODS (default 'random'); recordInputs adds `inputs` to a
+   *   runScenario() result: each uncertain sampled variable's first-period value per future, at its
+   *   status-quo distribution (for Nassim.computeValueOfInformation); pathShifts moves variables future
+   *   by future (Markov.jointOptions): called once per run, it returns a function that gives each
+   *   future its shifts, one {variableId: amount} per period (the last repeats); empiricalPools is a
+   *   Map the caller keeps for runs over the same data, so each empirical pool is built once across
+   *   scenarios and probes (scenarioRunOptions and Nassim.sensitivityRunOptions start one)
+   * @returns {Array<number>} Array of primary outcome values (with a horizon: the horizon aggregate per iteration)
+   */
+  runCarlo(prismaData, scenarioId, iterations = 1000, options = {}) {
+    const run = this._prepareRun(prismaData, scenarioId, options);
+    return this._sampleOutcomes(run, iterations, Prng.fromOptions(options));
+  },
+
+  /**
+   * Run one scenario and summarize it — one entry of runCarloAllScenarios().
+   * With a horizon the result also carries the trajectory fan (summarizeTrajectory);
+   * with several outcome metrics, `metrics` (see OUTCOME_DIRECTIONS); with constraints,
+   * `constraints` (see CONSTRAINT_OPERATORS); with risk events, `events` (see EVENT_IMPACT_TYPES).
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {string} scenarioId - ID of the scenario to simulate
+   * @param {number} iterations - Number of simulation runs (default: 1000)
+   * @param {Object} options - Same as runCarlo()
+   * @returns {Object} { outcomes, summary, trajectory?, metrics?, constraints?, events?, inputs? }
+   */
+  runScenario(prismaData, scenarioId, iterations = 1000, options = {}) {
+    const run = this._prepareRun(prismaData, scenarioId, options);
+    const collect = this._emptyCollectors(run);
+    const outcomes = this._sampleOutcomes(run, iterations, Prng.fromOptions(options), collect);
+    return this._scenarioResult(run, outcomes, collect);
+  },
+
+  /**
+   * Run Monte Carlo for a scenario in batches until the estimates settle.
+   *
+   * From minIterations on, each batch is followed by a convergence check (hasConverged);
+   * the run stops once it passes or at maxIterations. Batches continue one random stream
+   * (and one Sobol / Halton sequence), so the outcomes equal a runCarlo() of the same length
+   * with the same seed — except with Latin hypercube sampling, which stratifies each batch.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {string} scenarioId - ID of the scenario to simulate
+   * @param {Object} convergence - { tolerance?, batchSize?, minIterations?, maxIterations? } — defaults: CONVERGENCE
+   * @param {Object} options - Same as runCarlo()
+   * @returns {Object} { outcomes, summary, trajectory?, metrics?, constraints?, events?, convergence: { converged, iterations, batches, tolerance, maxIterations } }
+   */
+  runCarloAdaptive(prismaData, scenarioId, convergence = {}, options = {}) {
+    const config = { ...this.CONVERGENCE, ...convergence };
+    const run = this._prepareRun(prismaData, scenarioId, options);
+    const rng = Prng.fromOptions(options);
+    const collect = this._emptyCollectors(run);
+
+    const outcomes = [];
+    let batches = 0;
+    let converged = false;
+    while (outcomes.length < config.maxIterations) {
+      const size = Math.min(config.batchSize, config.maxIterations - outcomes.length);
+      for (const outcome of this._sampleOutcomes(run, size, rng, collect)) outcomes.push(outcome);
+      batches++;
+      if (outcomes.length >= config.minIterations && this.hasConverged(this.summarizeResults(outcomes), config.tolerance)) {
+        converged = true;
+        break;
+      }
+    }
+
+    const result = this._scenarioResult(run, outcomes, collect);
+    result.convergence = {
+      converged,
+      iterations: outcomes.length,
+      batches,
+      tolerance: config.tolerance,
+      maxIterations: config.maxIterations
+    };
+    return result;
+  },
+
+  /**
+   * Everything a scenario run needs before sampling: scenario variables, causal graph,
+   * compiled outcome formulas, baseline trajectory and copula. Warnings are logged once here.
+   */
+  _prepareRun(prismaData, scenarioId, options = {}) {
+    // Find the scenario
+    const scenario = prismaData.scenarios.find(s => s.id === scenarioId);
+    if (!scenario) {
+      throw new Error(`Scenario not found: ${scenarioId}`);
+    }
+
+    // Apply scenario changes to variables
+    // Resolve empirical pools first so scenario deltas and the baseline see their real center
+    const baseVariables = this._resolveEmpirical(prismaData.variables, options.data, options.empiricalPools);
+    const scenarioVariables = this.applyScenarioChanges(baseVariables, scenario);
+
+    // Warn once per run about bad distribution parameters (sampling falls back to defaults)
+    for (const variable of scenarioVariables) {
+      const check = this.validateDistribution(variable);
+      if (!check.valid) console.warn('[Carlo] ' + check.errors.join('; '));
+    }
+
+    // Multi-period runs: per-variable dynamics only apply with a horizon
+    if (prismaData.horizon) {
+      const check = this.validateHorizon(prismaData.horizon);
+      if (!check.valid) console.warn('[Carlo] ' + check.errors.join('; '));
+    }
+    const horizon = this.resolveHorizon(prismaData);
+    const resolveDynamics = (variable) => {
+      const check = this.validateDynamics(variable);
+      if (!check.valid) console.warn('[Carlo] ' + check.errors.join('; '));
+      return this._resolveDynamics(variable);
+    };
+    const dynamics = horizon ? scenarioVariables.map(resolveDynamics) : null;
+    const baseDynamics = horizon ? baseVariables.map(v => this._resolveDynamics(v)) : null;
+
+    // Causal graph: the baseline evaluates every derived node from the edges; the scenario
+    // pins the variables it changes (an intervention cuts that variable's incoming edges)
+    const baseGraph = this.analyzeCausalGraph({ ...prismaData, variables: baseVariables });
+    const graph = this.analyzeCausalGraph(
+      { ...prismaData, variables: scenarioVariables },
+      { pinned: Object.keys(scenario.changes || {}) }
+    );
+    for (const warning of graph.warnings) console.warn('[Carlo] ' + warning);
+    for (const cycle of graph.cycles) {
+      if (!cycle.declared) {
+        console.warn(`[Carlo] Undeclared causal cycle ${cycle.path.join(' → ')}; ${cycle.lagged.from} → ${cycle.lagged.to} uses the start-of-period value`);
+      }
+    }
+
+    // Compile the outcome formulas once per run (log once, not per iteration).
+    // They read every graph node, so derived values feed the outcomes; `scenario`
+    // is injected for formulas that branch on the scenario id.
+    if (Array.isArray(prismaData.outcomes)) {
+      const check = this.validateOutcomes(prismaData.outcomes);
+      if (!check.valid) console.warn('[Carlo] ' + check.errors.join('; '));
+    }
+    const outcomeDefs = this.resolveOutcomes(prismaData);
+    if (outcomeDefs.length === 0) outcomeDefs.push(...this.resolveOutcomes({ outcome: { id: 'outcome' } })); // No formula: legacy fallback
+    const compiledOutcomes = outcomeDefs.map(outcome => {
+      if (!outcome.formula) return null;
+      try {
+        return Formula.compile(outcome.formula, { names: [...this._graphNames(graph.nodes), 'scenario'] });
+      } catch (e) {
+        console.warn(`[Carlo] Outcome formula "${outcome.id}" rejected for scenario "${scenarioId}": ${e.message}. Known variable ids: [${graph.nodes.join(', ')}]. Formula: "${outcome.formula}"`);
+        return null;
+      }
+    });
+
+    // Constraint formulas also read the outcome metrics by id
+    if (Array.isArray(prismaData.constraints)) {
+      const check = this.validateConstraints(prismaData.constraints);
+      if (!check.valid) console.warn('[Carlo] ' + check.errors.join('; '));
+    }
+    const constraintNames = [...this._graphNames(graph.nodes), ...outcomeDefs.map(o => o.id), 'scenario'];
+    const constraints = [];
+    for (const constraint of this.resolveConstraints(prismaData)) {
+      try {
+        constraints.push({ ...constraint, compiled: Formula.compile(constraint.formula, { names: constraintNames }) });
+      } catch (e) {
+        console.warn(`[Carlo] Constraint "${constraint.id}" rejected for scenario "${scenarioId}": ${e.message}. Formula: "${constraint.formula}"`);
+      }
+    }
+
+    // Risk events: impacts can only move sampled variables. Events fire before the causal graph
+    // is evaluated, so preconditions read sampled variables (as the model defines them, so every
+    // scenario accepts the same events) and prev_<id> of any node — never a derived node's
+    // current value, which would still be last period's or unset
+    if (Array.isArray(prismaData.events)) {
+      const check = this.validateEvents(prismaData.events);
+      if (!check.valid) console.warn('[Carlo] ' + check.errors.join('; '));
+    }
+    const variableIds = new Set(scenarioVariables.map(v => v.id));
+    const preconditionNames = baseGraph.nodes.filter(id => baseGraph.sources[id] === 'sampled')
+      .concat(baseGraph.nodes.map(id => this.PREV_PREFIX + id));
+    const events = [];
+    for (const event of this.resolveEvents(prismaData)) {
+      const impacts = event.impacts.filter(impact => {
+        if (!variableIds.has(impact.variable)) {
+          console.warn(`[Carlo] Event "${event.id}" impacts unknown variable "${impact.variable}"; impact ignored`);
+          return false;
+        }
+        if (graph.sources[impact.variable] === 'derived') {
+          console.warn(`[Carlo] Event "${event.id}" impacts "${impact.variable}", which the causal edges compute; impact ignored`);
+          return false;
+        }
+        return true;
+      });
+      try {
+        const preconditions = event.preconditions.map(source => {
+          const derived = Formula.identifiers(source).find(id => baseGraph.sources[id] === 'derived');
+          if (derived) {
+            throw new Error(`"${derived}" is computed by the causal edges after events fire; read ${this.PREV_PREFIX}${derived} instead`);
+          }
+          return Formula.compile(source, { names: preconditionNames });
+        });
+        events.push({ ...event, impacts, preconditions });
+      } catch (e) {
+        console.warn(`[Carlo] Event "${event.id}" precondition rejected for scenario "${scenarioId}": ${e.message}; event ignored`);
+      }
+    }
+
+    const compiledIdentifiers = compiledOutcomes.concat(constraints.map(c => c.compiled))
+      .flatMap(compiled => compiled ? compiled.identifiers : []);
+
+    // prev_<id> values are only filled in when some formula reads them
+    const formulaIdentifiers = [baseGraph, graph]
+      .flatMap(g => g.steps.filter(step => step.kind === 'formula').flatMap(step => step.compiled.identifiers))
+      .concat(compiledIdentifiers)
+      .concat(events.flatMap(event => event.preconditions.flatMap(compiled => compiled.identifiers)));
+
+    const run = {
+      scenarioId,
+      baseVariables,
+      scenarioVariables,
+      graph,
+      outcomeDefs,
+      compiledOutcomes,
+      constraints,
+      events,
+      needsScenarioId: compiledIdentifiers.includes('scenario'),
+      usesPrev: formulaIdentifiers.some(id => id.startsWith(this.PREV_PREFIX)),
+      horizon,
+      dynamics,
+      changed: scenarioVariables.map(v => Object.prototype.hasOwnProperty.call(scenario.changes || {}, v.id)),
+      // Correlated variables are sampled jointly through a Gaussian copula
+      copula: this.buildCopula(scenarioVariables, prismaData.correlations),
+      isLowerBetter: outcomeDefs.map(outcome => outcome.direction === 'lower_is_better'),
+      sampling: this._resolveSampling(options.sampling),
+      // Per-future shifts (options.pathShifts), drawn from their own random stream
+      nextShifts: typeof options.pathShifts === 'function' ? options.pathShifts() : null,
+      // Uncertain inputs recorded per future (options.recordInputs): sampled, non-fixed variables
+      inputIndices: options.recordInputs
+        ? baseVariables.map((v, j) => j).filter(j => baseGraph.sources[baseVariables[j].id] === 'sampled'
+          && baseVariables[j].distribution && baseVariables[j].distribution !== 'fixed')
+        : [],
+      sequence: null // Sobol / Halton state, continued across batches
+    };
+
+    // Baseline: the status quo at central values, period by period — one value per outcome
+    // metric. Each delta is measured against the baseline of its own period. Deltas are
+    // deliberately not taken against the do-nothing scenario's paired future: that would pin
+    // do-nothing at zero in every future, leaving nothing for its card or for the sensitivity
+    // probes (which run on it) to show. Paired effects come from compareScenarios instead,
+    // where this constant cancels in each future's difference.
+    const statusQuo = (prismaData.scenarios.find(s => s.id === 'nothing' || s.id === 'do_nothing') || { id: 'nothing' }).id;
+    run.baseline = [];
+    let previous = null;
+    for (let t = 0; t < (horizon ? horizon.periods : 1); t++) {
+      if (!compiledOutcomes.some(Boolean)) {
+        run.baseline.push(outcomeDefs.map(() => 0));
+        continue;
+      }
+      const baseValues = {};
+      baseVariables.forEach((v, j) => {
+        const growth = baseDynamics && baseDynamics[j] ? baseDynamics[j].growth : 0;
+        baseValues[v.id] = this.getCentralValue(v) * Math.pow(1 + growth, t);
+      });
+      // A formula that reads `scenario` sees the do-nothing scenario's id
+      run.baseline.push(this._evaluatePeriod(run, baseGraph, baseValues, previous, statusQuo)
+        .map((value, k) => compiledOutcomes[k] ? value : 0));
+      previous = baseValues;
+    }
+
+    return run;
+  },
+
+  /**
+   * Draw `iterations` outcomes for a prepared run
+   *
+   * With a horizon each iteration plays out period by period: variables follow their dynamics,
+   * derived values and prev_<id> carry over from the previous period, and the outcome is the
+   * horizon aggregate of the per-period deltas.
+   *
+   * Every period after the first takes a full set of variable uniforms, whether or not the
+   * scenario resamples anything, and risk events take one uniform each per period, whether or
+   * not they can fire, so scenarios and probes sharing a seed stay aligned. Path shifts (run.nextShifts) are added to
+   * sampled variables before the events, and to derived ones as the graph computes them.
+   *
+   * `collect` (from _emptyCollectors) gathers what a full scenario result reports:
+   * `paths` the per-period and running deltas of the primary metric for the fan chart,
+   * `metrics` every outcome metric, `violations` the futures breaking each constraint,
+   * `events` how many times each event fired in each future, `inputs` the uncertain inputs
+   * each future drew.
+   *
+   * @param {Object} run - From _prepareRun()
+   * @param {number} iterations - Number of futures to draw
+   * @param {Function} rng - Uniform [0, 1) generator, advanced in place
+   * @param {Object} [collect] - { paths, metrics, violations, events, inputs }, filled in place
+   * @returns {Array<number>} Primary outcome deltas from baseline
+   */
+  _sampleOutcomes(run, iterations, rng, collect = null) {
+    const { scenarioId, scenarioVariables, graph, horizon } = run;
+    const periods = horizon ? horizon.periods : 1;
+    const discountRate = horizon && horizon.aggregate === 'npv' ? horizon.discountRate : 0;
+    const paths = collect && collect.paths;
+    const metrics = collect && collect.metrics;
+    const violations = collect && collect.violations;
+    const eventCounts = collect && collect.events;
+    const inputs = collect && collect.inputs;
+    const metricCount = metrics ? metrics.length : 1;
+    const outcomes = [];
+    const sampler = this._createSampler(run, iterations, rng);
+
+    // Run iterations
+    for (let i = 0; i < iterations; i++) {
+      // One uniform per variable (fixed ones too) keeps random streams aligned
+      // between scenarios and sensitivity probes that share a seed
+      const uniforms = this._drawUniforms(run, rng, sampler);
+      if (inputs) run.inputIndices.forEach((j, k) => inputs[k].push(this.quantile(run.baseVariables[j], uniforms[j])));
+      let previous = null;
+      const running = new Array(metricCount).fill(0);
+      const outcome = new Array(metricCount).fill(0);
+      const broken = violations ? new Array(violations.length).fill(false) : null;
+      const eventState = run.events.length > 0
+        ? { remaining: run.events.map(() => 0), fired: run.events.map(() => 0), draws: null }
+        : null;
+      const shifts = run.nextShifts ? run.nextShifts() : null;
+
+      for (let t = 0; t < periods; t++) {
+        // Variables marked resample take a fresh draw each period; the rest keep their first one
+        const periodUniforms = t > 0 ? this._drawUniforms(run, rng) : uniforms;
+
+        // Sample each variable. Derived variables are sampled too, but only lagged
+        // cycle edges read that draw — their step overwrites it below.
+        const values = {};
+        scenarioVariables.forEach((variable, j) => {
+          const u = run.dynamics && run.dynamics[j] && run.dynamics[j].resample ? periodUniforms[j] : uniforms[j];
+          values[variable.id] = this._periodValue(run, j, u, t);
+        });
+        const periodShifts = shifts && shifts.length > 0 ? shifts[Math.min(t, shifts.length - 1)] : null;
+        if (periodShifts) {
+          for (const [id, amount] of Object.entries(periodShifts)) {
+            if (graph.sources[id] === 'sampled') values[id] += amount;
+          }
+        }
+
+        // Compute derived nodes and the outcomes from sampled + derived values
+        if (eventState) eventState.draws = run.events.map(() => rng());
+        const outcomeValues = this._evaluatePeriod(run, graph, values, previous, scenarioId, eventState, periodShifts);
+
+        for (let k = 0; k < metricCount; k++) {
+          // Delta from baseline (direction-aware)
+          const rawDelta = outcomeValues[k] - run.baseline[t][k];
+          const delta = run.isLowerBetter[k] ? -rawDelta : rawDelta;
+
+          if (!horizon) {
+            outcome[k] = delta;
+          } else {
+            running[k] += discountRate ? delta / Math.pow(1 + discountRate, t + 1) : delta;
+            outcome[k] = horizon.aggregate === 'final' ? delta : running[k];
+            if (paths && k === 0) {
+              paths.perPeriod[t].push(delta);
+              paths.cumulative[t].push(running[k]);
+            }
+          }
+        }
+        if (broken) this._checkConstraints(run, values, outcomeValues, broken);
+        previous = values;
+      }
+
+      outcomes.push(outcome[0]);
+      if (metrics) outcome.forEach((value, k) => metrics[k].push(value));
+      if (broken) broken.forEach((hit, c) => { if (hit) violations[c]++; });
+      if (eventCounts) eventState.fired.forEach((count, e) => eventCounts[e].push(count));
+    }
+
+    return outcomes;
+  },
+
+  /**
+   * One uniform per scenario variable — from the sampler if given, else independent draws —
+   * correlated through the run's copula
+   */
+  _drawUniforms(run, rng, sampler = null) {
+    const uniforms = sampler ? sampler() : run.scenarioVariables.map(() => rng());
+    if (run.copula) this.correlateUniforms(uniforms, run.copula);
+    return uniforms;
+  },
+
+  /**
+   * The sampling method to use; unknown names warn and fall back to random
+   */
+  _resolveSampling(sampling) {
+    if (sampling === undefined || sampling === null) return 'random';
+    if (this.SAMPLING_METHODS.includes(sampling)) return sampling;
+    console.warn(`[Carlo] Unknown sampling "${sampling}" (expected ${this.SAMPLING_METHODS.join(', ')}); using random`);
+    return 'random';
+  },
+
+  /**
+   * Uniform generator for one call of _sampleOutcomes (see SAMPLING_METHODS)
+   *
+   * @returns {Function|null} () → one uniform per scenario variable, or null for random sampling
    */
-  sampleFromDistribution(variable) {
-    const { value, min, max, distribution } = variable;
-
-    switch (distribution) {
-      case 'fixed':
-        return value;
-
-      case 'uniform':
-        return min + Math.random() * (max - min);
+  _createSampler(run, iterations, rng) {
+    const dims = run.scenarioVariables.length;
+
+    if (run.sampling === 'lhs') {
+      // One shuffled column of strata per variable, jittered within each stratum
+      const columns = [];
+      for (let j = 0; j < dims; j++) {
+        const strata = Array.from({ length: iterations }, (_, i) => i);
+        for (let i = iterations - 1; i > 0; i--) {
+          const k = Math.floor(rng() * (i + 1));
+          [strata[i], strata[k]] = [strata[k], strata[i]];
+        }
+        columns.push(strata);
+      }
+      let row = 0;
+      return () => {
+        const uniforms = columns.map(strata => (strata[row] + rng()) / iterations);
+        row++;
+        return uniforms;
+      };
+    }
 
-      case 'normal': {
-        // Box-Muller transform for normal distribution
-        const u1 = Math.random();
-        const u2 = Math.random();
-        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    if (run.sampling === 'sobol' || run.sampling === 'halton') {
+      if (!run.sequence) run.sequence = this._createSequence(run.sampling, dims, rng);
+      return run.sequence;
+    }
 
-        // Standard deviation = (max - min) / 6 (so 99.7% falls within range)
-        const stdDev = (max - min) / 6;
-        const sample = value + z * stdDev;
+    return null;
+  },
 
-        // Truncate to [min, max]
-        return Math.max(min, Math.min(max, sample));
-      }
+  /**
+   * Randomized low-discrepancy sequence: each call returns the next point
+   */
+  _createSequence(method, dims, rng) {
+    let index = 0;
+
+    if (method === 'sobol' && dims <= this.SOBOL_DIRECTIONS.length + 1) {
+      const directions = this._sobolDirections(dims);
+      const shifts = directions.map(() => Math.floor(rng() * 4294967296) >>> 0);
+      return () => {
+        const gray = (index ^ (index >>> 1)) >>> 0;
+        index++;
+        return directions.map((v, d) => {
+          let x = shifts[d];
+          for (let k = 0; k < 32 && (gray >>> k); k++) {
+            if ((gray >>> k) & 1) x = (x ^ v[k]) >>> 0;
+          }
+          return x / 4294967296;
+        });
+      };
+    }
 
-      case 'right_skewed': {
-        // Log-normal transformation: more values near min, long tail to max
-        // Use exponential distribution shape scaled to range
-        const u = Math.random();
-        // Transform to exponential decay
-        const lambda = 2.5; // Controls skew intensity
-        const t = -Math.log(1 - u) / lambda;
-        // Scale to [0, 1] range (capped at reasonable value)
-        const normalized = Math.min(t, 3) / 3;
-        // Map to [min, max]
-        return min + normalized * (max - min);
-      }
+    if (method === 'sobol') {
+      console.warn(`[Carlo] Sobol sampling supports up to ${this.SOBOL_DIRECTIONS.length + 1} variables (got ${dims}); using halton`);
+    }
+    const bases = this._primes(dims);
+    const shifts = bases.map(() => rng());
+    return () => {
+      index++; // Skip the all-zero first point
+      return bases.map((base, d) => {
+        const u = this._radicalInverse(index, base) + shifts[d];
+        return u >= 1 ? u - 1 : u;
+      });
+    };
+  },
 
-      case 'left_skewed': {
-        // Mirror of right_skewed: cluster near max, tail to min
-        const u = Math.random();
-        const lambda = 2.5;
-        const t = -Math.log(1 - u) / lambda;
-        const normalized = Math.min(t, 3) / 3;
-        // Invert to create left skew
-        return max - normalized * (max - min);
+  /**
+   * 32-bit Sobol direction numbers for the first `dims` dimensions
+   */
+  _sobolDirections(dims) {
+    const directions = [];
+    for (let d = 0; d < dims; d++) {
+      const v = new Array(32);
+      if (d === 0) {
+        for (let k = 0; k < 32; k++) v[k] = (1 << (31 - k)) >>> 0;
+      } else {
+        const [s, a, m] = this.SOBOL_DIRECTIONS[d - 1];
+        for (let k = 0; k < 32; k++) {
+          if (k < s) {
+            v[k] = (m[k] << (31 - k)) >>> 0;
+            continue;
+          }
+          let x = (v[k - s] ^ (v[k - s] >>> s)) >>> 0;
+          for (let j = 1; j < s; j++) {
+            if ((a >>> (s - 1 - j)) & 1) x = (x ^ v[k - j]) >>> 0;
+          }
+          v[k] = x;
+        }
       }
+      directions.push(v);
+    }
+    return directions;
+  },
 
-      default:
-        console.warn(`Unknown distribution type: ${distribution}, using uniform`);
-        return min + Math.random() * (max - min);
+  /**
+   * The first n primes (Halton bases)
+   */
+  _primes(n) {
+    const primes = [];
+    for (let candidate = 2; primes.length < n; candidate++) {
+      if (primes.every(p => candidate % p !== 0)) primes.push(candidate);
     }
+    return primes;
   },
 
   /**
-   * Apply scenario changes to variables array
-   *
-   * @param {Array} variables - Original variables array
-   * @param {Object} scenario - Scenario object with changes
-   * @returns {Array} New variables array with changes applied
+   * Van der Corput radical inverse of n in the given base
    */
-  applyScenarioChanges(variables, scenario) {
-    if (!scenario.changes || Object.keys(scenario.changes).length === 0) {
-      // No changes (e.g., "do nothing" scenario)
-      return variables.map(v => ({ ...v }));
+  _radicalInverse(n, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    while (n > 0) {
+      result += (n % base) * fraction;
+      n = Math.floor(n / base);
+      fraction /= base;
     }
+    return result;
+  },
 
-    return variables.map(variable => {
-      const change = scenario.changes[variable.id];
-      if (!change) {
-        return { ...variable };
+  /**
+   * A variable's value in period t for uniform u: its draw, phased in from the baseline draw
+   * (same u) while a scenario change is lagged or ramping, then compounded by its growth rate
+   */
+  _periodValue(run, j, u, t) {
+    const value = this.quantile(run.scenarioVariables[j], u);
+    const dynamics = run.dynamics && run.dynamics[j];
+    if (!dynamics) return value;
+
+    let result = value;
+    if (run.changed[j]) {
+      const phase = this._changePhase(dynamics, t);
+      if (phase < 1) {
+        const before = this.quantile(run.baseVariables[j], u);
+        result = before + (value - before) * phase;
       }
+    }
+    return dynamics.growth ? result * Math.pow(1 + dynamics.growth, t) : result;
+  },
 
-      const updated = { ...variable };
-
-      // Apply value override
-      if (change.value !== undefined) {
-        updated.value = change.value;
-      }
+  /**
+   * Share of a scenario change in effect in period t: 0 during the lag, then up to 1 over
+   * `ramp` periods (linear, or smoothstep for s_curve)
+   */
+  _changePhase(dynamics, t) {
+    if (t < dynamics.lag) return 0;
+    if (dynamics.ramp <= 1) return 1;
+    const x = Math.min(1, (t - dynamics.lag + 1) / dynamics.ramp);
+    return dynamics.rampShape === 's_curve' ? x * x * (3 - 2 * x) : x;
+  },
 
-      // Apply min/max overrides
-      if (change.min !== undefined) {
-        updated.min = change.min;
+  /**
+   * Evaluate one period: fill prev_<id> (previous period, or the start value in the first),
+   * carry derived values over as the start-of-period value lagged edges read, evaluate the
+   * graph (adding the period's path shifts to derived nodes), then the outcome formulas
+   *
+   * @returns {Array<number>} One value per outcome metric (0 when a formula yields nothing finite)
+   */
+  _evaluatePeriod(run, graph, values, previous, scenarioId, eventState = null, shifts = null) {
+    if (run.usesPrev) {
+      for (const id of graph.nodes) {
+        values[this.PREV_PREFIX + id] = previous ? previous[id] : (values[id] ?? 0);
       }
-      if (change.max !== undefined) {
-        updated.max = change.max;
+    }
+    if (previous) {
+      for (const step of graph.steps) {
+        if (previous[step.id] !== undefined) values[step.id] = previous[step.id];
       }
+    }
 
-      // Apply delta (additive change)
-      if (change.delta !== undefined) {
-        updated.value += change.delta;
-        // Adjust bounds proportionally
-        const range = updated.max - updated.min;
-        updated.min += change.delta;
-        updated.max += change.delta;
-      }
+    if (eventState) this._applyEvents(run, values, eventState);
 
-      return updated;
+    // Compute derived nodes from their edges, in topological order
+    this.evaluateCausalGraph(graph, values, shifts);
+
+    // Inject scenario ID if formula references it
+    if (run.needsScenarioId) values.scenario = scenarioId;
+    return run.compiledOutcomes.map(compiled => {
+      if (!compiled) return values['monthly_profit'] || 0;
+      const outcomeValue = compiled.evaluate(values);
+      return (isNaN(outcomeValue) || !isFinite(outcomeValue)) ? 0 : outcomeValue;
     });
   },
 
   /**
-   * Safely split an edge formula into target variable and expression.
-   * Handles formulas with === and == by only splitting on bare = (assignment).
+   * Fire this period's risk events and apply the impacts of every running one, in list order.
+   * Firing is decided on the values before any impact, so events don't trigger each other
+   * within a period.
    *
-   * @param {string} formula - Edge formula like "target_var = expression"
-   * @returns {{ target: string, expression: string } | null} Parsed result or null
+   * @param {Object} run - From _prepareRun()
+   * @param {Object} values - The period's values, changed in place
+   * @param {Object} state - { remaining, fired, draws } per event, updated in place
    */
-  parseEdgeFormula(formula) {
-    if (!formula || typeof formula !== 'string') return null;
-
-    // Find the first bare = that is NOT part of ==, ===, !=, !==, >=, <=
-    // We scan character by character
-    for (let i = 0; i < formula.length; i++) {
-      if (formula[i] === '=') {
-        // Check it's not part of ==, ===
-        if (formula[i + 1] === '=') continue; // skip == or ===
-        // Check it's not preceded by !, <, >, or another =
-        if (i > 0 && (formula[i - 1] === '!' || formula[i - 1] === '<' || formula[i - 1] === '>' || formula[i - 1] === '=')) continue;
+  _applyEvents(run, values, state) {
+    run.events.forEach((event, e) => {
+      if (state.remaining[e] > 0 || state.draws[e] >= event.probability) return;
+      const eligible = event.preconditions.every(compiled => {
+        const result = compiled.evaluate(values);
+        return !!result && !Number.isNaN(result);
+      });
+      if (!eligible) return;
+      state.remaining[e] = event.duration;
+      state.fired[e]++;
+    });
 
-        const target = formula.substring(0, i).trim();
-        const expression = formula.substring(i + 1).trim();
-        if (target && expression) {
-          return { target, expression };
-        }
+    run.events.forEach((event, e) => {
+      if (state.remaining[e] === 0) return;
+      for (const impact of event.impacts) {
+        const current = values[impact.variable];
+        values[impact.variable] = impact.type === 'multiply' ? current * impact.value
+          : impact.type === 'replace' ? impact.value
+            : current + impact.value;
       }
-    }
+      state.remaining[e]--;
+    });
+  },
 
-    return null;
+  /**
+   * Mark the constraints one period breaks. Outcome metrics are visible by id (as values,
+   * not deltas) unless a variable already has that id; non-finite results are skipped.
+   */
+  _checkConstraints(run, values, outcomeValues, broken) {
+    run.outcomeDefs.forEach((outcome, k) => {
+      if (values[outcome.id] === undefined) values[outcome.id] = outcomeValues[k];
+    });
+    run.constraints.forEach((constraint, c) => {
+      if (broken[c]) return;
+      const value = constraint.compiled.evaluate(values);
+      if (Number.isFinite(value) && this._violates(constraint, value)) broken[c] = true;
+    });
   },
 
   /**
-   * Evaluate outcome by walking the causal graph
-   *
-   * @param {Object} variableValues - Map of {variableId: sampledValue}
-   * @param {Array} edges - Causal graph edges
-   * @param {string} outcomeFormula - Formula to calculate final outcome
-   * @returns {number} Final outcome value
+   * Collectors for a full scenario result (see _sampleOutcomes); each is null when unused
    */
-  evaluateOutcome(variableValues, edges, outcomeFormula) {
-    // Create a working copy of variable values (will be updated by edges)
-    const values = { ...variableValues };
-
-    // Track which variables have been processed to avoid infinite loops
-    const processed = new Set();
-    const maxIterations = 100; // Safety limit for circular dependencies
-    let iteration = 0;
-
-    // Process edges: propagate effects through the causal graph
-    // We may need multiple passes for multi-hop dependencies
-    let changed = true;
-    while (changed && iteration < maxIterations) {
-      changed = false;
-      iteration++;
-
-      for (const edge of edges) {
-        const sourceValue = values[edge.from];
-        if (sourceValue === undefined) continue;
-
-        const edgeKey = `${edge.from}->${edge.to}`;
-        if (processed.has(edgeKey)) continue;
-
-        if (edge.formula) {
-          // Use explicit formula if provided (validated against injection)
-          try {
-            const parsed = this.parseEdgeFormula(edge.formula);
-            if (parsed) {
-              const evalContext = { ...values, Math };
-              if (!validateFormula(parsed.expression)) {
-                console.warn(`Rejected unsafe formula for edge ${edge.from}->${edge.to}: "${parsed.expression}"`);
-              } else {
-                // NOTE: new Function() is intentional here — formulas are AI-generated math
-                // expressions that have been validated by validateFormula() above.
-                const evalFunc = new Function(...Object.keys(evalContext), `return ${parsed.expression}`);
-                const result = evalFunc(...Object.values(evalContext));
-
-                if (!isNaN(result) && isFinite(result)) {
-                  values[edge.to] = result;
-                  changed = true;
-                }
-              }
-            } else {
-              // No assignment found — treat the whole formula as an expression
-              const evalContext = { ...values, Math };
-              if (validateFormula(edge.formula)) {
-                const evalFunc = new Function(...Object.keys(evalContext), `return ${edge.formula}`);
-                const result = evalFunc(...Object.values(evalContext));
-                if (!isNaN(result) && isFinite(result)) {
-                  values[edge.to] = result;
-                  changed = true;
-                }
-              }
-            }
-          } catch (e) {
-            console.warn(`Formula evaluation failed for edge ${edge.from}->${edge.to}:`, e.message);
-          }
-        } else {
-          // Use strength-based propagation
-          const currentValue = values[edge.to] || 0;
-          const effect = edge.effect === 'positive' ? 1 : -1;
-          const strength = edge.strength || 0.5;
-
-          const delta = sourceValue * strength * 0.1 * effect;
-          values[edge.to] = currentValue + delta;
-          changed = true;
-        }
+  _emptyCollectors(run) {
+    return {
+      paths: run.horizon ? this._emptyPaths(run.horizon) : null,
+      metrics: run.outcomeDefs.length > 1 ? run.outcomeDefs.map(() => []) : null,
+      violations: run.constraints.length > 0 ? run.constraints.map(() => 0) : null,
+      events: run.events.length > 0 ? run.events.map(() => []) : null,
+      inputs: run.inputIndices.length > 0 ? run.inputIndices.map(() => []) : null
+    };
+  },
 
-        processed.add(edgeKey);
-      }
+  /**
+   * Assemble a scenario result from its primary outcomes and filled collectors
+   *
+   * @returns {Object} { outcomes, summary, trajectory?, metrics?, constraints?, events?, inputs? }
+   */
+  _scenarioResult(run, outcomes, collect) {
+    const result = { outcomes, summary: this.summarizeResults(outcomes) };
+    if (collect.paths) result.trajectory = this.summarizeTrajectory(collect.paths, run.horizon);
+    if (collect.metrics) result.metrics = this._summarizeMetrics(run, collect.metrics, outcomes);
+    if (collect.violations) result.constraints = this._summarizeConstraints(run, collect.violations, outcomes.length);
+    if (collect.events) result.events = this._summarizeEvents(run, collect.events, outcomes, collect.metrics);
+    if (collect.inputs) {
+      result.inputs = {};
+      run.inputIndices.forEach((j, k) => { result.inputs[run.baseVariables[j].id] = collect.inputs[k]; });
     }
+    return result;
+  },
 
-    // Calculate final outcome using the formula (validated against injection)
-    if (outcomeFormula) {
-      if (!validateFormula(outcomeFormula)) {
-        console.warn('Rejected unsafe outcome formula:', outcomeFormula);
-        return 0;
-      }
-      try {
-        const evalContext = { ...values, Math };
-        // NOTE: new Function() is intentional — validated math formula from AI
-        const evalFunc = new Function(...Object.keys(evalContext), `return ${outcomeFormula}`);
-        const outcome = evalFunc(...Object.values(evalContext));
-        return outcome;
-      } catch (e) {
-        console.warn(`Outcome formula evaluation failed:`, e.message);
-        return values[outcomeFormula] || 0;
+  /**
+   * How often each risk event occurred, and the primary outcome in the futures with and
+   * without it. impact is with − without on the direction-aware delta, so a negative impact
+   * means the event made things worse; metricImpacts holds the mean impact per outcome metric.
+   *
+   * @returns {Object} { [eventId]: { label, occurrences, probability, probabilityCI: { low, high },
+   *   meanFirings, withEvent, withoutEvent, impact: { mean, median } | null, metricImpacts? } } —
+   *   probabilities as shares (0-1), withEvent / withoutEvent from summarizeResults(); impact is null
+   *   when the event fired in every future or in none
+   */
+  _summarizeEvents(run, counts, outcomes, metrics) {
+    const n = outcomes.length;
+    const result = {};
+    run.events.forEach((event, e) => {
+      const hit = [];
+      const miss = [];
+      let firings = 0;
+      counts[e].forEach((count, i) => {
+        firings += count;
+        (count > 0 ? hit : miss).push(i);
+      });
+      const pick = (values, indices) => indices.map(i => values[i]);
+      const withEvent = this.summarizeResults(pick(outcomes, hit));
+      const withoutEvent = this.summarizeResults(pick(outcomes, miss));
+      const comparable = hit.length > 0 && miss.length > 0;
+
+      result[event.id] = {
+        label: event.label,
+        occurrences: hit.length,
+        probability: n > 0 ? hit.length / n : 0,
+        probabilityCI: this.wilsonInterval(hit.length, n),
+        meanFirings: n > 0 ? firings / n : 0,
+        withEvent,
+        withoutEvent,
+        impact: comparable
+          ? { mean: withEvent.mean - withoutEvent.mean, median: withEvent.median - withoutEvent.median }
+          : null
+      };
+      if (metrics && comparable) {
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+        result[event.id].metricImpacts = {};
+        run.outcomeDefs.forEach((outcome, k) => {
+          result[event.id].metricImpacts[outcome.id] = mean(pick(metrics[k], hit)) - mean(pick(metrics[k], miss));
+        });
       }
-    }
+    });
+    return result;
+  },
 
-    // No formula: return 0 (should not happen in normal usage)
-    return 0;
+  /**
+   * Violation probability per constraint, with a 95% Wilson interval. A constraint is
+   * satisfied when the estimated probability is within its maxViolationProbability.
+   *
+   * @returns {Object} { [constraintId]: { label, violations, probability, probabilityCI: { low, high },
+   *   maxViolationProbability, satisfied } } — probabilities as shares (0-1)
+   */
+  _summarizeConstraints(run, violations, n) {
+    const result = {};
+    run.constraints.forEach((constraint, c) => {
+      const probability = n > 0 ? violations[c] / n : 0;
+      result[constraint.id] = {
+        label: constraint.label,
+        violations: violations[c],
+        probability,
+        probabilityCI: this.wilsonInterval(violations[c], n),
+        maxViolationProbability: constraint.maxViolationProbability,
+        satisfied: probability <= constraint.maxViolationProbability
+      };
+    });
+    return result;
   },
 
   /**
-   * Run Monte Carlo simulation for a specific scenario
+   * Per-metric results keyed by outcome id; the primary metric shares the run's outcomes array
+   *
+   * @returns {Object} { [outcomeId]: { outcomes, summary } }
+   */
+  _summarizeMetrics(run, metrics, primaryOutcomes) {
+    const result = {};
+    run.outcomeDefs.forEach((outcome, k) => {
+      const outcomes = k === 0 ? primaryOutcomes : metrics[k];
+      result[outcome.id] = { outcomes, summary: this.summarizeResults(outcomes) };
+    });
+    return result;
+  },
+
+  /**
+   * Run Monte Carlo for ALL scenarios
+   *
+   * Every scenario runs on the same seed (scenarioRunOptions), so the results are paired
+   * future by future — see compareScenarios(). For the same reason the futures' inputs are the
+   * same in every scenario, so with recordInputs only the first scenario records them.
    *
    * @param {Object} prismaData - Complete PRISMA_DATA object
-   * @param {string} scenarioId - ID of the scenario to simulate
-   * @param {number} iterations - Number of simulation runs (default: 1000)
-   * @returns {Array<number>} Array of outcome values
+   * @param {number} iterations - Number of simulation runs per scenario (default: 1000)
+   * @param {Object} options - { seed?: number, data?: Array, sampling?: string, convergence?: Object,
+   *   recordInputs?: boolean } — with `convergence` each scenario runs adaptively (runCarloAdaptive) and
+   *   `iterations` is ignored. A shared options.rng is consumed scenario after scenario, so those results
+   *   are not paired.
+   * @returns {Object} Results for all scenarios: {scenarioId: {outcomes, summary, trajectory?, metrics?, constraints?, events?, inputs?, convergence?}}
    */
-  runCarlo(prismaData, scenarioId, iterations = 1000) {
-    // Find the scenario
-    const scenario = prismaData.scenarios.find(s => s.id === scenarioId);
-    if (!scenario) {
-      throw new Error(`Scenario not found: ${scenarioId}`);
-    }
+  runCarloAllScenarios(prismaData, iterations = 1000, options = {}) {
+    const results = {};
+    const scenarioOptions = this.scenarioRunOptions(options);
 
-    // Apply scenario changes to variables
-    const scenarioVariables = this.applyScenarioChanges(prismaData.variables, scenario);
-
-    // Defense-in-depth: check formula identifiers against variable keys
-    const rawOutcomeFormula = prismaData.outcome?.formula;
-    if (rawOutcomeFormula) {
-      const formulaTokens = (rawOutcomeFormula.match(/\b[a-zA-Z_]\w*\b/g) || []);
-      const safeTokens = new Set([
-        'Math', 'max', 'min', 'pow', 'sqrt', 'abs', 'ceil', 'floor', 'log', 'exp', 'round',
-        'PI', 'E', 'Infinity', 'NaN', 'true', 'false', 'scenario',
-        'return', 'var', 'let', 'const', 'if', 'else', 'new', 'typeof'
-      ]);
-      const varIds = new Set(prismaData.variables.map(v => v.id));
-      const unknownIds = [...new Set(formulaTokens.filter(t => !safeTokens.has(t) && !varIds.has(t)))];
-      if (unknownIds.length > 0) {
-        console.warn(`[Carlo] Formula references unknown identifiers: [${unknownIds.join(', ')}]. Known variable ids: [${[...varIds].join(', ')}]. Formula: "${rawOutcomeFormula}"`);
-      }
-    }
-    const variableIds = prismaData.variables.map(v => v.id);
-    const { formula: outcomeFormula, needsScenarioId } = sanitizeFormula(rawOutcomeFormula, variableIds);
-
-    // Validate the formula upfront (log once, not per iteration)
-    const formulaIsValid = outcomeFormula && validateFormula(outcomeFormula);
-    if (outcomeFormula && !formulaIsValid) {
-      console.warn(`[Carlo] Outcome formula REJECTED by validateFormula for scenario "${scenarioId}":`, outcomeFormula);
-    }
-
-    // Calculate baseline profit using formula with default variable values
-    let baselineProfitValue = 0;
-    if (formulaIsValid) {
-      try {
-        const baseValues = {};
-        for (const v of prismaData.variables) {
-          baseValues[v.id] = v.value;
-        }
-        // If formula needs scenario ID, inject it for baseline (use 'nothing' or first scenario)
-        if (needsScenarioId) {
-          baseValues.scenario = 'nothing';
-        }
-        const varNames = Object.keys(baseValues);
-        const varVals = Object.values(baseValues);
-        // NOTE: new Function() is intentional — validated math formula from AI
-        const baseFunc = new Function(...varNames, 'return ' + outcomeFormula);
-        baselineProfitValue = baseFunc(...varVals);
-        if (isNaN(baselineProfitValue) || !isFinite(baselineProfitValue)) baselineProfitValue = 0;
-      } catch (e) {
-        console.warn(`[Carlo] Baseline formula evaluation failed:`, e.message);
-        baselineProfitValue = 0;
-      }
-    }
+    prismaData.scenarios.forEach((scenario, i) => {
+      const runOptions = i === 0 ? scenarioOptions : { ...scenarioOptions, recordInputs: false };
+      results[scenario.id] = options.convergence
+        ? this.runCarloAdaptive(prismaData, scenario.id, options.convergence, runOptions)
+        : this.runScenario(prismaData, scenario.id, iterations, runOptions);
+    });
 
-    const outcomes = [];
-    let formulaErrorLogged = false;
+    return results;
+  },
 
-    // Run iterations
-    for (let i = 0; i < iterations; i++) {
-      // Sample each variable
-      const variableValues = {};
-      for (const variable of scenarioVariables) {
-        variableValues[variable.id] = this.sampleFromDistribution(variable);
-      }
-
-      // Apply causal graph edges to propagate effects
-      // We need to process edges in order, respecting dependencies
-      const values = { ...variableValues };
-
-      // Process edges: walk through causal graph
-      for (const edge of (prismaData.edges || [])) {
-        const sourceValue = values[edge.from];
-        if (sourceValue === undefined) continue;
-
-        if (edge.formula) {
-          // Use explicit formula (validated against injection)
-          try {
-            const parsed = this.parseEdgeFormula(edge.formula);
-            if (parsed) {
-              const evalContext = { ...values, Math };
-              if (validateFormula(parsed.expression)) {
-                const varNames = Object.keys(evalContext);
-                const varValues = Object.values(evalContext);
-                // NOTE: new Function() is intentional — validated math formula from AI
-                const evalFunc = new Function(...varNames, `return ${parsed.expression}`);
-                const result = evalFunc(...varValues);
-
-                if (!isNaN(result) && isFinite(result)) {
-                  values[parsed.target] = result;
-                }
-              }
-            }
-          } catch (e) {
-            // Silent fail for formula errors in Monte Carlo (don't spam console)
-          }
-        } else {
-          // Use strength-based propagation for edges without formulas
-          const effect = edge.effect === 'positive' ? 1 : -1;
-          const strength = edge.strength || 0.5;
-          const delta = sourceValue * strength * 0.1 * effect;
+  /**
+   * Run options shared by every scenario of a run (common random numbers): one seed derived
+   * from the run seed, or a fresh one when there is none. Adding or reordering scenarios
+   * doesn't shift the others. The scenarios also share one empiricalPools cache. SimPool calls
+   * this once per run too.
+   *
+   * @param {Object} options - { seed?, rng?, data?, sampling?, empiricalPools? }
+   * @returns {Object} Options for runScenario() / runCarloAdaptive()
+   */
+  scenarioRunOptions(options = {}) {
+    const empiricalPools = options.empiricalPools || new Map();
+    if (typeof options.rng === 'function') return { ...options, empiricalPools };
+    const seed = Number.isFinite(options.seed) ? Prng.deriveSeed(options.seed, 'scenarios') : Prng.randomSeed();
+    return { ...options, seed, empiricalPools };
+  },
 
-          if (values[edge.to] !== undefined) {
-            values[edge.to] += delta;
-          }
+  /**
+   * Compare every pair of scenarios future by future. Results must come from one run
+   * (runCarloAllScenarios or SimPool.run), where iteration i of each scenario shares its draws;
+   * adaptive runs that stopped at different lengths are compared over their common prefix.
+   *
+   * For a pair (a, b) the difference is a − b per future, on the primary metric (already
+   * direction-aware, so positive always means a did better). Against the do-nothing scenario
+   * this is the option's effect measured on the status quo's own distribution rather than on
+   * its point-value baseline.
+   *
+   * @param {Object} carloResults - From runCarloAllScenarios(); pairs follow its key order
+   * @param {Object} [options] - { seed?, resamples?, confidence? } — seed makes the bootstrap
+   *   reproducible; defaults: COMPARISON
+   * @returns {Array<Object>} [{ a, b, iterations, probability, probabilityCI: { low, high }, tieShare,
+   *   difference, medianCI: { low, high }, confidence }] — probability is P(a > b) as a share (0-1)
+   *   with a 95% Wilson interval, difference the summarizeResults() of a − b, medianCI the
+   *   bootstrap percentile interval on its median
+   */
+  compareScenarios(carloResults, options = {}) {
+    const config = { ...this.COMPARISON, ...options };
+    const ids = Object.keys(carloResults || {}).filter(id => carloResults[id] && Array.isArray(carloResults[id].outcomes));
+    const comparisons = [];
+
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = carloResults[ids[i]].outcomes;
+        const b = carloResults[ids[j]].outcomes;
+        const n = Math.min(a.length, b.length);
+        if (n === 0) continue;
+
+        const differences = new Array(n);
+        let wins = 0;
+        let ties = 0;
+        for (let k = 0; k < n; k++) {
+          differences[k] = a[k] - b[k];
+          if (differences[k] > 0) wins++;
+          else if (differences[k] === 0) ties++;
         }
-      }
 
-      // Calculate outcome using the outcome formula on RAW sampled values
-      // (not edge-modified values, to avoid double-counting causal effects)
-      let outcomeValue = 0;
-      if (formulaIsValid) {
-        try {
-          const evalVars = { ...variableValues };
-          // Inject scenario ID if formula references it
-          if (needsScenarioId) {
-            evalVars.scenario = scenarioId;
-          }
-          const varNames = Object.keys(evalVars);
-          const varValues = Object.values(evalVars);
-          // NOTE: new Function() is intentional — validated math formula from AI
-          const evalFunc = new Function(...varNames, 'return ' + outcomeFormula);
-          outcomeValue = evalFunc(...varValues);
-          if (isNaN(outcomeValue) || !isFinite(outcomeValue)) outcomeValue = 0;
-        } catch (e) {
-          if (!formulaErrorLogged) {
-            console.warn(`[Carlo] Outcome formula eval error (scenario="${scenarioId}"):`, e.message, '| Formula:', outcomeFormula);
-            formulaErrorLogged = true;
-          }
-          outcomeValue = 0;
-        }
-      } else {
-        outcomeValue = values['monthly_profit'] || 0;
+        const rng = Number.isFinite(config.seed)
+          ? Prng.create(Prng.deriveSeed(config.seed, 'bootstrap:' + ids[i] + ':' + ids[j]))
+          : Math.random;
+        const sorted = [...differences].sort((x, y) => x - y);
+
+        comparisons.push({
+          a: ids[i],
+          b: ids[j],
+          iterations: n,
+          probability: wins / n,
+          probabilityCI: this.wilsonInterval(wins, n),
+          tieShare: ties / n,
+          difference: this.summarizeResults(differences),
+          medianCI: this._bootstrapMedianInterval(sorted, config.resamples, config.confidence, rng),
+          confidence: config.confidence
+        });
       }
-
-      // Delta from baseline (direction-aware)
-      const rawDelta = outcomeValue - baselineProfitValue;
-      const isLowerBetter = prismaData.outcome && prismaData.outcome.direction === 'lower_is_better';
-      const outcome = isLowerBetter ? -rawDelta : rawDelta;
-      outcomes.push(outcome);
     }
 
-    return outcomes;
+    return comparisons;
   },
 
   /**
-   * Run Monte Carlo for ALL scenarios
+   * Percentile bootstrap interval for the median (the same order statistic summarizeResults
+   * reports). A resample's median is the sorted value at the median of its drawn indices,
+   * so each resample is a counting pass instead of a sort.
    *
-   * @param {Object} prismaData - Complete PRISMA_DATA object
-   * @param {number} iterations - Number of simulation runs per scenario (default: 1000)
-   * @returns {Object} Results for all scenarios: {scenarioId: {outcomes, summary}}
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {number} resamples - Number of bootstrap resamples
+   * @param {number} confidence - e.g. 0.95
+   * @param {Function} rng - Uniform [0, 1) generator
+   * @returns {Object} { low, high }
    */
-  runCarloAllScenarios(prismaData, iterations = 1000) {
-    const results = {};
-
-    for (const scenario of prismaData.scenarios) {
-      const outcomes = this.runCarlo(prismaData, scenario.id, iterations);
-      results[scenario.id] = {
-        outcomes,
-        summary: this.summarizeResults(outcomes)
-      };
+  _bootstrapMedianInterval(sorted, resamples, confidence, rng) {
+    const n = sorted.length;
+    const k = Math.min(Math.floor(0.5 * n), n - 1);
+    const counts = new Uint32Array(n);
+    const medians = new Float64Array(resamples);
+
+    for (let r = 0; r < resamples; r++) {
+      counts.fill(0);
+      for (let i = 0; i < n; i++) counts[Math.floor(rng() * n)]++;
+      let seen = 0;
+      let index = 0;
+      while (seen + counts[index] <= k) seen += counts[index++];
+      medians[r] = sorted[index];
     }
 
-    return results;
+    medians.sort();
+    const alpha = (1 - confidence) / 2;
+    return {
+      low: medians[Math.min(resamples - 1, Math.floor(alpha * resamples))],
+      high: medians[Math.max(0, Math.ceil((1 - alpha) * resamples) - 1)]
+    };
   },
 
   /**
    * Calculate summary statistics from outcome array
    *
+   * Includes Monte Carlo standard errors (how far each estimate could move with a different
+   * set of random draws) and a 95% Wilson interval for percentPositive.
+   *
    * @param {Array<number>} outcomes - Array of outcome values
    * @returns {Object} Summary statistics
    */
@@ -509,7 +2600,10 @@ const Carlo = {
         max: 0,
         std: 0,
         percentPositive: 0,
-        percentNegative: 0
+        percentNegative: 0,
+        iterations: 0,
+        standardErrors: { mean: 0, median: 0, p10: 0, p90: 0, percentPositive: 0 },
+        percentPositiveCI: { low: 0, high: 100 }
       };
     }
 
@@ -534,6 +2628,9 @@ const Carlo = {
     const positiveCount = outcomes.filter(x => x > 0).length;
     const negativeCount = outcomes.filter(x => x < 0).length;
 
+    const sharePositive = positiveCount / n;
+    const wilson = this.wilsonInterval(positiveCount, n);
+
     return {
       median: percentile(0.5),
       mean,
@@ -544,11 +2641,112 @@ const Carlo = {
       min: sorted[0],
       max: sorted[n - 1],
       std,
-      percentPositive: (positiveCount / n) * 100,
-      percentNegative: (negativeCount / n) * 100
+      percentPositive: sharePositive * 100,
+      percentNegative: (negativeCount / n) * 100,
+      iterations: n,
+      standardErrors: {
+        mean: std / Math.sqrt(n),
+        median: this._quantileStandardError(sorted, 0.5),
+        p10: this._quantileStandardError(sorted, 0.1),
+        p90: this._quantileStandardError(sorted, 0.9),
+        percentPositive: Math.sqrt(sharePositive * (1 - sharePositive) / n) * 100
+      },
+      percentPositiveCI: { low: wilson.low * 100, high: wilson.high * 100 }
+    };
+  },
+
+  /**
+   * Fan chart data for a multi-period run: P10 / median / P90 (and mean) of the per-period
+   * delta and of the running total (discounted when the horizon aggregates to NPV)
+   *
+   * @param {Object} paths - { perPeriod, cumulative }: one array of deltas per period (_emptyPaths)
+   * @param {Object} horizon - From resolveHorizon()
+   * @returns {Object} { periods, periodLabel, discountRate, aggregate, perPeriod: [...], cumulative: [...] }
+   */
+  summarizeTrajectory(paths, horizon) {
+    const band = (column) => {
+      const n = column.length;
+      if (n === 0) return { p10: 0, median: 0, p90: 0, mean: 0 };
+      const sorted = [...column].sort((a, b) => a - b);
+      const percentile = (p) => sorted[Math.min(Math.floor(p * n), n - 1)];
+      return {
+        p10: percentile(0.1),
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        mean: column.reduce((sum, val) => sum + val, 0) / n
+      };
+    };
+    return {
+      periods: horizon.periods,
+      periodLabel: horizon.periodLabel,
+      discountRate: horizon.discountRate,
+      aggregate: horizon.aggregate,
+      perPeriod: paths.perPeriod.map(band),
+      cumulative: paths.cumulative.map(band)
+    };
+  },
+
+  _emptyPaths(horizon) {
+    return {
+      perPeriod: Array.from({ length: horizon.periods }, () => []),
+      cumulative: Array.from({ length: horizon.periods }, () => [])
     };
+  },
+
+  /**
+   * Wilson score interval for a proportion — stays inside [0, 1] and is honest
+   * near 0% / 100%, where the normal approximation collapses to zero width
+   *
+   * @param {number} successes - Count of "yes" draws
+   * @param {number} n - Total draws
+   * @param {number} z - Normal quantile (default 1.96 → 95%)
+   * @returns {Object} { low, high } as proportions
+   */
+  wilsonInterval(successes, n, z = 1.96) {
+    if (!n) return { low: 0, high: 1 };
+    const p = successes / n;
+    const z2 = z * z;
+    const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const half = (z / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+    return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+  },
+
+  /**
+   * Whether a summary's estimates are precise enough: the 95% Monte Carlo error of the
+   * median, P10 and P90 is within tolerance × (P90 − P10), and that of percentPositive
+   * within tolerance × 100 percentage points
+   *
+   * @param {Object} summary - From summarizeResults()
+   * @param {number} tolerance - e.g. 0.02
+   * @returns {boolean}
+   */
+  hasConverged(summary, tolerance) {
+    const se = summary.standardErrors;
+    if (!se) return false;
+    const spread = summary.p90 - summary.p10;
+    const quantilesSettled = ['median', 'p10', 'p90'].every(key => 1.96 * se[key] <= tolerance * spread);
+    return quantilesSettled && 1.96 * se.percentPositive <= tolerance * 100;
+  },
+
+  /**
+   * Standard error of a sample quantile without assuming a distribution: half the width
+   * of the order statistics one binomial standard deviation either side of it
+   *
+   * @param {Array<number>} sorted - Outcomes sorted ascending
+   * @param {number} p - Quantile in (0, 1)
+   * @returns {number}
+   */
+  _quantileStandardError(sorted, p) {
+    const n = sorted.length;
+    const k = Math.sqrt(n * p * (1 - p));
+    const lo = sorted[Math.max(0, Math.floor(n * p - k))];
+    const hi = sorted[Math.min(n - 1, Math.ceil(n * p + k))];
+    return (hi - lo) / 2;
   }
 };
 
-// For inline HTML usage (no module export needed)
-// The Carlo object is now available globally
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.Carlo = Carlo;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Carlo;
+}
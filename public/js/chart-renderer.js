@@ -536,7 +536,7 @@ const ChartRenderer = {
    * Returns validated spec or null if invalid.
    */
   validateChartSpec(spec, columnNames) {
-    const validTypes = ['bar', 'line', 'pie', 'scatter'];
+    const validTypes = ['bar', 'line', 'pie', 'scatter', 'distribution'];
     if (!validTypes.includes(spec.type)) {
       console.warn('[ChartRenderer] Invalid chart type:', spec.type, '— skipping');
       return null;
@@ -548,8 +548,8 @@ const ChartRenderer = {
       return null;
     }
 
-    // Check y column exists (allow '*' for count)
-    if (spec.y !== '*' && !columnNames.includes(spec.y)) {
+    // Check y column exists (allow '*' for count; distribution charts only use x)
+    if (spec.type !== 'distribution' && spec.y !== '*' && !columnNames.includes(spec.y)) {
       console.warn('[ChartRenderer] Unknown y column:', spec.y, '— available:', columnNames.join(', '));
       return null;
     }
@@ -562,6 +562,11 @@ const ChartRenderer = {
    */
   renderChart(spec, csvData, container) {
     try {
+      if (spec.type === 'distribution') {
+        this.renderDistributionChart(spec, csvData, container);
+        return;
+      }
+
       const { labels, values, groups } = this.aggregate(
         csvData, spec.x, spec.y, spec.aggregation, spec.groupBy
       );
@@ -626,6 +631,81 @@ const ChartRenderer = {
     }
   },
 
+  /**
+   * Histogram of a numeric column with its fitted distributions overlaid (DistFit):
+   * the best fit solid, the next two dotted. Curves are scaled to counts so they share
+   * the histogram's y-axis.
+   */
+  renderDistributionChart(spec, csvData, container) {
+    const values = csvData.map(row => row[spec.x]).filter(v => Carlo._isNumeric(v)).map(Number);
+    if (values.length === 0) throw new Error('No numeric values in column ' + spec.x);
+
+    const n = values.length;
+    const min = values.reduce((m, v) => Math.min(m, v), Infinity);
+    const max = values.reduce((m, v) => Math.max(m, v), -Infinity);
+    const fit = typeof DistFit !== 'undefined' ? DistFit.fitColumn(values) : null;
+
+    // Whole-number columns with a short range get one bar per value
+    const integers = values.every(Number.isInteger) && max - min <= 60;
+    const binCount = integers ? max - min + 1 : Math.min(40, Math.max(5, Math.round(Math.sqrt(n))));
+    const width = integers ? 1 : (max - min) / binCount || 1;
+    const start = integers ? min - 0.5 : min;
+    const counts = new Array(binCount).fill(0);
+    for (const v of values) {
+      counts[Math.min(binCount - 1, Math.floor((v - start) / width))]++;
+    }
+
+    const traces = [{
+      x: counts.map((_, i) => start + (i + 0.5) * width),
+      y: counts,
+      width: width * 0.95,
+      type: 'bar',
+      name: spec.x,
+      marker: { color: spec.color || PRISMA_COLORS.primary, opacity: 0.35 },
+      hovertemplate: '%{x}: %{y} rows<extra></extra>'
+    }];
+
+    (fit ? fit.candidates.slice(0, 3) : []).forEach((candidate, i) => {
+      const name = candidate.label + ' \u00b7 KS ' + candidate.ks.toFixed(3) +
+        (i === 0 ? ' (best)' : ' \u00b7 \u0394AIC ' + candidate.deltaAic.toFixed(1));
+      const color = PRISMA_COLORS.series[(i + 1) % PRISMA_COLORS.series.length];
+
+      const discrete = DistFit.isDiscrete(candidate.family);
+      if (discrete && integers) {
+        const ks = [];
+        for (let k = Math.ceil(min); k <= max; k++) ks.push(k);
+        traces.push({
+          x: ks, y: ks.map(k => n * DistFit.density(candidate, k)),
+          type: 'scatter', mode: 'markers', name,
+          marker: { color, size: 7, symbol: i === 0 ? 'circle' : 'circle-open' },
+          hovertemplate: '%{x}: %{y:.1f} expected<extra>' + candidate.label + '</extra>'
+        });
+        return;
+      }
+
+      const xs = [];
+      for (let j = 0; j <= 120; j++) xs.push(min + (max - min) * j / 120);
+      traces.push({
+        x: xs, y: xs.map(x => n * width * DistFit.density(candidate, discrete ? Math.round(x) : x)),
+        type: 'scatter', mode: 'lines', name,
+        line: { color, width: 2, dash: i === 0 ? 'solid' : 'dot' },
+        hoverinfo: 'skip'
+      });
+    });
+
+    const layout = {
+      ...PRISMA_CHART_LAYOUT,
+      showlegend: traces.length > 1,
+      legend: { font: { size: 10 }, orientation: 'h', y: -0.2 },
+      bargap: 0
+    };
+
+    Plotly.newPlot(container, traces, layout, {
+      responsive: true,
+      displayModeBar: false
+    });
+  },
+
   /**
    * Build a Plotly trace object from chart type and data
    */
@@ -6,6 +6,7 @@
  * - Weekday patterns (if date column exists)
  * - Trends (comparing first half vs second half)
  * - Breakpoints (where rolling mean shifts significantly)
+ * - Best-fit distributions per numeric column (DistFit, when loaded)
  *
  * Used when user uploads CSV files to enhance Prisma's Tier 2 analysis
  */
@@ -84,6 +85,11 @@ const CSVAnalyzer = {
       analysis.breakpoints = detectBreakpoints(data, numericColumns, dateCol);
     }
 
+    // Fit distributions (ranked by AIC) so variables can use the real shape
+    if (typeof DistFit !== 'undefined') {
+      analysis.fits = DistFit.fitColumns(data, numericColumns);
+    }
+
     return analysis;
   },
 
@@ -150,6 +156,19 @@ const CSVAnalyzer = {
       text += `\n`;
     }
 
+    // Best-fit distributions
+    if (analysis.fits && Object.keys(analysis.fits).length > 0) {
+      text += `Best-fit distributions (ranked by AIC; KS = largest gap between the data and the fitted CDF):\n`;
+      for (const [col, fit] of Object.entries(analysis.fits)) {
+        const best = fit.best;
+        const runnerUp = fit.candidates[1];
+        text += `• ${col}: ${best.family} (${DistFit.describeParams(best)}; KS ${best.ks.toFixed(3)})`;
+        if (runnerUp) text += `, next ${runnerUp.family} (ΔAIC ${runnerUp.deltaAic.toFixed(1)})`;
+        text += `\n`;
+      }
+      text += `\n`;
+    }
+
     return text;
   },
 
@@ -12,6 +12,7 @@ const Dashboard = {
   carloResults: null,   // Cached Carlo results
   nassimResults: null,  // Cached Nassim results
   markovResults: null,  // Cached Markov results
+  markovAnalysis: null, // {scenarioId: {entityId: Markov.analyzeChain result | {counts} | {final, switched}, plus endStates? (joint)}} from the last Markov run
   sensitivityResults: null, // Cached sensitivity results
   fullSensitivityResults: null, // Full sensitivity (all non-fixed vars)
   isDemoMode: false,
@@ -20,6 +21,16 @@ const Dashboard = {
   _layer2Open: false,
   _layer3Open: false,
   _iterationCount: 1000, // Default simulation iteration count
+  _convergence: null,    // { tolerance } when "Auto" is selected — scenarios run until their estimates settle
+  _sampling: 'random',   // Carlo.SAMPLING_METHODS entry picked in the engine room
+  _samplingLabels: { random: 'random sampling', lhs: 'Latin hypercube', sobol: 'Sobol sequence', halton: 'Halton sequence' },
+  _currentSeed: null,    // Seed of the latest simulation (slider reruns replay it)
+  _comparisons: null,    // { results, comparisons } — head-to-heads for the carloResults they were computed from
+  _valueOfInformationCache: null, // { results, report } — EVPI / EVPPI for the carloResults it was computed from
+  _lastSimulationError: null, // Engine error message from the latest run (shown on failed cards)
+  _activeRun: null,      // SimPool run still in flight (cancelled when a new run starts)
+  _pendingSimCard: null, // Promise for the card of the simulation still running (data mode)
+  _precisionRun: null,   // SimPool run for the full-count slider rerun (cancelled by the next drag)
   _baselineValues: null, // Session baseline (never changes)
   _activeBaseline: null, // Active baseline (updates on AI tool calls)
   _promotedSliders: new Set(), // AI-promoted slider variable IDs
@@ -53,6 +64,7 @@ const Dashboard = {
   simulationHistory: [],          // Array of simulation snapshots
   _simCounter: 0,                 // Auto-increment ID
   _maxSimulations: 10,            // Memory cap — evict oldest beyond this
+  _simulationInputKeys: ['variables', 'edges', 'feedbackLoops', 'correlations', 'scenarios', 'outcome', 'outcomes', 'constraints', 'events', 'horizon', 'optimization', 'markov'], // Snapshotted per card for re-runs
 
   // --- Analysis History (stacking cards for follow-up questions) ---
   analysisHistory: [],            // Array of analysis snapshots
@@ -79,6 +91,24 @@ Dashboard.init = function() {
   const simHistory = document.getElementById('simulation-history');
   if (simHistory) {
     simHistory.addEventListener('click', (e) => {
+      const cancelBtn = e.target.closest('.sim-cancel-btn');
+      if (cancelBtn) {
+        Dashboard.cancelSimulation();
+        cancelBtn.closest('.sim-card')?.remove();
+        return;
+      }
+      const rerunBtn = e.target.closest('.sim-rerun-btn');
+      if (rerunBtn) {
+        const rerunCard = rerunBtn.closest('.sim-card');
+        if (rerunCard) Dashboard.rerunSimCard(parseInt(rerunCard.dataset.simId, 10));
+        return;
+      }
+      const optimizeBtn = e.target.closest('.sim-optimize-btn');
+      if (optimizeBtn) {
+        const optimizeCard = optimizeBtn.closest('.sim-card');
+        if (optimizeCard) Dashboard.optimizeSimCard(parseInt(optimizeCard.dataset.simId, 10));
+        return;
+      }
       const btn = e.target.closest('.sim-full-analysis-btn');
       if (!btn) return;
       const card = btn.closest('.sim-card');
@@ -155,19 +185,46 @@ Dashboard.setupDisclosure = function() {
     simToggle.addEventListener('click', (e) => {
       const btn = e.target.closest('.sim-count-btn');
       if (!btn) return;
+      const isAuto = btn.dataset.count === 'auto';
       const count = parseInt(btn.dataset.count, 10);
-      if (!count) return;
+      if (!count && !isAuto) return;
 
       // Update active state
       simToggle.querySelectorAll('.sim-count-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
 
-      Dashboard._iterationCount = count;
+      const toleranceSelect = document.getElementById('sim-tolerance-select');
+      document.getElementById('sim-count-tolerance')?.classList.toggle('hidden', !isAuto);
+      if (isAuto) {
+        Dashboard._convergence = { tolerance: parseFloat(toleranceSelect?.value) || Carlo.CONVERGENCE.tolerance };
+      } else {
+        Dashboard._convergence = null;
+        Dashboard._iterationCount = count;
+      }
       // Re-run simulation at new count
       Dashboard.runSimulation();
     });
   }
 
+  // Auto count: convergence tolerance
+  const toleranceSelect = document.getElementById('sim-tolerance-select');
+  if (toleranceSelect) {
+    toleranceSelect.addEventListener('change', () => {
+      if (!Dashboard._convergence) return;
+      Dashboard._convergence = { tolerance: parseFloat(toleranceSelect.value) || Carlo.CONVERGENCE.tolerance };
+      Dashboard.runSimulation();
+    });
+  }
+
+  // Sampling strategy (random, Latin hypercube, Sobol, Halton)
+  const samplingSelect = document.getElementById('sim-sampling-select');
+  if (samplingSelect) {
+    samplingSelect.addEventListener('change', () => {
+      Dashboard._sampling = Carlo.SAMPLING_METHODS.includes(samplingSelect.value) ? samplingSelect.value : 'random';
+      Dashboard.runSimulation();
+    });
+  }
+
   // "More variables" toggle
   const moreBtn = document.getElementById('more-vars-btn');
   if (moreBtn) {
@@ -277,18 +334,82 @@ Dashboard.handleToolCall = function(toolCall) {
     Dashboard.prismaState.variables = null;
     Dashboard.prismaState.scenarios = null;
     Dashboard.prismaState.outcome = null;
+    Dashboard.prismaState.outcomes = null;
+    Dashboard.prismaState.constraints = null;
+    Dashboard.prismaState.events = null;
     Dashboard.prismaState.edges = [];
+    Dashboard.prismaState.correlations = null;
+    Dashboard.prismaState.horizon = null;
+    Dashboard.prismaState.optimization = null;
     Dashboard.prismaState.recommendation = null;
   }
 
   if (prismaData) {
+    const schema = Engine.checkSchemaVersion(prismaData);
+    if (!schema.valid) console.warn('[Dashboard] ' + schema.errors.join('; '));
     Dashboard.mergePrismaData(prismaData);
   }
 
+  // The server's formula check, run on what actually arrived (demo and test data skip the server)
+  if (phase === 'simulation' && !toolCall.input._formulaWarning) {
+    const check = Carlo.validateFormulaAgainstVariables(Dashboard.prismaState);
+    if (!check.valid) {
+      console.warn('[Dashboard] Formula check failed (' + check.reason + ') — showing banner');
+      Dashboard._showFormulaWarning();
+    }
+  }
+
   Dashboard.currentPhase = phase;
   Dashboard.activateForPhase(phase);
 };
 
+/**
+ * Fill value/min/max of an empirical variable from the uploaded rows, so sliders,
+ * sensitivity probes and the baseline use the real observed range.
+ */
+Dashboard._calibrateEmpirical = function(variable) {
+  try {
+    const pool = Carlo.buildEmpiricalPool(variable, Dashboard._csvData);
+    const stats = Carlo.describeEmpiricalPool(pool);
+    variable.value = stats.value;
+    variable.min = stats.min;
+    variable.max = stats.max;
+    console.log(`[Empirical] ${variable.id}: ${stats.count} observations from "${variable.sourceColumn}"`);
+  } catch (e) {
+    // Carlo throws the same error at run time; the failed sim card shows it
+    console.warn('[Empirical]', e.message);
+  }
+};
+
+/**
+ * Swap a variable with `fit` for the distribution fitted to its column (DistFit), so it
+ * simulates the data's shape — distribution, value, min, max and params all come from the fit.
+ */
+Dashboard._calibrateFit = function(variable) {
+  try {
+    Object.assign(variable, DistFit.resolveVariable(variable, Dashboard._csvData));
+    const f = variable.fitted;
+    console.log(`[Fit] ${variable.id}: ${f.label} from ${f.count} observations of "${variable.sourceColumn}" (KS ${f.ks.toFixed(3)})`);
+  } catch (e) {
+    // Leave the variable as Claude described it; its own distribution still runs
+    console.warn('[Fit]', e.message);
+  }
+};
+
+/**
+ * Replace a Markov entity's transitions with the ones counted in the uploaded rows
+ * (Markov.resolveEntity) when it carries an `estimate` block.
+ */
+Dashboard._calibrateMarkov = function(entity) {
+  try {
+    Object.assign(entity, Markov.resolveEntity(entity, Dashboard._csvData));
+    console.log(`[Markov] ${entity.id}: ${entity.estimated.observations} observed transitions, now ${entity.initialState}`);
+  } catch (e) {
+    // Keep the authored transitions; without any the Markov run reports the error
+    console.warn('[Markov]', e.message);
+  }
+};
+
 /**
  * Deep merge partial prismaData updates into accumulated state
  */
@@ -310,6 +431,15 @@ Dashboard.mergePrismaData = function(incoming) {
       if (idx >= 0) { state.variables[idx] = { ...state.variables[idx], ...v }; }
       else { state.variables.push(v); }
 
+      // Parametric distributions (lognormal mu, poisson lambda, ...) define the central value
+      const merged = state.variables[idx >= 0 ? idx : state.variables.length - 1];
+      merged.value = Carlo.getCentralValue(merged);
+      if (merged.fit && merged.sourceColumn) {
+        Dashboard._calibrateFit(merged);
+      } else if (merged.distribution === 'empirical' && merged.sourceColumn) {
+        Dashboard._calibrateEmpirical(merged);
+      }
+
       // Chat-driven slider promotion: AI sets frontPageSlider: true
       if (v.frontPageSlider) {
         Dashboard._promotedSliders.add(v.id);
@@ -335,6 +465,19 @@ Dashboard.mergePrismaData = function(incoming) {
   }
 
   if (incoming.feedbackLoops) { state.feedbackLoops = incoming.feedbackLoops; }
+  if (incoming.correlations) { state.correlations = incoming.correlations; }
+  if (incoming.horizon) { state.horizon = incoming.horizon; }
+  if (incoming.constraints) { state.constraints = incoming.constraints; }
+  if (incoming.events) { state.events = incoming.events; }
+  if (incoming.optimization) { state.optimization = incoming.optimization; }
+  if (incoming.markov) {
+    state.markov = incoming.markov;
+    if (Dashboard._csvData && typeof Markov !== 'undefined') {
+      for (const entity of state.markov.entities || []) {
+        if (entity.estimate) Dashboard._calibrateMarkov(entity);
+      }
+    }
+  }
   if (incoming.scenarios) {
     if (!state.scenarios) state.scenarios = [];
     for (const s of incoming.scenarios) {
@@ -344,6 +487,11 @@ Dashboard.mergePrismaData = function(incoming) {
     }
   }
   if (incoming.outcome) { state.outcome = incoming.outcome; }
+  if (Array.isArray(incoming.outcomes) && incoming.outcomes.length > 0) {
+    // The first metric is the primary outcome the verdict, histogram and sliders describe
+    state.outcomes = incoming.outcomes;
+    state.outcome = incoming.outcomes[0];
+  }
   if (incoming.recommendation) { state.recommendation = incoming.recommendation; }
   if (incoming.discoveries) {
     if (!state.discoveries) state.discoveries = [];
@@ -374,42 +522,24 @@ Dashboard.activateForPhase = function(phase) {
     }
 
     if (phase === 'simulation') {
-      const state = Dashboard.prismaState;
-      const prevCount = Dashboard._simCounter;
-      const hasMissing = !state.variables || !state.scenarios || !state.outcome;
-
-      Dashboard.runSimulation();
-
-      if (Dashboard._simCounter > prevCount) {
-        Dashboard._createSimCard();
-      } else {
-        // Diagnose the failure and show a failed card with retry
-        const diagnostic = hasMissing
-          ? 'Missing simulation data — variables, scenarios, or outcome formula not provided'
-          : (Dashboard.carloResults && Dashboard._checkAllZeroOutcomes(Dashboard.carloResults))
-            ? 'Formula produced no variation — variable names may not match the data'
-            : 'Simulation engine encountered an error';
-
-        Dashboard._createFailedSimCard(
-          Dashboard._lastSimulationPrompt || 'Simulation',
-          diagnostic
-        );
-      }
+      Dashboard._runSimulationWithCard();
       return;
     }
 
     if (phase === 'verdict') {
-      // Populate recommendation in latest sim card
-      const latest = Dashboard.simulationHistory[Dashboard.simulationHistory.length - 1];
-      if (latest && Dashboard.prismaState.recommendation) {
-        latest.recommendation = Dashboard.prismaState.recommendation;
-        const doEl = document.getElementById('sim-' + latest.id + '-rec-do');
-        const watchEl = document.getElementById('sim-' + latest.id + '-rec-watch');
-        const pivotEl = document.getElementById('sim-' + latest.id + '-rec-pivot');
-        if (doEl) doEl.textContent = Dashboard.prismaState.recommendation.action || '';
-        if (watchEl) watchEl.textContent = Dashboard.prismaState.recommendation.watch || '';
-        if (pivotEl) pivotEl.textContent = Dashboard.prismaState.recommendation.trigger || '';
-      }
+      // Populate recommendation in latest sim card (once a simulation still in the pool has its card)
+      Promise.resolve(Dashboard._pendingSimCard).then(() => {
+        const latest = Dashboard.simulationHistory[Dashboard.simulationHistory.length - 1];
+        if (latest && Dashboard.prismaState.recommendation) {
+          latest.recommendation = Dashboard.prismaState.recommendation;
+          const doEl = document.getElementById('sim-' + latest.id + '-rec-do');
+          const watchEl = document.getElementById('sim-' + latest.id + '-rec-watch');
+          const pivotEl = document.getElementById('sim-' + latest.id + '-rec-pivot');
+          if (doEl) doEl.textContent = Dashboard.prismaState.recommendation.action || '';
+          if (watchEl) watchEl.textContent = Dashboard.prismaState.recommendation.watch || '';
+          if (pivotEl) pivotEl.textContent = Dashboard.prismaState.recommendation.trigger || '';
+        }
+      });
       return;
     }
   }
@@ -459,21 +589,10 @@ Dashboard.renderLayer1 = function() {
 
   if (!Dashboard.nassimResults || !Dashboard.carloResults) return;
 
-  // Find best scenario (non-"nothing" with highest decision score)
+  // Find best scenario (non-"nothing" with highest decision score, within every constraint)
   const scenarios = state.scenarios || [];
-  let bestScenarioId = null;
-  let bestScore = -1;
-  for (const s of scenarios) {
-    if (s.id === 'nothing' || s.id === 'do_nothing') continue;
-    const c = Dashboard.nassimResults[s.id];
-    if (c) {
-      const score = Nassim.computeDecisionScore(c);
-      if (score > bestScore) {
-        bestScore = score;
-        bestScenarioId = s.id;
-      }
-    }
-  }
+  const { bestId, bestScore } = Nassim.pickBestScenario(Dashboard.nassimResults, scenarios);
+  let bestScenarioId = bestId;
   // Fallback to first scenario
   if (!bestScenarioId && scenarios.length > 0) {
     bestScenarioId = scenarios[0].id;
@@ -497,7 +616,7 @@ Dashboard.renderLayer1 = function() {
   }
 
   // Generate verdict — include best scenario label for context
-  const verdict = Nassim.generateVerdict(classification, summary, state, Dashboard._bestScenarioLabel);
+  const verdict = Nassim.generateVerdict(classification, summary, state, Dashboard._bestScenarioLabel, Dashboard.nassimResults);
 
   // Store original verdict on first render
   if (!Dashboard._originalVerdict) {
@@ -508,7 +627,7 @@ Dashboard.renderLayer1 = function() {
   const badgeEl = document.getElementById('simulation-badge');
   if (badgeEl) {
     const numScenarios = scenarios.length;
-    const totalSims = numScenarios * Dashboard._iterationCount;
+    const totalSims = Dashboard._totalIterations(Dashboard.carloResults);
     const timeMs = Dashboard._lastSimTimeMs || 0;
     const timeStr = timeMs < 1000
       ? Math.round(timeMs) + 'ms'
@@ -542,6 +661,14 @@ Dashboard.renderLayer1 = function() {
   }
 
   // Render front-page sliders (only on first render or after reset)
+  Dashboard._renderFrontSliders();
+};
+
+/**
+ * Render the front-page sliders from the sensitivity results, once per session
+ * (or after reset). Called again when sensitivity arrives after Layer 1.
+ */
+Dashboard._renderFrontSliders = function() {
   if (!Dashboard._frontSlidersRendered && Dashboard.fullSensitivityResults) {
     // Select which sliders go on front page
     if (!Dashboard._frontSliderIds) {
@@ -552,7 +679,7 @@ Dashboard.renderLayer1 = function() {
 
     Visualizations.renderFrontPageSliders(
       Dashboard.fullSensitivityResults,
-      state,
+      Dashboard.prismaState,
       Dashboard._frontSliderIds,
       Dashboard._moreSliderIds || [],
       Dashboard._activeBaseline || Dashboard._baselineValues,
@@ -573,7 +700,7 @@ Dashboard.renderLayer2 = function() {
   }
 
   if (Dashboard.carloResults && Dashboard.nassimResults) {
-    Visualizations.renderScenarioComparison(Dashboard.carloResults, Dashboard.nassimResults, state);
+    Visualizations.renderScenarioComparison(Dashboard.carloResults, Dashboard.nassimResults, state, Dashboard._scenarioComparisons());
   }
 
   if (Dashboard.sensitivityResults) {
@@ -582,7 +709,36 @@ Dashboard.renderLayer2 = function() {
 };
 
 /**
- * Render Layer 3: Full engine room (Monte Carlo, Taleb badges, Tornado, Markov, Causal, Sliders, Raw Stats)
+ * Head-to-head comparisons of the current results (Carlo.compareScenarios), bootstrapped on
+ * the run's seed and kept until the results change — slider drags re-render Layer 2 often
+ */
+Dashboard._scenarioComparisons = function() {
+  const results = Dashboard.carloResults;
+  if (!results) return [];
+  if (!Dashboard._comparisons || Dashboard._comparisons.results !== results) {
+    const options = Number.isFinite(Dashboard._currentSeed) ? { seed: Dashboard._currentSeed } : {};
+    Dashboard._comparisons = { results, comparisons: Carlo.compareScenarios(results, options) };
+  }
+  return Dashboard._comparisons.comparisons;
+};
+
+/**
+ * Value of information for the current results (Nassim.computeValueOfInformation), kept until
+ * the results change
+ *
+ * @returns {Object|null} EVPI / EVPPI report, or null with fewer than two scenarios
+ */
+Dashboard._valueOfInformation = function() {
+  const results = Dashboard.carloResults;
+  if (!results) return null;
+  if (!Dashboard._valueOfInformationCache || Dashboard._valueOfInformationCache.results !== results) {
+    Dashboard._valueOfInformationCache = { results, report: Nassim.computeValueOfInformation(results, Dashboard.prismaState) };
+  }
+  return Dashboard._valueOfInformationCache.report;
+};
+
+/**
+ * Render Layer 3: Full engine room (Monte Carlo, Taleb badges, Tornado, Value of information, Markov, Causal, Sliders, Raw Stats)
  */
 Dashboard.renderLayer3 = function() {
   const state = Dashboard.prismaState;
@@ -602,11 +758,21 @@ Dashboard.renderLayer3 = function() {
     Visualizations.renderTornado(Dashboard.sensitivityResults, state);
   }
 
+  // Value of information, next to the tornado
+  if (Dashboard.carloResults) {
+    Visualizations.renderValueOfInformation(Dashboard._valueOfInformation(), state);
+  }
+
   // Markov timeline
   if (Dashboard.markovResults) {
     Visualizations.renderMarkovTimeline(Dashboard.markovResults, state);
   }
 
+  // Multi-period fan chart
+  if (Dashboard.carloResults && state.horizon) {
+    Visualizations.renderFanChart(Dashboard.carloResults, state);
+  }
+
   // Causal graph
   if (state.variables && state.edges) {
     Visualizations.renderCausalGraph(state);
@@ -625,9 +791,18 @@ Dashboard.renderLayer3 = function() {
 };
 
 /**
- * Run Carlo + Nassim simulation
+ * Run Carlo + Nassim simulation in the worker pool (SimPool).
+ * A new run cancels the one still in flight. Scenario results arrive through
+ * options.onScenario; sensitivity keeps streaming into the history entry, tornado
+ * and sliders after the returned promise resolves.
+ *
+ * @param {Object} options - { seed?: number, iterations?: number, convergence?: Object|null, sampling?: string,
+ *   optimization?: Object, onProgress?: Function, onScenario?: Function } — pass a recorded seed (with
+ *   convergence and sampling) to replay a run; convergence and sampling default to the engine room
+ *   settings; optimization is the optimizer report the scenarios came from (kept on the card)
+ * @returns {Promise<Object|null>} The new simulation history entry, or null if the run failed or was cancelled
  */
-Dashboard.runSimulation = function() {
+Dashboard.runSimulation = function(options = {}) {
   const state = Dashboard.prismaState;
 
   if (!state.variables || !state.scenarios || !state.outcome) {
@@ -636,170 +811,462 @@ Dashboard.runSimulation = function() {
       scenarios: !!state.scenarios,
       outcome: !!state.outcome
     });
-    return;
-  }
-
-  try {
-    const simStart = performance.now();
-
-    console.log('Running Carlo simulation...');
-    Dashboard.carloResults = Carlo.runCarloAllScenarios(state, Dashboard._iterationCount);
-    console.log('Carlo results:', Dashboard.carloResults);
-
-    // All-zero detection: check if every scenario produced all-zero outcomes
-    const allZero = Dashboard._checkAllZeroOutcomes(Dashboard.carloResults);
-    if (allZero) {
-      console.warn('[All-Zero Detection] All scenarios produced zero outcomes — formula likely broken');
-      Dashboard._showFormulaWarning();
-      return;
-    } else {
-      Dashboard._hideFormulaWarning();
+    return Promise.resolve(null);
+  }
+
+  Dashboard.cancelSimulation();
+  Dashboard._lastSimulationError = null;
+
+  const simStart = performance.now();
+  const seed = Number.isFinite(options.seed) ? options.seed : Prng.randomSeed();
+  const iterations = options.iterations || Dashboard._iterationCount;
+  const convergence = options.convergence !== undefined ? options.convergence : Dashboard._convergence;
+  const sampling = options.sampling || Dashboard._sampling;
+  // Uploads replace _csvData rather than editing it, so this reference is the run's snapshot
+  const data = Dashboard._csvData;
+  Dashboard._currentSeed = seed;
+
+  const baseScenario = state.scenarios.find(s => s.id === 'nothing' || s.id === 'do_nothing') || state.scenarios[0];
+  let simEntry = null;
+  let latestSensitivity = null; // Probes on other workers can finish before the last scenario
+  let run = null;
+
+  // Sensitivity streams in: Phase 1 (formula variables), then one update per extra variable
+  const applySensitivity = (results, stage) => {
+    if (run && Dashboard._activeRun !== run) return;
+    latestSensitivity = results;
+    Dashboard.fullSensitivityResults = results;
+    Dashboard.sensitivityResults = results;
+    if (!simEntry) return;
+    simEntry.sensitivityResults = results;
+    Dashboard._refreshSensitivityViews(simEntry);
+
+    if (stage === 'phase1' && !Dashboard._dataMode) {
+      Dashboard._renderFrontSliders();
     }
 
-    console.log('Running Nassim classification...');
-    Dashboard.nassimResults = Nassim.classifyAllScenarios(Dashboard.carloResults, state);
-    console.log('Nassim results:', Dashboard.nassimResults);
-
-    // Store session baseline on first run (never changes)
-    if (!Dashboard._baselineValues) {
-      Dashboard._baselineValues = {};
-      Dashboard._activeBaseline = {};
-      for (const v of state.variables) {
-        Dashboard._baselineValues[v.id] = v.value;
-        Dashboard._activeBaseline[v.id] = v.value;
+    if (stage === 'complete') {
+      console.log('Phase 2 sensitivity complete:', results.length, 'variables');
+      // Update "more variables" section if not yet rendered with full set
+      if (Dashboard._frontSlidersRendered && Dashboard._moreSliderIds === null) {
+        const { frontIds, moreIds } = Dashboard.selectFrontPageSliders();
+        Dashboard._moreSliderIds = moreIds;
+        Visualizations.renderFrontPageSliders(
+          results, state, frontIds, moreIds,
+          Dashboard._activeBaseline || Dashboard._baselineValues,
+          Dashboard._promotedSliders
+        );
       }
     }
+  };
 
-    // Create simulation history entry (before async sensitivity)
-    Dashboard._simCounter++;
-    const simId = Dashboard._simCounter;
-    const simEntry = {
-      id: simId,
-      timestamp: Date.now(),
-      label: Dashboard._lastSimulationPrompt || 'Simulation ' + simId,
-      carloResults: JSON.parse(JSON.stringify(Dashboard.carloResults)),
-      nassimResults: JSON.parse(JSON.stringify(Dashboard.nassimResults)),
-      sensitivityResults: null,
-      bestPctPositive: 0,
-      expanded: false,
-      futuresCascadePlayed: false,
-      recommendation: null
-    };
-
-    // Compute best % positive for teaser
-    const scenarios = state.scenarios || [];
-    for (const s of scenarios) {
-      if (s.id === 'nothing' || s.id === 'do_nothing') continue;
-      const results = Dashboard.carloResults[s.id];
-      if (results && results.summary) {
-        simEntry.bestPctPositive = Math.max(simEntry.bestPctPositive, results.summary.percentPositive);
+  console.log('Running Carlo simulation (seed ' + seed + ', ' + SimPool.size() + ' workers)...');
+  run = SimPool.run(state, {
+    iterations,
+    convergence,
+    seed,
+    sampling,
+    data,
+    recordInputs: true,
+    sensitivity: baseScenario ? { scenarioId: baseScenario.id, iterations: 300 } : null,
+    onProgress: options.onProgress,
+    onScenario: options.onScenario,
+    onSensitivity: applySensitivity
+  });
+  Dashboard._activeRun = run;
+  const clearActive = () => { if (Dashboard._activeRun === run) Dashboard._activeRun = null; };
+  run.done.then(clearActive, clearActive);
+
+  return run.carlo.then((carloResults) => {
+    try {
+      Dashboard.carloResults = carloResults;
+      console.log('Carlo results:', Dashboard.carloResults);
+
+      // All-zero detection: check if every scenario produced all-zero outcomes
+      const allZero = Dashboard._checkAllZeroOutcomes(Dashboard.carloResults);
+      if (allZero) {
+        console.warn('[All-Zero Detection] All scenarios produced zero outcomes — formula likely broken');
+        Dashboard._showFormulaWarning();
+        run.cancel();
+        return null;
+      } else {
+        Dashboard._hideFormulaWarning();
       }
-    }
 
-    // Full sensitivity analysis (Phase 1 sync + Phase 2 async)
-    const baseScenario = state.scenarios.find(s => s.id === 'nothing' || s.id === 'do_nothing') || state.scenarios[0];
-    if (baseScenario) {
-      console.log('Running full sensitivity analysis...');
-      const capturedSimId = simId; // Capture for async callback
-      const phase1Results = Nassim.runFullSensitivity(state, baseScenario.id, 300, (fullResults) => {
-        // Phase 2 callback: scoped to this simulation entry
-        Dashboard.fullSensitivityResults = fullResults;
-        Dashboard.sensitivityResults = fullResults;
-        console.log('Phase 2 sensitivity complete:', fullResults.length, 'variables');
-
-        // Update the specific history entry (not a stale global)
-        const entry = Dashboard.simulationHistory.find(e => e.id === capturedSimId);
-        if (entry) {
-          entry.sensitivityResults = fullResults;
-        }
+      console.log('Running Nassim classification...');
+      Dashboard.nassimResults = Nassim.classifyAllScenarios(Dashboard.carloResults, state);
+      console.log('Nassim results:', Dashboard.nassimResults);
 
-        // Update "more variables" section if not yet rendered with full set
-        if (Dashboard._frontSlidersRendered && Dashboard._moreSliderIds === null) {
-          const { frontIds, moreIds } = Dashboard.selectFrontPageSliders();
-          Dashboard._moreSliderIds = moreIds;
-          Visualizations.renderFrontPageSliders(
-            fullResults, state, frontIds, moreIds,
-            Dashboard._activeBaseline || Dashboard._baselineValues,
-            Dashboard._promotedSliders
-          );
+      // Store session baseline on first run (never changes)
+      if (!Dashboard._baselineValues) {
+        Dashboard._baselineValues = {};
+        Dashboard._activeBaseline = {};
+        for (const v of state.variables) {
+          Dashboard._baselineValues[v.id] = v.value;
+          Dashboard._activeBaseline[v.id] = v.value;
         }
-      });
+      }
 
-      Dashboard.fullSensitivityResults = phase1Results;
-      Dashboard.sensitivityResults = phase1Results;
-      simEntry.sensitivityResults = phase1Results;
-      console.log('Phase 1 sensitivity results:', phase1Results);
-    }
+      // Create simulation history entry (sensitivity may still be streaming in)
+      Dashboard._simCounter++;
+      const simId = Dashboard._simCounter;
+      simEntry = {
+        id: simId,
+        timestamp: Date.now(),
+        label: Dashboard._lastSimulationPrompt || 'Simulation ' + simId,
+        seed,
+        // Adaptive runs: the most any scenario needed (replaying with the same convergence reproduces it)
+        iterations: convergence ? Dashboard._maxScenarioIterations(carloResults) : iterations,
+        convergence,
+        sampling,
+        optimization: options.optimization || null,
+        inputs: Dashboard._snapshotSimulationInputs(state),
+        data, // The rows empirical variables resampled from (re-runs replay these, not a later upload)
+        carloResults: JSON.parse(JSON.stringify(Dashboard.carloResults)),
+        nassimResults: JSON.parse(JSON.stringify(Dashboard.nassimResults)),
+        sensitivityResults: latestSensitivity,
+        valueOfInformation: Dashboard._valueOfInformation(),
+        bestPctPositive: 0,
+        expanded: false,
+        futuresCascadePlayed: false,
+        recommendation: null
+      };
+
+      // Compute best % positive for teaser
+      const scenarios = state.scenarios || [];
+      for (const s of scenarios) {
+        if (s.id === 'nothing' || s.id === 'do_nothing') continue;
+        const results = Dashboard.carloResults[s.id];
+        if (results && results.summary) {
+          simEntry.bestPctPositive = Math.max(simEntry.bestPctPositive, results.summary.percentPositive);
+        }
+      }
 
-    // Evict oldest if at memory cap
-    if (Dashboard.simulationHistory.length >= Dashboard._maxSimulations) {
-      const evicted = Dashboard.simulationHistory.shift();
-      const evictedCard = document.querySelector('.sim-card[data-sim-id="' + evicted.id + '"]');
-      if (evictedCard) {
-        // Purge Plotly charts to free memory
-        const histEl = evictedCard.querySelector('[id$="-histogram"]');
-        const tornEl = evictedCard.querySelector('[id$="-tornado"]');
-        if (histEl && typeof Plotly !== 'undefined') {
-          try { Plotly.purge(histEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+      // Evict oldest if at memory cap
+      if (Dashboard.simulationHistory.length >= Dashboard._maxSimulations) {
+        const evicted = Dashboard.simulationHistory.shift();
+        const evictedCard = document.querySelector('.sim-card[data-sim-id="' + evicted.id + '"]');
+        if (evictedCard) {
+          // Purge Plotly charts to free memory
+          const histEl = evictedCard.querySelector('[id$="-histogram"]');
+          const tornEl = evictedCard.querySelector('[id$="-tornado"]');
+          const fanEl = evictedCard.querySelector('[id$="-fan"]');
+          const optimizerEl = evictedCard.querySelector('[id$="-optimizer"]');
+          const voiEl = evictedCard.querySelector('[id$="-voi"]');
+          const markovEl = evictedCard.querySelector('[id$="-markov"]');
+          if (histEl && typeof Plotly !== 'undefined') {
+            try { Plotly.purge(histEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+          }
+          if (fanEl && typeof Plotly !== 'undefined') {
+            try { Plotly.purge(fanEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+          }
+          if (optimizerEl && typeof Plotly !== 'undefined') {
+            try { Plotly.purge(optimizerEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+          }
+          if (tornEl && typeof Plotly !== 'undefined') {
+            try { Plotly.purge(tornEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+          }
+          if (voiEl && typeof Plotly !== 'undefined') {
+            try { Plotly.purge(voiEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+          }
+          if (markovEl && typeof Plotly !== 'undefined') {
+            try { Plotly.purge(markovEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+          }
+          evictedCard.remove();
         }
-        if (tornEl && typeof Plotly !== 'undefined') {
-          try { Plotly.purge(tornEl); } catch(e) { console.warn('[Memory] Eviction purge failed:', e); }
+      }
+
+      Dashboard.simulationHistory.push(simEntry);
+
+      // Markov outcome timeline (needs markov.js; a page without it just skips the chart)
+      if (state.markov && state.markov.enabled && typeof Markov !== 'undefined') {
+        simEntry.markovTimelines = Dashboard.runMarkov();
+        simEntry.markovAnalysis = Dashboard.markovAnalysis;
+      }
+
+      Dashboard._lastSimTimeMs = performance.now() - simStart;
+      console.log('Total simulation time: ' + Dashboard._lastSimTimeMs.toFixed(0) + 'ms');
+
+      // In data mode, don't auto-show Layer 1 — the teaser handles it
+      if (!Dashboard._dataMode) {
+        // Render Layer 1 (always visible when data is ready)
+        Dashboard.showLayer1();
+
+        // If Layer 2 is already open, re-render it
+        if (Dashboard._layer2Open) {
+          Dashboard.renderLayer2();
         }
-        evictedCard.remove();
       }
-    }
 
-    Dashboard.simulationHistory.push(simEntry);
+      return simEntry;
 
-    // Markov (legacy — only runs if Markov engine is loaded)
-    if (state.markov && state.markov.enabled && typeof Markov !== 'undefined') {
-      Dashboard.runMarkov();
+    } catch (error) {
+      console.error('Simulation error:', error);
+      Dashboard._lastSimulationError = error.message;
+      run.cancel();
+      return null;
+    }
+  }, (error) => {
+    if (!error.cancelled) {
+      console.error('Simulation error:', error);
+      Dashboard._lastSimulationError = error.message;
     }
+    return null;
+  });
+};
 
-    Dashboard._lastSimTimeMs = performance.now() - simStart;
-    console.log('Total simulation time: ' + Dashboard._lastSimTimeMs.toFixed(0) + 'ms');
+/**
+ * Cancel the simulation still running in the worker pool, if any.
+ * Its runSimulation() promise resolves to null.
+ */
+Dashboard.cancelSimulation = function() {
+  if (!Dashboard._activeRun) return;
+  Dashboard._activeRun.superseded = true; // Cancelled on purpose — its card shouldn't report a failure
+  Dashboard._activeRun.cancel();
+  Dashboard._activeRun = null;
+};
+
+/**
+ * Redraw the views that show sensitivity results: the entry's tornado (if its card is
+ * expanded) and the Layer 2/3 charts (if open).
+ */
+Dashboard._refreshSensitivityViews = function(entry) {
+  const state = Dashboard.prismaState;
+  const results = entry.sensitivityResults;
+  if (!results || typeof Visualizations === 'undefined') return;
 
-    // In data mode, don't auto-show Layer 1 — the teaser handles it
-    if (!Dashboard._dataMode) {
-      // Render Layer 1 (always visible when data is ready)
-      Dashboard.showLayer1();
+  if (entry.expanded) {
+    const tornadoContainer = document.getElementById('sim-' + entry.id + '-tornado');
+    if (tornadoContainer) Visualizations.renderTornado(results, state, tornadoContainer);
+  }
+  if (Dashboard._layer2Open) Visualizations.renderSimplifiedSensitivity(results, state);
+  if (Dashboard._layer3Open) Visualizations.renderTornado(results, state);
+};
 
-      // If Layer 2 is already open, re-render it
-      if (Dashboard._layer2Open) {
-        Dashboard.renderLayer2();
-      }
+/**
+ * Run a simulation behind a pending card (progress bar, per-scenario results, Cancel),
+ * then swap in the finished card — or a failed card with a diagnostic.
+ *
+ * @param {Object} options - Passed to runSimulation (seed, iterations)
+ * @param {string} [failureDiagnostic] - Overrides the automatic diagnostic on failure
+ * @returns {Promise<Object|null>} The new simulation history entry, or null
+ */
+Dashboard._runSimulationWithCard = function(options = {}, failureDiagnostic) {
+  const state = Dashboard.prismaState;
+  const label = Dashboard._lastSimulationPrompt || 'Simulation';
+  const hasMissing = !state.variables || !state.scenarios || !state.outcome;
+  const pending = hasMissing ? null : Dashboard._createPendingSimCard(label);
+
+  const promise = Dashboard.runSimulation({
+    ...options,
+    onProgress: (progress) => Dashboard._updatePendingSimCard(pending, progress),
+    onScenario: (scenarioId, result) => Dashboard._addPendingScenarioResult(pending, scenarioId, result)
+  });
+  const run = Dashboard._activeRun;
+
+  const cardPromise = promise.then((entry) => {
+    if (Dashboard._pendingSimCard === cardPromise) Dashboard._pendingSimCard = null;
+    if (pending) pending.remove();
+    if (entry) {
+      Dashboard._createSimCard();
+      return entry;
     }
+    if (run && run.superseded) return null;
 
-  } catch (error) {
-    console.error('Simulation error:', error);
+    // Diagnose the failure and show a failed card with retry
+    const diagnostic = failureDiagnostic || (hasMissing
+      ? 'Missing simulation data — variables, scenarios, or outcome formula not provided'
+      : (Dashboard.carloResults && Dashboard._checkAllZeroOutcomes(Dashboard.carloResults))
+        ? 'Formula produced no variation — variable names may not match the data'
+        : Dashboard._lastSimulationError || 'Simulation engine encountered an error');
+
+    Dashboard._createFailedSimCard(label, diagnostic);
+    return null;
+  });
+  Dashboard._pendingSimCard = cardPromise;
+  return cardPromise;
+};
+
+/**
+ * Options passed to every Carlo / Nassim run: the seed, the uploaded rows
+ * that empirical variables resample from, and the sampling strategy.
+ */
+Dashboard._engineOptions = function(seed) {
+  return { seed, data: Dashboard._csvData, sampling: Dashboard._sampling, recordInputs: true };
+};
+
+/**
+ * Snapshot the parts of prismaState a simulation depends on, so a card can be re-run later
+ * even after sliders or AI updates have changed the live state.
+ */
+Dashboard._snapshotSimulationInputs = function(state) {
+  const inputs = {};
+  for (const key of Dashboard._simulationInputKeys) {
+    if (state[key] !== undefined) inputs[key] = state[key];
+  }
+  return JSON.parse(JSON.stringify(inputs));
+};
+
+/**
+ * Make a card's snapshot the live model: every simulation input key is replaced wholesale by
+ * a deep copy of the snapshot, and keys the snapshot lacks (added after the card ran, such as
+ * events) are removed. Everything else on prismaState (meta, data summaries) is left alone.
+ * The restored inputs stay live afterwards, so slider re-runs continue from the card's model.
+ */
+Dashboard._restoreSimulationInputs = function(inputs) {
+  const state = Dashboard.prismaState;
+  const copy = JSON.parse(JSON.stringify(inputs));
+  for (const key of Dashboard._simulationInputKeys) {
+    if (copy[key] !== undefined) state[key] = copy[key];
+    else delete state[key];
   }
 };
 
 /**
- * Run Markov simulation
+ * Iterations actually drawn per scenario (adaptive runs stop at different counts)
+ */
+Dashboard._maxScenarioIterations = function(carloResults) {
+  return Math.max(0, ...Object.values(carloResults || {}).map(r => (r && r.outcomes ? r.outcomes.length : 0)));
+};
+
+/**
+ * Iterations drawn across all scenarios — for the simulation badge
+ */
+Dashboard._totalIterations = function(carloResults) {
+  return Object.values(carloResults || {}).reduce((sum, r) => sum + (r && r.outcomes ? r.outcomes.length : 0), 0);
+};
+
+/**
+ * Re-run a simulation card with its recorded seed, inputs and uploaded rows.
+ * Produces a new card with identical numbers — useful for reproducing a shared result.
+ */
+Dashboard.rerunSimCard = function(simId) {
+  const entry = Dashboard.simulationHistory.find(function(e) { return e.id === simId; });
+  if (!entry || !entry.inputs) return;
+
+  // Restore the inputs the card was computed from
+  Dashboard._restoreSimulationInputs(entry.inputs);
+  Dashboard._csvData = entry.data;
+  Dashboard._lastSimulationPrompt = entry.label;
+
+  Dashboard._runSimulationWithCard(
+    {
+      seed: entry.seed, iterations: entry.iterations, convergence: entry.convergence || null,
+      sampling: entry.sampling || 'random', optimization: entry.optimization || null
+    },
+    'Re-run with seed ' + entry.seed + ' failed'
+  );
+};
+
+/**
+ * Search a card's decision levers (variables with `lever`) in the worker pool, then
+ * simulate its options plus the best lever settings found as a new card. The search
+ * replays the card's seed and replaces options from an earlier search.
+ *
+ * @param {number} simId - Card to optimize
+ * @returns {Promise<Object|null>} The new simulation history entry, or null
+ */
+Dashboard.optimizeSimCard = function(simId) {
+  const entry = Dashboard.simulationHistory.find(function(e) { return e.id === simId; });
+  if (!entry || !entry.inputs) return Promise.resolve(null);
+
+  Dashboard._restoreSimulationInputs(entry.inputs);
+  Dashboard._csvData = entry.data;
+  const state = Dashboard.prismaState;
+  state.scenarios = (state.scenarios || []).filter(s => !s.optimized);
+  const label = 'Optimized levers \u2014 ' + String(entry.label || 'Simulation ' + simId).replace(/^Optimized levers \u2014 /, '');
+
+  Dashboard.cancelSimulation();
+  const pending = Dashboard._createPendingSimCard(label);
+  const run = SimPool.optimize(state, {
+    seed: entry.seed,
+    sampling: entry.sampling || 'random',
+    data: entry.data,
+    onProgress: (progress) => Dashboard._updatePendingSimCard(pending, progress)
+  });
+  Dashboard._activeRun = run;
+  const settle = () => {
+    if (Dashboard._activeRun === run) Dashboard._activeRun = null;
+    if (pending) pending.remove();
+  };
+
+  return run.done.then((report) => {
+    settle();
+    console.log('Optimizer report:', report);
+    state.scenarios = [...state.scenarios, ...report.best.map(b => b.scenario)];
+    Dashboard._lastSimulationPrompt = label;
+    return Dashboard._runSimulationWithCard(
+      {
+        seed: entry.seed, iterations: entry.iterations, convergence: entry.convergence || null,
+        sampling: entry.sampling || 'random', optimization: report
+      },
+      'Simulating the optimized options failed'
+    );
+  }, (error) => {
+    settle();
+    if (error.cancelled) return null;
+    console.error('Optimizer error:', error);
+    Dashboard._createFailedSimCard(label, 'Optimizer failed: ' + error.message);
+    return null;
+  });
+};
+
+/**
+ * Run Markov simulation: state walks per scenario, then an outcome timeline through the real
+ * outcome formula (Markov.getMarkovOutcomeTimeline — one Carlo run per month and scenario)
+ *
+ * @returns {Object|null} {scenarioId: timeline}, also kept in Dashboard.markovResults; the exact
+ *   chains' absorption analysis (and, for joint runs, the outcome by end state) goes to
+ *   Dashboard.markovAnalysis
  */
 Dashboard.runMarkov = function() {
   const state = Dashboard.prismaState;
 
-  if (!state.markov || !state.markov.enabled) return;
+  if (!state.markov || !state.markov.enabled) return null;
+  Dashboard.markovAnalysis = null;
 
   try {
     console.log('Running Markov simulation...');
 
+    const seed = Number.isFinite(Dashboard._currentSeed) ? Dashboard._currentSeed : undefined;
+    const markovOptions = seed !== undefined ? { seed: Prng.deriveSeed(seed, 'markov') } : {};
+    // Timelines share the run's seed, so month 0 and the main histogram draw the same futures
+    const timelineOptions = { seed, data: Dashboard._csvData, sampling: Dashboard._sampling };
+
     const timelines = {};
+    const analysis = {};
     for (const scenario of state.scenarios) {
-      const markovResults = Markov.runAllMarkov(state, scenario.id);
-      const carloSummary = Dashboard.carloResults?.[scenario.id]?.summary || {};
+      const markovResults = Markov.runAllMarkov(state, scenario.id, 1000, markovOptions);
       timelines[scenario.id] = Markov.getMarkovOutcomeTimeline(
-        state, scenario.id, markovResults, carloSummary, state.markov.months || 6
+        state, scenario.id, markovResults, state.markov.months || 6, timelineOptions
       );
+      analysis[scenario.id] = {};
+      for (const [entityId, result] of Object.entries(markovResults)) {
+        if (result.analysis) analysis[scenario.id][entityId] = result.analysis;
+        // Cohorts: head counts at the last month, with their bands; staged policies: where the walks ended
+        const last = result.monthlyDistributions.length - 1;
+        if (result.monthlyCounts) {
+          analysis[scenario.id][entityId] = { counts: result.monthlyCounts[last] };
+        } else if (result.policy) {
+          analysis[scenario.id][entityId] = { final: result.monthlyDistributions[last], switched: result.policy.switchedByMonth[last] };
+        }
+      }
+      // markov.joint: the main run's outcome split by the state each entity ended in
+      const carloResult = Dashboard.carloResults && Dashboard.carloResults[scenario.id];
+      for (const [entityId, endStates] of Object.entries((carloResult && carloResult.markovStates) || {})) {
+        analysis[scenario.id][entityId] = { ...(analysis[scenario.id][entityId] || {}), endStates };
+      }
     }
 
     Dashboard.markovResults = timelines;
+    // Monte Carlo walks (markov.method 'monte_carlo') come without an analysis
+    Dashboard.markovAnalysis = Object.values(analysis).some(a => Object.keys(a).length > 0) ? analysis : null;
     console.log('Markov results:', timelines);
+    return timelines;
 
   } catch (error) {
     console.error('Markov error:', error);
+    return null;
   }
 };
 
@@ -853,7 +1320,7 @@ Dashboard.rerunWithSliders = function(variableId, newValue) {
   const variable = Dashboard.prismaState.variables?.find(v => v.id === variableId);
   if (!variable) return;
 
-  variable.value = parseFloat(newValue);
+  Carlo.setCentralValue(variable, parseFloat(newValue));
   console.log(`Variable ${variableId} updated to ${newValue}`);
   Dashboard._slidersRendered = false; // Allow slider re-render on next Layer 3 open
 
@@ -863,9 +1330,13 @@ Dashboard.rerunWithSliders = function(variableId, newValue) {
   try {
     const simStart = performance.now();
 
-    // Use 1000 iterations during slider drag for responsiveness
+    // Use 1000 iterations during slider drag for responsiveness.
+    // Replay the current seed so the score moves because of the slider, not sampling noise.
     const dragIterations = 1000;
-    Dashboard.carloResults = Carlo.runCarloAllScenarios(state, dragIterations);
+    const engineOptions = Dashboard._engineOptions(Dashboard._currentSeed);
+    Dashboard.carloResults = typeof Markov !== 'undefined' && Markov.isJoint(state)
+      ? Markov.runJointAllScenarios(state, dragIterations, engineOptions)
+      : Carlo.runCarloAllScenarios(state, dragIterations, engineOptions);
     Dashboard.nassimResults = Nassim.classifyAllScenarios(Dashboard.carloResults, state);
 
     Dashboard._lastSimTimeMs = performance.now() - simStart;
@@ -873,16 +1344,35 @@ Dashboard.rerunWithSliders = function(variableId, newValue) {
     // MINIMAL render path — NO slider DOM re-render
     Dashboard._renderSliderUpdate();
 
-    // After 500ms idle, re-run at user's selected count if different
-    if (Dashboard._iterationCount > 1000) {
-      clearTimeout(Dashboard._precisionRerunTimeout);
+    // After 500ms idle, re-run at user's selected count if different (in the worker pool)
+    clearTimeout(Dashboard._precisionRerunTimeout);
+    if (Dashboard._precisionRun) {
+      Dashboard._precisionRun.cancel();
+      Dashboard._precisionRun = null;
+    }
+    if (Dashboard._iterationCount > 1000 || Dashboard._convergence) {
       Dashboard._precisionRerunTimeout = setTimeout(() => {
-        Dashboard.carloResults = Carlo.runCarloAllScenarios(state, Dashboard._iterationCount);
-        Dashboard.nassimResults = Nassim.classifyAllScenarios(Dashboard.carloResults, state);
-        // Precision re-run: update visuals but skip restarting the AI refinement timer
-        Dashboard._isPrecisionRerun = true;
-        Dashboard._renderSliderUpdate();
-        Dashboard._isPrecisionRerun = false;
+        const run = SimPool.run(state, {
+          iterations: Dashboard._iterationCount,
+          convergence: Dashboard._convergence,
+          seed: Dashboard._currentSeed,
+          sampling: Dashboard._sampling,
+          data: Dashboard._csvData,
+          recordInputs: true
+        });
+        Dashboard._precisionRun = run;
+        run.carlo.then((carloResults) => {
+          if (Dashboard._precisionRun !== run) return;
+          Dashboard._precisionRun = null;
+          Dashboard.carloResults = carloResults;
+          Dashboard.nassimResults = Nassim.classifyAllScenarios(Dashboard.carloResults, state);
+          // Precision re-run: update visuals but skip restarting the AI refinement timer
+          Dashboard._isPrecisionRerun = true;
+          Dashboard._renderSliderUpdate();
+          Dashboard._isPrecisionRerun = false;
+        }, (error) => {
+          if (!error.cancelled) console.error('Precision rerun error:', error);
+        });
       }, 500);
     }
 
@@ -905,16 +1395,8 @@ Dashboard._renderSliderUpdate = function() {
 
   // Find best scenario
   const scenarios = state.scenarios || [];
-  let bestScenarioId = null;
-  let bestScore = -1;
-  for (const s of scenarios) {
-    if (s.id === 'nothing' || s.id === 'do_nothing') continue;
-    const c = Dashboard.nassimResults[s.id];
-    if (c) {
-      const score = Nassim.computeDecisionScore(c);
-      if (score > bestScore) { bestScore = score; bestScenarioId = s.id; }
-    }
-  }
+  const { bestId, bestScore } = Nassim.pickBestScenario(Dashboard.nassimResults, scenarios);
+  let bestScenarioId = bestId;
   if (!bestScenarioId && scenarios.length > 0) bestScenarioId = scenarios[0].id;
   if (!bestScenarioId) return;
 
@@ -936,8 +1418,8 @@ Dashboard._renderSliderUpdate = function() {
 
   // Generate verdict with scenario name when sliders have moved
   const verdict = anySliderMoved
-    ? Nassim.generateVerdict(classification, summary, state, Dashboard._bestScenarioLabel)
-    : Nassim.generateVerdict(classification, summary, state);
+    ? Nassim.generateVerdict(classification, summary, state, Dashboard._bestScenarioLabel, Dashboard.nassimResults)
+    : Nassim.generateVerdict(classification, summary, state, undefined, Dashboard.nassimResults);
 
   // Morph score circle (not full re-render)
   Visualizations.updateScoreCircle(verdict.score, verdict.color);
@@ -978,7 +1460,7 @@ Dashboard._renderSliderUpdate = function() {
   const badgeEl = document.getElementById('simulation-badge');
   if (badgeEl) {
     const numScenarios = scenarios.length;
-    const totalSims = numScenarios * Dashboard._iterationCount;
+    const totalSims = Dashboard._totalIterations(Dashboard.carloResults);
     const timeMs = Dashboard._lastSimTimeMs || 0;
     const timeStr = timeMs < 1000 ? Math.round(timeMs) + 'ms' : (timeMs / 1000).toFixed(1) + 's';
     badgeEl.textContent = '';
@@ -1006,7 +1488,7 @@ Dashboard._renderSliderUpdate = function() {
  * Generate template-based dynamic recommendations from current simulation state.
  * Returns {action, watch, trigger} with natural-sounding text.
  *
- * Uses best scenario, runner-up, top sensitivity variable, and score ranges
+ * Uses best scenario, runner-up, top sensitivity variable, value of information, and score ranges
  * to select from multiple template variants per card.
  */
 Dashboard.generateDynamicRecommendations = function() {
@@ -1020,28 +1502,11 @@ Dashboard.generateDynamicRecommendations = function() {
 
   // --- Gather context ---
 
-  // Best scenario (non-nothing)
-  let bestId = null, bestScore = -1, bestLabel = '';
-  let runnerUpId = null, runnerUpScore = -1, runnerUpLabel = '';
-  for (const s of scenarios) {
-    if (s.id === 'nothing' || s.id === 'do_nothing') continue;
-    const c = nassim[s.id];
-    if (!c) continue;
-    const score = Nassim.computeDecisionScore(c);
-    if (score > bestScore) {
-      // Demote current best to runner-up
-      runnerUpId = bestId;
-      runnerUpScore = bestScore;
-      runnerUpLabel = bestLabel;
-      bestId = s.id;
-      bestScore = score;
-      bestLabel = s.label;
-    } else if (score > runnerUpScore) {
-      runnerUpId = s.id;
-      runnerUpScore = score;
-      runnerUpLabel = s.label;
-    }
-  }
+  // Best scenario (non-nothing, within every constraint) and runner-up
+  const { bestId, bestScore, runnerUpId, runnerUpScore, allInfeasible } = Nassim.pickBestScenario(nassim, scenarios);
+  const labelOf = (id) => (scenarios.find(s => s.id === id) || {}).label || '';
+  const bestLabel = labelOf(bestId);
+  const runnerUpLabel = labelOf(runnerUpId);
 
   if (!bestId) return null;
 
@@ -1050,6 +1515,8 @@ Dashboard.generateDynamicRecommendations = function() {
   if (!bestSummary || !bestClassification) return null;
 
   const unit = state.outcome?.unit || '';
+  const ciRange = Nassim.formatPercentPositiveCI(bestSummary);
+  const ciNote = ciRange ? ' (95% CI ' + ciRange + ')' : ''; // Sampling error on "N out of 100"
   const pctPositive = bestClassification.percentPositive.toFixed(0);
   const medianStr = Visualizations._formatNumber(bestSummary.median);
 
@@ -1099,19 +1566,29 @@ Dashboard.generateDynamicRecommendations = function() {
 
   // --- Action card (winning scenario) — plain, friendly language ---
   let action;
-  if (bestScore >= 80) {
-    action = `${bestLabel} is your best move. ${pctPositive} out of 100 simulated futures come out positive, with a typical gain of ${medianStr} ${unit}.${tensionNote}`;
+  if (allInfeasible) {
+    const broken = bestClassification.violatedConstraints.map(v => Nassim.describeViolation(v)).join('; ');
+    action = `None of your options stay within your limits. ${bestLabel} scores highest, but it breaks a limit: ${broken}. Relax a limit or look for another option before committing.${tensionNote}`;
+  } else if (bestScore >= 80) {
+    action = `${bestLabel} is your best move. ${pctPositive} out of 100${ciNote} simulated futures come out positive, with a typical gain of ${medianStr} ${unit}.${tensionNote}`;
   } else if (bestScore >= 60) {
-    action = `${bestLabel} comes out on top. It works in ${pctPositive} out of 100 futures, with a typical outcome of ${medianStr} ${unit}. Not a slam dunk, but the best of your options.${tensionNote}`;
+    action = `${bestLabel} comes out on top. It works in ${pctPositive} out of 100${ciNote} futures, with a typical outcome of ${medianStr} ${unit}. Not a slam dunk, but the best of your options.${tensionNote}`;
   } else if (bestScore >= 40) {
-    action = `${bestLabel} is slightly ahead of the other options, but it's close. Only ${pctPositive} out of 100 futures are positive — think about ways to reduce your downside.${tensionNote}`;
+    action = `${bestLabel} is slightly ahead of the other options, but it's close. Only ${pctPositive} out of 100${ciNote} futures are positive — think about ways to reduce your downside.${tensionNote}`;
   } else {
-    action = `None of your options look great right now. ${bestLabel} is the best of the bunch, but only ${pctPositive} out of 100 futures come out positive. Consider whether this is the right time, or if you can change the conditions.${tensionNote}`;
+    action = `None of your options look great right now. ${bestLabel} is the best of the bunch, but only ${pctPositive} out of 100${ciNote} futures come out positive. Consider whether this is the right time, or if you can change the conditions.${tensionNote}`;
   }
 
-  // --- Watch card (top sensitivity variable) — what matters most ---
+  // --- Watch card — the uncertainty worth resolving first (EVPPI), else the top sensitivity variable ---
+  const voi = Dashboard._valueOfInformation();
+  const topInfo = voi && voi.variables[0];
   let watch;
-  if (topVar) {
+  if (topInfo && topInfo.evppi > 0) {
+    const worthStr = Visualizations._formatNumber(topInfo.evppi);
+    watch = `Pin down ${topInfo.variableLabel} before you commit. Knowing it up front could change which option you pick, and that is worth about ${worthStr} ${unit} on average. If a pilot or some research costs less than that, do it first.`;
+  } else if (voi && topVar) {
+    watch = `${topVarLabel} moves your outcome the most, but no single uncertainty would change which option wins — more research won't pay for itself here. Commit, and keep an eye on ${topVarLabel}.`;
+  } else if (topVar) {
     const directionText = topVarDirection === 'above'
       ? 'currently set above the starting point'
       : topVarDirection === 'below'
@@ -1202,6 +1679,8 @@ Dashboard._fetchAIRefinement = function() {
   const state = Dashboard.prismaState;
   const sensitivity = Dashboard.fullSensitivityResults || [];
   const topVar = sensitivity[0] || null;
+  const voi = Dashboard._valueOfInformation();
+  const topInfo = voi && voi.variables[0];
 
   // Find runner-up scenario
   const scenarios = state.scenarios || [];
@@ -1210,7 +1689,7 @@ Dashboard._fetchAIRefinement = function() {
   for (const s of scenarios) {
     if (s.id === 'nothing' || s.id === 'do_nothing' || s.id === bestId) continue;
     const c = Dashboard.nassimResults?.[s.id];
-    if (!c) continue;
+    if (!c || c.infeasible) continue;
     const score = Nassim.computeDecisionScore(c);
     if (score > runnerUpScore) {
       runnerUpId = s.id;
@@ -1223,8 +1702,13 @@ Dashboard._fetchAIRefinement = function() {
     bestScenario: { id: bestId, label: Dashboard._bestScenarioLabel, score: Dashboard._bestScenarioScore },
     runnerUp: runnerUpId ? { id: runnerUpId, label: runnerUpLabel, score: runnerUpScore } : null,
     topVariable: topVar ? { label: topVar.variableLabel, swing: topVar.totalSwing } : null,
+    valueOfInformation: voi ? {
+      evpi: voi.evpi,
+      topVariable: topInfo && topInfo.evppi > 0 ? { label: topInfo.variableLabel, evppi: topInfo.evppi } : null
+    } : null,
     unit: state.outcome?.unit || '',
     percentPositive: Dashboard.nassimResults?.[bestId]?.percentPositive?.toFixed(0) || '?',
+    percentPositiveCI: Nassim.formatPercentPositiveCI(Dashboard.carloResults?.[bestId]?.summary),
     median: Dashboard.carloResults?.[bestId]?.summary?.median || 0
   };
 
@@ -1340,7 +1824,7 @@ Dashboard.resetSliders = function() {
   const state = Dashboard.prismaState;
   for (const v of state.variables) {
     if (Dashboard._baselineValues[v.id] !== undefined) {
-      v.value = Dashboard._baselineValues[v.id];
+      Carlo.setCentralValue(v, Dashboard._baselineValues[v.id]);
     }
   }
 
@@ -1557,16 +2041,52 @@ Dashboard._createSimCard = function() {
   const simBadge = document.createElement('span');
   simBadge.className = 'card-type-badge sim-badge';
   simBadge.textContent = 'SIMULATION';
+  const seedEl = document.createElement('span');
+  seedEl.className = 'teaser-seed';
+  seedEl.textContent = 'Seed ' + entry.seed + ' \u00b7 ' + (entry.convergence
+    ? 'auto (\u00b1' + Math.round(entry.convergence.tolerance * 100) + '%), up to ' + entry.iterations.toLocaleString() + ' iterations'
+    : entry.iterations.toLocaleString() + ' iterations') +
+    (entry.sampling && entry.sampling !== 'random' ? ' \u00b7 ' + Dashboard._samplingLabels[entry.sampling] : '');
+
   teaserContent.appendChild(simBadge);
   teaserContent.appendChild(labelEl);
   teaserContent.appendChild(scoreEl);
+  teaserContent.appendChild(seedEl);
+
+  // Lever search behind this card: budget used and what was maximised
+  if (entry.optimization) {
+    const opt = entry.optimization;
+    const searchEl = document.createElement('span');
+    searchEl.className = 'teaser-optimizer';
+    searchEl.textContent = 'Optimizer: ' + opt.evaluations + ' of ' + opt.gridSize.toLocaleString() + ' lever settings (' +
+      opt.method + ' search, budget ' + opt.budget + ') \u00b7 best ' + (Optimizer.OBJECTIVE_LABELS[opt.objective] || opt.objective);
+    teaserContent.appendChild(searchEl);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'teaser-actions';
+
+  const rerunBtn = document.createElement('button');
+  rerunBtn.className = 'sim-rerun-btn';
+  rerunBtn.textContent = 'Re-run same seed';
+  rerunBtn.title = 'Reproduce this card exactly (same inputs, same random draws)';
 
   const btn = document.createElement('button');
   btn.className = 'sim-full-analysis-btn full-analysis-btn shine';
   btn.textContent = 'Full Analysis';
 
+  actions.appendChild(rerunBtn);
+  if (Optimizer.resolveLevers(entry.inputs).length > 0) {
+    const optimizeBtn = document.createElement('button');
+    optimizeBtn.className = 'sim-optimize-btn';
+    optimizeBtn.textContent = 'Optimize levers';
+    optimizeBtn.title = 'Search the lever settings for the best option and add it to a new card';
+    actions.appendChild(optimizeBtn);
+  }
+  actions.appendChild(btn);
+
   teaser.appendChild(teaserContent);
-  teaser.appendChild(btn);
+  teaser.appendChild(actions);
 
   // Full analysis section (collapsed)
   const analysis = document.createElement('div');
@@ -1590,9 +2110,57 @@ Dashboard._createSimCard = function() {
   top.appendChild(histogramEl);
   top.appendChild(statsEl);
 
+  // Fan chart for multi-period runs (horizon)
+  let fanEl = null;
+  if (Object.values(entry.carloResults).some(r => r && r.trajectory)) {
+    fanEl = document.createElement('div');
+    fanEl.className = 'full-analysis-fan';
+    fanEl.id = 'sim-' + simId + '-fan';
+  }
+
+  // Trade-off table for multi-metric runs (outcomes)
+  let tradeoffEl = null;
+  if (Object.values(entry.carloResults).some(r => r && r.metrics)) {
+    tradeoffEl = document.createElement('div');
+    tradeoffEl.className = 'full-analysis-tradeoffs';
+    tradeoffEl.id = 'sim-' + simId + '-tradeoffs';
+  }
+
+  // Search trace for cards produced by the optimizer
+  let optimizerEl = null;
+  if (entry.optimization) {
+    optimizerEl = document.createElement('div');
+    optimizerEl.className = 'full-analysis-optimizer';
+    optimizerEl.id = 'sim-' + simId + '-optimizer';
+  }
+
+  // Markov outcome timeline (models with markov.enabled)
+  let markovEl = null;
+  if (entry.markovTimelines) {
+    markovEl = document.createElement('div');
+    markovEl.className = 'full-analysis-markov';
+    markovEl.id = 'sim-' + simId + '-markov';
+  }
+
+  // Long-run state outlook under the Markov chains (exact method only)
+  let markovOutlookEl = null;
+  if (entry.markovAnalysis) {
+    markovOutlookEl = document.createElement('div');
+    markovOutlookEl.className = 'full-analysis-markov-outlook';
+    markovOutlookEl.id = 'sim-' + simId + '-markov-outlook';
+  }
+
   const tornadoEl = document.createElement('div');
   tornadoEl.id = 'sim-' + simId + '-tornado';
 
+  // Value of information next to the tornado (needs two or more scenarios)
+  let voiEl = null;
+  if (entry.valueOfInformation) {
+    voiEl = document.createElement('div');
+    voiEl.className = 'full-analysis-voi';
+    voiEl.id = 'sim-' + simId + '-voi';
+  }
+
   // Recommendation triptych
   const recTriptych = document.createElement('div');
   recTriptych.className = 'rec-triptych';
@@ -1616,7 +2184,13 @@ Dashboard._createSimCard = function() {
   });
 
   inner.appendChild(top);
+  if (fanEl) inner.appendChild(fanEl);
+  if (markovEl) inner.appendChild(markovEl);
+  if (markovOutlookEl) inner.appendChild(markovOutlookEl);
+  if (tradeoffEl) inner.appendChild(tradeoffEl);
+  if (optimizerEl) inner.appendChild(optimizerEl);
   inner.appendChild(tornadoEl);
+  if (voiEl) inner.appendChild(voiEl);
   inner.appendChild(recTriptych);
   analysis.appendChild(inner);
 
@@ -1631,7 +2205,7 @@ Dashboard._createSimCard = function() {
 
   // Chat confirmation
   if (typeof Chat !== 'undefined') {
-    Chat.displayMessage('assistant', 'Simulation complete \u2014 ' + pct + '% of 1,000 futures come out positive. Click \u201cFull Analysis\u201d on the right to explore the results.');
+    Chat.displayMessage('assistant', 'Simulation complete \u2014 ' + pct + '% of ' + entry.iterations.toLocaleString() + ' futures come out positive. Click \u201cFull Analysis\u201d on the right to explore the results.');
   }
 
   // Scroll card into view
@@ -1690,6 +2264,95 @@ Dashboard._createFailedSimCard = function(label, diagnostic) {
   card.scrollIntoView({ behavior: 'smooth', block: 'center' });
 };
 
+/**
+ * Create the placeholder card shown while a simulation runs in the worker pool:
+ * progress bar, scenarios as they finish, and a Cancel button.
+ *
+ * @returns {HTMLElement|null} The card, or null without a history container
+ */
+Dashboard._createPendingSimCard = function(label) {
+  const historyContainer = document.getElementById('simulation-history');
+  if (!historyContainer) return null;
+
+  const card = document.createElement('div');
+  card.className = 'sim-card sim-card-pending';
+
+  const teaser = document.createElement('div');
+  teaser.className = 'simulation-teaser';
+
+  const teaserContent = document.createElement('div');
+  teaserContent.className = 'teaser-content';
+
+  const simBadge = document.createElement('span');
+  simBadge.className = 'card-type-badge sim-badge';
+  simBadge.textContent = 'SIMULATION';
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'teaser-label';
+  labelEl.textContent = label || 'Simulation';
+
+  const statusEl = document.createElement('span');
+  statusEl.className = 'teaser-score sim-progress-status';
+  statusEl.textContent = 'Starting simulation\u2026';
+
+  const progress = document.createElement('div');
+  progress.className = 'sim-progress';
+  const bar = document.createElement('div');
+  bar.className = 'sim-progress-bar';
+  progress.appendChild(bar);
+
+  const scenarioList = document.createElement('ul');
+  scenarioList.className = 'sim-pending-scenarios';
+
+  teaserContent.appendChild(simBadge);
+  teaserContent.appendChild(labelEl);
+  teaserContent.appendChild(statusEl);
+  teaserContent.appendChild(progress);
+  teaserContent.appendChild(scenarioList);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'sim-cancel-btn';
+  cancelBtn.textContent = 'Cancel';
+
+  teaser.appendChild(teaserContent);
+  teaser.appendChild(cancelBtn);
+  card.appendChild(teaser);
+
+  historyContainer.prepend(card);
+  document.getElementById('sim-section-label')?.classList.add('visible');
+
+  return card;
+};
+
+/**
+ * Update a pending card's progress bar and status line
+ */
+Dashboard._updatePendingSimCard = function(card, progress) {
+  if (!card || !progress || !progress.total) return;
+  const bar = card.querySelector('.sim-progress-bar');
+  const statusEl = card.querySelector('.sim-progress-status');
+  if (bar) bar.style.width = Math.round(progress.done / progress.total * 100) + '%';
+  if (statusEl) {
+    const activity = { sensitivity: 'Testing sensitivity', optimize: 'Searching lever settings' }[progress.phase] || 'Simulating futures';
+    statusEl.textContent = activity + ' \u2014 ' + progress.done + ' of ' + progress.total + ' tasks';
+  }
+};
+
+/**
+ * List a finished scenario on a pending card
+ */
+Dashboard._addPendingScenarioResult = function(card, scenarioId, result) {
+  if (!card || !result || !result.summary) return;
+  const list = card.querySelector('.sim-pending-scenarios');
+  if (!list) return;
+
+  const scenario = (Dashboard.prismaState.scenarios || []).find(s => s.id === scenarioId);
+  const item = document.createElement('li');
+  item.textContent = (scenario ? scenario.label : scenarioId) + ': ' +
+    Math.round(result.summary.percentPositive) + '% positive';
+  list.appendChild(item);
+};
+
 /**
  * Create an analysis card for follow-up data_overview responses.
  * Preserves the original dashboard and stacks new analyses as expandable cards.
@@ -1872,12 +2535,28 @@ Dashboard.toggleSimCard = function(simId) {
     // Purge Plotly charts on collapse to free memory
     var histEl = document.getElementById('sim-' + simId + '-histogram');
     var tornEl = document.getElementById('sim-' + simId + '-tornado');
+    var fanEl = document.getElementById('sim-' + simId + '-fan');
+    var optimizerEl = document.getElementById('sim-' + simId + '-optimizer');
+    var voiEl = document.getElementById('sim-' + simId + '-voi');
+    var markovEl = document.getElementById('sim-' + simId + '-markov');
     if (histEl && typeof Plotly !== 'undefined') {
       try { Plotly.purge(histEl); } catch(e) { console.warn('[Memory] Failed to purge histogram:', e); }
     }
+    if (fanEl && typeof Plotly !== 'undefined') {
+      try { Plotly.purge(fanEl); } catch(e) { console.warn('[Memory] Failed to purge fan chart:', e); }
+    }
+    if (optimizerEl && typeof Plotly !== 'undefined') {
+      try { Plotly.purge(optimizerEl); } catch(e) { console.warn('[Memory] Failed to purge optimizer trace:', e); }
+    }
     if (tornEl && typeof Plotly !== 'undefined') {
       try { Plotly.purge(tornEl); } catch(e) { console.warn('[Memory] Failed to purge tornado:', e); }
     }
+    if (voiEl && typeof Plotly !== 'undefined') {
+      try { Plotly.purge(voiEl); } catch(e) { console.warn('[Memory] Failed to purge value of information:', e); }
+    }
+    if (markovEl && typeof Plotly !== 'undefined') {
+      try { Plotly.purge(markovEl); } catch(e) { console.warn('[Memory] Failed to purge Markov timeline:', e); }
+    }
   }
 };
 
@@ -1917,6 +2596,31 @@ Dashboard._renderSimAnalysis = function(entry) {
     Dashboard._renderSimulationStats(statsContainer, carloResults, state);
   }
 
+  // Trajectory fan chart (multi-period runs only)
+  const fanContainer = document.getElementById('sim-' + simId + '-fan');
+  if (fanContainer && typeof Visualizations !== 'undefined') {
+    Visualizations.renderFanChart(carloResults, state, fanContainer);
+  }
+
+  // Markov outcome timeline — state transitions month by month
+  const markovContainer = document.getElementById('sim-' + simId + '-markov');
+  if (markovContainer && entry.markovTimelines && typeof Visualizations !== 'undefined') {
+    Visualizations.renderMarkovTimeline(entry.markovTimelines, state, markovContainer);
+  }
+  const outlookContainer = document.getElementById('sim-' + simId + '-markov-outlook');
+  if (outlookContainer && entry.markovAnalysis && typeof Visualizations !== 'undefined') {
+    Visualizations.renderMarkovOutlook(entry.markovAnalysis, state, outlookContainer);
+  }
+
+  // Trade-offs between outcome metrics (multi-metric runs only)
+  Dashboard._renderTradeoffs(entry);
+
+  // Optimizer search trace (cards produced by a lever search only)
+  const optimizerContainer = document.getElementById('sim-' + simId + '-optimizer');
+  if (optimizerContainer && entry.optimization && typeof Visualizations !== 'undefined') {
+    Visualizations.renderOptimizerTrace(entry.optimization, entry.inputs || state, optimizerContainer);
+  }
+
   // Sensitivity tornado — pass container directly (no more ID swap hack)
   const sensResults = entry.sensitivityResults || Dashboard.sensitivityResults;
   if (sensResults && typeof Visualizations !== 'undefined') {
@@ -1926,6 +2630,12 @@ Dashboard._renderSimAnalysis = function(entry) {
     }
   }
 
+  // Value of information — what resolving each uncertainty first is worth
+  const voiContainer = document.getElementById('sim-' + simId + '-voi');
+  if (voiContainer && entry.valueOfInformation && typeof Visualizations !== 'undefined') {
+    Visualizations.renderValueOfInformation(entry.valueOfInformation, state, voiContainer);
+  }
+
   // Recommendation (if available)
   if (entry.recommendation || state.recommendation) {
     const rec = entry.recommendation || state.recommendation;
@@ -1938,6 +2648,57 @@ Dashboard._renderSimAnalysis = function(entry) {
   }
 };
 
+/**
+ * Render a card's trade-off table against the outcomes it was simulated with
+ */
+Dashboard._renderTradeoffs = function(entry) {
+  const container = document.getElementById('sim-' + entry.id + '-tradeoffs');
+  if (!container || typeof Visualizations === 'undefined') return;
+  Visualizations.renderTradeoffs(
+    entry.carloResults, entry.nassimResults, entry.inputs || Dashboard.prismaState, container,
+    (outcomeId, weight) => Dashboard.setOutcomeWeight(outcomeId, weight)
+  );
+};
+
+/**
+ * Change an outcome metric's weight and re-score. Weights only roll the per-metric scores
+ * into the decision score, so nothing is re-simulated: the live verdict and every card
+ * (including its snapshot, so a re-run keeps the weight) are re-classified in place.
+ *
+ * @param {string} outcomeId - Outcome metric id
+ * @param {number} weight - New weight (0 leaves the metric out of the score)
+ */
+Dashboard.setOutcomeWeight = function(outcomeId, weight) {
+  const setWeight = (outcomes) => {
+    const outcome = (outcomes || []).find(o => o.id === outcomeId);
+    if (outcome) outcome.weight = weight;
+  };
+
+  const state = Dashboard.prismaState;
+  setWeight(state.outcomes);
+  if (Dashboard.carloResults) {
+    Dashboard.nassimResults = Nassim.classifyAllScenarios(Dashboard.carloResults, state);
+    Dashboard._renderSliderUpdate();
+  }
+
+  for (const entry of Dashboard.simulationHistory) {
+    if (!entry.inputs || !entry.carloResults) continue;
+    setWeight(entry.inputs.outcomes);
+    entry.nassimResults = Nassim.classifyAllScenarios(entry.carloResults, entry.inputs);
+    if (entry.expanded) Dashboard._renderTradeoffs(entry);
+  }
+};
+
+/**
+ * What a multi-period outcome number means, e.g. "Expected NPV over 12 months"
+ */
+Dashboard._horizonOutcomeLabel = function(trajectory) {
+  const span = trajectory.periods + ' ' + trajectory.periodLabel + (trajectory.periods === 1 ? '' : 's');
+  if (trajectory.aggregate === 'final') return 'Expected change in ' + trajectory.periodLabel + ' ' + trajectory.periods;
+  if (trajectory.aggregate === 'npv' && trajectory.discountRate) return 'Expected NPV over ' + span;
+  return 'Expected total over ' + span;
+};
+
 /**
  * Legacy compat wrapper.
  */
@@ -1956,15 +2717,25 @@ Dashboard._renderSimulationStats = function(container, carloResults, state) {
   const scenarios = state.scenarios || [];
   const unit = state.outcome?.unit || '';
 
-  // Find best non-nothing scenario
+  // Constraints each scenario breaks (see Carlo.CONSTRAINT_OPERATORS)
+  const brokenConstraints = (id) => {
+    const constraints = carloResults[id] && carloResults[id].constraints;
+    return constraints ? Object.values(constraints).filter(c => !c.satisfied).map(c => c.label) : [];
+  };
+
+  // Find best non-nothing scenario, preferring those within every constraint
   let bestId = null;
   let bestPct = 0;
+  let bestFeasible = false;
   for (const s of scenarios) {
     if (s.id === 'nothing' || s.id === 'do_nothing') continue;
     const r = carloResults[s.id];
-    if (r && r.summary && r.summary.percentPositive > bestPct) {
+    if (!r || !r.summary) continue;
+    const feasible = brokenConstraints(s.id).length === 0;
+    if ((feasible && !bestFeasible) || (feasible === bestFeasible && r.summary.percentPositive > bestPct)) {
       bestPct = r.summary.percentPositive;
       bestId = s.id;
+      bestFeasible = feasible;
     }
   }
   if (!bestId) return;
@@ -1972,10 +2743,13 @@ Dashboard._renderSimulationStats = function(container, carloResults, state) {
   const summary = carloResults[bestId].summary;
   const fmt = (n) => typeof Visualizations !== 'undefined' ? Visualizations._formatNumber(n) : Math.round(n).toLocaleString();
 
-  // Expected value (large)
+  // Expected value (large) — over the whole horizon for multi-period runs
+  const trajectory = carloResults[bestId].trajectory;
   const primaryLabel = document.createElement('div');
   primaryLabel.className = 'stat-label';
-  primaryLabel.textContent = 'EXPECTED OUTCOME';
+  primaryLabel.textContent = trajectory
+    ? Dashboard._horizonOutcomeLabel(trajectory).toUpperCase()
+    : 'EXPECTED OUTCOME';
   container.appendChild(primaryLabel);
 
   const primaryValue = document.createElement('div');
@@ -1983,13 +2757,46 @@ Dashboard._renderSimulationStats = function(container, carloResults, state) {
   primaryValue.textContent = (summary.median >= 0 ? '+' : '') + fmt(summary.median) + ' ' + unit;
   container.appendChild(primaryValue);
 
-  // Stat rows
+  // Stat rows — with Monte Carlo error, so small differences aren't over-read
+  const se = summary.standardErrors;
+  const ciRange = Nassim.formatPercentPositiveCI(summary);
+  const convergence = carloResults[bestId].convergence;
   const stats = [
     ['Best case (P90)', fmt(summary.p90) + ' ' + unit],
     ['Worst case (P10)', fmt(summary.p10) + ' ' + unit],
-    ['Positive outcomes', Math.round(summary.percentPositive) + '%'],
+    ['Positive outcomes', Math.round(summary.percentPositive) + '%' + (ciRange ? ' (95% CI ' + ciRange + '%)' : '')],
     ['Scenarios tested', scenarios.length.toString()]
   ];
+  if (se) {
+    stats.push(['Median \u00b1 MC error', '\u00b1' + fmt(1.96 * se.median) + ' ' + unit]);
+  }
+  if (convergence) {
+    stats.push(['Iterations', convergence.iterations.toLocaleString() + (convergence.converged ? ' (converged)' : ' (hit cap)')]);
+  }
+  for (const s of scenarios) {
+    const broken = brokenConstraints(s.id);
+    if (broken.length > 0) stats.push(['Ruled out: ' + (s.label || s.id), broken.join(', ')]);
+  }
+
+  // Risk events on the best option: how the outcome moves in the futures where each one happens
+  const events = carloResults[bestId].events;
+  if (events) {
+    const primary = Carlo.resolveOutcomes(state)[0] || {};
+    const outcomeLabel = primary.label || 'Outcome';
+    for (const event of Object.values(events)) {
+      const share = Math.round(event.probability * 100) + '% of futures';
+      if (!event.impact) {
+        stats.push([event.label, share]);
+        continue;
+      }
+      // Impacts are direction-aware deltas; turn them back into the outcome's own rise or fall
+      const change = primary.direction === 'lower_is_better' ? -event.impact.mean : event.impact.mean;
+      stats.push([
+        'When ' + event.label + ' (' + share + ')',
+        outcomeLabel + (change >= 0 ? ' rises by ' : ' falls by ') + fmt(Math.abs(change)) + ' ' + (primary.unit || unit)
+      ]);
+    }
+  }
 
   stats.forEach(([label, value]) => {
     const row = document.createElement('div');
@@ -0,0 +1,457 @@
+/**
+ * DIST-FIT.JS — Distribution fitting for CSV columns
+ *
+ * Fits candidate distributions to a column by maximum likelihood and ranks them by AIC,
+ * with the Kolmogorov–Smirnov distance as a plain "how far off is the shape" check.
+ * Every candidate maps onto a Carlo distribution (exponential becomes gamma with shape 1),
+ * so the winner can be dropped straight into a simulation variable.
+ *
+ * Shares Carlo's special functions (normal CDF, incomplete beta / gamma, ln Γ).
+ *
+ * Families:
+ *   normal       mean, sd — symmetric measurements
+ *   lognormal    mu, sigma of ln(x) — positive, long right tail (costs, durations)
+ *   gamma        shape, scale — positive, right-skewed (waiting times, amounts)
+ *   exponential  rate — memoryless waits
+ *   beta         alpha, beta on [0, 1] — rates and shares
+ *   poisson      lambda — whole-number counts
+ *   bernoulli    p — 0/1 columns (fitted on its own)
+ *   uniform      min, max — anything in the range equally likely
+ *
+ * Counts are scored with the pmf and continuous families with the density at each count,
+ * which matches the probability of a unit-wide bin — close enough to rank them together.
+ */
+
+const DistFit = {
+  FAMILIES: ['normal', 'lognormal', 'gamma', 'exponential', 'beta', 'poisson', 'bernoulli', 'uniform'],
+
+  MIN_OBSERVATIONS: 10, // Fewer points than this can't tell the shapes apart
+
+  /**
+   * Fit every family that supports the data and rank them by AIC
+   *
+   * @param {Array<number>} values - Observations (non-numeric entries are dropped)
+   * @returns {Object|null} { count, candidates: [...], best } — candidates sorted by AIC, each
+   *   { family, label, params, parameterCount, logLikelihood, aic, deltaAic, weight, ks, variable };
+   *   null with too few observations or no spread
+   */
+  fitColumn(values) {
+    const sorted = values.filter(v => Carlo._isNumeric(v)).map(Number).sort((a, b) => a - b);
+    const n = sorted.length;
+    if (n < this.MIN_OBSERVATIONS || sorted[0] === sorted[n - 1]) return null;
+
+    const stats = this._describe(sorted);
+    const candidates = [];
+
+    for (const family of this._familiesFor(stats)) {
+      const spec = this._families[family];
+      const params = spec.estimate(sorted, stats);
+      if (!params) continue;
+
+      let logLikelihood = 0;
+      for (const x of sorted) logLikelihood += spec.logDensity(params, x);
+      if (!Number.isFinite(logLikelihood)) continue;
+
+      candidates.push({
+        family,
+        label: spec.label,
+        params,
+        parameterCount: spec.parameterCount,
+        logLikelihood,
+        aic: 2 * spec.parameterCount - 2 * logLikelihood,
+        ks: this._ksDistance(sorted, spec, params),
+        variable: spec.toVariable(params, stats)
+      });
+    }
+
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => a.aic - b.aic);
+
+    // Akaike weights: how much of the evidence each family holds
+    const bestAic = candidates[0].aic;
+    let total = 0;
+    for (const c of candidates) {
+      c.deltaAic = c.aic - bestAic;
+      total += Math.exp(-c.deltaAic / 2);
+    }
+    for (const c of candidates) c.weight = Math.exp(-c.deltaAic / 2) / total;
+
+    return { count: n, candidates, best: candidates[0] };
+  },
+
+  /**
+   * Fit each numeric column of parsed CSV rows
+   *
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Array<string>} columns - Columns to fit
+   * @returns {Object} { column: fitColumn() result } for the columns that could be fitted
+   */
+  fitColumns(rows, columns) {
+    const fits = {};
+    for (const column of columns) {
+      const fit = this.fitColumn(rows.map(row => row[column]));
+      if (fit) fits[column] = fit;
+    }
+    return fits;
+  },
+
+  /**
+   * Resolve a variable with `fit` against uploaded rows: build the same pool an empirical
+   * variable would sample (sourceColumn, filters, aggregation), fit it, and return a copy
+   * that uses the chosen family. `fit` is "best" (or true) for the lowest AIC, or a family name.
+   *
+   * @param {Object} variable - Variable with sourceColumn and fit
+   * @param {Array<Object>} rows - Parsed CSV rows (Dashboard._csvData)
+   * @returns {Object} Variable with distribution, value, min, max, params and a `fitted` summary
+   */
+  resolveVariable(variable, rows) {
+    const pool = Carlo.buildEmpiricalPool(variable, rows);
+    const fit = this.fitColumn(pool);
+    if (!fit) {
+      throw new Error(`Fitted variable "${variable.id}": need at least ${this.MIN_OBSERVATIONS} varying values in "${variable.sourceColumn}" to fit a distribution`);
+    }
+
+    const wanted = variable.fit === true ? 'best' : variable.fit;
+    let chosen = fit.best;
+    if (wanted !== 'best') {
+      chosen = fit.candidates.find(c => c.family === wanted);
+      if (!chosen) {
+        console.warn(`[DistFit] ${variable.id}: ${wanted} doesn't fit "${variable.sourceColumn}" (supported: ${fit.candidates.map(c => c.family).join(', ')}) — using ${fit.best.family}`);
+        chosen = fit.best;
+      }
+    }
+
+    return {
+      ...variable,
+      ...chosen.variable,
+      fitted: {
+        family: chosen.family,
+        label: chosen.label,
+        count: fit.count,
+        aic: chosen.aic,
+        deltaAic: chosen.deltaAic,
+        ks: chosen.ks,
+        best: fit.best.family
+      }
+    };
+  },
+
+  /**
+   * Density (pmf for discrete families) of a fitted candidate — for overlay plots
+   *
+   * @param {Object} candidate - Entry from fitColumn().candidates
+   * @param {number} x - Point to evaluate
+   * @returns {number}
+   */
+  density(candidate, x) {
+    return Math.exp(this._families[candidate.family].logDensity(candidate.params, x));
+  },
+
+  /**
+   * Whether a family puts its mass on whole numbers (plotted as points, not a curve)
+   */
+  isDiscrete(family) {
+    return !!this._families[family].discrete;
+  },
+
+  /**
+   * One-line description of a candidate's parameters, e.g. "shape 2.1, scale 4.3"
+   */
+  describeParams(candidate) {
+    return Object.entries(candidate.params)
+      .map(([key, value]) => key + ' ' + this._round(value))
+      .join(', ');
+  },
+
+  // ==================== FAMILIES ====================
+
+  _families: {
+    normal: {
+      label: 'Normal',
+      parameterCount: 2,
+      estimate(sorted, stats) {
+        return stats.std > 0 ? { mean: stats.mean, sd: stats.std } : null;
+      },
+      logDensity({ mean, sd }, x) {
+        const z = (x - mean) / sd;
+        return -0.5 * z * z - Math.log(sd) - 0.5 * Math.log(2 * Math.PI);
+      },
+      cdf({ mean, sd }, x) {
+        return Carlo.normalCdf((x - mean) / sd);
+      },
+      // Carlo's normal takes sd = (max − min) / 6 around value
+      toVariable({ mean, sd }) {
+        return { distribution: 'normal', value: mean, min: mean - 3 * sd, max: mean + 3 * sd, params: {} };
+      }
+    },
+
+    lognormal: {
+      label: 'Lognormal',
+      parameterCount: 2,
+      estimate(sorted, stats) {
+        if (!(stats.min > 0)) return null;
+        const logs = sorted.map(Math.log);
+        const mu = logs.reduce((s, v) => s + v, 0) / logs.length;
+        const sigma = Math.sqrt(logs.reduce((s, v) => s + (v - mu) * (v - mu), 0) / logs.length);
+        return sigma > 0 ? { mu, sigma } : null;
+      },
+      logDensity({ mu, sigma }, x) {
+        if (!(x > 0)) return -Infinity;
+        const z = (Math.log(x) - mu) / sigma;
+        return -0.5 * z * z - Math.log(x * sigma) - 0.5 * Math.log(2 * Math.PI);
+      },
+      cdf({ mu, sigma }, x) {
+        return x > 0 ? Carlo.normalCdf((Math.log(x) - mu) / sigma) : 0;
+      },
+      toVariable({ mu, sigma }, stats) {
+        return { distribution: 'lognormal', value: Math.exp(mu), min: stats.min, max: stats.max, params: { mu, sigma } };
+      }
+    },
+
+    gamma: {
+      label: 'Gamma',
+      parameterCount: 2,
+      // MLE: Minka's closed-form start, then Newton on ln k − ψ(k) = ln(mean) − mean(ln x)
+      estimate(sorted, stats) {
+        if (!(stats.min > 0)) return null;
+        const meanLog = sorted.reduce((sum, v) => sum + Math.log(v), 0) / sorted.length;
+        const s = Math.log(stats.mean) - meanLog;
+        if (!(s > 0)) return null;
+        let shape = (3 - s + Math.sqrt((s - 3) * (s - 3) + 24 * s)) / (12 * s);
+        for (let i = 0; i < 20; i++) {
+          const step = (Math.log(shape) - DistFit._digamma(shape) - s) / (1 / shape - DistFit._trigamma(shape));
+          shape = Math.max(shape - step, shape / 10);
+          if (Math.abs(step) < 1e-10 * shape) break;
+        }
+        return { shape, scale: stats.mean / shape };
+      },
+      logDensity({ shape, scale }, x) {
+        if (!(x > 0)) return -Infinity;
+        return (shape - 1) * Math.log(x) - x / scale - shape * Math.log(scale) - Carlo._logGamma(shape);
+      },
+      cdf({ shape, scale }, x) {
+        return Carlo._gammaCdf(x / scale, shape);
+      },
+      toVariable({ shape, scale }, stats) {
+        return { distribution: 'gamma', value: shape * scale, min: stats.min, max: stats.max, params: { shape, scale } };
+      }
+    },
+
+    exponential: {
+      label: 'Exponential',
+      parameterCount: 1,
+      estimate(sorted, stats) {
+        return stats.min >= 0 && stats.mean > 0 ? { rate: 1 / stats.mean } : null;
+      },
+      logDensity({ rate }, x) {
+        return x >= 0 ? Math.log(rate) - rate * x : -Infinity;
+      },
+      cdf({ rate }, x) {
+        return x > 0 ? 1 - Math.exp(-rate * x) : 0;
+      },
+      toVariable({ rate }, stats) {
+        return { distribution: 'gamma', value: 1 / rate, min: stats.min, max: stats.max, params: { shape: 1, scale: 1 / rate } };
+      }
+    },
+
+    beta: {
+      label: 'Beta',
+      parameterCount: 2,
+      // MLE by Newton on the digamma equations, starting from the method of moments.
+      // Exact 0s and 1s are squeezed inwards ((x·(n − 1) + 0.5) / n, Smithson & Verkuilen 2006).
+      estimate(sorted, stats) {
+        if (stats.min < 0 || stats.max > 1) return null;
+        const n = sorted.length;
+        const squeeze = stats.min === 0 || stats.max === 1;
+        const xs = squeeze ? sorted.map(x => (x * (n - 1) + 0.5) / n) : sorted;
+        const mean = xs.reduce((s, v) => s + v, 0) / n;
+        const variance = xs.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n;
+        const common = mean * (1 - mean) / variance - 1;
+        if (!(common > 0)) return null;
+
+        const logX = xs.reduce((s, v) => s + Math.log(v), 0) / n;
+        const log1mX = xs.reduce((s, v) => s + Math.log(1 - v), 0) / n;
+        let alpha = mean * common;
+        let beta = (1 - mean) * common;
+        for (let i = 0; i < 50; i++) {
+          const psiSum = DistFit._digamma(alpha + beta);
+          const g1 = DistFit._digamma(alpha) - psiSum - logX;
+          const g2 = DistFit._digamma(beta) - psiSum - log1mX;
+          const triSum = DistFit._trigamma(alpha + beta);
+          const j11 = DistFit._trigamma(alpha) - triSum;
+          const j22 = DistFit._trigamma(beta) - triSum;
+          const det = j11 * j22 - triSum * triSum;
+          if (!(Math.abs(det) > 0)) break;
+          let dAlpha = (j22 * g1 + triSum * g2) / det;
+          let dBeta = (triSum * g1 + j11 * g2) / det;
+          // Halve the step until both shapes stay positive
+          while (alpha - dAlpha <= 0 || beta - dBeta <= 0) { dAlpha /= 2; dBeta /= 2; }
+          alpha -= dAlpha;
+          beta -= dBeta;
+          if (Math.abs(dAlpha) < 1e-10 * alpha && Math.abs(dBeta) < 1e-10 * beta) break;
+        }
+        return { alpha, beta };
+      },
+      logDensity({ alpha, beta }, x) {
+        if (x < 0 || x > 1) return -Infinity;
+        const p = Math.min(Math.max(x, 1e-9), 1 - 1e-9);
+        const logB = Carlo._logGamma(alpha) + Carlo._logGamma(beta) - Carlo._logGamma(alpha + beta);
+        return (alpha - 1) * Math.log(p) + (beta - 1) * Math.log(1 - p) - logB;
+      },
+      cdf({ alpha, beta }, x) {
+        return Carlo._betaCdf(x, alpha, beta);
+      },
+      toVariable({ alpha, beta }) {
+        return { distribution: 'beta', value: alpha / (alpha + beta), min: 0, max: 1, params: { alpha, beta } };
+      }
+    },
+
+    poisson: {
+      label: 'Poisson',
+      parameterCount: 1,
+      discrete: true,
+      estimate(sorted, stats) {
+        return stats.isCount && stats.mean > 0 ? { lambda: stats.mean } : null;
+      },
+      logDensity({ lambda }, x) {
+        if (x < 0 || !Number.isInteger(x)) return -Infinity;
+        return x * Math.log(lambda) - lambda - Carlo._logGamma(x + 1);
+      },
+      cdf({ lambda }, x) {
+        if (x < 0) return 0;
+        // P(X <= k) = Q(k + 1, lambda), the upper regularized incomplete gamma
+        return 1 - Carlo._gammaCdf(lambda, Math.floor(x) + 1);
+      },
+      toVariable({ lambda }, stats) {
+        return { distribution: 'poisson', value: lambda, min: stats.min, max: stats.max, params: { lambda } };
+      }
+    },
+
+    bernoulli: {
+      label: 'Bernoulli',
+      parameterCount: 1,
+      discrete: true,
+      estimate(sorted, stats) {
+        return stats.isBinary ? { p: stats.mean } : null;
+      },
+      logDensity({ p }, x) {
+        if (x === 1) return Math.log(p);
+        if (x === 0) return Math.log(1 - p);
+        return -Infinity;
+      },
+      cdf({ p }, x) {
+        if (x < 0) return 0;
+        return x < 1 ? 1 - p : 1;
+      },
+      toVariable({ p }) {
+        return { distribution: 'bernoulli', value: p, min: 0, max: 1, params: { p } };
+      }
+    },
+
+    uniform: {
+      label: 'Uniform',
+      parameterCount: 2,
+      estimate(sorted, stats) {
+        return { min: stats.min, max: stats.max };
+      },
+      logDensity({ min, max }, x) {
+        return x >= min && x <= max ? -Math.log(max - min) : -Infinity;
+      },
+      cdf({ min, max }, x) {
+        return Math.min(1, Math.max(0, (x - min) / (max - min)));
+      },
+      toVariable({ min, max }) {
+        return { distribution: 'uniform', value: (min + max) / 2, min, max, params: {} };
+      }
+    }
+  },
+
+  // ==================== HELPERS ====================
+
+  _describe(sorted) {
+    const n = sorted.length;
+    const mean = sorted.reduce((s, v) => s + v, 0) / n;
+    const std = Math.sqrt(sorted.reduce((s, v) => s + (v - mean) * (v - mean), 0) / n);
+    const isCount = sorted[0] >= 0 && sorted.every(Number.isInteger);
+    return {
+      n, mean, std,
+      min: sorted[0],
+      max: sorted[n - 1],
+      isCount,
+      isBinary: isCount && sorted[n - 1] === 1
+    };
+  },
+
+  // 0/1 columns are yes/no events — only bernoulli describes them
+  _familiesFor(stats) {
+    return stats.isBinary ? ['bernoulli'] : this.FAMILIES.filter(f => f !== 'bernoulli');
+  },
+
+  /**
+   * Largest gap between the empirical CDF and the fitted one. Continuous families are checked
+   * on both sides of every distinct value; discrete ones at every whole number in the range.
+   */
+  _ksDistance(sorted, spec, params) {
+    const n = sorted.length;
+    let distance = 0;
+
+    if (spec.discrete && sorted[n - 1] - sorted[0] <= 10000) {
+      let i = 0;
+      for (let k = Math.min(0, sorted[0]); k <= sorted[n - 1]; k++) {
+        while (i < n && sorted[i] <= k) i++;
+        distance = Math.max(distance, Math.abs(i / n - spec.cdf(params, k)));
+      }
+      return distance;
+    }
+
+    let i = 0;
+    while (i < n) {
+      let j = i;
+      while (j < n && sorted[j] === sorted[i]) j++;
+      const fitted = spec.cdf(params, sorted[i]);
+      distance = Math.max(distance, Math.abs(j / n - fitted), Math.abs(i / n - fitted));
+      i = j;
+    }
+    return distance;
+  },
+
+  /**
+   * Digamma ψ(x) (recurrence up to x ≥ 6, then the asymptotic series)
+   */
+  _digamma(x) {
+    let result = 0;
+    while (x < 6) {
+      result -= 1 / x;
+      x += 1;
+    }
+    const inv2 = 1 / (x * x);
+    return result + Math.log(x) - 0.5 / x - inv2 * (1 / 12 - inv2 * (1 / 120 - inv2 / 252));
+  },
+
+  /**
+   * Trigamma ψ′(x) (recurrence up to x ≥ 6, then the asymptotic series)
+   */
+  _trigamma(x) {
+    let result = 0;
+    while (x < 6) {
+      result += 1 / (x * x);
+      x += 1;
+    }
+    const inv = 1 / x;
+    const inv2 = inv * inv;
+    return result + inv + inv2 / 2 + inv * inv2 * (1 / 6 - inv2 * (1 / 30 - inv2 / 42));
+  },
+
+  _round(value) {
+    const abs = Math.abs(value);
+    if (abs >= 100) return Math.round(value).toString();
+    if (abs >= 1) return value.toFixed(2).replace(/\.?0+$/, '');
+    return value.toPrecision(3).replace(/\.?0+$/, '');
+  }
+};
+
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.DistFit = DistFit;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DistFit;
+}
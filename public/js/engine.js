@@ -0,0 +1,60 @@
+/**
+ * ENGINE — One simulation engine for the browser, Web Workers, Node and ES modules
+ *
+ * The engine files (prng, formula, carlo, dist-fit, nassim, markov, optimizer) are plain
+ * scripts that each define one object. Each registers it on globalThis — that is how the
+ * others find it — and exports it under CommonJS, so the same files run everywhere:
+ *
+ *   browser            <script> tags in MODULES order; engine.js last → global `Engine`
+ *   worker             importScripts('engine.js') — it imports FILES itself (sim-worker.js)
+ *   CommonJS           const Engine = require('./public/js/engine.js')       (api/chat.js, bin/)
+ *   ES modules         import Engine, { Carlo } from './public/js/engine.mjs'
+ *
+ * SCHEMA_VERSION is the one prismaData schema version: api/chat.js stamps it on the simulations
+ * it validates and the dashboard / CLI warn about models written for a newer engine.
+ */
+
+const Engine = {
+  SCHEMA_VERSION: 1,
+
+  // Load order: each file only uses the ones before it
+  MODULES: ['Prng', 'Formula', 'Carlo', 'DistFit', 'Nassim', 'Markov', 'Optimizer'],
+  FILES: ['prng.js', 'formula.js', 'carlo.js', 'dist-fit.js', 'nassim.js', 'markov.js', 'optimizer.js'],
+
+  /**
+   * Check a model's schemaVersion against this engine. Models without one predate the field
+   * and are read as version 1.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Object} { valid: boolean, errors: string[] } — invalid when the model is newer
+   */
+  checkSchemaVersion(prismaData) {
+    const version = prismaData && prismaData.schemaVersion !== undefined ? prismaData.schemaVersion : 1;
+    if (!Number.isInteger(version) || version < 1) {
+      return { valid: false, errors: [`schemaVersion must be a whole number >= 1 (got ${version})`] };
+    }
+    if (version > this.SCHEMA_VERSION) {
+      return { valid: false, errors: [`prismaData schema v${version} is newer than this engine (v${this.SCHEMA_VERSION}); fields it doesn't know are ignored`] };
+    }
+    return { valid: true, errors: [] };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  Engine.FILES.forEach(file => require('./' + file));
+} else if (typeof importScripts === 'function' && typeof globalThis.Prng === 'undefined') {
+  // Classic Web Worker (engine.mjs has already imported them in a module worker): paths resolve
+  // against the worker script, which sits next to these files
+  importScripts(...Engine.FILES);
+}
+
+// Attach whichever engines are loaded (a page may skip some, e.g. Markov)
+for (const name of Engine.MODULES) {
+  if (typeof globalThis[name] !== 'undefined') Engine[name] = globalThis[name];
+}
+
+// Shared engine: a global for <script> / importScripts / import, module.exports for require()
+globalThis.Engine = Engine;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Engine;
+}
@@ -0,0 +1,20 @@
+/**
+ * ENGINE (ES module entry) — the same engine files as engine.js, for `import`
+ *
+ * Each import runs one engine file, which registers its object on globalThis for the files
+ * after it; in Node the .js files load as CommonJS and register the same way.
+ */
+
+import './prng.js';
+import './formula.js';
+import './carlo.js';
+import './dist-fit.js';
+import './nassim.js';
+import './markov.js';
+import './optimizer.js';
+import './engine.js';
+
+const Engine = globalThis.Engine;
+
+export const { SCHEMA_VERSION, Prng, Formula, Carlo, DistFit, Nassim, Markov, Optimizer } = Engine;
+export default Engine;
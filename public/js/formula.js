@@ -0,0 +1,378 @@
+/**
+ * FORMULA — Safe expression compiler for outcome and edge formulas
+ *
+ * Formulas come from the AI, so they are never handed to eval / new Function.
+ * Instead they are parsed once into an AST and turned into plain closures:
+ * arithmetic, comparisons, logical operators, ternaries, string literals
+ * (for scenario === 'x') and a whitelisted set of Math.* members. Anything else
+ * is a FormulaError with the character position where parsing stopped.
+ *
+ * Part of the shared engine (engine.js): the browser engines and api/chat.js run this same file.
+ */
+
+class FormulaError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} position - 0-based character offset in the formula
+   * @param {string} source - The formula text
+   */
+  constructor(message, position, source) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'FormulaError';
+    this.position = position;
+    this.source = source;
+  }
+}
+
+const Formula = {
+  FormulaError,
+
+  MATH_FUNCTIONS: ['abs', 'ceil', 'floor', 'round', 'trunc', 'sign', 'sqrt', 'cbrt', 'exp', 'expm1',
+    'log', 'log10', 'log2', 'log1p', 'pow', 'min', 'max', 'hypot',
+    'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'sinh', 'cosh', 'tanh'],
+  MATH_CONSTANTS: ['PI', 'E', 'LN2', 'LN10', 'LOG2E', 'LOG10E', 'SQRT2', 'SQRT1_2'],
+  LITERALS: { true: true, false: false, Infinity: Infinity, NaN: NaN },
+
+  MAX_LENGTH: 2000,
+
+  /**
+   * Compile a formula once; evaluate it many times.
+   *
+   * @param {string} source - Expression such as "daily_deliveries * 30 - fuel_cost_monthly"
+   * @param {Object} [options] - { names?: Iterable<string> } — when given, any other identifier
+   *   is rejected at compile time instead of evaluating to undefined
+   * @returns {{ source: string, identifiers: Array<string>, evaluate: Function }}
+   *   evaluate(scope) reads identifiers from the scope object
+   * @throws {FormulaError}
+   */
+  compile(source, options = {}) {
+    const ast = this.parse(source);
+    const identifiers = this._collectIdentifiers(ast, []);
+    if (options.names) {
+      const known = new Set(options.names);
+      const unknown = identifiers.find(id => !known.has(id.name));
+      if (unknown) {
+        throw new FormulaError(`Unknown identifier "${unknown.name}"`, unknown.pos, source);
+      }
+    }
+    return {
+      source,
+      identifiers: [...new Set(identifiers.map(id => id.name))],
+      evaluate: this._toClosure(ast)
+    };
+  },
+
+  /**
+   * Identifiers a formula reads (Math members and literals excluded)
+   *
+   * @param {string} source
+   * @returns {Array<string>} Unique names in order of appearance
+   * @throws {FormulaError}
+   */
+  identifiers(source) {
+    return [...new Set(this._collectIdentifiers(this.parse(source), []).map(id => id.name))];
+  },
+
+  /**
+   * Parse a formula into an AST
+   *
+   * @param {string} source
+   * @returns {Object} Root node
+   * @throws {FormulaError}
+   */
+  parse(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new FormulaError('Formula is empty', undefined, source);
+    }
+    if (source.length > this.MAX_LENGTH) {
+      throw new FormulaError(`Formula is longer than ${this.MAX_LENGTH} characters`, undefined, source);
+    }
+    const parser = { tokens: this._tokenize(source), index: 0, source };
+    const ast = this._parseTernary(parser);
+    const next = parser.tokens[parser.index];
+    if (next.type !== 'end') {
+      throw new FormulaError(`Unexpected ${this._describe(next)}`, next.pos, source);
+    }
+    return ast;
+  },
+
+  // --- Tokenizer ---
+
+  _OPERATORS: ['===', '!==', '**', '==', '!=', '<=', '>=', '&&', '||',
+    '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ',', '.'],
+
+  _tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+      const ch = source[i];
+      if (/\s/.test(ch)) { i++; continue; }
+
+      // Numbers: 12, 1.5, .5, 1e-3
+      const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[0]), pos: i });
+        i += number[0].length;
+        continue;
+      }
+
+      const identifier = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], pos: i });
+        i += identifier[0].length;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        let j = i + 1;
+        let text = '';
+        while (j < source.length && source[j] !== ch) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          text += source[j];
+          j++;
+        }
+        if (j >= source.length) throw new FormulaError('Unterminated string', i, source);
+        tokens.push({ type: 'string', value: text, pos: i });
+        i = j + 1;
+        continue;
+      }
+
+      const op = this._OPERATORS.find(o => source.startsWith(o, i));
+      if (!op) throw new FormulaError(`Unexpected character "${ch}"`, i, source);
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+    }
+    tokens.push({ type: 'end', pos: source.length });
+    return tokens;
+  },
+
+  _describe(token) {
+    if (token.type === 'end') return 'end of formula';
+    if (token.type === 'string') return 'string';
+    return `"${token.value}"`;
+  },
+
+  // --- Recursive descent parser (lowest precedence first) ---
+
+  _peek(parser) {
+    return parser.tokens[parser.index];
+  },
+
+  _acceptOp(parser, ...ops) {
+    const token = parser.tokens[parser.index];
+    if (token.type === 'op' && ops.includes(token.value)) {
+      parser.index++;
+      return token;
+    }
+    return null;
+  },
+
+  _expectOp(parser, op) {
+    const token = this._acceptOp(parser, op);
+    if (!token) {
+      const next = this._peek(parser);
+      throw new FormulaError(`Expected "${op}" but found ${this._describe(next)}`, next.pos, parser.source);
+    }
+    return token;
+  },
+
+  _parseTernary(parser) {
+    const test = this._parseBinary(parser, 0);
+    const question = this._acceptOp(parser, '?');
+    if (!question) return test;
+    const consequent = this._parseTernary(parser);
+    this._expectOp(parser, ':');
+    const alternate = this._parseTernary(parser);
+    return { type: 'conditional', test, consequent, alternate, pos: question.pos };
+  },
+
+  // Binary operator levels, loosest first
+  _BINARY_LEVELS: [
+    ['||'],
+    ['&&'],
+    ['===', '!==', '==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+  ],
+
+  _parseBinary(parser, level) {
+    if (level === this._BINARY_LEVELS.length) return this._parseUnary(parser);
+    let left = this._parseBinary(parser, level + 1);
+    let token;
+    while ((token = this._acceptOp(parser, ...this._BINARY_LEVELS[level]))) {
+      const right = this._parseBinary(parser, level + 1);
+      left = { type: 'binary', op: token.value, left, right, pos: token.pos };
+    }
+    return left;
+  },
+
+  _parseUnary(parser) {
+    const token = this._acceptOp(parser, '-', '+', '!');
+    if (token) {
+      return { type: 'unary', op: token.value, argument: this._parseUnary(parser), pos: token.pos };
+    }
+    return this._parsePower(parser);
+  },
+
+  _parsePower(parser) {
+    const base = this._parsePrimary(parser);
+    const token = this._acceptOp(parser, '**');
+    if (!token) return base;
+    // Right-associative: 2 ** 3 ** 2 = 2 ** 9
+    return { type: 'binary', op: '**', left: base, right: this._parseUnary(parser), pos: token.pos };
+  },
+
+  _parsePrimary(parser) {
+    const token = this._peek(parser);
+
+    if (token.type === 'number' || token.type === 'string') {
+      parser.index++;
+      return { type: 'literal', value: token.value, pos: token.pos };
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      parser.index++;
+      const inner = this._parseTernary(parser);
+      this._expectOp(parser, ')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      parser.index++;
+      if (token.value === 'Math') return this._parseMathMember(parser, token);
+      if (Object.prototype.hasOwnProperty.call(this.LITERALS, token.value)) {
+        return { type: 'literal', value: this.LITERALS[token.value], pos: token.pos };
+      }
+      const next = this._peek(parser);
+      if (next.type === 'op' && next.value === '(') {
+        const hint = this.MATH_FUNCTIONS.includes(token.value) ? ` (use Math.${token.value})` : '';
+        throw new FormulaError(`Unknown function "${token.value}"${hint}`, token.pos, parser.source);
+      }
+      if (next.type === 'op' && next.value === '.') {
+        throw new FormulaError('Property access is only allowed on Math', next.pos, parser.source);
+      }
+      return { type: 'identifier', name: token.value, pos: token.pos };
+    }
+
+    throw new FormulaError(`Unexpected ${this._describe(token)}`, token.pos, parser.source);
+  },
+
+  _parseMathMember(parser, mathToken) {
+    this._expectOp(parser, '.');
+    const member = this._peek(parser);
+    if (member.type !== 'identifier') {
+      throw new FormulaError(`Expected a Math member but found ${this._describe(member)}`, member.pos, parser.source);
+    }
+    parser.index++;
+
+    if (this.MATH_CONSTANTS.includes(member.value)) {
+      return { type: 'literal', value: Math[member.value], pos: mathToken.pos };
+    }
+    if (!this.MATH_FUNCTIONS.includes(member.value)) {
+      throw new FormulaError(`Math.${member.value} is not allowed`, member.pos, parser.source);
+    }
+
+    this._expectOp(parser, '(');
+    const args = [];
+    if (!this._acceptOp(parser, ')')) {
+      do {
+        args.push(this._parseTernary(parser));
+      } while (this._acceptOp(parser, ','));
+      this._expectOp(parser, ')');
+    }
+    return { type: 'call', name: member.value, args, pos: mathToken.pos };
+  },
+
+  // --- AST walkers ---
+
+  _collectIdentifiers(node, out) {
+    switch (node.type) {
+      case 'identifier': out.push(node); break;
+      case 'unary': this._collectIdentifiers(node.argument, out); break;
+      case 'binary':
+        this._collectIdentifiers(node.left, out);
+        this._collectIdentifiers(node.right, out);
+        break;
+      case 'conditional':
+        this._collectIdentifiers(node.test, out);
+        this._collectIdentifiers(node.consequent, out);
+        this._collectIdentifiers(node.alternate, out);
+        break;
+      case 'call': node.args.forEach(arg => this._collectIdentifiers(arg, out)); break;
+    }
+    return out;
+  },
+
+  /**
+   * Turn an AST node into a closure scope → value
+   */
+  _toClosure(node) {
+    switch (node.type) {
+      case 'literal': {
+        const value = node.value;
+        return () => value;
+      }
+      case 'identifier': {
+        // Own properties only: `constructor` or `__proto__` must not reach Object.prototype
+        const name = node.name;
+        const has = Object.prototype.hasOwnProperty;
+        return scope => (has.call(scope, name) ? scope[name] : undefined);
+      }
+      case 'unary': {
+        const arg = this._toClosure(node.argument);
+        if (node.op === '-') return scope => -arg(scope);
+        if (node.op === '+') return scope => +arg(scope);
+        return scope => !arg(scope);
+      }
+      case 'conditional': {
+        const test = this._toClosure(node.test);
+        const consequent = this._toClosure(node.consequent);
+        const alternate = this._toClosure(node.alternate);
+        return scope => (test(scope) ? consequent(scope) : alternate(scope));
+      }
+      case 'call': {
+        const fn = Math[node.name];
+        const args = node.args.map(arg => this._toClosure(arg));
+        if (args.length === 1) {
+          const a = args[0];
+          return scope => fn(a(scope));
+        }
+        if (args.length === 2) {
+          const [a, b] = args;
+          return scope => fn(a(scope), b(scope));
+        }
+        return scope => fn(...args.map(arg => arg(scope)));
+      }
+      case 'binary': {
+        const l = this._toClosure(node.left);
+        const r = this._toClosure(node.right);
+        switch (node.op) {
+          case '+': return scope => l(scope) + r(scope);
+          case '-': return scope => l(scope) - r(scope);
+          case '*': return scope => l(scope) * r(scope);
+          case '/': return scope => l(scope) / r(scope);
+          case '%': return scope => l(scope) % r(scope);
+          case '**': return scope => l(scope) ** r(scope);
+          case '<': return scope => l(scope) < r(scope);
+          case '<=': return scope => l(scope) <= r(scope);
+          case '>': return scope => l(scope) > r(scope);
+          case '>=': return scope => l(scope) >= r(scope);
+          case '===': return scope => l(scope) === r(scope);
+          case '!==': return scope => l(scope) !== r(scope);
+          case '==': return scope => l(scope) == r(scope);
+          case '!=': return scope => l(scope) != r(scope);
+          case '&&': return scope => l(scope) && r(scope);
+          case '||': return scope => l(scope) || r(scope);
+        }
+      }
+    }
+    throw new FormulaError(`Unsupported node "${node.type}"`, node.pos);
+  }
+};
+
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.Formula = Formula;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Formula;
+}
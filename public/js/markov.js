@@ -10,9 +10,20 @@
  * - quit (absorbing state)
  *
  * Different decisions create different transition matrices → different futures.
+ * State distributions are exact (matrix powers, runMarkovExact) unless markov.method is
+ * 'monte_carlo'; analyzeChain adds the stationary distribution and, for absorbing states like
+ * quit, the expected months until absorption and where each state ends up.
+ * Cohort entities (type 'cohort') count a whole population per state, with inflows and outflows.
+ * markov.policies stage a scenario over time: scheduled phases and a state-triggered switch.
+ * getMarkovOutcomeTimeline turns the monthly state distributions into outcome bands with Carlo;
+ * with markov.joint, runJoint instead walks one path per Carlo future, so the outcome distribution
+ * itself carries the transition risk.
+ * resolveEntity estimates an entity's transitions from time-series rows (state rules over columns).
  */
 
 const Markov = {
+  // Futures per month in getMarkovOutcomeTimeline (one Carlo run per month and scenario)
+  TIMELINE_ITERATIONS: 500,
 
   /**
    * Validate that a transition matrix is well-formed
@@ -58,9 +69,10 @@ const Markov = {
    * Sample next state based on current state's transition probabilities
    * @param {string} currentState - Current state
    * @param {Object} transitions - Transition matrix
+   * @param {Function} rng - Uniform [0, 1) generator (default: Math.random)
    * @returns {string} Next state
    */
-  sampleNextState(currentState, transitions) {
+  sampleNextState(currentState, transitions, rng = Math.random) {
     const row = transitions[currentState];
     if (!row) {
       throw new Error(`State "${currentState}" not found in transition matrix`);
@@ -70,7 +82,7 @@ const Markov = {
     const probabilities = states.map(s => row[s]);
 
     // Cumulative probability sampling
-    const rand = Math.random();
+    const rand = rng();
     let cumulative = 0;
 
     for (let i = 0; i < states.length; i++) {
@@ -89,14 +101,15 @@ const Markov = {
    * @param {string} initialState - Starting state
    * @param {Object} transitions - Transition matrix
    * @param {number} steps - Number of time steps
+   * @param {Function} rng - Uniform [0, 1) generator (default: Math.random)
    * @returns {Array<string>} State at each step (length = steps + 1, includes initial)
    */
-  walkChain(initialState, transitions, steps) {
+  walkChain(initialState, transitions, steps, rng = Math.random) {
     const path = [initialState];
     let currentState = initialState;
 
     for (let i = 0; i < steps; i++) {
-      currentState = this.sampleNextState(currentState, transitions);
+      currentState = this.sampleNextState(currentState, transitions, rng);
       path.push(currentState);
     }
 
@@ -109,13 +122,11 @@ const Markov = {
    * @param {string} scenarioId - Which scenario to simulate (affects transitions)
    * @param {number} iterations - Number of Monte Carlo walks (default 1000)
    * @param {number} months - Number of months to simulate (default 6)
+   * @param {Function} rng - Uniform [0, 1) generator (default: Math.random)
    * @returns {Object} Markov results with monthly distributions
    */
-  runMarkovMonteCarlo(entityConfig, scenarioId, iterations = 1000, months = 6) {
-    // Get the appropriate transition matrix for this scenario
-    const transitions = (scenarioId && entityConfig.scenarioTransitions && entityConfig.scenarioTransitions[scenarioId])
-      ? entityConfig.scenarioTransitions[scenarioId]
-      : entityConfig.transitions;
+  runMarkovMonteCarlo(entityConfig, scenarioId, iterations = 1000, months = 6, rng = Math.random) {
+    const transitions = this._transitionsFor(entityConfig, scenarioId);
 
     // Validate transitions
     const validation = this.validateTransitionMatrix(transitions);
@@ -143,7 +154,7 @@ const Markov = {
 
     // Run Monte Carlo iterations
     for (let iter = 0; iter < iterations; iter++) {
-      const path = this.walkChain(initialState, transitions, months);
+      const path = this.walkChain(initialState, transitions, months, rng);
 
       // Save sample path
       if (iter < numSamples) {
@@ -167,19 +178,506 @@ const Markov = {
     return {
       entityId: entityConfig.id,
       entityLabel: entityConfig.label,
+      method: 'monte_carlo',
       monthlyDistributions,
       paths: samplePaths
     };
   },
 
+  /**
+   * Exact state distributions over time: month t is the initial state's row of P^t, built up one
+   * vector–matrix product per month. Random walks are only drawn for the sample paths.
+   * Same result shape as runMarkovMonteCarlo, plus the chain's absorption analysis.
+   *
+   * @param {Object} entityConfig - Entity configuration from prismaData.markov.entities
+   * @param {string} scenarioId - Which scenario to simulate (affects transitions)
+   * @param {number} months - Number of months to simulate (default 6)
+   * @param {Function} rng - Uniform [0, 1) generator for the sample paths (default: Math.random)
+   * @param {number} samples - Sample paths to walk (default 10)
+   * @returns {Object} Markov results with monthly distributions and `analysis` (analyzeChain,
+   *   with withinHorizon: {absorbingState: probability of being there by the last month})
+   */
+  runMarkovExact(entityConfig, scenarioId, months = 6, rng = Math.random, samples = 10) {
+    const transitions = this._transitionsFor(entityConfig, scenarioId);
+    const validation = this.validateTransitionMatrix(transitions);
+    if (!validation.valid) {
+      console.error('Invalid transition matrix:', validation.errors);
+      throw new Error('Invalid transition matrix: ' + validation.errors.join('; '));
+    }
+
+    const allStates = entityConfig.states;
+    const monthlyDistributions = [];
+    let dist = {};
+    for (const state of allStates) dist[state] = state === entityConfig.initialState ? 1 : 0;
+    monthlyDistributions.push(dist);
+    for (let month = 1; month <= months; month++) {
+      const next = {};
+      for (const state of allStates) next[state] = 0;
+      for (const from of allStates) {
+        if (dist[from] === 0) continue;
+        for (const [to, p] of Object.entries(transitions[from] || {})) next[to] += dist[from] * p;
+      }
+      monthlyDistributions.push(next);
+      dist = next;
+    }
+
+    const paths = [];
+    for (let i = 0; i < samples; i++) {
+      paths.push(this.walkChain(entityConfig.initialState, transitions, months, rng));
+    }
+
+    const analysis = this.analyzeChain(transitions, entityConfig.initialState, allStates);
+    analysis.withinHorizon = {};
+    for (const state of analysis.absorbingStates) analysis.withinHorizon[state] = dist[state];
+
+    return {
+      entityId: entityConfig.id,
+      entityLabel: entityConfig.label,
+      method: 'exact',
+      monthlyDistributions,
+      paths,
+      analysis
+    };
+  },
+
+  /**
+   * Validate a cohort entity: a population counted per state instead of one individual
+   * @param {Object} entityConfig - Entity with type 'cohort'
+   * @returns {Object} {valid: boolean, errors: [string]}
+   */
+  validateCohort(entityConfig) {
+    const errors = [];
+    const states = entityConfig.states || [];
+    const counts = entityConfig.initialCounts || {};
+    if (Object.keys(counts).length === 0) errors.push(`Cohort "${entityConfig.id}" needs initialCounts`);
+    for (const [state, count] of Object.entries(counts)) {
+      if (!states.includes(state)) errors.push(`initialCounts: unknown state "${state}"`);
+      if (!Number.isInteger(count) || count < 0) errors.push(`initialCounts.${state} must be a whole number >= 0 (got ${count})`);
+    }
+
+    const flowSets = [['inflows', entityConfig.inflows], ['outflows', entityConfig.outflows]];
+    for (const [id, flows] of Object.entries(entityConfig.scenarioInflows || {})) flowSets.push([`scenarioInflows.${id}`, flows]);
+    for (const [id, flows] of Object.entries(entityConfig.scenarioOutflows || {})) flowSets.push([`scenarioOutflows.${id}`, flows]);
+    for (const [name, flows] of flowSets) {
+      for (const [state, value] of Object.entries(flows || {})) {
+        if (!states.includes(state)) errors.push(`${name}: unknown state "${state}"`);
+        const values = Array.isArray(value) ? value : [value];
+        const outflow = name.toLowerCase().includes('outflows');
+        if (values.some(v => !Number.isFinite(v) || v < 0 || (outflow && v > 1))) {
+          errors.push(`${name}.${state} must be ${outflow ? 'a probability 0-1' : 'a count >= 0 (or one count per month)'}`);
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Simulate a cohort: every month each state's members move on together (a multinomial draw
+   * from that state's row), then members of outflow states leave with the outflow probability
+   * and inflows join. Repeated `iterations` times for bands on the counts.
+   *
+   * Cohort fields: initialCounts {state: n}; inflows {state: perMonth | [month1, month2, ...]}
+   * (e.g. hiring); outflows {state: probability of leaving per month}; scenarioInflows /
+   * scenarioOutflows {scenarioId: flows} replace them under a scenario, like scenarioTransitions.
+   *
+   * @param {Object} entityConfig - Entity with type 'cohort'
+   * @param {string} scenarioId - Which scenario to simulate (affects transitions and flows)
+   * @param {number} iterations - Number of simulated populations (default 1000)
+   * @param {number} months - Number of months to simulate (default 6)
+   * @param {Function} rng - Uniform [0, 1) generator (default: Math.random)
+   * @returns {Object} Markov results: monthlyCounts [{state: {mean, p10, p50, p90}}],
+   *   monthlyDistributions (each state's mean share of the population), paths (sample count paths)
+   */
+  runCohort(entityConfig, scenarioId, iterations = 1000, months = 6, rng = Math.random) {
+    const transitions = this._transitionsFor(entityConfig, scenarioId);
+    const validation = this.validateTransitionMatrix(transitions);
+    const cohortValidation = this.validateCohort(entityConfig);
+    const errors = [...validation.errors, ...cohortValidation.errors];
+    if (errors.length > 0) {
+      console.error('Invalid cohort:', errors);
+      throw new Error('Invalid cohort: ' + errors.join('; '));
+    }
+
+    const states = entityConfig.states;
+    const flows = this._cohortFlows(entityConfig, scenarioId);
+
+    // samples[month][state] = count in each iteration
+    const samples = this._emptyCountSamples(states, iterations, months);
+    const paths = [];
+    const numSamples = Math.min(10, iterations);
+
+    for (let iter = 0; iter < iterations; iter++) {
+      let counts = {};
+      for (const state of states) counts[state] = entityConfig.initialCounts[state] || 0;
+      const path = [{ ...counts }];
+      for (const state of states) samples[0][state][iter] = counts[state];
+
+      for (let month = 1; month <= months; month++) {
+        counts = this._stepCohort(counts, states, transitions, flows, month, rng);
+        for (const state of states) samples[month][state][iter] = counts[state];
+        path.push({ ...counts });
+      }
+      if (iter < numSamples) paths.push(path);
+    }
+
+    const { monthlyCounts, monthlyDistributions } = this._summarizeCounts(samples, states, months);
+    return {
+      entityId: entityConfig.id,
+      entityLabel: entityConfig.label,
+      method: 'cohort',
+      monthlyCounts,
+      monthlyDistributions,
+      paths
+    };
+  },
+
+  /**
+   * Validate a staged policy (prismaData.markov.policies[scenarioId])
+   * @param {Object} policy - { schedule?: [{ month, use }], trigger?: { when, use, from?, label? } }
+   * @param {Object} prismaData - Full Prisma data structure (for scenario and entity ids)
+   * @returns {Object} {valid: boolean, errors: [string]}
+   */
+  validatePolicy(policy, prismaData) {
+    const errors = [];
+    const known = new Set((prismaData.scenarios || []).map(s => s.id));
+    for (const entity of prismaData.markov.entities || []) {
+      for (const field of ['scenarioTransitions', 'scenarioInflows', 'scenarioOutflows']) {
+        Object.keys(entity[field] || {}).forEach(id => known.add(id));
+      }
+    }
+    const checkUse = (use, where) => {
+      if (!known.has(use)) errors.push(`${where}: unknown scenario "${use}"`);
+    };
+
+    (policy.schedule || []).forEach((phase, i) => {
+      if (!Number.isInteger(phase.month) || phase.month < 0) errors.push(`schedule[${i}].month must be a whole number >= 0`);
+      checkUse(phase.use, `schedule[${i}]`);
+    });
+    if (policy.trigger) {
+      checkUse(policy.trigger.use, 'trigger');
+      try {
+        Formula.compile(policy.trigger.when, { names: this._policyScopeNames(prismaData) });
+      } catch (e) {
+        errors.push(`trigger.when: ${e.message}`);
+      }
+    }
+    if (!policy.schedule && !policy.trigger) errors.push('A policy needs a schedule or a trigger');
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Walk every entity together under a staged policy. Each month the transitions (and cohort
+   * flows) come from the scenario the policy names: the schedule phase in force, or — once the
+   * trigger has fired on this path — the trigger's scenario for the rest of the horizon.
+   *
+   * The trigger formula is checked on each path's states at the end of every month from
+   * `trigger.from` (default 0) and fires at most once. It reads `month`, each individual
+   * entity's current state by id (driver_kai === 'burned_out') and each cohort's counts as
+   * <id>_<state> and <id>_total (fleet_reliable / fleet_total < 0.7).
+   *
+   * A cohort's per-month inflow list counts from the month its scenario took over, so [2]
+   * hires two in the first month of the switch.
+   *
+   * @param {Object} prismaData - Full Prisma data structure
+   * @param {string} scenarioId - The policy's scenario (used before the first phase)
+   * @param {Object} policy - prismaData.markov.policies[scenarioId]
+   * @param {number} iterations - Number of paths
+   * @param {number} months - Number of months to simulate
+   * @param {Function} rng - Uniform [0, 1) generator (default: Math.random)
+   * @returns {Object} {entityId: markovResult} like runAllMarkov, every result sharing `policy`:
+   *   { label, switchMonths: [month | null per path], firedByMonth: [share of paths],
+   *   switchedByMonth: [cumulative share] }
+   */
+  runPolicy(prismaData, scenarioId, policy, iterations = 1000, months = 6, rng = Math.random) {
+    const entities = prismaData.markov.entities;
+    const walk = this._policyWalker(prismaData, scenarioId, policy);
+    const trigger = policy.trigger;
+
+    const tallies = {};
+    const samples = {};
+    for (const entity of entities) {
+      if (entity.type === 'cohort') {
+        samples[entity.id] = this._emptyCountSamples(entity.states, iterations, months);
+      } else {
+        tallies[entity.id] = [];
+        for (let month = 0; month <= months; month++) {
+          const dist = {};
+          for (const state of entity.states) dist[state] = 0;
+          tallies[entity.id].push(dist);
+        }
+      }
+    }
+    const paths = {};
+    entities.forEach(e => { paths[e.id] = []; });
+    const numSamples = Math.min(10, iterations);
+    const switchMonths = [];
+
+    for (let iter = 0; iter < iterations; iter++) {
+      const record = (month, current) => {
+        for (const entity of entities) {
+          if (entity.type === 'cohort') {
+            for (const state of entity.states) samples[entity.id][month][state][iter] = current[entity.id][state];
+          } else {
+            tallies[entity.id][month][current[entity.id]] += 1;
+          }
+          if (iter < numSamples) {
+            if (month === 0) paths[entity.id].push([]);
+            const value = current[entity.id];
+            paths[entity.id][iter].push(typeof value === 'string' ? value : { ...value });
+          }
+        }
+      };
+      switchMonths.push(walk(months, rng, record));
+    }
+
+    const firedByMonth = [];
+    const switchedByMonth = [];
+    let switched = 0;
+    for (let month = 0; month <= months; month++) {
+      const fired = switchMonths.filter(m => m === month).length;
+      switched += fired;
+      firedByMonth.push(fired / iterations);
+      switchedByMonth.push(switched / iterations);
+    }
+    const policyResult = {
+      label: (trigger && trigger.label) || (trigger ? trigger.when : 'Scheduled'),
+      switchMonths,
+      firedByMonth,
+      switchedByMonth
+    };
+
+    const results = {};
+    for (const entity of entities) {
+      if (entity.type === 'cohort') {
+        const { monthlyCounts, monthlyDistributions } = this._summarizeCounts(samples[entity.id], entity.states, months);
+        results[entity.id] = {
+          entityId: entity.id, entityLabel: entity.label, method: 'policy',
+          monthlyCounts, monthlyDistributions, paths: paths[entity.id], policy: policyResult
+        };
+      } else {
+        const monthlyDistributions = tallies[entity.id].map(dist => {
+          const shares = {};
+          for (const [state, n] of Object.entries(dist)) shares[state] = n / iterations;
+          return shares;
+        });
+        results[entity.id] = {
+          entityId: entity.id, entityLabel: entity.label, method: 'policy',
+          monthlyDistributions, paths: paths[entity.id], policy: policyResult
+        };
+      }
+    }
+    return results;
+  },
+
+  /**
+   * Compile a staged policy once (see runPolicy). The returned walk(months, rng, record) plays
+   * one joint path, calling record(month, current) for months 0 to `months` with each entity's
+   * state (or a cohort's counts) by id, and returns the month the trigger fired, or null.
+   */
+  _policyWalker(prismaData, scenarioId, policy) {
+    const validation = this.validatePolicy(policy, prismaData);
+    if (!validation.valid) {
+      console.error('Invalid policy:', validation.errors);
+      throw new Error(`Invalid policy for "${scenarioId}": ` + validation.errors.join('; '));
+    }
+
+    const entities = prismaData.markov.entities;
+    const schedule = (policy.schedule || []).slice().sort((a, b) => a.month - b.month);
+    const trigger = policy.trigger;
+    const test = trigger ? Formula.compile(trigger.when, { names: this._policyScopeNames(prismaData) }) : null;
+    const from = trigger && Number.isInteger(trigger.from) ? trigger.from : 0;
+
+    // One transition matrix (and cohort flows) per entity per scenario the policy can use
+    const plans = {};
+    const planFor = (entity, useId) => {
+      const key = entity.id + '|' + useId;
+      if (!plans[key]) {
+        const transitions = this._transitionsFor(entity, useId);
+        const check = this.validateTransitionMatrix(transitions);
+        if (!check.valid) throw new Error(`Invalid transition matrix for ${entity.id} under "${useId}": ` + check.errors.join('; '));
+        plans[key] = { transitions, flows: entity.type === 'cohort' ? this._cohortFlows(entity, useId) : null };
+      }
+      return plans[key];
+    };
+    for (const entity of entities) {
+      if (entity.type === 'cohort') {
+        const check = this.validateCohort(entity);
+        if (!check.valid) throw new Error('Invalid cohort: ' + check.errors.join('; '));
+      }
+    }
+    const phaseAt = month => {
+      let use = scenarioId;
+      for (const phase of schedule) if (phase.month <= month) use = phase.use;
+      return use;
+    };
+
+    return (months, rng, record) => {
+      const current = {};
+      for (const entity of entities) {
+        current[entity.id] = entity.type === 'cohort'
+          ? Object.fromEntries(entity.states.map(s => [s, entity.initialCounts[s] || 0]))
+          : entity.initialState;
+      }
+      record(0, current);
+
+      let switchedAt = null;
+      let activeId = null;
+      let activeSince = 0;
+      for (let month = 0; month < months; month++) {
+        if (test && switchedAt === null && month >= from && test.evaluate(this._policyScope(entities, current, month))) {
+          switchedAt = month;
+        }
+        const useId = switchedAt !== null ? trigger.use : phaseAt(month);
+        // Per-month inflow lists count from the month their scenario took over
+        if (useId !== activeId) {
+          activeId = useId;
+          activeSince = month;
+        }
+        for (const entity of entities) {
+          const plan = planFor(entity, useId);
+          current[entity.id] = entity.type === 'cohort'
+            ? this._stepCohort(current[entity.id], entity.states, plan.transitions, plan.flows, month - activeSince + 1, rng)
+            : this.sampleNextState(current[entity.id], plan.transitions, rng);
+        }
+        record(month + 1, current);
+      }
+      return switchedAt;
+    };
+  },
+
+  /**
+   * Names a policy trigger may read (see runPolicy)
+   */
+  _policyScopeNames(prismaData) {
+    const names = ['month'];
+    for (const entity of prismaData.markov.entities || []) {
+      if (entity.type === 'cohort') {
+        names.push(entity.id + '_total', ...(entity.states || []).map(s => entity.id + '_' + s));
+      } else {
+        names.push(entity.id);
+      }
+    }
+    return names;
+  },
+
+  _policyScope(entities, current, month) {
+    const scope = { month };
+    for (const entity of entities) {
+      if (entity.type === 'cohort') {
+        let total = 0;
+        for (const state of entity.states) {
+          scope[entity.id + '_' + state] = current[entity.id][state];
+          total += current[entity.id][state];
+        }
+        scope[entity.id + '_total'] = total;
+      } else {
+        scope[entity.id] = current[entity.id];
+      }
+    }
+    return scope;
+  },
+
+  /**
+   * Long-run behaviour of a chain, solved exactly.
+   *
+   * Absorbing states (self-loop of 1) split the chain into Q (transient → transient) and
+   * R (transient → absorbing). The fundamental matrix N = (I − Q)⁻¹ gives the expected months
+   * until absorption (N·1) and where each transient state ends up (B = N·R). Transient states
+   * that can't reach an absorbing state are never absorbed. The stationary distribution is the
+   * long-run distribution starting from initialState: the absorption probabilities when
+   * absorption is certain, otherwise the solution of π = πP (averaged powers of P when that
+   * solution isn't unique).
+   *
+   * @param {Object} transitions - {fromState: {toState: probability}}
+   * @param {string} initialState - Starting state
+   * @param {Array<string>} [states] - State order (default: the matrix's rows)
+   * @returns {Object} { absorbingStates, stationary: {state: p}, expectedMonths,
+   *   absorptionProbabilities: {absorbingState: p}, byState: {state: { expectedMonths,
+   *   absorptionProbabilities }} } — expectedMonths is null when absorption isn't certain
+   *   (or there is nothing to be absorbed into)
+   */
+  analyzeChain(transitions, initialState, states = Object.keys(transitions)) {
+    const p = (from, to) => (transitions[from] && transitions[from][to]) || 0;
+    const absorbingStates = states.filter(s => Math.abs(p(s, s) - 1) < 1e-9);
+    const transient = states.filter(s => !absorbingStates.includes(s));
+
+    // Transient states with a path into an absorbing state
+    const reaches = new Set(absorbingStates);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const s of transient) {
+        if (!reaches.has(s) && states.some(t => reaches.has(t) && p(s, t) > 0)) {
+          reaches.add(s);
+          grew = true;
+        }
+      }
+    }
+    const live = transient.filter(s => reaches.has(s));
+
+    const byState = {};
+    for (const s of absorbingStates) {
+      const probs = {};
+      for (const a of absorbingStates) probs[a] = a === s ? 1 : 0;
+      byState[s] = { expectedMonths: 0, absorptionProbabilities: probs };
+    }
+    for (const s of transient) {
+      const probs = {};
+      for (const a of absorbingStates) probs[a] = 0;
+      byState[s] = { expectedMonths: null, absorptionProbabilities: probs };
+    }
+
+    if (live.length > 0) {
+      // (I − Q) X = [R | 1] over the transient states that can be absorbed
+      const iMinusQ = live.map(from => live.map(to => (from === to ? 1 : 0) - p(from, to)));
+      const rhs = live.map(from => [...absorbingStates.map(a => p(from, a)), 1]);
+      const solved = this._solveLinear(iMinusQ, rhs);
+      if (solved) {
+        live.forEach((s, i) => {
+          const probs = {};
+          absorbingStates.forEach((a, j) => { probs[a] = Math.min(1, Math.max(0, solved[i][j])); });
+          const total = Object.values(probs).reduce((a, b) => a + b, 0);
+          byState[s] = {
+            expectedMonths: Math.abs(total - 1) < 1e-9 ? solved[i][absorbingStates.length] : null,
+            absorptionProbabilities: probs
+          };
+        });
+      }
+    }
+
+    const start = byState[initialState] || { expectedMonths: null, absorptionProbabilities: {} };
+    const certain = absorbingStates.length > 0 && start.expectedMonths !== null;
+    let stationary;
+    if (certain) {
+      stationary = {};
+      for (const s of states) stationary[s] = start.absorptionProbabilities[s] || 0;
+    } else {
+      stationary = this._stationary(transitions, initialState, states);
+    }
+
+    return {
+      absorbingStates,
+      stationary,
+      expectedMonths: start.expectedMonths,
+      absorptionProbabilities: start.absorptionProbabilities,
+      byState
+    };
+  },
+
   /**
    * Run Markov Monte Carlo for all entities in the system
    * @param {Object} prismaData - Full Prisma data structure
    * @param {string} scenarioId - Which scenario to simulate
    * @param {number} iterations - Number of Monte Carlo walks per entity
-   * @returns {Object} {entityId: markovResult, ...}
+   * @param {Object} options - { seed?: number } — each entity gets a seed derived from it
+   * @returns {Object} {entityId: markovResult, ...} — exact distributions (runMarkovExact) unless
+   *   markov.method is 'monte_carlo'; iterations then counts the walks. Cohort entities
+   *   (type 'cohort') always simulate `iterations` populations (runCohort), and a scenario with
+   *   a staged plan in markov.policies walks `iterations` joint paths (runPolicy)
    */
-  runAllMarkov(prismaData, scenarioId, iterations = 1000) {
+  runAllMarkov(prismaData, scenarioId, iterations = 1000, options = {}) {
     if (!prismaData.markov || !prismaData.markov.enabled) {
       return {};
     }
@@ -187,8 +685,27 @@ const Markov = {
     const results = {};
     const months = prismaData.markov.months || 6;
 
+    // Staged plans walk all entities together: a trigger can depend on any of them
+    const policy = prismaData.markov.policies && prismaData.markov.policies[scenarioId];
+    if (policy) {
+      const rng = Number.isFinite(options.seed)
+        ? Prng.create(Prng.deriveSeed(options.seed, 'policy'))
+        : Prng.fromOptions(options);
+      return this.runPolicy(prismaData, scenarioId, policy, iterations, months, rng);
+    }
+
     for (const entity of prismaData.markov.entities) {
-      results[entity.id] = this.runMarkovMonteCarlo(entity, scenarioId, iterations, months);
+      // Seed per entity (not per scenario) so scenarios are compared on the same random walks
+      const rng = Number.isFinite(options.seed)
+        ? Prng.create(Prng.deriveSeed(options.seed, entity.id))
+        : Prng.fromOptions(options);
+      if (entity.type === 'cohort') {
+        results[entity.id] = this.runCohort(entity, scenarioId, iterations, months, rng);
+      } else if (prismaData.markov.method === 'monte_carlo') {
+        results[entity.id] = this.runMarkovMonteCarlo(entity, scenarioId, iterations, months, rng);
+      } else {
+        results[entity.id] = this.runMarkovExact(entity, scenarioId, months, rng);
+      }
     }
 
     return results;
@@ -197,7 +714,8 @@ const Markov = {
   /**
    * Apply state effects to variables based on Markov distributions
    * @param {Object} variables - Current variable values {id: value}
-   * @param {Object} stateDistribution - Current state distribution {entityId.state: probability}
+   * @param {Object} stateDistribution - Current state weights {entityId.state: probability}
+   *   (for cohorts, the change in the state's count since month 0 — effects are per member)
    * @param {Object} stateEffects - State effects from prismaData.markov.stateEffects
    * @returns {Object} Modified variables {id: value}
    */
@@ -220,69 +738,79 @@ const Markov = {
   },
 
   /**
-   * Generate outcome timeline showing how outcome evolves over time under Markov state transitions
+   * Outcome over time under the Markov state transitions. Each month's state distribution
+   * shifts variables through markov.stateEffects (effect × probability of the state, or × the
+   * change in members for a cohort, summed over entities) on top of the scenario's own changes —
+   * a derived variable's shift is added to what its edges compute, without pinning it — and a
+   * Carlo run on those variables evaluates the real outcome formula, so the bands are that
+   * month's P25/P75, not a fixed spread.
+   * Every month runs on the same seed: month-to-month moves come from the states, not the draw.
+   *
+   * Values are the primary metric as Carlo reports it (change against the status-quo baseline,
+   * direction-aware) for a single period; a prismaData.horizon is ignored — the months are the horizon.
+   *
    * @param {Object} prismaData - Full Prisma data structure
    * @param {string} scenarioId - Which scenario to simulate
    * @param {Object} markovResults - Results from runAllMarkov()
-   * @param {Object} carloSummary - Carlo simulation summary with baseline statistics
    * @param {number} months - Number of months to project
-   * @returns {Array} Timeline of outcomes over time
+   * @param {Object} options - { iterations?, seed?, data?, sampling? } — futures per month
+   *   (default TIMELINE_ITERATIONS); data and sampling as for Carlo.runCarlo
+   * @returns {Array} [{ month, outcomeMedian, outcomeP10, outcomeP25, outcomeP75, outcomeP90,
+   *   percentPositive, shifts: {variableId: shift}, policySwitch? }] — shifts lists the variables
+   *   the states moved; under a staged policy, policySwitch { label, fired, switched } gives the
+   *   share of paths whose trigger fired that month and the share switched by then
    */
-  getMarkovOutcomeTimeline(prismaData, scenarioId, markovResults, carloSummary, months = 6) {
+  getMarkovOutcomeTimeline(prismaData, scenarioId, markovResults, months = 6, options = {}) {
     const timeline = [];
+    const scenario = (prismaData.scenarios || []).find(s => s.id === scenarioId) || { id: scenarioId, changes: {} };
+    const stateEffects = (prismaData.markov && prismaData.markov.stateEffects) || {};
+    const iterations = options.iterations || this.TIMELINE_ITERATIONS;
+    const seed = Number.isFinite(options.seed) ? options.seed : Prng.randomSeed();
+    const empiricalPools = options.empiricalPools || new Map();
 
-    // Get baseline variable values
-    const baselineVars = {};
-    for (const variable of prismaData.variables) {
-      baselineVars[variable.id] = variable.value;
-    }
-
-    // Apply scenario changes to baseline
-    const scenario = prismaData.scenarios.find(s => s.id === scenarioId);
-    if (scenario && scenario.changes) {
-      for (const [varId, change] of Object.entries(scenario.changes)) {
-        if (change.value !== undefined) {
-          baselineVars[varId] = change.value;
-        } else if (change.delta !== undefined) {
-          baselineVars[varId] += change.delta;
-        }
-      }
-    }
-
-    const stateEffects = prismaData.markov.stateEffects || {};
+    const zeros = {};
+    for (const variable of prismaData.variables || []) zeros[variable.id] = 0;
+    const policy = Object.values(markovResults).map(r => r.policy).find(Boolean);
 
-    // For each month, calculate outcome based on state distributions
     for (let month = 0; month <= months; month++) {
-      // Build state distribution for this month
+      // Build state distribution for this month, keyed like stateEffects ("entity.state")
       const stateDistribution = {};
       for (const [entityId, result] of Object.entries(markovResults)) {
-        const monthDist = result.monthlyDistributions[month];
-        for (const [state, prob] of Object.entries(monthDist)) {
-          const key = `${entityId}.${state}`;
-          stateDistribution[key] = prob;
+        for (const [state, weight] of Object.entries(this._stateWeights(result, month))) {
+          stateDistribution[`${entityId}.${state}`] = weight;
         }
       }
+      const shifts = {};
+      for (const [varId, shift] of Object.entries(this.applyStateEffects(zeros, stateDistribution, stateEffects))) {
+        if (shift !== 0) shifts[varId] = shift;
+      }
 
-      // Apply state effects to variables
-      const modifiedVars = this.applyStateEffects(baselineVars, stateDistribution, stateEffects);
-
-      // Calculate outcome using the outcome formula
-      // For simplicity, we'll use the monthly_profit variable as the outcome
-      // In a real implementation, this would evaluate the outcome formula
-      const outcomeVar = prismaData.variables.find(v => v.id === 'monthly_profit');
-      const outcomeValue = modifiedVars['monthly_profit'] || (outcomeVar ? outcomeVar.value : 0);
-
-      // For now, use a simple estimation
-      // In practice, you'd want to run a mini-Carlo simulation with the modified variables
-      // to get P25/P75 bounds, but for speed we'll use the baseline uncertainty
-      const baselineUncertainty = carloSummary ? carloSummary.spread || 0 : 0;
+      // The month's expected state effects shift every future alike (Carlo's pathShifts). Nothing
+      // is pinned, so an effect on a derived variable adds to what its edges compute.
+      const monthData = { ...prismaData, horizon: null, scenarios: [scenario] };
+      const outcomes = Carlo.runCarlo(monthData, scenarioId, iterations, {
+        seed, data: options.data, sampling: options.sampling, empiricalPools, pathShifts: () => () => [shifts]
+      });
+      const summary = Carlo.summarizeResults(outcomes);
 
-      timeline.push({
+      const point = {
         month,
-        outcomeMedian: outcomeValue,
-        outcomeP25: outcomeValue - baselineUncertainty * 0.5,
-        outcomeP75: outcomeValue + baselineUncertainty * 0.5
-      });
+        outcomeMedian: summary.median,
+        outcomeP10: summary.p10,
+        outcomeP25: summary.p25,
+        outcomeP75: summary.p75,
+        outcomeP90: summary.p90,
+        percentPositive: summary.percentPositive,
+        shifts
+      };
+      if (policy) {
+        point.policySwitch = {
+          label: policy.label,
+          fired: policy.firedByMonth[month] || 0,
+          switched: policy.switchedByMonth[month] || 0
+        };
+      }
+      timeline.push(point);
     }
 
     return timeline;
@@ -292,28 +820,669 @@ const Markov = {
    * Convenience function: Run Markov + timeline for ALL scenarios
    * @param {Object} prismaData - Full Prisma data structure
    * @param {number} iterations - Number of Monte Carlo walks per entity
+   * @param {Object} options - { seed?: number, timelineIterations?, data?, sampling? } — seed is
+   *   passed through to runAllMarkov and seeds the timeline runs; the rest go to getMarkovOutcomeTimeline
    * @returns {Object} {scenarioId: timeline, ...}
    */
-  getTimelineAllScenarios(prismaData, iterations = 1000) {
+  getTimelineAllScenarios(prismaData, iterations = 1000, options = {}) {
     const timelines = {};
-
-    // Use dummy carlo summary for now (would normally come from Carlo engine)
-    const dummyCarloSummary = {
-      spread: 2000 // placeholder uncertainty
+    const seed = Number.isFinite(options.seed) ? options.seed : Prng.randomSeed();
+    const timelineOptions = {
+      iterations: options.timelineIterations,
+      seed: Prng.deriveSeed(seed, 'timeline'),
+      data: options.data,
+      sampling: options.sampling,
+      empiricalPools: new Map()
     };
 
     for (const scenario of prismaData.scenarios) {
-      const markovResults = this.runAllMarkov(prismaData, scenario.id, iterations);
-      const timeline = this.getMarkovOutcomeTimeline(
+      const markovResults = this.runAllMarkov(prismaData, scenario.id, iterations, { seed });
+      timelines[scenario.id] = this.getMarkovOutcomeTimeline(
         prismaData,
         scenario.id,
         markovResults,
-        dummyCarloSummary,
-        prismaData.markov.months || 6
+        prismaData.markov.months || 6,
+        timelineOptions
       );
-      timelines[scenario.id] = timeline;
     }
 
     return timelines;
+  },
+
+  // --- Joint runs: one state path per Carlo future ---
+
+  /**
+   * Whether a model couples its Markov paths into the Carlo futures (markov.joint)
+   * @param {Object} prismaData - Full Prisma data structure
+   * @returns {boolean}
+   */
+  isJoint(prismaData) {
+    const markov = prismaData && prismaData.markov;
+    return !!(markov && markov.enabled && markov.joint && Array.isArray(markov.entities) && markov.entities.length > 0);
+  },
+
+  /**
+   * Carlo options that give every future its own state path (Carlo's pathShifts). Each future
+   * walks every entity once — jointly under a staged policy — and the states on that path shift
+   * the future's variables through markov.stateEffects: the full effect while an individual is in
+   * the state, effect × the change in members since month 0 for a cohort. With a horizon, period t
+   * sees the states after month t + 1; a single-period run sees them at markov.months.
+   *
+   * The paths come from their own seed (derived from options.seed), one stream per entity like
+   * runAllMarkov, so scenarios sharing a seed are compared on the same walks and Carlo's own draws
+   * don't move. Every run built from these options replays the same paths.
+   *
+   * @param {Object} prismaData - Full Prisma data structure
+   * @param {string} scenarioId - Scenario whose transitions (or policy) the paths follow
+   * @param {Object} options - Carlo options ({ seed?, data?, sampling?, ... })
+   * @param {Array} [record] - Filled with each future's end states {entityId: state | counts}, in order
+   * @returns {Object} options plus pathShifts, or options unchanged when the model isn't joint
+   */
+  jointOptions(prismaData, scenarioId, options = {}, record = null) {
+    if (!this.isJoint(prismaData)) return options;
+
+    const entities = prismaData.markov.entities;
+    const stateEffects = prismaData.markov.stateEffects || {};
+    const horizon = Carlo.resolveHorizon(prismaData);
+    const months = horizon ? horizon.periods : (prismaData.markov.months || 6);
+    const walk = this._jointWalker(prismaData, scenarioId);
+
+    // Effects on unknown variables are dropped; Carlo adds the rest (derived ones as their edges compute them)
+    const known = new Set((prismaData.variables || []).map(v => v.id));
+    const shiftable = {};
+    const unknown = new Set();
+    for (const effects of Object.values(stateEffects)) {
+      for (const varId of Object.keys(effects || {})) {
+        if (known.has(varId)) shiftable[varId] = 0;
+        else unknown.add(varId);
+      }
+    }
+    for (const varId of unknown) console.warn(`[Markov] State effects move unknown variable "${varId}"; ignored in joint runs`);
+
+    const seed = Number.isFinite(options.seed) ? Prng.deriveSeed(options.seed, 'markov') : null;
+    const pathShifts = () => {
+      const runSeed = seed !== null ? seed : Prng.randomSeed();
+      const rngs = { policy: Prng.create(Prng.deriveSeed(runSeed, 'policy')) };
+      for (const entity of entities) rngs[entity.id] = Prng.create(Prng.deriveSeed(runSeed, entity.id));
+      if (record) record.length = 0;
+
+      return () => {
+        const path = walk(months, rngs);
+        if (record) record.push(path[months]);
+        const shown = horizon ? path.slice(1) : [path[months]];
+        return shown.map(current => {
+          const weights = {};
+          for (const entity of entities) {
+            if (entity.type === 'cohort') {
+              for (const state of entity.states) weights[`${entity.id}.${state}`] = current[entity.id][state] - path[0][entity.id][state];
+            } else {
+              weights[`${entity.id}.${current[entity.id]}`] = 1;
+            }
+          }
+          const shifts = {};
+          for (const [varId, shift] of Object.entries(this.applyStateEffects(shiftable, weights, stateEffects))) {
+            if (shift !== 0) shifts[varId] = shift;
+          }
+          return shifts;
+        });
+      };
+    };
+
+    return { ...options, pathShifts };
+  },
+
+  /**
+   * One scenario with its Markov paths inside the Carlo futures (see jointOptions). A model
+   * that isn't joint runs as plain Carlo.
+   *
+   * @param {Object} prismaData - Full Prisma data structure
+   * @param {string} scenarioId - Scenario to simulate
+   * @param {number} iterations - Number of futures (ignored with options.convergence)
+   * @param {Object} options - Carlo.runScenario options, plus convergence? to run adaptively
+   * @returns {Object} The Carlo scenario result, plus markovStates: { [entityId]: { [state]:
+   *   { futures, share, withState, impact: { mean, median } | null } } } — the primary outcome in
+   *   the futures that ended in each state (individual entities), and with − without like risk events
+   */
+  runJoint(prismaData, scenarioId, iterations = 1000, options = {}) {
+    const ends = [];
+    const runOptions = this.jointOptions(prismaData, scenarioId, options, ends);
+    const result = options.convergence
+      ? Carlo.runCarloAdaptive(prismaData, scenarioId, options.convergence, runOptions)
+      : Carlo.runScenario(prismaData, scenarioId, iterations, runOptions);
+    if (ends.length > 0) result.markovStates = this._summarizeEndStates(prismaData, ends, result.outcomes);
+    return result;
+  },
+
+  /**
+   * runJoint for every scenario, paired like Carlo.runCarloAllScenarios (same options)
+   * @param {Object} prismaData - Full Prisma data structure
+   * @param {number} iterations - Futures per scenario
+   * @param {Object} options - Same as Carlo.runCarloAllScenarios()
+   * @returns {Object} {scenarioId: runJoint result}
+   */
+  runJointAllScenarios(prismaData, iterations = 1000, options = {}) {
+    const results = {};
+    const scenarioOptions = Carlo.scenarioRunOptions(options);
+
+    prismaData.scenarios.forEach((scenario, i) => {
+      const runOptions = i === 0 ? scenarioOptions : { ...scenarioOptions, recordInputs: false };
+      results[scenario.id] = this.runJoint(prismaData, scenario.id, iterations, runOptions);
+    });
+
+    return results;
+  },
+
+  /**
+   * One path walker per scenario for jointOptions: walk(months, rngs) returns the states of
+   * every entity for months 0 to `months` ({entityId: state | counts} per month)
+   */
+  _jointWalker(prismaData, scenarioId) {
+    const entities = prismaData.markov.entities;
+    const policy = prismaData.markov.policies && prismaData.markov.policies[scenarioId];
+    if (policy) {
+      const walkPolicy = this._policyWalker(prismaData, scenarioId, policy);
+      return (months, rngs) => {
+        const path = [];
+        walkPolicy(months, rngs.policy, (month, current) => { path.push({ ...current }); });
+        return path;
+      };
+    }
+
+    const plans = entities.map(entity => {
+      if (entity.type === 'cohort') {
+        const check = this.validateCohort(entity);
+        if (!check.valid) throw new Error('Invalid cohort: ' + check.errors.join('; '));
+      }
+      const transitions = this._transitionsFor(entity, scenarioId);
+      const check = this.validateTransitionMatrix(transitions);
+      if (!check.valid) throw new Error(`Invalid transition matrix for ${entity.id}: ` + check.errors.join('; '));
+      return { transitions, flows: entity.type === 'cohort' ? this._cohortFlows(entity, scenarioId) : null };
+    });
+
+    return (months, rngs) => {
+      const current = {};
+      entities.forEach(entity => {
+        current[entity.id] = entity.type === 'cohort'
+          ? Object.fromEntries(entity.states.map(s => [s, entity.initialCounts[s] || 0]))
+          : entity.initialState;
+      });
+      const path = [{ ...current }];
+      for (let month = 0; month < months; month++) {
+        entities.forEach((entity, e) => {
+          const { transitions, flows } = plans[e];
+          current[entity.id] = entity.type === 'cohort'
+            ? this._stepCohort(current[entity.id], entity.states, transitions, flows, month + 1, rngs[entity.id])
+            : this.sampleNextState(current[entity.id], transitions, rngs[entity.id]);
+        });
+        path.push({ ...current });
+      }
+      return path;
+    };
+  },
+
+  /**
+   * The primary outcome split by the state each individual entity ended in (see runJoint)
+   */
+  _summarizeEndStates(prismaData, ends, outcomes) {
+    const n = Math.min(ends.length, outcomes.length);
+    const summary = {};
+    for (const entity of prismaData.markov.entities) {
+      if (entity.type === 'cohort') continue;
+      summary[entity.id] = {};
+      for (const state of entity.states) {
+        const hit = [];
+        const miss = [];
+        for (let i = 0; i < n; i++) (ends[i][entity.id] === state ? hit : miss).push(outcomes[i]);
+        if (hit.length === 0) continue;
+        const withState = Carlo.summarizeResults(hit);
+        const withoutState = miss.length > 0 ? Carlo.summarizeResults(miss) : null;
+        summary[entity.id][state] = {
+          futures: hit.length,
+          share: hit.length / n,
+          withState,
+          impact: withoutState
+            ? { mean: withState.mean - withoutState.mean, median: withState.median - withoutState.median }
+            : null
+        };
+      }
+    }
+    return summary;
+  },
+
+  // --- Estimating transitions from data ---
+
+  ESTIMATE_PERIODS: ['month', 'row'],
+  INTERVAL_LEVEL: 0.95,
+
+  /**
+   * Label every observation period of every entity in the data with a state.
+   *
+   * Rules are checked in order on each row and the first match wins; `for: n` only matches once
+   * the condition has held for n consecutive rows of that entity. A row no rule matches takes
+   * `otherwise`, or keeps the entity's previous state. A month's state is the state most of its
+   * rows were in (ties go to the earlier rule); with period 'row' every row is one month.
+   *
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Object} estimate - entity.estimate: { entityColumn?, entityValue?, timeColumn,
+   *   period?, rules: [{ state, when, for? }], otherwise? }
+   * @returns {Object} { entityValue: [{ period, state }] } — periods in time order; a gap in the
+   *   months shows as non-consecutive period keys
+   * @throws {Error} On a missing column or a rule formula that doesn't compile
+   */
+  classifyStates(rows, estimate) {
+    if (!Array.isArray(rows) || rows.length === 0) throw new Error('No data rows to estimate transitions from');
+    const columns = Object.keys(rows[0]);
+    const period = estimate.period || 'month';
+    if (!this.ESTIMATE_PERIODS.includes(period)) {
+      throw new Error(`Unknown estimate period "${period}" (use ${this.ESTIMATE_PERIODS.join(', ')})`);
+    }
+    for (const column of [estimate.timeColumn, estimate.entityColumn]) {
+      if (column !== undefined && !columns.includes(column)) {
+        throw new Error(`Column "${column}" not found in data (columns: ${columns.join(', ')})`);
+      }
+    }
+    if (!estimate.timeColumn) throw new Error('estimate.timeColumn is required');
+    if (!Array.isArray(estimate.rules) || estimate.rules.length === 0) throw new Error('estimate.rules is empty');
+
+    const rules = estimate.rules.map(rule => {
+      try {
+        return { state: rule.state, run: Math.max(1, rule.for || 1), test: Formula.compile(rule.when, { names: columns }) };
+      } catch (e) {
+        throw new Error(`Rule for "${rule.state}": ${e.message}`);
+      }
+    });
+    const priority = state => {
+      const index = rules.findIndex(rule => rule.state === state);
+      return index >= 0 ? index : rules.length;
+    };
+
+    // Group rows by entity, in time order
+    const groups = new Map();
+    for (const row of rows) {
+      const key = estimate.entityColumn ? String(row[estimate.entityColumn]) : 'all';
+      if (estimate.entityValue !== undefined && key !== String(estimate.entityValue)) continue;
+      if (row[estimate.timeColumn] === undefined || row[estimate.timeColumn] === null || row[estimate.timeColumn] === '') continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    const result = {};
+    for (const [key, entityRows] of groups) {
+      entityRows.sort((a, b) => this._timeValue(a[estimate.timeColumn]) - this._timeValue(b[estimate.timeColumn]));
+
+      const streaks = rules.map(() => 0);
+      let current = null;
+      const periods = [];
+      entityRows.forEach((row, index) => {
+        let state = null;
+        rules.forEach((rule, r) => {
+          streaks[r] = rule.test.evaluate(row) ? streaks[r] + 1 : 0;
+          if (state === null && streaks[r] >= rule.run) state = rule.state;
+        });
+        current = state || estimate.otherwise || current;
+        if (current === null) return;
+
+        const label = period === 'row' ? index : this._monthKey(row[estimate.timeColumn]);
+        const last = periods[periods.length - 1];
+        if (!last || last.period !== label) periods.push({ period: label, tally: {} });
+        const tally = periods[periods.length - 1].tally;
+        tally[current] = (tally[current] || 0) + 1;
+      });
+
+      result[key] = periods.map(({ period: label, tally }) => {
+        const state = Object.keys(tally).sort((a, b) => (tally[b] - tally[a]) || (priority(a) - priority(b)))[0];
+        return { period: label, state };
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Estimate a transition matrix by counting month-to-month transitions in the data.
+   *
+   * Each row is smoothed with a Dirichlet prior worth `prior` observations (default: one per
+   * state), spread like the entity's authored row when it has one, else evenly. The matrix is
+   * the posterior mean (n_ij + α_ij) / (n_i + Σα), so a state seen rarely stays close to the
+   * prior and a state never left keeps it entirely. Rows that are absorbing (listed in
+   * estimate.absorbing, or authored with a self-loop of 1) stay exact. Intervals are the
+   * central INTERVAL_LEVEL range of each probability's Beta posterior.
+   *
+   * Without entityValue, every entity in the data is counted into one pooled matrix
+   * (transitions are never counted across two entities).
+   *
+   * @param {Object} entity - Markov entity with `estimate` (and optional states / transitions)
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @returns {Object} { states, transitions, intervals: {from: {to: [low, high]}},
+   *   counts: {from: {to: n}}, observations, lastState, entities }
+   * @throws {Error} When the data has no usable transitions or yields an undeclared state
+   */
+  estimateTransitions(entity, rows) {
+    const estimate = entity.estimate || {};
+    const paths = this.classifyStates(rows, estimate);
+    const entities = Object.keys(paths);
+    if (entities.length === 0) {
+      const which = estimate.entityValue !== undefined ? ` for ${estimate.entityColumn} = ${estimate.entityValue}` : '';
+      throw new Error(`Markov entity "${entity.id}": no rows${which} match a state rule`);
+    }
+
+    const ruleStates = [...estimate.rules.map(r => r.state), estimate.otherwise, ...(estimate.absorbing || [])].filter(Boolean);
+    const states = Array.isArray(entity.states) && entity.states.length > 0
+      ? entity.states
+      : [...new Set(ruleStates)];
+    const unknown = ruleStates.find(s => !states.includes(s));
+    if (unknown) throw new Error(`Markov entity "${entity.id}": rule state "${unknown}" is not in states (${states.join(', ')})`);
+
+    // Count transitions between consecutive periods
+    const counts = {};
+    for (const from of states) {
+      counts[from] = {};
+      for (const to of states) counts[from][to] = 0;
+    }
+    let observations = 0;
+    const finalStates = {};
+    for (const path of Object.values(paths)) {
+      for (let i = 1; i < path.length; i++) {
+        if (!this._consecutivePeriods(path[i - 1].period, path[i].period)) continue;
+        counts[path[i - 1].state][path[i].state] += 1;
+        observations += 1;
+      }
+      const final = path[path.length - 1].state;
+      finalStates[final] = (finalStates[final] || 0) + 1;
+    }
+    // Where the entities stand now (the most common one when several are pooled)
+    const lastState = Object.keys(finalStates).sort((a, b) => finalStates[b] - finalStates[a])[0];
+    if (observations === 0) {
+      throw new Error(`Markov entity "${entity.id}": the data covers no two consecutive ${estimate.period === 'row' ? 'rows' : 'months'} — nothing to count`);
+    }
+
+    const authored = entity.transitions || {};
+    const absorbing = new Set(estimate.absorbing || []);
+    for (const state of states) {
+      if (authored[state] && authored[state][state] === 1) absorbing.add(state);
+    }
+    const strength = estimate.prior !== undefined ? estimate.prior : states.length;
+    const [lowP, highP] = [(1 - this.INTERVAL_LEVEL) / 2, (1 + this.INTERVAL_LEVEL) / 2];
+
+    const transitions = {};
+    const intervals = {};
+    for (const from of states) {
+      transitions[from] = {};
+      intervals[from] = {};
+      if (absorbing.has(from)) {
+        for (const to of states) {
+          transitions[from][to] = to === from ? 1 : 0;
+          intervals[from][to] = to === from ? [1, 1] : [0, 0];
+        }
+        continue;
+      }
+
+      const base = this._priorRow(authored[from], states);
+      const alpha = states.map(to => strength * base[to]);
+      const rowCounts = states.map(to => counts[from][to]);
+      const total = alpha.reduce((a, b) => a + b, 0) + rowCounts.reduce((a, b) => a + b, 0);
+      states.forEach((to, j) => {
+        const a = alpha[j] + rowCounts[j];
+        const b = total - a;
+        transitions[from][to] = total > 0 ? a / total : base[to];
+        intervals[from][to] = a <= 0 ? [0, 0]
+          : b <= 0 ? [1, 1]
+          : [Carlo.betaQuantile(lowP, a, b), Carlo.betaQuantile(highP, a, b)];
+      });
+    }
+
+    return { states, transitions, intervals, counts, observations, lastState, entities };
+  },
+
+  /**
+   * A Markov entity with its transitions estimated from the data (see estimateTransitions).
+   * Authored scenarioTransitions are kept; initialState defaults to the last observed state.
+   *
+   * @param {Object} entity - Markov entity with `estimate`
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @returns {Object} The entity, ready for runMarkovMonteCarlo, with an `estimated` summary
+   *   { observations, prior, intervals, counts, lastState, entities }
+   * @throws {Error} As estimateTransitions
+   */
+  resolveEntity(entity, rows) {
+    const fit = this.estimateTransitions(entity, rows);
+    const estimate = entity.estimate;
+    return {
+      ...entity,
+      states: fit.states,
+      transitions: fit.transitions,
+      initialState: entity.initialState || fit.lastState,
+      estimated: {
+        observations: fit.observations,
+        prior: estimate.prior !== undefined ? estimate.prior : fit.states.length,
+        intervals: fit.intervals,
+        counts: fit.counts,
+        lastState: fit.lastState,
+        entities: fit.entities
+      }
+    };
+  },
+
+  /**
+   * How much each state of one entity's result counts towards stateEffects in a month: the
+   * probability of the state for an individual, the mean change in members since month 0 for a
+   * cohort (the model's variables already describe today's population)
+   */
+  _stateWeights(result, month) {
+    if (result.monthlyCounts) {
+      const now = result.monthlyCounts[month] || {};
+      const start = result.monthlyCounts[0];
+      const weights = {};
+      for (const [state, count] of Object.entries(now)) weights[state] = count.mean - start[state].mean;
+      return weights;
+    }
+    return result.monthlyDistributions[month] || {};
+  },
+
+  /**
+   * A cohort's inflows and outflows under a scenario (scenarioInflows / scenarioOutflows first)
+   */
+  _cohortFlows(entityConfig, scenarioId) {
+    const pick = (own, byScenario) => (scenarioId && byScenario && byScenario[scenarioId]) || own || {};
+    return {
+      inflows: pick(entityConfig.inflows, entityConfig.scenarioInflows),
+      outflows: pick(entityConfig.outflows, entityConfig.scenarioOutflows)
+    };
+  },
+
+  /**
+   * One month of a cohort: members move on, outflows leave, the month's inflows join
+   */
+  _stepCohort(counts, states, transitions, flows, month, rng) {
+    const next = {};
+    for (const state of states) next[state] = 0;
+    for (const from of states) {
+      const moved = this._multinomial(counts[from], transitions[from] || {}, rng);
+      for (const [to, n] of Object.entries(moved)) next[to] += n;
+    }
+    for (const state of states) {
+      const outflow = flows.outflows[state];
+      const inflow = Array.isArray(flows.inflows[state]) ? flows.inflows[state][month - 1] : flows.inflows[state];
+      if (outflow) next[state] -= this._binomial(next[state], outflow, rng);
+      next[state] += Math.round(inflow || 0);
+    }
+    return next;
+  },
+
+  _emptyCountSamples(states, iterations, months) {
+    const samples = [];
+    for (let month = 0; month <= months; month++) {
+      const row = {};
+      for (const state of states) row[state] = new Array(iterations);
+      samples.push(row);
+    }
+    return samples;
+  },
+
+  /**
+   * Mean and P10 / P50 / P90 head count per state and month, plus each state's mean share
+   */
+  _summarizeCounts(samples, states, months) {
+    const monthlyCounts = [];
+    const monthlyDistributions = [];
+    for (let month = 0; month <= months; month++) {
+      const summary = {};
+      let total = 0;
+      for (const state of states) {
+        const sorted = samples[month][state].slice().sort((a, b) => a - b);
+        const q = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+        summary[state] = { mean, p10: q(0.1), p50: q(0.5), p90: q(0.9) };
+        total += mean;
+      }
+      monthlyCounts.push(summary);
+      const shares = {};
+      for (const state of states) shares[state] = total > 0 ? summary[state].mean / total : 0;
+      monthlyDistributions.push(shares);
+    }
+    return { monthlyCounts, monthlyDistributions };
+  },
+
+  /**
+   * Split n members over a transition row (sequential binomials)
+   */
+  _multinomial(n, row, rng) {
+    const out = {};
+    let remaining = n;
+    let mass = 1;
+    const entries = Object.entries(row).filter(([, p]) => p > 0);
+    entries.forEach(([state, p], i) => {
+      if (remaining <= 0) return;
+      const k = i === entries.length - 1 ? remaining : this._binomial(remaining, Math.min(1, p / mass), rng);
+      out[state] = (out[state] || 0) + k;
+      remaining -= k;
+      mass -= p;
+    });
+    return out;
+  },
+
+  /**
+   * Binomial(n, p) draw: one uniform per member for small n, the normal approximation above 200
+   */
+  _binomial(n, p, rng) {
+    if (n <= 0 || p <= 0) return 0;
+    if (p >= 1) return n;
+    if (n <= 200) {
+      let k = 0;
+      for (let i = 0; i < n; i++) if (rng() < p) k++;
+      return k;
+    }
+    const z = Carlo.normalQuantile(Math.min(1 - 1e-12, Math.max(1e-12, rng())));
+    return Math.min(n, Math.max(0, Math.round(n * p + z * Math.sqrt(n * p * (1 - p)))));
+  },
+
+  /**
+   * The entity's transition matrix under a scenario (its scenarioTransitions, else transitions)
+   */
+  _transitionsFor(entityConfig, scenarioId) {
+    return (scenarioId && entityConfig.scenarioTransitions && entityConfig.scenarioTransitions[scenarioId])
+      ? entityConfig.scenarioTransitions[scenarioId]
+      : entityConfig.transitions;
+  },
+
+  /**
+   * Solve A·X = B by Gauss–Jordan elimination with partial pivoting
+   * @returns {Array<Array<number>>|null} X, or null when A is singular
+   */
+  _solveLinear(A, B) {
+    const n = A.length;
+    const m = A.map((row, i) => [...row, ...B[i]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-12) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      const lead = m[col][col];
+      for (let c = col; c < m[col].length; c++) m[col][c] /= lead;
+      for (let r = 0; r < n; r++) {
+        if (r === col || m[r][col] === 0) continue;
+        const factor = m[r][col];
+        for (let c = col; c < m[r].length; c++) m[r][c] -= factor * m[col][c];
+      }
+    }
+    return m.map(row => row.slice(n));
+  },
+
+  /**
+   * Stationary distribution π = πP, Σπ = 1. When it isn't unique (several closed classes),
+   * the long-run average of the distributions starting from initialState.
+   */
+  _stationary(transitions, initialState, states) {
+    const p = (from, to) => (transitions[from] && transitions[from][to]) || 0;
+    const n = states.length;
+    // (Pᵀ − I) π = 0 with the last equation replaced by Σπ = 1
+    const A = states.map((to, i) => states.map((from, j) => (i === n - 1 ? 1 : p(from, to) - (i === j ? 1 : 0))));
+    const b = states.map((_, i) => [i === n - 1 ? 1 : 0]);
+    const solved = this._solveLinear(A, b);
+    const stationary = {};
+    if (solved && solved.every(([x]) => x > -1e-9)) {
+      states.forEach((s, i) => { stationary[s] = Math.max(0, solved[i][0]); });
+      return stationary;
+    }
+
+    // Cesàro average of π₀Pᵗ — converges for periodic and reducible chains alike
+    let dist = {};
+    const sum = {};
+    for (const s of states) { dist[s] = s === initialState ? 1 : 0; sum[s] = 0; }
+    const steps = 5000;
+    for (let t = 1; t <= 2 * steps; t++) {
+      const next = {};
+      for (const s of states) next[s] = 0;
+      for (const from of states) {
+        if (dist[from] === 0) continue;
+        for (const to of states) next[to] += dist[from] * p(from, to);
+      }
+      dist = next;
+      // Average the later half only, so what transient states still hold early on drops out
+      if (t > steps) for (const s of states) sum[s] += dist[s];
+    }
+    for (const s of states) stationary[s] = sum[s] / steps;
+    return stationary;
+  },
+
+  /**
+   * Prior shape for one row: the authored row normalised, or even across the states
+   */
+  _priorRow(authoredRow, states) {
+    const row = {};
+    const sum = authoredRow ? states.reduce((acc, s) => acc + (authoredRow[s] || 0), 0) : 0;
+    for (const s of states) row[s] = sum > 0 ? (authoredRow[s] || 0) / sum : 1 / states.length;
+    return row;
+  },
+
+  _timeValue(value) {
+    if (typeof value === 'number') return value;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? 0 : time;
+  },
+
+  /**
+   * "YYYY-MM" for a date-like value (ISO strings are read as written, other values through Date)
+   */
+  _monthKey(value) {
+    const iso = /^(\d{4})-(\d{2})/.exec(String(value));
+    if (iso) return `${iso[1]}-${iso[2]}`;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  },
+
+  _consecutivePeriods(a, b) {
+    if (typeof a === 'number') return b === a + 1;
+    const [ya, ma] = a.split('-').map(Number);
+    const [yb, mb] = b.split('-').map(Number);
+    return yb * 12 + mb === ya * 12 + ma + 1;
   }
 };
+
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.Markov = Markov;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Markov;
+}
@@ -84,20 +84,162 @@ const Nassim = {
   /**
    * Classify all scenarios — pure statistical analysis, no extra simulations needed.
    *
+   * With several outcome metrics (prismaData.outcomes) each classification also carries
+   * `metrics` (one classifyTaleb + score per outcome id), `weightedScore` (the metric
+   * scores rolled up by outcome weight) and `dominatedBy` (see paretoFront).
+   *
+   * With constraints (prismaData.constraints) it carries `infeasible` and
+   * `violatedConstraints` — a scenario that breaks any constraint is infeasible
+   * whatever its score (see pickBestScenario).
+   *
    * @param {Object} carloResults - Results from Carlo.runCarloAllScenarios()
-   * @param {Object} prismaData - Complete PRISMA_DATA object (unused, kept for API compat)
+   * @param {Object} prismaData - Complete PRISMA_DATA object (outcome metrics and weights)
    * @returns {Object} Classification results per scenario
    */
   classifyAllScenarios(carloResults, prismaData) {
     const classifications = {};
+    const outcomes = prismaData ? Carlo.resolveOutcomes(prismaData) : [];
+    const multiMetric = outcomes.length > 1;
+    const constraints = prismaData ? Carlo.resolveConstraints(prismaData) : [];
 
     for (const scenarioId in carloResults) {
-      classifications[scenarioId] = this.classifyTaleb(carloResults[scenarioId].outcomes);
+      const result = carloResults[scenarioId];
+      const classification = this.classifyTaleb(result.outcomes);
+
+      if (multiMetric && result.metrics) {
+        classification.metrics = {};
+        for (const outcome of outcomes) {
+          const metric = result.metrics[outcome.id];
+          if (!metric) continue;
+          const metricClassification = this.classifyTaleb(metric.outcomes);
+          metricClassification.score = this.computeDecisionScore(metricClassification);
+          classification.metrics[outcome.id] = metricClassification;
+        }
+        classification.weightedScore = this.weightedScore(classification.metrics, outcomes);
+      }
+
+      if (result.constraints) {
+        classification.violatedConstraints = constraints
+          .filter(c => result.constraints[c.id] && !result.constraints[c.id].satisfied)
+          .map(c => ({ ...c, probability: result.constraints[c.id].probability }));
+        classification.infeasible = classification.violatedConstraints.length > 0;
+      }
+
+      classifications[scenarioId] = classification;
+    }
+
+    if (multiMetric) {
+      const front = this.paretoFront(carloResults, outcomes);
+      for (const scenarioId in front) {
+        if (classifications[scenarioId]) classifications[scenarioId].dominatedBy = front[scenarioId].dominatedBy;
+      }
     }
 
     return classifications;
   },
 
+  /**
+   * Pick the option to recommend: the highest decision score among scenarios that meet
+   * every constraint ("do nothing" excluded), or the highest overall when none do.
+   *
+   * @param {Object} nassimResults - From classifyAllScenarios()
+   * @param {Array} scenarios - prismaData.scenarios
+   * @returns {Object} { bestId, bestScore, runnerUpId, runnerUpScore, allInfeasible }
+   */
+  pickBestScenario(nassimResults, scenarios) {
+    const candidates = (scenarios || [])
+      .filter(s => s.id !== 'nothing' && s.id !== 'do_nothing' && nassimResults[s.id])
+      .map(s => ({ id: s.id, score: this.computeDecisionScore(nassimResults[s.id]), infeasible: !!nassimResults[s.id].infeasible }));
+    const feasible = candidates.filter(c => !c.infeasible);
+    const pool = feasible.length > 0 ? feasible : candidates;
+
+    // Stable: the first scenario wins ties, as in scenario order
+    const ranked = [...pool].sort((a, b) => b.score - a.score);
+    return {
+      bestId: ranked[0] ? ranked[0].id : null,
+      bestScore: ranked[0] ? ranked[0].score : -1,
+      runnerUpId: ranked[1] ? ranked[1].id : null,
+      runnerUpScore: ranked[1] ? ranked[1].score : -1,
+      allInfeasible: candidates.length > 0 && feasible.length === 0
+    };
+  },
+
+  /**
+   * Number for verdict text: thousands separators, no decimals from 1,000 up, one below
+   * (Visualizations._formatNumber delegates here; Nassim itself never reads the dashboard, so
+   * verdict text also renders in workers and Node)
+   */
+  _formatNumber(num) {
+    if (Math.abs(num) >= 1000) {
+      return num.toLocaleString('en-US', { maximumFractionDigits: 0 });
+    }
+    return num.toLocaleString('en-US', { maximumFractionDigits: 1 });
+  },
+
+  /**
+   * Plain-language reason a constraint rules a scenario out,
+   * e.g. "Monthly cost above 25,000 €/month in 12% of futures (limit 5%)"
+   *
+   * @param {Object} violation - Entry of classification.violatedConstraints
+   * @returns {string}
+   */
+  describeViolation(violation) {
+    const wording = { '<=': 'above', '<': 'at or above', '>=': 'below', '>': 'at or below' };
+    const threshold = this._formatNumber(violation.threshold) + (violation.unit ? ' ' + violation.unit : '');
+    const pct = (p) => (p < 0.1 ? Number((p * 100).toFixed(1)) : Math.round(p * 100)) + '%';
+    return `${violation.label} ${wording[violation.operator] || 'outside'} ${threshold} in ${pct(violation.probability)} of futures (limit ${pct(violation.maxViolationProbability)})`;
+  },
+
+  /**
+   * Roll per-metric scores into one 0-100 score, weighted by outcome weight.
+   * All weights at 0 falls back to the primary metric.
+   *
+   * @param {Object} metricClassifications - { [outcomeId]: { score } }
+   * @param {Array} outcomes - From Carlo.resolveOutcomes()
+   * @returns {number} Score 0-100
+   */
+  weightedScore(metricClassifications, outcomes) {
+    let total = 0;
+    let weightSum = 0;
+    for (const outcome of outcomes) {
+      const metric = metricClassifications[outcome.id];
+      if (!metric) continue;
+      total += outcome.weight * metric.score;
+      weightSum += outcome.weight;
+    }
+    if (weightSum > 0) return Math.round(total / weightSum);
+    const primary = outcomes.length > 0 ? metricClassifications[outcomes[0].id] : null;
+    return primary ? primary.score : 50;
+  },
+
+  /**
+   * Pareto comparison of scenarios on the median of every outcome metric.
+   * A scenario is dominated when another is at least as good on every metric and
+   * better on one (medians are direction-aware deltas, so higher is always better).
+   *
+   * @param {Object} carloResults - Results from Carlo.runCarloAllScenarios(), with `metrics`
+   * @param {Array} outcomes - From Carlo.resolveOutcomes()
+   * @returns {Object} { [scenarioId]: { dominated: boolean, dominatedBy: string[] } }
+   */
+  paretoFront(carloResults, outcomes) {
+    const medians = {};
+    for (const scenarioId in carloResults) {
+      const metrics = carloResults[scenarioId].metrics;
+      if (!metrics || !outcomes.every(o => metrics[o.id])) continue;
+      medians[scenarioId] = outcomes.map(o => metrics[o.id].summary.median);
+    }
+
+    const front = {};
+    const ids = Object.keys(medians);
+    for (const id of ids) {
+      const dominatedBy = ids.filter(other => other !== id &&
+        medians[other].every((value, k) => value >= medians[id][k]) &&
+        medians[other].some((value, k) => value > medians[id][k]));
+      front[id] = { dominated: dominatedBy.length > 0, dominatedBy };
+    }
+    return front;
+  },
+
   /**
    * Run sensitivity analysis to find which variables matter most
    * Tests ALL non-fixed variables (not just isInput) for comprehensive ranking.
@@ -106,63 +248,30 @@ const Nassim = {
    *   Phase 1 (sync): Variables appearing in the outcome formula — fast, returns immediately
    *   Phase 2 (async): Remaining non-fixed variables — runs via requestIdleCallback, calls onComplete
    *
+   * SimPool runs the same baseline + probes (sensitivityRunOptions, planSensitivity,
+   * testSensitivityVariable) in Web Workers; this is the main-thread version.
+   *
    * @param {Object} prismaData - Complete PRISMA_DATA object
    * @param {string} scenarioId - Scenario to analyze
    * @param {number} iterations - Number of Carlo iterations per variable test (default: 300)
    * @param {Function} onComplete - Optional callback when Phase 2 finishes with full results
+   * @param {Object} options - { seed?: number, data?: Array, sampling?: string, pathShifts?: Function } — seed
+   *   makes the ranking reproducible; data, sampling and pathShifts are passed to Carlo
    * @returns {Array} Phase 1 results (formula variables only), sorted by totalSwing
    */
-  runFullSensitivity(prismaData, scenarioId, iterations = 300, onComplete = null) {
+  runFullSensitivity(prismaData, scenarioId, iterations = 300, onComplete = null, options = {}) {
+    const runOptions = this.sensitivityRunOptions(options);
+
     // Get baseline
-    const baselineOutcomes = Carlo.runCarlo(prismaData, scenarioId, iterations);
-    const baselineSorted = [...baselineOutcomes].sort((a, b) => a - b);
-    const baselineMedian = baselineSorted[Math.floor(baselineSorted.length * 0.5)];
+    const baselineOutcomes = Carlo.runCarlo(prismaData, scenarioId, iterations, runOptions);
+    const baselineMedian = this._median(baselineOutcomes);
 
-    // All non-fixed variables
-    const nonFixedVars = prismaData.variables.filter(v => v.distribution !== 'fixed');
-    if (nonFixedVars.length === 0) return [];
+    const { phase1Vars, phase2Vars } = this.planSensitivity(prismaData);
+    if (phase1Vars.length === 0 && phase2Vars.length === 0) return [];
 
-    // Parse outcome formula to find which variable IDs it references
-    const formulaStr = prismaData.outcome?.formula || '';
-    const formulaVarIds = new Set();
-    for (const v of prismaData.variables) {
-      if (formulaStr.includes(v.id)) formulaVarIds.add(v.id);
-    }
-
-    // Split into Phase 1 (formula vars) and Phase 2 (rest)
-    const phase1Vars = nonFixedVars.filter(v => formulaVarIds.has(v.id));
-    const phase2Vars = nonFixedVars.filter(v => !formulaVarIds.has(v.id));
-
-    const testVariable = (variable) => {
-      // Test at MIN
-      const dataAtMin = JSON.parse(JSON.stringify(prismaData));
-      const varAtMin = dataAtMin.variables.find(v => v.id === variable.id);
-      varAtMin.value = varAtMin.min;
-      varAtMin.max = varAtMin.min;
-      varAtMin.distribution = 'fixed';
-      const outcomesAtMin = Carlo.runCarlo(dataAtMin, scenarioId, iterations);
-      const sortedAtMin = [...outcomesAtMin].sort((a, b) => a - b);
-      const medianAtMin = sortedAtMin[Math.floor(sortedAtMin.length * 0.5)];
-
-      // Test at MAX
-      const dataAtMax = JSON.parse(JSON.stringify(prismaData));
-      const varAtMax = dataAtMax.variables.find(v => v.id === variable.id);
-      varAtMax.value = varAtMax.max;
-      varAtMax.min = varAtMax.max;
-      varAtMax.distribution = 'fixed';
-      const outcomesAtMax = Carlo.runCarlo(dataAtMax, scenarioId, iterations);
-      const sortedAtMax = [...outcomesAtMax].sort((a, b) => a - b);
-      const medianAtMax = sortedAtMax[Math.floor(sortedAtMax.length * 0.5)];
-
-      return {
-        variableId: variable.id,
-        variableLabel: variable.label,
-        impactLow: medianAtMin - baselineMedian,
-        impactHigh: medianAtMax - baselineMedian,
-        totalSwing: Math.abs((medianAtMax - baselineMedian) - (medianAtMin - baselineMedian)),
-        baselineMedian
-      };
-    };
+    const testVariable = (variable) => this.testSensitivityVariable(
+      prismaData, scenarioId, variable.id, iterations, runOptions, baselineMedian
+    );
 
     // Phase 1: test formula variables synchronously
     const phase1Results = phase1Vars.map(testVariable);
@@ -190,6 +299,106 @@ const Nassim = {
     return phase1Results;
   },
 
+  /**
+   * Carlo options shared by the sensitivity baseline and every probe.
+   * Baseline and probes replay the same seed, so reruns give the same ranking
+   * and the probes differ from the baseline by the pinned variable, not by luck.
+   *
+   * @param {Object} options - { seed?: number, data?: Array, sampling?: string, pathShifts?: Function,
+   *   empiricalPools?: Map } — pathShifts (Markov joint runs) is passed through, so the probes see the
+   *   same state paths too; the probes share one empiricalPools cache (see Carlo.runCarlo)
+   * @returns {Object} Options for Carlo.runCarlo
+   */
+  sensitivityRunOptions(options = {}) {
+    const shared = { data: options.data, sampling: options.sampling, empiricalPools: options.empiricalPools || new Map() };
+    const runOptions = Number.isFinite(options.seed)
+      ? { seed: Prng.deriveSeed(options.seed, 'sensitivity'), ...shared }
+      : shared;
+    if (options.pathShifts) runOptions.pathShifts = options.pathShifts;
+    return runOptions;
+  },
+
+  /**
+   * Split the non-fixed variables into the two sensitivity phases:
+   * Phase 1 = variables the outcome formula references, Phase 2 = the rest.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {{ phase1Vars: Array, phase2Vars: Array }}
+   */
+  planSensitivity(prismaData) {
+    // All non-fixed variables
+    const nonFixedVars = prismaData.variables.filter(v => v.distribution !== 'fixed');
+
+    // Parse the primary outcome formula to find which variable IDs it references (prev_<id> counts as <id>)
+    const primary = Carlo.resolveOutcomes(prismaData)[0];
+    const formulaVarIds = new Set();
+    if (primary && primary.formula) {
+      try {
+        for (const id of Formula.identifiers(primary.formula)) {
+          formulaVarIds.add(id.startsWith(Carlo.PREV_PREFIX) ? id.slice(Carlo.PREV_PREFIX.length) : id);
+        }
+      } catch (e) {
+        // An unparseable formula reads nothing; every variable goes to phase 2
+      }
+    }
+
+    return {
+      phase1Vars: nonFixedVars.filter(v => formulaVarIds.has(v.id)),
+      phase2Vars: nonFixedVars.filter(v => !formulaVarIds.has(v.id))
+    };
+  },
+
+  /**
+   * Probe one variable: pin it at its min, then at its max, and compare the
+   * outcome medians with the baseline median.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {string} scenarioId - Scenario to analyze
+   * @param {string} variableId - Variable to pin
+   * @param {number} iterations - Carlo iterations per probe
+   * @param {Object} runOptions - From sensitivityRunOptions()
+   * @param {number} baselineMedian - Median outcome of the unpinned baseline run
+   * @returns {Object} { variableId, variableLabel, impactLow, impactHigh, totalSwing, baselineMedian }
+   */
+  testSensitivityVariable(prismaData, scenarioId, variableId, iterations, runOptions, baselineMedian) {
+    const variable = prismaData.variables.find(v => v.id === variableId);
+
+    // Test at MIN
+    const dataAtMin = JSON.parse(JSON.stringify(prismaData));
+    const varAtMin = dataAtMin.variables.find(v => v.id === variableId);
+    varAtMin.value = varAtMin.min;
+    varAtMin.max = varAtMin.min;
+    varAtMin.distribution = 'fixed';
+    varAtMin.source = 'sampled'; // Pinning is an intervention, even for derived variables
+    const medianAtMin = this._median(Carlo.runCarlo(dataAtMin, scenarioId, iterations, runOptions));
+
+    // Test at MAX
+    const dataAtMax = JSON.parse(JSON.stringify(prismaData));
+    const varAtMax = dataAtMax.variables.find(v => v.id === variableId);
+    varAtMax.value = varAtMax.max;
+    varAtMax.min = varAtMax.max;
+    varAtMax.distribution = 'fixed';
+    varAtMax.source = 'sampled';
+    const medianAtMax = this._median(Carlo.runCarlo(dataAtMax, scenarioId, iterations, runOptions));
+
+    return {
+      variableId,
+      variableLabel: variable.label,
+      impactLow: medianAtMin - baselineMedian,
+      impactHigh: medianAtMax - baselineMedian,
+      totalSwing: Math.abs((medianAtMax - baselineMedian) - (medianAtMin - baselineMedian)),
+      baselineMedian
+    };
+  },
+
+  /**
+   * Median as used throughout sensitivity (upper median, like summarizeResults)
+   */
+  _median(outcomes) {
+    const sorted = [...outcomes].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length * 0.5)];
+  },
+
   /**
    * Legacy wrapper — kept for backward compatibility with Layer 2/3
    */
@@ -208,6 +417,95 @@ const Nassim = {
     return sensitivityResults.slice(0, n);
   },
 
+  /**
+   * Value of information: what knowing the uncertain inputs before deciding would be worth.
+   * The tornado shows what moves the median; this shows which uncertainty could change the choice.
+   *
+   * EVPI (whole decision) = mean over futures of the best scenario in that future, minus the
+   * mean of the scenario that is best on average. EVPPI for one variable bins the futures by
+   * that variable's value (about √n equal-count bins), picks the best scenario per bin and
+   * compares with the same average; the pick and its score come from different halves of the
+   * bin, so noise can't pass for information.
+   *
+   * Needs paired results with recorded inputs (Carlo.runCarloAllScenarios with recordInputs);
+   * values are on the primary metric, in its units, and ignore constraints.
+   *
+   * @param {Object} carloResults - From Carlo.runCarloAllScenarios() with recordInputs
+   * @param {Object} prismaData - Complete PRISMA_DATA object (variable labels)
+   * @returns {Object|null} { evpi, bestScenarioId, iterations, bins, variables: [{ variableId,
+   *   variableLabel, evppi, share }] } — variables sorted by evppi, share = evppi / evpi;
+   *   null with fewer than two scenarios
+   */
+  computeValueOfInformation(carloResults, prismaData) {
+    const ids = Object.keys(carloResults || {}).filter(id => carloResults[id] && Array.isArray(carloResults[id].outcomes));
+    if (ids.length < 2) return null;
+    const n = Math.min(...ids.map(id => carloResults[id].outcomes.length));
+    if (n === 0) return null;
+    const columns = ids.map(id => carloResults[id].outcomes);
+
+    // The decision without more information: the best scenario on average
+    const means = columns.map(column => {
+      let sum = 0;
+      for (let i = 0; i < n; i++) sum += column[i];
+      return sum / n;
+    });
+    const bestIndex = means.indexOf(Math.max(...means));
+    const bestMean = means[bestIndex];
+
+    // Perfect information: the best scenario in each future
+    let perfect = 0;
+    for (let i = 0; i < n; i++) {
+      let best = -Infinity;
+      for (const column of columns) best = Math.max(best, column[i]);
+      perfect += best;
+    }
+    const evpi = Math.max(0, perfect / n - bestMean);
+
+    // Partial: best scenario per bin of futures. Picking the best of noisy bin means would
+    // flatter every variable, so each bin is split in two: the scenario picked on one half
+    // is scored on the other, and the other way round.
+    const bins = Math.max(2, Math.round(Math.sqrt(n)));
+    const binnedValue = (order) => {
+      let total = 0;
+      for (let b = 0; b < bins; b++) {
+        const start = Math.floor(b * n / bins);
+        const end = Math.floor((b + 1) * n / bins);
+        const halves = columns.map(column => {
+          const sums = [0, 0];
+          for (let k = start; k < end; k++) sums[(k - start) % 2] += column[order[k]];
+          return sums;
+        });
+        for (let half = 0; half < 2; half++) {
+          let pick = 0;
+          halves.forEach((sums, c) => { if (sums[half] > halves[pick][half]) pick = c; });
+          total += halves[pick][1 - half];
+        }
+      }
+      return total / n - bestMean;
+    };
+
+    const source = ids.map(id => carloResults[id].inputs).find(Boolean) || {};
+    const variables = [];
+    for (const [variableId, values] of Object.entries(source)) {
+      if (values.length < n) continue;
+      const variable = (prismaData.variables || []).find(v => v.id === variableId);
+      let evppi = 0;
+      if (values.some(value => value !== values[0])) {
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+        evppi = Math.min(evpi, Math.max(0, binnedValue(order)));
+      }
+      variables.push({
+        variableId,
+        variableLabel: (variable && variable.label) || variableId,
+        evppi,
+        share: evpi > 0 ? evppi / evpi : 0
+      });
+    }
+    variables.sort((a, b) => b.evppi - a.evppi);
+
+    return { evpi, bestScenarioId: ids[bestIndex], iterations: n, bins, variables };
+  },
+
   /**
    * Compute a 0-100 decision score from pure simulation statistics.
    *
@@ -223,11 +521,14 @@ const Nassim = {
    *   20-39  red:   "Proceed with caution"
    *   0-19   red:   "This is risky"
    *
+   * A multi-metric classification (classifyAllScenarios) scores as its weightedScore.
+   *
    * @param {Object} classification - Result from classifyTaleb()
    * @returns {number} Score 0-100
    */
   computeDecisionScore(classification) {
     if (!classification) return 50;
+    if (Number.isFinite(classification.weightedScore)) return classification.weightedScore;
 
     const pctPositive = classification.percentPositive;
     const rr = classification.riskRewardRatio || 1;
@@ -255,9 +556,11 @@ const Nassim = {
    * @param {Object} summary - Carlo summary for best scenario
    * @param {Object} prismaState - Full state
    * @param {string} [bestScenarioLabel] - Optional: include scenario name in headline
-   * @returns {Object} {headline, summaryParts, riskParts, score, color}
+   * @param {Object} [allClassifications] - Optional: every scenario's classification, to list
+   *   the options a constraint ruled out
+   * @returns {Object} {headline, summaryParts, riskParts, constraintParts, score, color}
    */
-  generateVerdict(classification, summary, prismaState, bestScenarioLabel) {
+  generateVerdict(classification, summary, prismaState, bestScenarioLabel, allClassifications) {
     if (!classification || !summary) {
       return { headline: 'Analyzing...', summary: '', risk: '', score: 50, color: '#F59E0B' };
     }
@@ -280,9 +583,17 @@ const Nassim = {
     else if (score >= 40) color = '#F59E0B';
     else color = '#EF4444';
 
+    // Even the best option breaks a constraint — nothing is safe to recommend
+    if (classification.infeasible) {
+      headline = 'No option stays within your limits';
+      color = '#EF4444';
+    }
+
     // Summary — conversational, not technical
-    const medianStr = Visualizations._formatNumber(Math.abs(summary.median)) + ' ' + unit;
+    const medianStr = this._formatNumber(Math.abs(summary.median)) + ' ' + unit;
     const pctRound = Math.round(classification.percentPositive);
+    const ciRange = this.formatPercentPositiveCI(summary);
+    const ciNote = ciRange ? ' (95% CI ' + ciRange + ')' : '';
     let summaryParts;
 
     if (summary.median >= 0 && pctRound >= 60) {
@@ -292,6 +603,7 @@ const Nassim = {
         { text: 'gain about ' + medianStr, bold: true },
         { text: '. ' },
         { text: pctRound + ' out of 100', bold: true },
+        { text: ciNote },
         { text: ' simulated futures come out ahead.' }
       ];
     } else if (summary.median >= 0) {
@@ -301,6 +613,7 @@ const Nassim = {
         { text: 'gain of ' + medianStr, bold: true },
         { text: ', but only ' },
         { text: pctRound + ' out of 100', bold: true },
+        { text: ciNote },
         { text: ' futures are positive. It\'s a coin toss.' }
       ];
     } else if (pctRound >= 20) {
@@ -310,6 +623,7 @@ const Nassim = {
         { text: 'lose about ' + medianStr, bold: true },
         { text: '. Only ' },
         { text: pctRound + ' out of 100', bold: true },
+        { text: ciNote },
         { text: ' futures come out ahead.' }
       ];
     } else {
@@ -319,13 +633,14 @@ const Nassim = {
         { text: 'lose about ' + medianStr, bold: true },
         { text: '. Almost none of the simulated futures (' },
         { text: pctRound + '%', bold: true },
+        { text: ciRange ? ', 95% CI ' + ciRange + '%' : '' },
         { text: ') come out positive.' }
       ];
     }
 
     // Risk — plain language
     let riskParts = [];
-    const p10Str = Visualizations._formatNumber(Math.abs(summary.p10)) + ' ' + unit;
+    const p10Str = this._formatNumber(Math.abs(summary.p10)) + ' ' + unit;
     if (summary.p10 < 0) {
       riskParts = [
         { text: 'Worst case (bottom 10%): you could lose up to ' },
@@ -335,7 +650,7 @@ const Nassim = {
     } else {
       riskParts = [
         { text: 'Even in the worst scenarios, you\'d still be at ' },
-        { text: Visualizations._formatNumber(summary.p10) + ' ' + unit, bold: true },
+        { text: this._formatNumber(summary.p10) + ' ' + unit, bold: true },
         { text: '.' }
       ];
     }
@@ -353,7 +668,36 @@ const Nassim = {
       context = `${decisionTitle} — all options are risky, ${bestScenarioLabel} scores highest`;
     }
 
-    return { context, headline, summaryParts, riskParts, score, color };
+    if (classification.infeasible && bestScenarioLabel) {
+      context = `${decisionTitle} — every option breaks a limit, ${bestScenarioLabel} scores highest`;
+    }
+
+    // Options a constraint ruled out, and why
+    const ruledOut = allClassifications
+      ? (prismaState.scenarios || []).map(s => [s.label || s.id, allClassifications[s.id]])
+      : [[bestScenarioLabel || 'This option', classification]];
+    const constraintParts = [];
+    for (const [label, c] of ruledOut) {
+      if (!c || !c.infeasible) continue;
+      if (constraintParts.length > 0) constraintParts.push({ text: ' ' });
+      constraintParts.push({ text: label, bold: true });
+      constraintParts.push({ text: ' \u2014 ' + c.violatedConstraints.map(v => this.describeViolation(v)).join('; ') + '.' });
+    }
+
+    return { context, headline, summaryParts, riskParts, constraintParts, score, color };
+  },
+
+  /**
+   * 95% interval of "N out of 100 futures" as text, e.g. "69–75", so a 51 vs 49 split
+   * isn't read as a real difference. Empty for summaries without one.
+   *
+   * @param {Object} summary - Carlo summary (summarizeResults)
+   * @returns {string}
+   */
+  formatPercentPositiveCI(summary) {
+    const ci = summary && summary.percentPositiveCI;
+    if (!ci) return '';
+    return Math.round(ci.low) + '\u2013' + Math.round(ci.high);
   },
 
   /**
@@ -385,5 +729,8 @@ const Nassim = {
   }
 };
 
-// For inline HTML usage (no module export needed)
-// The Nassim object is now available globally
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.Nassim = Nassim;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Nassim;
+}
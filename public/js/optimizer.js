@@ -0,0 +1,338 @@
+/**
+ * OPTIMIZER — Searches decision levers instead of comparing fixed scenarios
+ *
+ * A lever is a variable the decision maker sets: variable.lever = { min?, max?, step? }
+ * (drivers hired 0–5 step 1, price 2.50–3.50 step 0.25). Every combination of lever
+ * settings is a candidate scenario. Carlo simulates the candidates and Nassim scores
+ * them; candidates that break a constraint can't win while a feasible one exists.
+ *
+ * Search: the full grid when it fits the evaluation budget, otherwise a seeded random
+ * sample of grid points. Every candidate runs on the same seed (common random numbers),
+ * so candidates differ by their lever settings, not by the luck of the draw.
+ *
+ * prismaData.optimization = { objective?, budget?, iterations?, top?, baseScenarioId? }
+ * tunes the search (see DEFAULTS); objective is 'score' (Nassim.computeDecisionScore)
+ * or a statistic of the primary outcome: 'mean', 'median', 'p10', 'p90'.
+ *
+ * All functions are PURE (no DOM access, no side effects, no global state).
+ */
+
+const Optimizer = {
+  OBJECTIVES: ['score', 'mean', 'median', 'p10', 'p90'],
+  OBJECTIVE_LABELS: {
+    score: 'decision score',
+    mean: 'mean outcome',
+    median: 'median outcome',
+    p10: 'bad-case outcome (P10)',
+    p90: 'good-case outcome (P90)'
+  },
+  DEFAULTS: { objective: 'score', budget: 40, iterations: 500, top: 3 },
+  MAX_LEVER_STEPS: 1000,
+  COLORS: ['#8B5CF6', '#EC4899', '#14B8A6', '#F97316', '#6366F1'],
+
+  /**
+   * The levers of a model with their grid values. min/max default to the variable's
+   * range; step defaults to 1 for small integer ranges, else a tenth of the range.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @returns {Array<Object>} [{ id, label, unit, min, max, step, values }]
+   */
+  resolveLevers(prismaData) {
+    const variables = (prismaData && prismaData.variables) || [];
+    const levers = [];
+    for (const variable of variables) {
+      if (!variable || !variable.lever) continue;
+      const lever = variable.lever === true ? {} : variable.lever;
+      const min = Number.isFinite(Number(lever.min)) ? Number(lever.min) : Number(variable.min);
+      const max = Number.isFinite(Number(lever.max)) ? Number(lever.max) : Number(variable.max);
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) continue;
+
+      const range = max - min;
+      const integerRange = Number.isInteger(min) && Number.isInteger(max) && range <= 20;
+      let step = Number(lever.step);
+      if (!(step > 0)) step = integerRange ? 1 : range / 10;
+
+      const count = range === 0 ? 1 : Math.min(this.MAX_LEVER_STEPS, Math.floor(range / step + 1e-9) + 1);
+      const values = [];
+      for (let i = 0; i < count; i++) values.push(Number((min + i * step).toFixed(10)));
+
+      levers.push({
+        id: variable.id,
+        label: variable.label || variable.id,
+        unit: variable.unit || '',
+        min,
+        max,
+        step,
+        values
+      });
+    }
+    return levers;
+  },
+
+  /**
+   * Check the lever definitions of a variables array (resolveLevers skips or defaults bad ones)
+   *
+   * @param {Array} variables - prismaData.variables
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateLevers(variables) {
+    const errors = [];
+    for (const variable of variables || []) {
+      if (!variable || !variable.lever || variable.lever === true) continue;
+      const { min, max, step } = variable.lever;
+      const name = variable.id + '.lever';
+      if (min !== undefined && !Number.isFinite(Number(min))) errors.push(`${name}: min must be a number (got ${min})`);
+      if (max !== undefined && !Number.isFinite(Number(max))) errors.push(`${name}: max must be a number (got ${max})`);
+      const low = min !== undefined ? Number(min) : Number(variable.min);
+      const high = max !== undefined ? Number(max) : Number(variable.max);
+      if (low > high) errors.push(`${name}: min ${low} is above max ${high}; lever ignored`);
+      if (step !== undefined && !(Number(step) > 0)) errors.push(`${name}: step must be > 0 (got ${step}); using the default`);
+      if (step > 0 && high > low && (high - low) / step + 1 > this.MAX_LEVER_STEPS) {
+        errors.push(`${name}: more than ${this.MAX_LEVER_STEPS} steps; the grid stops at ${this.MAX_LEVER_STEPS}`);
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * Search settings: DEFAULTS, then prismaData.optimization, then config
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {Object} [config] - Overrides, same fields as prismaData.optimization
+   * @returns {Object} { objective, budget, iterations, top, baseScenarioId }
+   */
+  resolveSettings(prismaData, config = {}) {
+    const settings = { ...this.DEFAULTS, ...((prismaData && prismaData.optimization) || {}), ...(config || {}) };
+    if (!this.OBJECTIVES.includes(settings.objective)) {
+      console.warn(`[Optimizer] Objective "${settings.objective}" is not one of ${this.OBJECTIVES.join(', ')}; using score`);
+      settings.objective = 'score';
+    }
+    settings.budget = Math.max(1, Math.floor(Number(settings.budget)) || this.DEFAULTS.budget);
+    settings.iterations = Math.max(1, Math.floor(Number(settings.iterations)) || this.DEFAULTS.iterations);
+    settings.top = Math.max(1, Math.floor(Number(settings.top)) || this.DEFAULTS.top);
+    return settings;
+  },
+
+  /**
+   * Lay out a search: levers, search method and one candidate scenario per grid point
+   * to evaluate. Candidates build on the base scenario (the "do nothing" option unless
+   * settings.baseScenarioId names another) and pin every lever to its setting.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {Object} [config] - Search settings (see resolveSettings)
+   * @param {Object} [options] - { seed?: number } — the search order and every evaluation derive from it
+   * @returns {Object} { settings, levers, method: 'grid'|'random', gridSize, seed, runSeed, baseScenarioId,
+   *   baseChanges, candidates: [{ id, values, baseScenarioId, scenario }] }
+   */
+  plan(prismaData, config = {}, options = {}) {
+    const check = this.validateLevers(prismaData && prismaData.variables);
+    if (!check.valid) console.warn('[Optimizer] ' + check.errors.join('; '));
+
+    const levers = this.resolveLevers(prismaData);
+    if (levers.length === 0) {
+      throw new Error('No decision levers to optimize: mark variables with lever: { min, max, step }');
+    }
+    const settings = this.resolveSettings(prismaData, config);
+    const seed = Number.isFinite(options.seed) ? options.seed : Prng.randomSeed();
+
+    const scenarios = (prismaData && prismaData.scenarios) || [];
+    const base = settings.baseScenarioId
+      ? scenarios.find(s => s.id === settings.baseScenarioId)
+      : scenarios.find(s => s.id === 'nothing' || s.id === 'do_nothing');
+
+    const gridSize = levers.reduce((n, lever) => n * lever.values.length, 1);
+    const method = gridSize <= settings.budget ? 'grid' : 'random';
+    const indices = method === 'grid'
+      ? Array.from({ length: gridSize }, (_, i) => i)
+      : this._sampleIndices(gridSize, settings.budget, Prng.create(Prng.deriveSeed(seed, 'optimizer-search')));
+
+    const candidates = indices.map((index, k) => {
+      const values = this._gridPoint(levers, index);
+      const id = 'lever_' + (k + 1);
+      return {
+        id,
+        values,
+        baseScenarioId: base ? base.id : null,
+        scenario: this._candidateScenario(id, this.describeValues(levers, values), levers, values, base)
+      };
+    });
+
+    return {
+      settings,
+      levers,
+      method,
+      gridSize,
+      seed,
+      runSeed: Prng.deriveSeed(seed, 'optimizer'),
+      baseScenarioId: base ? base.id : null,
+      baseChanges: (base && base.changes) || {},
+      candidates
+    };
+  },
+
+  /**
+   * Simulate and score one candidate. Under markov.joint its futures walk the Markov paths of
+   * the base scenario (its scenarioTransitions and policy), like every other run of the model.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object
+   * @param {Object} candidate - Entry of plan().candidates
+   * @param {Object} settings - plan().settings
+   * @param {Object} options - { seed: plan().runSeed, data?: Array, sampling?: string } — passed to Carlo
+   * @returns {Object} { id, values, objective, score, feasible, violatedConstraints, summary }
+   */
+  evaluate(prismaData, candidate, settings, options = {}) {
+    const model = { ...prismaData, scenarios: [...(prismaData.scenarios || []), candidate.scenario] };
+    const runOptions = typeof Markov !== 'undefined' && Markov.isJoint(model)
+      ? Markov.jointOptions(model, candidate.baseScenarioId || candidate.scenario.id, options)
+      : options;
+    const result = Carlo.runScenario(model, candidate.scenario.id, settings.iterations, runOptions);
+    const classification = Nassim.classifyAllScenarios({ [candidate.scenario.id]: result }, prismaData)[candidate.scenario.id];
+    const score = Nassim.computeDecisionScore(classification);
+    return {
+      id: candidate.id,
+      values: candidate.values,
+      objective: settings.objective === 'score' ? score : result.summary[settings.objective],
+      score,
+      feasible: !classification.infeasible,
+      violatedConstraints: (classification.violatedConstraints || []).map(c => ({ id: c.id, label: c.label, probability: c.probability })),
+      summary: result.summary
+    };
+  },
+
+  /**
+   * Rank the evaluations and build the search report: feasible candidates first, then by
+   * objective (ties: higher median, then evaluation order). The best `top` become scenarios.
+   *
+   * @param {Object} plan - From plan()
+   * @param {Array<Object>} evaluations - evaluate() results, in plan().candidates order
+   * @returns {Object} { objective, method, budget, evaluations, gridSize, seed, levers, best, trace }
+   */
+  finish(plan, evaluations) {
+    const better = (a, b) => (a.feasible !== b.feasible ? a.feasible : a.objective !== b.objective
+      ? a.objective > b.objective
+      : a.summary.median > b.summary.median);
+
+    // Trace: every evaluation with the best (feasible-first) objective found so far
+    let leader = null;
+    const trace = evaluations.map((evaluation, k) => {
+      if (!leader || better(evaluation, leader)) leader = evaluation;
+      return {
+        evaluation: k + 1,
+        values: evaluation.values,
+        objective: evaluation.objective,
+        score: evaluation.score,
+        median: evaluation.summary.median,
+        percentPositive: evaluation.summary.percentPositive,
+        feasible: evaluation.feasible,
+        bestSoFar: leader.objective,
+        bestFeasible: leader.feasible
+      };
+    });
+
+    const ranked = evaluations
+      .map((evaluation, k) => ({ evaluation, k }))
+      .sort((a, b) => (better(a.evaluation, b.evaluation) ? -1 : better(b.evaluation, a.evaluation) ? 1 : a.k - b.k))
+      .slice(0, plan.settings.top);
+
+    const best = ranked.map(({ evaluation }, i) => {
+      const rank = i + 1;
+      const description = this.describeValues(plan.levers, evaluation.values);
+      const scenario = this._candidateScenario('optimized_' + rank, 'Optimized #' + rank + ': ' + description,
+        plan.levers, evaluation.values, { changes: plan.baseChanges });
+      scenario.color = this.COLORS[i % this.COLORS.length];
+      scenario.optimized = true;
+      scenario.assumptions = [
+        'Lever settings found by the optimizer (' + plan.method + ' search, ' + evaluations.length + ' evaluations)',
+        evaluation.feasible ? 'Meets every constraint' : 'Breaks a constraint — no feasible setting was found'
+      ];
+      return {
+        rank,
+        values: evaluation.values,
+        objective: evaluation.objective,
+        score: evaluation.score,
+        feasible: evaluation.feasible,
+        violatedConstraints: evaluation.violatedConstraints,
+        summary: evaluation.summary,
+        scenario
+      };
+    });
+
+    return {
+      objective: plan.settings.objective,
+      method: plan.method,
+      budget: plan.settings.budget,
+      evaluations: evaluations.length,
+      iterations: plan.settings.iterations,
+      gridSize: plan.gridSize,
+      seed: plan.seed,
+      levers: plan.levers.map(({ id, label, unit, min, max, step }) => ({ id, label, unit, min, max, step })),
+      best,
+      trace
+    };
+  },
+
+  /**
+   * Run a whole search on this thread (SimPool.optimize spreads the evaluations over workers)
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object with lever variables
+   * @param {Object} [config] - Search settings (see resolveSettings)
+   * @param {Object} [options] - { seed?: number, data?: Array, sampling?: string }
+   * @returns {Object} See finish()
+   */
+  optimize(prismaData, config = {}, options = {}) {
+    const plan = this.plan(prismaData, config, options);
+    const runOptions = { seed: plan.runSeed, data: options.data, sampling: options.sampling, empiricalPools: new Map() };
+    const evaluations = plan.candidates.map(candidate => this.evaluate(prismaData, candidate, plan.settings, runOptions));
+    return this.finish(plan, evaluations);
+  },
+
+  /**
+   * Lever settings in words, e.g. "Drivers hired 3, Price 2.75 €"
+   */
+  describeValues(levers, values) {
+    return levers.map(lever => lever.label + ' ' + values[lever.id] + (lever.unit ? ' ' + lever.unit : '')).join(', ');
+  },
+
+  // --- Internals ---
+
+  /**
+   * Lever values at a flat grid index (the last lever varies fastest)
+   */
+  _gridPoint(levers, index) {
+    const values = {};
+    for (let i = levers.length - 1; i >= 0; i--) {
+      const count = levers[i].values.length;
+      values[levers[i].id] = levers[i].values[index % count];
+      index = Math.floor(index / count);
+    }
+    return values;
+  },
+
+  /**
+   * `count` distinct grid indices below `size`, in draw order
+   */
+  _sampleIndices(size, count, rng) {
+    const picked = new Set();
+    while (picked.size < count) picked.add(Math.floor(rng() * size));
+    return [...picked];
+  },
+
+  /**
+   * A scenario on top of the base scenario's changes with every lever pinned to one value
+   */
+  _candidateScenario(id, label, levers, values, base) {
+    const changes = { ...((base && base.changes) || {}) };
+    for (const lever of levers) {
+      const value = values[lever.id];
+      changes[lever.id] = { ...(changes[lever.id] || {}), value, min: value, max: value };
+      delete changes[lever.id].delta;
+    }
+    return { id, label, color: this.COLORS[0], changes, assumptions: [] };
+  }
+};
+
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.Optimizer = Optimizer;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Optimizer;
+}
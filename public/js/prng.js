@@ -0,0 +1,77 @@
+/**
+ * PRNG — Seeded random number generation shared by Carlo, Markov and Nassim
+ *
+ * Math.random() cannot be replayed, so every engine takes an `rng` function
+ * with the same contract (returns a float in [0, 1)). Passing the same seed
+ * produces the exact same futures, which makes a simulation card reproducible.
+ */
+
+const Prng = {
+  /**
+   * Create a seeded generator (mulberry32 — small, fast, good enough for Monte Carlo)
+   *
+   * @param {number} seed - Any number; coerced to a 32-bit unsigned integer
+   * @returns {Function} rng() → float in [0, 1)
+   */
+  create(seed) {
+    let state = seed >>> 0;
+    return function rng() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Pick a fresh seed for a new run
+   *
+   * @returns {number} 32-bit unsigned integer
+   */
+  randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  },
+
+  /**
+   * Derive a child seed from a parent seed and a label (e.g. a scenario id).
+   * Each scenario / probe gets its own stream, independent of run order.
+   *
+   * @param {number} seed - Parent seed
+   * @param {string} label - Stable label for the child stream
+   * @returns {number} 32-bit unsigned integer
+   */
+  deriveSeed(seed, label) {
+    // FNV-1a over the label, mixed with the parent seed
+    let h = (2166136261 ^ (seed >>> 0)) >>> 0;
+    const str = String(label);
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619) >>> 0;
+    }
+    // Final avalanche so similar labels don't give similar seeds
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B) >>> 0;
+    h ^= h >>> 13;
+    return h >>> 0;
+  },
+
+  /**
+   * Resolve the generator for a run from an options object:
+   * options.rng wins, then options.seed, otherwise Math.random.
+   *
+   * @param {Object} [options] - { rng?: Function, seed?: number }
+   * @returns {Function} rng
+   */
+  fromOptions(options) {
+    if (options && typeof options.rng === 'function') return options.rng;
+    if (options && Number.isFinite(options.seed)) return this.create(options.seed);
+    return Math.random;
+  }
+};
+
+// Shared engine (see engine.js): a global for <script> / importScripts / import, module.exports for require()
+globalThis.Prng = Prng;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Prng;
+}
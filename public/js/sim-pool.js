@@ -0,0 +1,388 @@
+/**
+ * SIM POOL — Runs a simulation across a pool of Web Workers
+ *
+ * One task per Carlo scenario and per sensitivity probe, spread over
+ * navigator.hardwareConcurrency - 1 workers (max 4), so the main thread stays
+ * responsive and results stream in as tasks finish. Results have the same shape
+ * as Carlo.runCarloAllScenarios() and Nassim.runFullSensitivity(), and the same
+ * seeds are derived, so a pooled run matches a main-thread run number for number.
+ * Lever searches (optimize) run one task per candidate setting the same way.
+ *
+ * Without Worker support (file://, old browsers, worker script failing to load)
+ * the same tasks run on the main thread through SimWorker.handle(), one per tick.
+ */
+
+const SimPool = {
+  WORKER_URL: '/js/sim-worker.js',
+  MAX_WORKERS: 4,
+
+  _slots: [],        // { worker, task, contextRunId, ready }
+  _queue: [],        // Pending tasks, FIFO: { runId, taskId, phase, message, onResult }
+  _runs: new Map(),  // runId → run state
+  _nextRunId: 1,
+  _nextTaskId: 1,
+  _inline: typeof Worker === 'undefined' || (typeof location !== 'undefined' && location.protocol === 'file:'),
+
+  /**
+   * Number of workers the pool will use
+   */
+  size() {
+    if (this._inline) return 1;
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(this.MAX_WORKERS, cores - 1));
+  },
+
+  /**
+   * Start a simulation run
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object (snapshotted now; later edits don't leak in)
+   * @param {Object} config
+   * @param {number} config.iterations - Carlo iterations per scenario
+   * @param {Object} [config.convergence] - Run each scenario adaptively instead (see Carlo.runCarloAdaptive);
+   *   results then carry `convergence`
+   * @param {number} [config.seed] - Run seed; scenarios (one shared seed) and sensitivity derive theirs from it
+   * @param {string} [config.sampling] - Carlo.SAMPLING_METHODS entry for scenarios and sensitivity
+   * @param {Array} [config.data] - Uploaded CSV rows for empirical variables
+   * @param {boolean} [config.recordInputs] - Record the futures' inputs on the first scenario, as
+   *   runCarloAllScenarios does (for Nassim.computeValueOfInformation)
+   * @param {Object} [config.sensitivity] - { scenarioId, iterations } — omit to skip sensitivity
+   * @param {Function} [config.onProgress] - ({ done, total, phase: 'carlo'|'sensitivity' })
+   * @param {Function} [config.onScenario] - (scenarioId, { outcomes, summary, trajectory?, convergence? }) as each scenario finishes
+   * @param {Function} [config.onSensitivity] - (results, stage) — stage 'phase1' once the formula
+   *   variables are in, then 'partial' per probe, then 'complete'; results sorted by totalSwing
+   * @returns {Object} { runId, carlo: Promise<carloResults>, done: Promise<{ carloResults, sensitivityResults }>, cancel() }
+   */
+  run(prismaData, config = {}) {
+    const runId = this._nextRunId++;
+    const run = {
+      runId,
+      prismaData: JSON.parse(JSON.stringify(prismaData)),
+      data: config.data || null,
+      finished: false
+    };
+    this._runs.set(runId, run);
+
+    const deferred = () => {
+      const d = {};
+      d.promise = new Promise((resolve, reject) => { d.resolve = resolve; d.reject = reject; });
+      d.promise.catch(() => {}); // Callers may only listen to one of the two
+      return d;
+    };
+    const carloDeferred = deferred();
+    const doneDeferred = deferred();
+    run.reject = (error) => {
+      carloDeferred.reject(error);
+      doneDeferred.reject(error);
+    };
+
+    const scenarios = run.prismaData.scenarios || [];
+    const sensitivity = config.sensitivity || null;
+    const plan = sensitivity ? Nassim.planSensitivity(run.prismaData) : null;
+    const probeVars = plan ? [...plan.phase1Vars, ...plan.phase2Vars] : [];
+    const total = scenarios.length + (sensitivity && probeVars.length > 0 ? 1 + probeVars.length : 0);
+    let done = 0;
+
+    const progress = (phase) => {
+      done++;
+      this._emit(config.onProgress, { done, total, phase });
+    };
+
+    // --- Carlo: one task per scenario, all on the shared seed runCarloAllScenarios uses ---
+    const carloResults = {};
+    let carloRemaining = scenarios.length;
+    let carloDone = false;
+    let sensitivityResults = sensitivity ? null : [];
+    let sensitivityDone = !sensitivity;
+
+    const maybeFinish = () => {
+      if (!carloDone || !sensitivityDone || run.finished) return;
+      run.finished = true;
+      this._runs.delete(runId);
+      doneDeferred.resolve({ carloResults: run.carloResults, sensitivityResults });
+    };
+
+    const finishCarlo = () => {
+      // Keep scenario order, not completion order
+      run.carloResults = {};
+      for (const s of scenarios) run.carloResults[s.id] = carloResults[s.id];
+      carloDone = true;
+      carloDeferred.resolve(run.carloResults);
+      maybeFinish();
+    };
+
+    const options = Carlo.scenarioRunOptions({ seed: config.seed, sampling: config.sampling });
+    scenarios.forEach((scenario, i) => {
+      this._enqueue(run, 'carlo', {
+        type: 'scenario', scenarioId: scenario.id, iterations: config.iterations,
+        options: { ...options, recordInputs: i === 0 && !!config.recordInputs },
+        convergence: config.convergence || null
+      }, (result) => {
+        carloResults[scenario.id] = result;
+        progress('carlo');
+        this._emit(config.onScenario, scenario.id, result);
+        if (--carloRemaining === 0) finishCarlo();
+      });
+    });
+    if (scenarios.length === 0) finishCarlo();
+
+    // --- Sensitivity: baseline first, then one task per probed variable ---
+    if (sensitivity) {
+      const runOptions = Nassim.sensitivityRunOptions({ seed: config.seed, sampling: config.sampling });
+      const order = new Map(probeVars.map((v, i) => [v.id, i]));
+      const bySwing = (a, b) => (b.totalSwing - a.totalSwing) || (order.get(a.variableId) - order.get(b.variableId));
+      const phase1Ids = new Set(plan.phase1Vars.map(v => v.id));
+      const phase1Results = [];
+      const allResults = [];
+      let phase1Emitted = false;
+
+      const completeSensitivity = () => {
+        sensitivityResults = [...allResults].sort(bySwing);
+        sensitivityDone = true;
+        this._emit(config.onSensitivity, sensitivityResults, 'complete');
+        maybeFinish();
+      };
+
+      if (probeVars.length === 0) {
+        this._emit(config.onSensitivity, [], 'phase1');
+        completeSensitivity();
+      } else {
+        this._enqueue(run, 'sensitivity', {
+          type: 'scenario', scenarioId: sensitivity.scenarioId, iterations: sensitivity.iterations, options: runOptions
+        }, (baseline) => {
+          progress('sensitivity');
+          const baselineMedian = Nassim._median(baseline.outcomes);
+          if (phase1Ids.size === 0) {
+            phase1Emitted = true;
+            this._emit(config.onSensitivity, [], 'phase1');
+          }
+
+          for (const variable of probeVars) {
+            this._enqueue(run, 'sensitivity', {
+              type: 'probe',
+              scenarioId: sensitivity.scenarioId,
+              variableId: variable.id,
+              iterations: sensitivity.iterations,
+              options: runOptions,
+              baselineMedian
+            }, (result) => {
+              progress('sensitivity');
+              allResults.push(result);
+              if (phase1Ids.has(result.variableId)) phase1Results.push(result);
+
+              if (!phase1Emitted && phase1Results.length === phase1Ids.size) {
+                phase1Emitted = true;
+                this._emit(config.onSensitivity, [...phase1Results].sort(bySwing), 'phase1');
+              } else if (phase1Emitted && allResults.length < probeVars.length) {
+                this._emit(config.onSensitivity, [...allResults].sort(bySwing), 'partial');
+              }
+              if (allResults.length === probeVars.length) completeSensitivity();
+            });
+          }
+          this._dispatch();
+        });
+      }
+    }
+
+    this._dispatch();
+
+    return {
+      runId,
+      carlo: carloDeferred.promise,
+      done: doneDeferred.promise,
+      cancel: () => this.cancel(runId)
+    };
+  },
+
+  /**
+   * Start a lever search (see Optimizer): one task per candidate setting, all on the plan's
+   * seed, ranked on the main thread once every candidate is in — the same report as
+   * Optimizer.optimize() with the same seed.
+   *
+   * @param {Object} prismaData - Complete PRISMA_DATA object with lever variables (snapshotted now)
+   * @param {Object} config
+   * @param {Object} [config.optimization] - Search settings; override prismaData.optimization
+   * @param {number} [config.seed] - Search seed
+   * @param {string} [config.sampling] - Carlo.SAMPLING_METHODS entry for every candidate
+   * @param {Array} [config.data] - Uploaded CSV rows for empirical variables
+   * @param {Function} [config.onProgress] - ({ done, total, phase: 'optimize' })
+   * @returns {Object} { runId, done: Promise<report>, cancel() } — report as Optimizer.finish()
+   */
+  optimize(prismaData, config = {}) {
+    const runId = this._nextRunId++;
+    const run = {
+      runId,
+      prismaData: JSON.parse(JSON.stringify(prismaData)),
+      data: config.data || null,
+      finished: false
+    };
+
+    let resolveDone;
+    const done = new Promise((resolve, reject) => { resolveDone = resolve; run.reject = reject; });
+    done.catch(() => {});
+
+    let plan;
+    try {
+      plan = Optimizer.plan(run.prismaData, config.optimization, { seed: config.seed });
+    } catch (error) {
+      run.reject(error);
+      return { runId, done, cancel: () => {} };
+    }
+    this._runs.set(runId, run);
+
+    const total = plan.candidates.length;
+    const evaluations = new Array(total);
+    let remaining = total;
+    plan.candidates.forEach((candidate, k) => {
+      this._enqueue(run, 'optimize', {
+        type: 'candidate', candidate, settings: plan.settings, options: { seed: plan.runSeed, sampling: config.sampling }
+      }, (result) => {
+        evaluations[k] = result;
+        remaining--;
+        this._emit(config.onProgress, { done: total - remaining, total, phase: 'optimize' });
+        if (remaining > 0) return;
+        run.finished = true;
+        this._runs.delete(runId);
+        try {
+          resolveDone(Optimizer.finish(plan, evaluations));
+        } catch (error) {
+          run.reject(error);
+        }
+      });
+    });
+
+    this._dispatch();
+    return { runId, done, cancel: () => this.cancel(runId) };
+  },
+
+  /**
+   * Cancel a run: queued tasks are dropped and workers busy with it are terminated
+   * (a synchronous Carlo run can't be interrupted any other way). Its promises reject
+   * with an error whose `cancelled` flag is true.
+   */
+  cancel(runId) {
+    const run = this._runs.get(runId);
+    if (!run) return;
+    const error = new Error('Simulation cancelled');
+    error.cancelled = true;
+    this._abort(run, error);
+  },
+
+  // --- Internals ---
+
+  _abort(run, error) {
+    run.finished = true;
+    this._runs.delete(run.runId);
+    this._queue = this._queue.filter(task => task.runId !== run.runId);
+    this._slots = this._slots.filter(slot => {
+      if (slot.task && slot.task.runId === run.runId) {
+        slot.worker.terminate();
+        return false;
+      }
+      return true;
+    });
+    run.reject(error);
+    this._dispatch();
+  },
+
+  _enqueue(run, phase, message, onResult) {
+    const taskId = this._nextTaskId++;
+    this._queue.push({ runId: run.runId, taskId, phase, message: { ...message, runId: run.runId, taskId }, onResult });
+  },
+
+  _emit(callback, ...args) {
+    if (typeof callback !== 'function') return;
+    try {
+      callback(...args);
+    } catch (e) {
+      console.error('[SimPool] Callback error:', e);
+    }
+  },
+
+  _dispatch() {
+    if (this._queue.length === 0) return;
+    while (this._slots.length < this.size()) this._slots.push(this._spawn());
+
+    for (const slot of this._slots) {
+      if (slot.task || this._queue.length === 0) continue;
+      const task = this._queue.shift();
+      const run = this._runs.get(task.runId);
+      if (!run) continue;
+      slot.task = task;
+      if (slot.contextRunId !== task.runId) {
+        slot.worker.postMessage({ type: 'context', runId: run.runId, prismaData: run.prismaData, data: run.data });
+        slot.contextRunId = task.runId;
+      }
+      slot.worker.postMessage(task.message);
+    }
+  },
+
+  _spawn() {
+    const slot = { worker: null, task: null, contextRunId: null, ready: false };
+    slot.worker = this._inline ? this._createInlineWorker() : new Worker(this.WORKER_URL);
+    slot.worker.onmessage = (event) => this._onReply(slot, event.data);
+    slot.worker.onerror = (event) => this._onWorkerError(slot, event);
+    return slot;
+  },
+
+  /**
+   * Main-thread stand-in with the Worker interface; each message runs on its own tick
+   */
+  _createInlineWorker() {
+    const timers = new Set();
+    const shim = {
+      onmessage: null,
+      onerror: null,
+      postMessage(message) {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          const reply = SimWorker.handle(message);
+          if (reply && shim.onmessage) shim.onmessage({ data: reply });
+        }, 0);
+        timers.add(timer);
+      },
+      terminate() {
+        timers.forEach(clearTimeout);
+        timers.clear();
+        shim.onmessage = null;
+      }
+    };
+    return shim;
+  },
+
+  _onReply(slot, reply) {
+    const task = slot.task;
+    slot.task = null;
+    slot.ready = true;
+
+    const run = this._runs.get(reply.runId);
+    if (run && task && task.taskId === reply.taskId) {
+      if (reply.error) {
+        this._abort(run, new Error(reply.error));
+        return;
+      }
+      task.onResult(reply.result);
+    }
+    this._dispatch();
+  },
+
+  _onWorkerError(slot, event) {
+    if (event && typeof event.preventDefault === 'function') event.preventDefault();
+    console.warn('[SimPool] Worker failed' + (slot.ready ? '' : ' to start') + ':', event && event.message);
+
+    // Put its task back and drop the worker
+    slot.worker.terminate();
+    this._slots = this._slots.filter(s => s !== slot);
+    if (slot.task && this._runs.has(slot.task.runId)) this._queue.unshift(slot.task);
+
+    // A worker that never answered means the script can't load here — fall back to the main thread
+    if (!slot.ready && !this._inline) {
+      this._inline = true;
+      this._slots.forEach(s => {
+        s.worker.terminate();
+        if (s.task && this._runs.has(s.task.runId)) this._queue.unshift(s.task);
+      });
+      this._slots = [];
+    }
+    this._dispatch();
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * SIM WORKER — Runs Carlo scenarios, sensitivity probes and optimizer candidates off the main thread
+ *
+ * Loaded two ways:
+ *   - as a Web Worker (new Worker('/js/sim-worker.js')) — pulls in the engines itself
+ *   - as a plain <script> — SimPool calls SimWorker.handle() directly when Workers
+ *     are unavailable, so both paths run exactly the same code
+ *
+ * Messages (all carry runId; tasks also carry taskId):
+ *   { type: 'context', runId, prismaData, data }   — once per run per worker (CSV rows can be large)
+ *   { type: 'scenario', runId, taskId, scenarioId, iterations, options, convergence? }
+ *     — with convergence the scenario runs adaptively and iterations is ignored; a model with
+ *     markov.joint runs through Markov.runJoint (probes through Markov.jointOptions)
+ *   { type: 'probe', runId, taskId, scenarioId, variableId, iterations, options, baselineMedian }
+ *   { type: 'candidate', runId, taskId, candidate, settings, options } — one lever setting (Optimizer.evaluate)
+ * Replies: { runId, taskId, result } or { runId, taskId, error }
+ */
+
+const SimWorker = {
+  _context: null, // { runId, prismaData, data, empiricalPools } for the run this worker is serving
+
+  /**
+   * Handle one message
+   *
+   * @param {Object} message - See header
+   * @returns {Object|null} Reply, or null for context messages
+   */
+  handle(message) {
+    if (message.type === 'context') {
+      this._context = { runId: message.runId, prismaData: message.prismaData, data: message.data, empiricalPools: new Map() };
+      return null;
+    }
+
+    const { runId, taskId } = message;
+    try {
+      if (!this._context || this._context.runId !== runId) {
+        throw new Error('No simulation context for run ' + runId);
+      }
+      const prismaData = this._context.prismaData;
+      const options = { ...message.options, data: this._context.data, empiricalPools: this._context.empiricalPools };
+
+      // markov.joint: every future, sensitivity probes included, walks its own Markov path
+      const joint = typeof Markov !== 'undefined' && Markov.isJoint(prismaData);
+
+      if (message.type === 'scenario') {
+        if (joint) {
+          const result = Markov.runJoint(prismaData, message.scenarioId, message.iterations, { ...options, convergence: message.convergence });
+          return { runId, taskId, result };
+        }
+        if (message.convergence) {
+          return { runId, taskId, result: Carlo.runCarloAdaptive(prismaData, message.scenarioId, message.convergence, options) };
+        }
+        return { runId, taskId, result: Carlo.runScenario(prismaData, message.scenarioId, message.iterations, options) };
+      }
+
+      if (message.type === 'probe') {
+        const probeOptions = joint ? Markov.jointOptions(prismaData, message.scenarioId, options) : options;
+        const result = Nassim.testSensitivityVariable(
+          prismaData, message.scenarioId, message.variableId, message.iterations, probeOptions, message.baselineMedian
+        );
+        return { runId, taskId, result };
+      }
+
+      if (message.type === 'candidate') {
+        return { runId, taskId, result: Optimizer.evaluate(prismaData, message.candidate, message.settings, options) };
+      }
+
+      throw new Error('Unknown task type: ' + message.type);
+    } catch (error) {
+      return { runId, taskId, error: error.message };
+    }
+  }
+};
+
+// Worker scope: load the engines next to this file (engine.js imports Engine.FILES) and answer messages
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  importScripts('engine.js');
+
+  self.onmessage = (event) => {
+    const reply = SimWorker.handle(event.data);
+    if (reply) self.postMessage(reply);
+  };
+}
@@ -4,7 +4,10 @@
  * Layer 1: renderScoreCircle(), renderVerdict(), renderRecommendations()
  * Layer 2: renderRangeBar(), renderScenarioComparison(), renderSimplifiedSensitivity()
  * Layer 3: renderMonteCarlo(), renderCausalGraph(), renderTalebBadges(),
- *          renderTornado(), renderMarkovTimeline(), renderSliders(), renderRawStats()
+ *          renderTornado(), renderValueOfInformation(), renderMarkovTimeline(), renderMarkovOutlook(),
+ *          renderSliders(), renderRawStats()
+ * Full Analysis: renderProbabilityHistogram(), renderFanChart(), renderTradeoffs(),
+ *                renderOptimizerTrace()
  */
 
 const Visualizations = {
@@ -147,9 +150,9 @@ const Visualizations = {
   },
 
   /**
-   * Render verdict headline, summary, and risk text
+   * Render verdict headline, summary, risk text and the options constraints ruled out
    * Uses structured parts: [{text, bold?}] for selective bolding
-   * @param {Object} verdict - {headline, summaryParts, riskParts}
+   * @param {Object} verdict - {headline, summaryParts, riskParts, constraintParts?}
    */
   renderVerdict(verdict) {
     const headlineEl = document.getElementById('verdict-headline');
@@ -176,6 +179,21 @@ const Visualizations = {
       riskEl.appendChild(riskLabel);
       this._renderParts(riskEl, verdict.riskParts);
     }
+
+    // Constraint eliminations — hidden when every option is within limits
+    const constraintsEl = document.getElementById('verdict-constraints');
+    if (constraintsEl) {
+      constraintsEl.textContent = '';
+      const parts = verdict.constraintParts || [];
+      constraintsEl.classList.toggle('hidden', parts.length === 0);
+      if (parts.length > 0) {
+        const label = document.createElement('strong');
+        label.textContent = 'Ruled out: ';
+        label.style.color = '#EF4444';
+        constraintsEl.appendChild(label);
+        this._renderParts(constraintsEl, parts);
+      }
+    }
   },
 
   /**
@@ -303,6 +321,13 @@ const Visualizations = {
       const labelWrap = document.createElement('div');
       labelWrap.className = 'front-slider-label';
       labelWrap.textContent = variable.label || variable.id;
+      const distTag = this._distributionTag(variable);
+      if (distTag) {
+        const tag = document.createElement('span');
+        tag.className = 'slider-dist-tag';
+        tag.textContent = distTag;
+        labelWrap.appendChild(tag);
+      }
       if (isPromoted) {
         const aiBadge = document.createElement('span');
         aiBadge.className = 'ai-badge';
@@ -315,7 +340,7 @@ const Visualizations = {
       const valSpan = document.createElement('span');
       valSpan.className = 'front-slider-value';
       valSpan.dataset.variableId = variableId;
-      valSpan.textContent = this._formatNumber(variable.value);
+      valSpan.textContent = this._formatSliderValue(variable, variable.value);
       valueWrap.appendChild(valSpan);
 
       if (variable.unit) {
@@ -339,16 +364,17 @@ const Visualizations = {
       const trackWrap = document.createElement('div');
       trackWrap.className = 'front-slider-track-wrap';
 
+      const range = Carlo.getRange(variable);
       const input = document.createElement('input');
       input.type = 'range';
-      input.min = variable.min || 0;
-      input.max = variable.max || 100;
+      input.min = range.min || 0;
+      input.max = range.max || 100;
       input.step = this._calculateStep(variable);
       input.value = variable.value;  // Set value AFTER step to avoid float-snap issues
       input.dataset.variableId = variableId;
 
       // Baseline diamond
-      const baselinePct = ((baseline - (variable.min || 0)) / ((variable.max || 100) - (variable.min || 0))) * 100;
+      const baselinePct = ((baseline - (range.min || 0)) / ((range.max || 100) - (range.min || 0))) * 100;
       const diamond = document.createElement('div');
       diamond.className = 'front-slider-baseline';
       diamond.style.left = 'calc(' + baselinePct + '% - 4px)';
@@ -357,7 +383,7 @@ const Visualizations = {
       let sliderTimeout = null;
       input.addEventListener('input', (e) => {
         const newVal = parseFloat(e.target.value);
-        valSpan.textContent = this._formatNumber(newVal);
+        valSpan.textContent = this._formatSliderValue(variable, newVal);
         this._updateDeltaBadge(delta, newVal, baseline);
 
         // Show reset button if any slider differs from baseline
@@ -379,10 +405,10 @@ const Visualizations = {
       const rangeDiv = document.createElement('div');
       rangeDiv.className = 'front-slider-range';
       const minSpan = document.createElement('span');
-      minSpan.textContent = this._formatNumber(variable.min || 0);
+      minSpan.textContent = this._formatSliderValue(variable, range.min || 0);
       rangeDiv.appendChild(minSpan);
       const maxSpan = document.createElement('span');
-      maxSpan.textContent = this._formatNumber(variable.max || 100);
+      maxSpan.textContent = this._formatSliderValue(variable, range.max || 100);
       rangeDiv.appendChild(maxSpan);
       card.appendChild(rangeDiv);
 
@@ -424,7 +450,7 @@ const Visualizations = {
     document.querySelectorAll('.front-slider-value').forEach(valSpan => {
       const varId = valSpan.dataset.variableId;
       const variable = variables.find(v => v.id === varId);
-      if (variable) valSpan.textContent = this._formatNumber(variable.value);
+      if (variable) valSpan.textContent = this._formatSliderValue(variable, variable.value);
     });
   },
 
@@ -565,13 +591,16 @@ const Visualizations = {
   },
 
   /**
-   * Render scenario comparison bars (one per scenario, stacked vertically)
+   * Render scenario comparison bars (one per scenario, stacked vertically), followed by
+   * head-to-head rows: how often one option beats another in the same futures, and the
+   * spread of the paired difference
    *
    * @param {Object} carloResults - Carlo results for all scenarios
    * @param {Object} nassimResults - Nassim classifications
    * @param {Object} prismaState - Full state
+   * @param {Array} [comparisons] - From Carlo.compareScenarios()
    */
-  renderScenarioComparison(carloResults, nassimResults, prismaState) {
+  renderScenarioComparison(carloResults, nassimResults, prismaState, comparisons) {
     const container = document.getElementById('scenario-comparison');
     if (!container) return;
 
@@ -593,12 +622,13 @@ const Visualizations = {
       }
     }
 
-    // Find best/worst by median
+    // Find best/worst by median — an option that breaks a constraint can't be best
     let bestId = null, worstId = null, bestMed = -Infinity, worstMed = Infinity;
     for (const sc of scenarios) {
       const d = carloResults[sc.id];
       if (d && d.summary) {
-        if (d.summary.median > bestMed) { bestMed = d.summary.median; bestId = sc.id; }
+        const infeasible = nassimResults[sc.id] && nassimResults[sc.id].infeasible;
+        if (!infeasible && d.summary.median > bestMed) { bestMed = d.summary.median; bestId = sc.id; }
         if (d.summary.median < worstMed) { worstMed = d.summary.median; worstId = sc.id; }
       }
     }
@@ -616,10 +646,18 @@ const Visualizations = {
       if (scenario.id === bestId) row.classList.add('best');
       if (scenario.id === worstId && scenarios.length > 1) row.classList.add('worst');
 
-      // Label
+      // Label, plus the constraints that rule this option out
+      const classification = nassimResults[scenario.id];
       const label = document.createElement('div');
       label.className = 'scenario-label-badge';
       label.textContent = scenario.label;
+      if (classification && classification.infeasible) {
+        row.classList.add('infeasible');
+        const note = document.createElement('span');
+        note.className = 'scenario-constraint-note';
+        note.textContent = 'Ruled out: ' + classification.violatedConstraints.map(v => Nassim.describeViolation(v)).join('; ');
+        label.appendChild(note);
+      }
       row.appendChild(label);
 
       // Mini range bar
@@ -644,6 +682,73 @@ const Visualizations = {
         this._drawMiniRangeBar(miniCanvas, data.summary, globalMin, globalMax, scenario.color);
       });
     }
+
+    if (comparisons && comparisons.length > 0) {
+      this._renderHeadToHead(container, comparisons, prismaState);
+    }
+  },
+
+  /**
+   * Head-to-head rows under the scenario bars: P(a beats b) in the shared futures, and the
+   * P10–P90 of the paired difference on one scale that always includes zero
+   */
+  _renderHeadToHead(container, comparisons, prismaState) {
+    const scenarios = prismaState.scenarios || [];
+    const labelOf = (id) => (scenarios.find(s => s.id === id) || {}).label || id;
+    const colorOf = (id) => (scenarios.find(s => s.id === id) || {}).color;
+    const unit = prismaState.outcome?.unit || '';
+    const signed = (n) => (n > 0 ? '+' : '') + this._formatNumber(n);
+    const percent = (share) => Math.round(share * 100) + '%';
+
+    let diffMin = 0, diffMax = 0;
+    for (const c of comparisons) {
+      diffMin = Math.min(diffMin, c.difference.p10);
+      diffMax = Math.max(diffMax, c.difference.p90);
+    }
+    if (diffMax === diffMin) diffMax = diffMin + 1;
+
+    const title = document.createElement('div');
+    title.className = 'scenario-h2h-title';
+    title.textContent = 'Head to head \u00b7 same futures';
+    container.appendChild(title);
+
+    for (const c of comparisons) {
+      const row = document.createElement('div');
+      row.className = 'scenario-row scenario-h2h-row';
+
+      const label = document.createElement('div');
+      label.className = 'scenario-label-badge';
+      label.textContent = labelOf(c.a) + ' vs ' + labelOf(c.b);
+      const note = document.createElement('span');
+      note.className = 'scenario-h2h-note';
+      const level = Math.round(c.confidence * 100) + '%';
+      note.textContent = labelOf(c.a) + ' ahead in ' + percent(c.probability) + ' of futures (95% CI '
+        + percent(c.probabilityCI.low) + '\u2013' + percent(c.probabilityCI.high) + ') \u00b7 median gap '
+        + signed(c.difference.median) + (unit ? ' ' + unit : '') + ' (' + level + ' CI '
+        + signed(c.medianCI.low) + ' to ' + signed(c.medianCI.high) + ')';
+      label.appendChild(note);
+      row.appendChild(label);
+
+      const barWrap = document.createElement('div');
+      barWrap.className = 'scenario-bar-wrap';
+      const miniCanvas = document.createElement('canvas');
+      barWrap.appendChild(miniCanvas);
+      row.appendChild(barWrap);
+
+      const badge = document.createElement('div');
+      badge.className = 'scenario-score-badge';
+      badge.textContent = percent(c.probability);
+      badge.title = 'Chance ' + labelOf(c.a) + ' beats ' + labelOf(c.b);
+      badge.style.color = this._scoreColor(c.probability * 100);
+      badge.style.background = this._scoreColor(c.probability * 100) + '15';
+      row.appendChild(badge);
+
+      container.appendChild(row);
+
+      requestAnimationFrame(() => {
+        this._drawMiniRangeBar(miniCanvas, c.difference, diffMin, diffMax, colorOf(c.a));
+      });
+    }
   },
 
   /**
@@ -1023,6 +1128,10 @@ const Visualizations = {
       return;
     }
 
+    // Which values the engine computes from edges instead of sampling
+    const graph = typeof Carlo !== 'undefined' ? Carlo.analyzeCausalGraph(prismaState) : null;
+    const derivedSteps = new Map(graph ? graph.steps.map(step => [step.id, step]) : []);
+
     const inputs = [], intermediates = [], outputs = [];
     const hasIncoming = new Set();
     const hasOutgoing = new Set();
@@ -1084,6 +1193,17 @@ const Visualizations = {
         node.className = 'causal-node';
         node.dataset.varId = v.id;
         node.textContent = v.label;
+        const step = derivedSteps.get(v.id);
+        if (step) {
+          node.classList.add('derived');
+          node.title = step.kind === 'formula'
+            ? 'Derived: ' + v.id + ' = ' + step.expression
+            : 'Derived from ' + step.deps.join(', ');
+          const tag = document.createElement('span');
+          tag.className = 'causal-derived-tag';
+          tag.textContent = 'derived';
+          node.appendChild(tag);
+        }
         group.appendChild(node);
       });
 
@@ -1122,8 +1242,23 @@ const Visualizations = {
       callout.style.color = '#EF4444';
       callout.style.flexShrink = '0';
       callout.textContent = feedbackLoops[0].label || 'Feedback loop';
+      if (graph && graph.unclosedLoops.includes(callout.textContent)) {
+        callout.title = 'No edge formulas close this loop, so it does not change the numbers';
+        callout.style.opacity = '0.6';
+      }
       container.appendChild(callout);
     }
+
+    // Cycles the edges create but nobody declared — evaluated with a one-step lag
+    if (graph) {
+      graph.cycles.filter(cycle => !cycle.declared).forEach(cycle => {
+        const cycleCallout = document.createElement('span');
+        cycleCallout.className = 'causal-cycle-callout';
+        cycleCallout.textContent = 'Cycle: ' + cycle.path.join(' \u2192 ');
+        cycleCallout.title = cycle.lagged.from + ' \u2192 ' + cycle.lagged.to + ' uses the start-of-period value';
+        container.appendChild(cycleCallout);
+      });
+    }
   },
 
   /**
@@ -1279,10 +1414,67 @@ const Visualizations = {
   },
 
   /**
-   * Render Markov timeline (Plotly) in Layer 3
+   * Render value of information (Plotly) next to the tornado — what learning each
+   * variable before deciding is worth (EVPPI), capped by EVPI
+   *
+   * @param {Object|null} voi - Nassim.computeValueOfInformation() report
+   * @param {Object} prismaState - For the outcome unit
+   * @param {HTMLElement} [targetContainer] - Defaults to #voi-chart
    */
-  renderMarkovTimeline(timelines, prismaState) {
-    const container = document.getElementById('markov-timeline');
+  renderValueOfInformation(voi, prismaState, targetContainer) {
+    const container = targetContainer || document.getElementById('voi-chart');
+    if (!container) return;
+
+    if (!voi || voi.variables.length === 0) {
+      container.textContent = 'Value of information needs two or more scenarios';
+      return;
+    }
+    if (voi.evpi <= 0) {
+      container.textContent = 'No uncertainty here would change the best option \u2014 more information is worth nothing';
+      return;
+    }
+
+    const unit = prismaState.outcome?.unit || '';
+    const topVars = voi.variables.slice(0, 6);
+    const labels = topVars.map(v => v.variableLabel).reverse();
+
+    const trace = {
+      x: topVars.map(v => v.evppi).reverse(),
+      y: labels,
+      customdata: topVars.map(v => Math.round(v.share * 100)).reverse(),
+      type: 'bar', orientation: 'h',
+      marker: { color: 'rgba(16,185,129,0.6)' },
+      hovertemplate: '%{x:,.0f} ' + unit + ' (%{customdata}% of EVPI)<extra></extra>'
+    };
+
+    const layout = {
+      paper_bgcolor: 'transparent',
+      plot_bgcolor: 'transparent',
+      font: { family: 'Geist Mono, monospace', color: '#6B6B6B', size: 11 },
+      xaxis: {
+        title: 'Worth knowing first \u00b7 EVPI ' + this._formatNumber(voi.evpi) + (unit ? ' ' + unit : ''),
+        gridcolor: '#E5E5E0', zerolinecolor: '#D5D5D0', color: '#6B6B6B', rangemode: 'tozero'
+      },
+      yaxis: { color: '#1A1A1A', automargin: true },
+      margin: { t: 20, b: 40, l: 80, r: 20 },
+      showlegend: false
+    };
+
+    Plotly.newPlot(container, [trace], layout, { responsive: true, displayModeBar: false });
+  },
+
+  /**
+   * Render the Markov outcome timeline: per scenario, the median outcome change month by month
+   * as entities move between states, inside that month's P25–P75 band
+   * (Markov.getMarkovOutcomeTimeline). Staged policies get a diamond on each month their
+   * trigger fired, sized by how often
+   *
+   * @param {Object} timelines - {scenarioId: timeline} from Dashboard.runMarkov()
+   * @param {Object} prismaState - Full PRISMA_DATA state
+   * @param {HTMLElement} [targetContainer] - Defaults to #markov-timeline
+   */
+  renderMarkovTimeline(timelines, prismaState, targetContainer) {
+    const container = targetContainer || document.getElementById('markov-timeline');
     if (!container) return;
 
     if (!timelines || Object.keys(timelines).length === 0) {
@@ -1291,46 +1483,187 @@ const Visualizations = {
     }
 
     const scenarios = prismaState.scenarios || [];
+    const unit = prismaState.outcome?.unit || '';
     const traces = [];
+    let lastMonth = 0;
 
     scenarios.forEach(scenario => {
       const timeline = timelines[scenario.id];
-      if (!timeline) return;
+      if (!timeline || timeline.length === 0) return;
 
+      const color = scenario.color || '#2563EB';
+      const label = scenario.label || scenario.id;
       const months = timeline.map(t => t.month);
-      const medians = timeline.map(t => t.outcomeMedian);
-      const p25s = timeline.map(t => t.outcomeP25);
-      const p75s = timeline.map(t => t.outcomeP75);
+      lastMonth = Math.max(lastMonth, months[months.length - 1]);
 
       traces.push({
-        x: months, y: medians, type: 'scatter', mode: 'lines', name: scenario.label,
-        line: { color: scenario.color || '#2563EB', width: 3 }
-      });
-
-      traces.push({
-        x: [...months, ...months.reverse()],
-        y: [...p75s, ...p25s.reverse()],
+        x: [...months, ...[...months].reverse()],
+        y: [...timeline.map(t => t.outcomeP75), ...timeline.map(t => t.outcomeP25).reverse()],
         type: 'scatter', mode: 'lines', fill: 'toself',
-        fillcolor: (scenario.color || '#2563EB') + '20',
+        fillcolor: color + '20',
         line: { width: 0 }, showlegend: false, hoverinfo: 'skip'
       });
+      traces.push({
+        x: months,
+        y: timeline.map(t => t.outcomeMedian),
+        customdata: timeline.map(t => [t.outcomeP25, t.outcomeP75]),
+        type: 'scatter', mode: 'lines', name: label,
+        line: { color, width: 2.5 },
+        hovertemplate: 'Month %{x}: %{y:,.0f} ' + unit + ' (middle half %{customdata[0]:,.0f} to %{customdata[1]:,.0f})<extra>' + label + '</extra>'
+      });
+
+      // Staged policy: a marker where the trigger fired, sized by the share of futures it fired in
+      const fired = timeline.filter(t => t.policySwitch && t.policySwitch.fired > 0);
+      if (fired.length > 0) {
+        const switchLabel = fired[0].policySwitch.label;
+        traces.push({
+          x: fired.map(t => t.month),
+          y: fired.map(t => t.outcomeMedian),
+          customdata: fired.map(t => [t.policySwitch.fired, t.policySwitch.switched]),
+          text: fired.map(t => (t.policySwitch.fired >= 0.05 ? Math.round(t.policySwitch.fired * 100) + '%' : '')),
+          type: 'scatter', mode: 'markers+text', textposition: 'top center',
+          textfont: { size: 9, color: '#6B6B6B', family: 'Geist Mono, monospace' },
+          marker: { symbol: 'diamond', color, size: fired.map(t => 6 + 18 * t.policySwitch.fired), line: { color: '#fff', width: 1 } },
+          showlegend: false,
+          hovertemplate: 'Month %{x}: ' + switchLabel + ' \u2014 switched in %{customdata[0]:.0%} of futures (%{customdata[1]:.0%} by now)<extra>' + label + '</extra>'
+        });
+      }
     });
 
     const layout = {
-      paper_bgcolor: 'transparent',
-      plot_bgcolor: 'transparent',
-      font: { family: 'Geist Mono, monospace', color: '#6B6B6B', size: 10 },
-      xaxis: { title: 'Month', gridcolor: '#E5E5E0', color: '#6B6B6B' },
-      yaxis: { title: 'Outcome', gridcolor: '#E5E5E0', zerolinecolor: '#D5D5D0', color: '#6B6B6B' },
-      margin: { t: 20, b: 30, l: 80, r: 20 },
-      legend: { font: { family: 'Geist Sans, sans-serif', color: '#1A1A1A', size: 10 }, bgcolor: 'transparent' },
-      shapes: [{ type: 'line', x0: 0, x1: 0, y0: 0, y1: 1, yref: 'paper', line: { color: '#D5D5D0', width: 1, dash: 'dot' } }],
+      ...PRISMA_CHART_LAYOUT,
+      showlegend: traces.filter(t => t.showlegend !== false).length > 1,
+      legend: { font: { size: 10 }, orientation: 'h', y: -0.2 },
+      xaxis: {
+        ...PRISMA_CHART_LAYOUT.xaxis,
+        type: 'linear',
+        dtick: lastMonth > 24 ? undefined : 1,
+        title: { text: 'Month', font: { size: 10, color: '#9B9B9B' } }
+      },
+      yaxis: {
+        ...PRISMA_CHART_LAYOUT.yaxis,
+        type: 'linear',
+        title: { text: 'Change vs. today as states shift' + (unit ? ' \u00b7 ' + unit : ''), font: { size: 10, color: '#9B9B9B' } }
+      },
+      margin: { t: 20, b: 48, l: 64, r: 16 },
+      shapes: [
+        { type: 'line', x0: 0, x1: 1, xref: 'paper', y0: 0, y1: 0, line: { color: '#D5D5D0', width: 1, dash: 'dot' } },
+        { type: 'line', x0: 0, x1: 0, y0: 0, y1: 1, yref: 'paper', line: { color: '#D5D5D0', width: 1, dash: 'dot' } }
+      ],
       annotations: [{ x: 0, y: 1.05, yref: 'paper', xref: 'x', text: 'NOW', showarrow: false, font: { color: '#6B6B6B', size: 11, family: 'Geist Mono, monospace' } }]
     };
 
     Plotly.newPlot(container, traces, layout, { responsive: true, displayModeBar: false });
   },
 
+  /**
+   * Render the Markov outlook table: per scenario and entity, the expected months until an
+   * absorbing state (e.g. quit) and how likely it is by the last month, or the long-run state
+   * mix for chains nothing is absorbed into (Markov.analyzeChain); cohorts show their head
+   * count per state at the last month with its P10–P90 range, staged policies where the walks
+   * ended and how often the plan switched. Joint runs (markov.joint) add the end state that
+   * cost the most in the main outcome distribution.
+   *
+   * @param {Object} analysis - {scenarioId: {entityId: analysis | {counts} | {final, switched}, endStates?}}
+   *   from Dashboard.runMarkov()
+   * @param {Object} prismaState - Full PRISMA_DATA state
+   * @param {HTMLElement} container - Target element
+   */
+  renderMarkovOutlook(analysis, prismaState, container) {
+    if (!analysis || !container) return;
+
+    const entities = (prismaState.markov && prismaState.markov.entities) || [];
+    const months = (prismaState.markov && prismaState.markov.months) || 6;
+    const scenarios = (prismaState.scenarios || []).filter(s => analysis[s.id]);
+    if (entities.length === 0 || scenarios.length === 0) return;
+
+    const stateName = state => String(state).replace(/_/g, ' ');
+    const pct = p => Math.round(p * 100) + '%';
+
+    container.textContent = '';
+
+    const heading = document.createElement('div');
+    heading.className = 'stat-label';
+    heading.textContent = 'Where the states lead \u00b7 from today';
+    container.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'tradeoff-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const scenarioTh = document.createElement('th');
+    scenarioTh.textContent = 'Scenario';
+    headerRow.appendChild(scenarioTh);
+    entities.forEach(entity => {
+      const th = document.createElement('th');
+      th.textContent = entity.label || entity.id;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const scenario of scenarios) {
+      const row = document.createElement('tr');
+      const labelTd = document.createElement('td');
+      labelTd.textContent = scenario.label || scenario.id;
+      row.appendChild(labelTd);
+
+      entities.forEach(entity => {
+        const td = document.createElement('td');
+        const chain = analysis[scenario.id][entity.id];
+        if (!chain) {
+          td.textContent = '\u2014';
+          row.appendChild(td);
+          return;
+        }
+
+        const main = document.createElement('div');
+        const sub = document.createElement('span');
+        sub.className = 'tradeoff-dominated';
+        if (chain.counts) {
+          const held = Object.entries(chain.counts).filter(([, c]) => c.p90 > 0);
+          main.textContent = held.map(([state, c]) => Math.round(c.mean) + ' ' + stateName(state)).join(' \u00b7 ');
+          sub.textContent = 'Month ' + months + ', P10\u2013P90: ' + held.map(([state, c]) => c.p10 + '\u2013' + c.p90).join(' \u00b7 ');
+        } else if (chain.final) {
+          const top = Object.entries(chain.final).sort((a, b) => b[1] - a[1]).slice(0, 2);
+          main.textContent = top.map(([state, p]) => pct(p) + ' ' + stateName(state)).join(' \u00b7 ') + ' by month ' + months;
+          sub.textContent = 'Plan switched in ' + pct(chain.switched) + ' of futures';
+        } else if (chain.absorbingStates && chain.absorbingStates.length > 0) {
+          const names = chain.absorbingStates.map(stateName).join(' / ');
+          const eventual = Object.values(chain.absorptionProbabilities).reduce((a, b) => a + b, 0);
+          const within = Object.values(chain.withinHorizon || {}).reduce((a, b) => a + b, 0);
+          main.textContent = chain.expectedMonths !== null
+            ? chain.expectedMonths.toFixed(1) + ' months until ' + names
+            : pct(eventual) + ' eventually ' + names;
+          sub.textContent = pct(within) + ' by month ' + months;
+        } else if (chain.stationary) {
+          const top = Object.entries(chain.stationary).sort((a, b) => b[1] - a[1]).slice(0, 2);
+          main.textContent = 'Long run: ' + top.map(([state, p]) => pct(p) + ' ' + stateName(state)).join(' \u00b7 ');
+        }
+        if (main.textContent) td.appendChild(main);
+        if (sub.textContent) td.appendChild(sub);
+
+        // Joint runs: the end state that cost the most, against the futures that avoided it
+        const worst = Object.entries(chain.endStates || {})
+          .filter(([, end]) => end.impact && end.impact.median < 0)
+          .sort((a, b) => a[1].impact.median - b[1].impact.median)[0];
+        if (worst) {
+          const risk = document.createElement('div');
+          risk.className = 'tradeoff-dominated';
+          risk.textContent = 'Ends ' + stateName(worst[0]) + ' in ' + pct(worst[1].share) + ' of futures: median ' +
+            this._formatNumber(worst[1].impact.median) + ' vs the rest';
+          td.appendChild(risk);
+        }
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    }
+    table.appendChild(tbody);
+    container.appendChild(table);
+  },
+
   /**
    * Render interactive sliders in Layer 3
    */
@@ -1359,9 +1692,17 @@ const Visualizations = {
       label.style.color = '#1A1A1A';
       sliderHeader.appendChild(label);
 
+      const distTag = this._distributionTag(variable);
+      if (distTag) {
+        const tag = document.createElement('span');
+        tag.className = 'slider-dist-tag';
+        tag.textContent = distTag;
+        sliderHeader.appendChild(tag);
+      }
+
       const valueSpan = document.createElement('span');
       valueSpan.className = 'slider-value';
-      valueSpan.textContent = this._formatNumber(variable.value);
+      valueSpan.textContent = this._formatSliderValue(variable, variable.value);
       sliderHeader.appendChild(valueSpan);
 
       if (variable.unit) {
@@ -1376,16 +1717,17 @@ const Visualizations = {
 
       sliderGroup.appendChild(sliderHeader);
 
+      const range = Carlo.getRange(variable);
       const input = document.createElement('input');
       input.type = 'range';
-      input.min = variable.min || 0;
-      input.max = variable.max || 100;
+      input.min = range.min || 0;
+      input.max = range.max || 100;
       input.step = this._calculateStep(variable);
       input.value = variable.value || 50;  // Set value AFTER step to avoid float-snap
 
       let sliderTimeout = null;
       input.addEventListener('input', (e) => {
-        valueSpan.textContent = this._formatNumber(parseFloat(e.target.value));
+        valueSpan.textContent = this._formatSliderValue(variable, parseFloat(e.target.value));
         clearTimeout(sliderTimeout);
         sliderTimeout = setTimeout(() => {
           if (typeof Dashboard !== 'undefined' && Dashboard.rerunWithSliders) {
@@ -1400,11 +1742,11 @@ const Visualizations = {
       sliderRange.className = 'slider-range';
 
       const minSpan = document.createElement('span');
-      minSpan.textContent = this._formatNumber(variable.min || 0);
+      minSpan.textContent = this._formatSliderValue(variable, range.min || 0);
       sliderRange.appendChild(minSpan);
 
       const maxSpan = document.createElement('span');
-      maxSpan.textContent = this._formatNumber(variable.max || 100);
+      maxSpan.textContent = this._formatSliderValue(variable, range.max || 100);
       sliderRange.appendChild(maxSpan);
 
       sliderGroup.appendChild(sliderRange);
@@ -1427,7 +1769,7 @@ const Visualizations = {
 
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
-    ['Scenario', 'Median', 'Mean', 'P10', 'P25', 'P75', 'P90', 'Min', 'Max', '% Positive'].forEach(h => {
+    ['Scenario', 'Median', 'Median SE', 'Mean', 'P10', 'P25', 'P75', 'P90', 'Min', 'Max', '% Positive', '95% CI', 'Iterations'].forEach(h => {
       const th = document.createElement('th');
       th.textContent = h;
       headerRow.appendChild(th);
@@ -1441,10 +1783,12 @@ const Visualizations = {
       if (!data || !data.summary) return;
 
       const s = data.summary;
+      const ci = s.percentPositiveCI;
       const row = document.createElement('tr');
       [
         scenario.label,
         this._formatNumber(s.median),
+        s.standardErrors ? '\u00b1' + this._formatNumber(s.standardErrors.median) : '\u2014',
         this._formatNumber(s.mean),
         this._formatNumber(s.p10),
         this._formatNumber(s.p25),
@@ -1452,7 +1796,9 @@ const Visualizations = {
         this._formatNumber(s.p90),
         this._formatNumber(s.min),
         this._formatNumber(s.max),
-        s.percentPositive.toFixed(1) + '%'
+        s.percentPositive.toFixed(1) + '%',
+        ci ? ci.low.toFixed(1) + '\u2013' + ci.high.toFixed(1) + '%' : '\u2014',
+        data.outcomes.length.toLocaleString() + (data.convergence && !data.convergence.converged ? ' (cap)' : '')
       ].forEach(val => {
         const td = document.createElement('td');
         td.textContent = val;
@@ -1481,18 +1827,48 @@ const Visualizations = {
   },
 
   _calculateStep(variable) {
-    const range = (variable.max || 100) - (variable.min || 0);
+    const bounds = Carlo.getRange(variable);
+    const range = (bounds.max || 100) - (bounds.min || 0);
+    if (range <= 1) return 0.01; // Probabilities and rates
     if (range <= 10) return 0.1;
     if (range <= 100) return 1;
     if (range <= 1000) return 10;
     return 100;
   },
 
-  _formatNumber(num) {
-    if (Math.abs(num) >= 1000) {
-      return num.toLocaleString('en-US', { maximumFractionDigits: 0 });
+  /**
+   * Short label for the slider header when the distribution isn't a plain range
+   */
+  _distributionTag(variable) {
+    const tags = {
+      right_skewed: 'Skewed',
+      left_skewed: 'Skewed',
+      triangular: 'Triangular',
+      pert: 'PERT',
+      lognormal: 'Lognormal',
+      gamma: 'Gamma',
+      beta: 'Beta',
+      poisson: 'Count',
+      bernoulli: 'Yes / No',
+      empirical: 'Data'
+    };
+    // Fitted to an uploaded column — name the family the data chose
+    if (variable.fitted) return variable.fitted.label + ' fit';
+    return tags[variable.distribution] || '';
+  },
+
+  /**
+   * Format a slider value — bernoulli sliders move a probability, so show it as a chance
+   */
+  _formatSliderValue(variable, value) {
+    if (variable.distribution === 'bernoulli') {
+      return Math.round(value * 100) + '%';
     }
-    return num.toLocaleString('en-US', { maximumFractionDigits: 1 });
+    return this._formatNumber(value);
+  },
+
+  _formatNumber(num) {
+    return Nassim._formatNumber(num);
   },
 
   /**
@@ -1596,6 +1972,274 @@ const Visualizations = {
       });
     }
 
+    Plotly.newPlot(container, traces, layout, {
+      responsive: true,
+      displayModeBar: false
+    });
+  },
+
+  /**
+   * Render the fan chart of a multi-period run: median running total per scenario with its
+   * P10–P90 band, period by period (discounted when the horizon aggregates to NPV).
+   *
+   * @param {Object} carloResults - Results from Carlo.runCarloAllScenarios() with trajectories
+   * @param {Object} prismaState - Full PRISMA_DATA state
+   * @param {HTMLElement} [targetContainer] - Defaults to #horizon-fan
+   */
+  renderFanChart(carloResults, prismaState, targetContainer) {
+    const container = targetContainer || document.getElementById('horizon-fan');
+    if (!carloResults || !container) return;
+
+    const scenarios = prismaState.scenarios || [];
+    const unit = prismaState.outcome?.unit || '';
+    const traces = [];
+    let trajectory = null;
+
+    for (const s of scenarios) {
+      const results = carloResults[s.id];
+      if (!results || !results.trajectory) continue;
+      trajectory = results.trajectory;
+
+      const color = s.color || '#2563EB';
+      const periods = trajectory.cumulative.map((_, t) => t + 1);
+      const p10s = trajectory.cumulative.map(b => b.p10);
+      const p90s = trajectory.cumulative.map(b => b.p90);
+
+      traces.push({
+        x: [...periods, ...[...periods].reverse()],
+        y: [...p90s, ...p10s.reverse()],
+        type: 'scatter', mode: 'lines', fill: 'toself',
+        fillcolor: color + '20',
+        line: { width: 0 }, showlegend: false, hoverinfo: 'skip'
+      });
+      traces.push({
+        x: periods,
+        y: trajectory.cumulative.map(b => b.median),
+        type: 'scatter', mode: 'lines', name: s.label || s.id,
+        line: { color, width: 2.5 },
+        hovertemplate: '%{y:,.0f} ' + unit + '<extra>' + (s.label || s.id) + '</extra>'
+      });
+    }
+
+    if (!trajectory) return;
+
+    const label = trajectory.periodLabel.charAt(0).toUpperCase() + trajectory.periodLabel.slice(1);
+    const total = trajectory.aggregate === 'npv' && trajectory.discountRate
+      ? 'NPV to date (' + (trajectory.discountRate * 100).toFixed(1) + '% per ' + trajectory.periodLabel + ')'
+      : 'Cumulative change';
+
+    const layout = {
+      ...PRISMA_CHART_LAYOUT,
+      showlegend: traces.length > 2,
+      legend: { font: { size: 10 }, orientation: 'h', y: -0.2 },
+      xaxis: {
+        ...PRISMA_CHART_LAYOUT.xaxis,
+        type: 'linear',
+        dtick: trajectory.periods > 24 ? undefined : 1,
+        title: { text: label, font: { size: 10, color: '#9B9B9B' } }
+      },
+      yaxis: {
+        ...PRISMA_CHART_LAYOUT.yaxis,
+        type: 'linear',
+        title: { text: total + (unit ? ' \u00b7 ' + unit : ''), font: { size: 10, color: '#9B9B9B' } }
+      },
+      margin: { t: 8, b: 48, l: 64, r: 16 },
+      shapes: [{ type: 'line', x0: 0, x1: 1, xref: 'paper', y0: 0, y1: 0, line: { color: '#D5D5D0', width: 1, dash: 'dot' } }]
+    };
+
+    Plotly.newPlot(container, traces, layout, {
+      responsive: true,
+      displayModeBar: false
+    });
+  },
+
+  /**
+   * Render the trade-off table for multi-metric models: per scenario, the median change
+   * and score of every outcome metric, the weighted score, and which scenarios dominate it.
+   * The weight sliders in the header call onWeightChange(outcomeId, weight) when released.
+   *
+   * @param {Object} carloResults - Results from Carlo.runCarloAllScenarios() with metrics
+   * @param {Object} nassimResults - From Nassim.classifyAllScenarios()
+   * @param {Object} prismaState - Full PRISMA_DATA state
+   * @param {HTMLElement} container - Target container element
+   * @param {Function} [onWeightChange] - (outcomeId, weight)
+   */
+  renderTradeoffs(carloResults, nassimResults, prismaState, container, onWeightChange) {
+    if (!carloResults || !nassimResults || !container) return;
+
+    const outcomes = Carlo.resolveOutcomes(prismaState);
+    if (outcomes.length < 2) return;
+    const scenarios = prismaState.scenarios || [];
+    const labels = new Map(scenarios.map(s => [s.id, s.label || s.id]));
+
+    container.textContent = '';
+
+    const heading = document.createElement('div');
+    heading.className = 'stat-label';
+    heading.textContent = 'Trade-offs \u00b7 median change vs. today, + is better';
+    container.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'tradeoff-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const scenarioTh = document.createElement('th');
+    scenarioTh.textContent = 'Scenario';
+    headerRow.appendChild(scenarioTh);
+
+    outcomes.forEach(outcome => {
+      const th = document.createElement('th');
+      const name = document.createElement('div');
+      name.textContent = outcome.label;
+      th.appendChild(name);
+
+      const weight = document.createElement('label');
+      weight.className = 'tradeoff-weight';
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0';
+      input.max = '5';
+      input.step = '0.5';
+      input.value = String(outcome.weight);
+      input.setAttribute('aria-label', 'Weight of ' + outcome.label);
+      const value = document.createElement('span');
+      value.textContent = '\u00d7' + outcome.weight;
+      input.addEventListener('input', () => { value.textContent = '\u00d7' + input.value; });
+      input.addEventListener('change', () => {
+        if (typeof onWeightChange === 'function') onWeightChange(outcome.id, Number(input.value));
+      });
+      weight.appendChild(input);
+      weight.appendChild(value);
+      th.appendChild(weight);
+      headerRow.appendChild(th);
+    });
+
+    const scoreTh = document.createElement('th');
+    scoreTh.textContent = 'Weighted score';
+    headerRow.appendChild(scoreTh);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const scenario of scenarios) {
+      const data = carloResults[scenario.id];
+      const classification = nassimResults[scenario.id];
+      if (!data || !data.metrics || !classification || !classification.metrics) continue;
+
+      const row = document.createElement('tr');
+      const dominatedBy = classification.dominatedBy || [];
+      if (dominatedBy.length > 0) row.classList.add('dominated');
+
+      const labelTd = document.createElement('td');
+      labelTd.textContent = scenario.label || scenario.id;
+      if (dominatedBy.length > 0) {
+        const tag = document.createElement('span');
+        tag.className = 'tradeoff-dominated';
+        tag.textContent = 'Dominated by ' + dominatedBy.map(id => labels.get(id) || id).join(', ');
+        labelTd.appendChild(tag);
+      }
+      row.appendChild(labelTd);
+
+      outcomes.forEach(outcome => {
+        const td = document.createElement('td');
+        const metric = data.metrics[outcome.id];
+        const metricClass = classification.metrics[outcome.id];
+        if (!metric || !metricClass) {
+          td.textContent = '\u2014';
+        } else {
+          const median = metric.summary.median;
+          td.textContent = (median >= 0 ? '+' : '') + this._formatNumber(median) + (outcome.unit ? ' ' + outcome.unit : '');
+          const score = document.createElement('span');
+          score.className = 'tradeoff-score';
+          score.textContent = metricClass.score;
+          score.style.color = this._scoreColor(metricClass.score);
+          td.appendChild(score);
+        }
+        row.appendChild(td);
+      });
+
+      const scoreTd = document.createElement('td');
+      const total = Nassim.computeDecisionScore(classification);
+      scoreTd.className = 'tradeoff-total';
+      scoreTd.textContent = total;
+      scoreTd.style.color = this._scoreColor(total);
+      row.appendChild(scoreTd);
+
+      tbody.appendChild(row);
+    }
+    table.appendChild(tbody);
+    container.appendChild(table);
+  },
+
+  /**
+   * Render an optimizer search trace: the objective of every evaluated lever setting in
+   * search order (hollow markers broke a constraint) and the best found so far.
+   *
+   * @param {Object} optimization - Report from Optimizer.finish()
+   * @param {Object} prismaState - Full PRISMA_DATA state
+   * @param {HTMLElement} container - Target container element
+   */
+  renderOptimizerTrace(optimization, prismaState, container) {
+    if (!optimization || !optimization.trace || !container || typeof Plotly === 'undefined') return;
+
+    const trace = optimization.trace;
+    const isScore = optimization.objective === 'score';
+    const unit = isScore ? '' : (prismaState.outcome?.unit || '');
+    const valueFormat = isScore ? '%{y}' : '%{y:,.0f} ' + unit;
+    const describe = (t) => (optimization.levers || []).map(l => l.label + ' ' + t.values[l.id]).join('<br>');
+
+    const feasible = trace.filter(t => t.feasible);
+    const infeasible = trace.filter(t => !t.feasible);
+    const traces = [
+      {
+        x: feasible.map(t => t.evaluation),
+        y: feasible.map(t => t.objective),
+        text: feasible.map(describe),
+        type: 'scatter', mode: 'markers', name: 'Meets constraints',
+        marker: { color: '#2563EB', size: 7 },
+        hovertemplate: valueFormat + '<br>%{text}<extra></extra>'
+      },
+      {
+        x: trace.map(t => t.evaluation),
+        y: trace.map(t => t.bestSoFar),
+        type: 'scatter', mode: 'lines', name: 'Best so far',
+        line: { color: '#10B981', width: 2, shape: 'hv' },
+        hoverinfo: 'skip'
+      }
+    ];
+    if (infeasible.length > 0) {
+      traces.push({
+        x: infeasible.map(t => t.evaluation),
+        y: infeasible.map(t => t.objective),
+        text: infeasible.map(describe),
+        type: 'scatter', mode: 'markers', name: 'Breaks a constraint',
+        marker: { color: '#9B9B9B', size: 7, symbol: 'circle-open' },
+        hovertemplate: valueFormat + '<br>%{text}<extra>Breaks a constraint</extra>'
+      });
+    }
+
+    const objectiveLabel = Optimizer.OBJECTIVE_LABELS[optimization.objective] || optimization.objective;
+    const layout = {
+      ...PRISMA_CHART_LAYOUT,
+      showlegend: true,
+      legend: { font: { size: 10 }, orientation: 'h', y: -0.25 },
+      xaxis: {
+        ...PRISMA_CHART_LAYOUT.xaxis,
+        type: 'linear',
+        title: { text: 'Evaluation (' + optimization.method + ' search)', font: { size: 10, color: '#9B9B9B' } }
+      },
+      yaxis: {
+        ...PRISMA_CHART_LAYOUT.yaxis,
+        type: 'linear',
+        title: {
+          text: objectiveLabel.charAt(0).toUpperCase() + objectiveLabel.slice(1) + (unit ? ' \u00b7 ' + unit : ''),
+          font: { size: 10, color: '#9B9B9B' }
+        }
+      },
+      margin: { t: 8, b: 56, l: 64, r: 16 }
+    };
+
     Plotly.newPlot(container, traces, layout, {
       responsive: true,
       displayModeBar: false
@@ -0,0 +1,336 @@
+// Carlo engine checks: correlations, distributions, empirical pools, causal graph order,
+// formula validation, adaptive runs, horizons, Sobol sequences, common random numbers,
+// events and Beta quantiles
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Carlo } = require('../public/js/engine.js');
+
+const variables = ['a', 'b', 'c'].map(id => ({ id, value: 1, min: 0, max: 2, distribution: 'normal' }));
+
+test('correlations: a consistent matrix is accepted', () => {
+  const correlations = [
+    { between: ['a', 'b'], coefficient: 0.8 },
+    { between: ['b', 'c'], coefficient: 0.8 },
+    { between: ['a', 'c'], coefficient: 0.5 }
+  ];
+  assert.deepEqual(Carlo.validateCorrelations(correlations, variables), { valid: true, errors: [] });
+  assert.ok(Carlo.buildCopula(variables, correlations));
+});
+
+test('correlations: a matrix that is not positive semi-definite is rejected', () => {
+  const correlations = [
+    { between: ['a', 'b'], coefficient: 0.9 },
+    { between: ['b', 'c'], coefficient: 0.9 },
+    { between: ['a', 'c'], coefficient: -0.9 }
+  ];
+  const check = Carlo.validateCorrelations(correlations, variables);
+  assert.equal(check.valid, false);
+  assert.match(check.errors[0], /positive semi-definite/);
+  assert.throws(() => Carlo.buildCopula(variables, correlations), /Invalid correlations/);
+});
+
+test('correlations: coefficients outside [-1, 1], self-pairs and unknown ids are rejected', () => {
+  const check = Carlo.validateCorrelations([
+    { between: ['a', 'b'], coefficient: 1.5 },
+    { between: ['c', 'c'], coefficient: 0.2 },
+    { between: ['a', 'zzz'], coefficient: 0.2 }
+  ], variables);
+  assert.equal(check.valid, false);
+  assert.equal(check.errors.length, 3);
+});
+
+test('quantile: triangular, PERT, lognormal, Poisson and Bernoulli invert their CDFs', () => {
+  const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6 * Math.max(1, expected), `${actual} vs ${expected}`);
+  // Mode at max: CDF ((x - min) / range)², so u = 0.25 lands halfway
+  near(Carlo.quantile({ distribution: 'triangular', value: 10, min: 0, max: 10 }, 0.25), 5);
+  // A centred mode gives a symmetric Beta(3, 3)
+  near(Carlo.quantile({ distribution: 'pert', value: 5, min: 0, max: 10 }, 0.5), 5);
+  const lognormal = { distribution: 'lognormal', value: 100, min: 50, max: 300, params: { sigma: 0.5 } };
+  near(Carlo.quantile(lognormal, 0.5), 100);
+  near(Carlo.quantile(lognormal, Carlo.normalCdf(1)), 100 * Math.exp(0.5));
+  // Poisson(2): P(0) = e⁻² ≈ 0.135, P(≤ 1) ≈ 0.406
+  const poisson = { distribution: 'poisson', value: 2, min: 0, max: 10 };
+  assert.deepEqual([0.1, 0.2, 0.5].map(u => Carlo.quantile(poisson, u)), [0, 1, 2]);
+  const bernoulli = { distribution: 'bernoulli', value: 0, min: 0, max: 1, params: { p: 0.3 } };
+  assert.deepEqual([0.69, 0.71].map(u => Carlo.quantile(bernoulli, u)), [0, 1]);
+});
+
+test('validateDistribution: a mode outside the range and a probability above 1 are rejected', () => {
+  assert.equal(Carlo.validateDistribution({ id: 'a', distribution: 'pert', value: 5, min: 0, max: 10 }).valid, true);
+  assert.equal(Carlo.validateDistribution({ id: 'b', distribution: 'triangular', value: 12, min: 0, max: 10 }).valid, false);
+  assert.equal(Carlo.validateDistribution({ id: 'c', distribution: 'bernoulli', value: 0, min: 0, max: 1, params: { p: 1.5 } }).valid, false);
+});
+
+test('empirical pools: built once per run, and once across runs that share a cache', (t) => {
+  const build = t.mock.method(Carlo, 'buildEmpiricalPool');
+  const rows = [3, 1, 4, 1, 5, 9, 2, 6].map(orders => ({ orders }));
+  const model = {
+    variables: [{ id: 'orders', distribution: 'empirical', sourceColumn: 'orders' }],
+    outcomes: [{ id: 'revenue', formula: 'orders * 10' }],
+    scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'more', changes: { orders: { delta: 2 } } }]
+  };
+  const first = Carlo.runCarloAllScenarios(model, 20, { seed: 3, data: rows });
+  assert.equal(build.mock.callCount(), 1);
+
+  const empiricalPools = new Map();
+  Carlo.runCarloAllScenarios(model, 20, { seed: 3, data: rows, empiricalPools });
+  const again = Carlo.runCarloAllScenarios(model, 20, { seed: 3, data: rows, empiricalPools });
+  assert.equal(build.mock.callCount(), 2);
+  assert.deepEqual(again.more.outcomes, first.more.outcomes);
+});
+
+const chainModel = {
+  variables: [
+    { id: 'price', distribution: 'fixed', value: 10, min: 10, max: 10 },
+    { id: 'units', distribution: 'fixed', value: 3, min: 3, max: 3 },
+    { id: 'revenue', distribution: 'fixed', value: 0, min: 0, max: 100 },
+    { id: 'profit', distribution: 'fixed', value: 0, min: 0, max: 100 }
+  ],
+  // Listed downstream first
+  edges: [
+    { from: 'revenue', to: 'profit', formula: 'profit = revenue - 5' },
+    { from: 'price', to: 'revenue', formula: 'revenue = price * units' }
+  ]
+};
+
+test('causal graph: derived nodes run in dependency order, whatever order the edges are listed in', () => {
+  const graph = Carlo.analyzeCausalGraph(chainModel);
+  assert.deepEqual(graph.steps.map(step => step.id), ['revenue', 'profit']);
+  const values = Carlo.evaluateCausalGraph(graph, { price: 10, units: 3, revenue: 0, profit: 0 });
+  assert.equal(values.revenue, 30);
+  assert.equal(values.profit, 25);
+});
+
+test('causal graph: a pinned node is sampled, so its edges no longer compute it', () => {
+  const graph = Carlo.analyzeCausalGraph(chainModel, { pinned: ['revenue'] });
+  assert.equal(graph.sources.revenue, 'sampled');
+  assert.deepEqual(graph.steps.map(step => step.id), ['profit']);
+  assert.equal(Carlo.evaluateCausalGraph(graph, { price: 10, units: 3, revenue: 100, profit: 0 }).profit, 95);
+});
+
+test('causal graph: a cycle is broken at its feedback edge, which reads the sampled value', () => {
+  const graph = Carlo.analyzeCausalGraph({
+    variables: ['a', 'b'].map(id => ({ id, distribution: 'fixed', value: 0, min: 0, max: 10 })),
+    edges: [
+      { from: 'b', to: 'a', formula: 'a = b + 1', isFeedbackLoop: true },
+      { from: 'a', to: 'b', formula: 'b = a * 2' }
+    ]
+  });
+  assert.equal(graph.cycles.length, 1);
+  assert.deepEqual(graph.cycles[0].lagged, { from: 'b', to: 'a' });
+  assert.equal(graph.cycles[0].declared, false);
+  assert.deepEqual(Carlo.evaluateCausalGraph(graph, { a: 1, b: 5 }), { a: 6, b: 12 });
+});
+
+const capacityModel = (changes) => ({
+  variables: [
+    { id: 'drivers', distribution: 'uniform', min: 4, max: 6 },
+    { id: 'per_driver', distribution: 'uniform', min: 90, max: 110 },
+    { id: 'fuel', distribution: 'uniform', min: 1, max: 2 },
+    { id: 'capacity', distribution: 'uniform', min: 0, max: 1000 }
+  ],
+  edges: [{ from: 'drivers', to: 'capacity', formula: 'capacity = drivers * per_driver' }],
+  outcomes: [{ id: 'capacity', formula: 'capacity' }],
+  scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'change', changes }]
+});
+
+test('formula validation: a scenario changing an upstream driver of a derived outcome overlaps', () => {
+  assert.deepEqual(Carlo.validateFormulaAgainstVariables(capacityModel({ drivers: { value: 8 } })), { valid: true });
+});
+
+test('formula validation: a scenario changing nothing the outcome depends on is rejected', () => {
+  const check = Carlo.validateFormulaAgainstVariables(capacityModel({ fuel: { value: 3 } }));
+  assert.equal(check.valid, false);
+  assert.equal(check.reason, 'no_scenario_overlap');
+  assert.deepEqual(check.scenarioChangeKeys, ['fuel']);
+});
+
+const spreadModel = {
+  variables: [{ id: 'x', distribution: 'uniform', min: -50, max: 150 }],
+  outcomes: [{ id: 'o', formula: 'x' }],
+  scenarios: [{ id: 'do_nothing', changes: {} }]
+};
+
+test('runCarloAdaptive: stops at the first batch that settles, with the outcomes of a plain run', () => {
+  const convergence = { batchSize: 250, minIterations: 250, maxIterations: 4000, tolerance: 0.05 };
+  const result = Carlo.runCarloAdaptive(spreadModel, 'do_nothing', convergence, { seed: 7 });
+  assert.deepEqual(result.convergence, { converged: true, iterations: 750, batches: 3, tolerance: 0.05, maxIterations: 4000 });
+  assert.deepEqual(result.outcomes, Carlo.runCarlo(spreadModel, 'do_nothing', 750, { seed: 7 }));
+  assert.equal(Carlo.hasConverged(Carlo.summarizeResults(result.outcomes.slice(0, 500)), 0.05), false);
+});
+
+test('runCarloAdaptive: gives up at maxIterations when the tolerance is out of reach', () => {
+  const convergence = { batchSize: 100, minIterations: 200, maxIterations: 1000, tolerance: 0.001 };
+  const result = Carlo.runCarloAdaptive(spreadModel, 'do_nothing', convergence, { seed: 7 });
+  assert.equal(result.convergence.converged, false);
+  assert.equal(result.convergence.iterations, 1000);
+  assert.equal(result.convergence.batches, 10);
+});
+
+test('hasConverged: every quantile error within tolerance of the spread, percentPositive within points', () => {
+  const summary = { p10: 0, p90: 100, standardErrors: { median: 1, p10: 1, p90: 1, percentPositive: 1 } };
+  assert.equal(Carlo.hasConverged(summary, 0.02), true); // 1.96 ≤ 2 on both scales
+  assert.equal(Carlo.hasConverged({ ...summary, standardErrors: { ...summary.standardErrors, p90: 1.1 } }, 0.02), false);
+  assert.equal(Carlo.hasConverged({ ...summary, standardErrors: { ...summary.standardErrors, percentPositive: 1.1 } }, 0.02), false);
+  assert.equal(Carlo.hasConverged({ p10: 0, p90: 100 }, 0.02), false);
+});
+
+test('wilsonInterval: stays inside [0, 1] and has width at 0% and 100%', () => {
+  const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+  const none = Carlo.wilsonInterval(0, 10);
+  assert.equal(none.low, 0);
+  close(none.high, 0.2775401687666166);
+  const half = Carlo.wilsonInterval(5, 10);
+  close(half.low, 0.2365895936154873);
+  close(half.high, 1 - half.low);
+  const all = Carlo.wilsonInterval(10, 10);
+  close(all.low, 1 - none.high);
+  assert.equal(all.high, 1);
+  assert.deepEqual(Carlo.wilsonInterval(0, 0), { low: 0, high: 1 });
+});
+
+const horizonModel = (horizon, dynamics, variableDynamics) => ({
+  horizon: { periods: 4, discountRate: 0.1, ...horizon },
+  variables: [{ id: 'x', distribution: 'fixed', value: 100, dynamics: variableDynamics }],
+  outcomes: [{ id: 'o', formula: 'x' }],
+  scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'more', changes: { x: { delta: 10, dynamics } } }]
+});
+
+test('horizon: a lagged, ramped change phases in and the NPV discounts each period', () => {
+  const result = Carlo.runScenario(horizonModel({ aggregate: 'npv' }, { lag: 1, ramp: 2 }), 'more', 5, { seed: 1 });
+  const npv = 5 / 1.1 ** 2 + 10 / 1.1 ** 3 + 10 / 1.1 ** 4;
+  assert.deepEqual(result.trajectory.perPeriod.map(p => p.median), [0, 5, 10, 10]);
+  assert.ok(result.outcomes.every(outcome => Math.abs(outcome - npv) < 1e-9));
+  assert.ok(Math.abs(result.trajectory.cumulative[3].median - npv) < 1e-9);
+});
+
+test('horizon: cumulative sums the periods and final keeps the last one', () => {
+  const cumulative = Carlo.runScenario(horizonModel({ aggregate: 'cumulative' }, { lag: 1, ramp: 2 }), 'more', 3, { seed: 1 });
+  assert.deepEqual(cumulative.outcomes, [25, 25, 25]);
+  const final = Carlo.runScenario(horizonModel({ aggregate: 'final' }, { lag: 1, ramp: 2 }), 'more', 3, { seed: 1 });
+  assert.deepEqual(final.outcomes, [10, 10, 10]);
+});
+
+test('horizon: an s-curve ramp follows smoothstep and growth compounds the change', () => {
+  const ramp = Carlo.runScenario(horizonModel({ aggregate: 'cumulative' }, { ramp: 3, rampShape: 's_curve' }), 'more', 3, { seed: 1 });
+  const smoothstep = x => x * x * (3 - 2 * x);
+  ramp.trajectory.perPeriod.forEach((period, t) => {
+    assert.ok(Math.abs(period.median - 10 * smoothstep(Math.min(1, (t + 1) / 3))) < 1e-9);
+  });
+  const growth = Carlo.runScenario(horizonModel({ aggregate: 'final' }, undefined, { growth: 0.1 }), 'more', 3, { seed: 1 });
+  growth.trajectory.perPeriod.forEach((period, t) => assert.ok(Math.abs(period.median - 10 * 1.1 ** t) < 1e-9));
+});
+
+test('Sobol: every dimension puts one of the first 2^m points in each 1/2^m interval', () => {
+  const dims = Carlo.SOBOL_DIRECTIONS.length + 1;
+  const next = Carlo._createSequence('sobol', dims, () => 0); // no random shift
+  const points = Array.from({ length: 256 }, () => next());
+  for (let d = 0; d < dims; d++) {
+    for (const m of [1, 4, 8]) {
+      const cells = new Set(points.slice(0, 2 ** m).map(p => Math.floor(p[d] * 2 ** m)));
+      assert.equal(cells.size, 2 ** m, `dimension ${d}, ${2 ** m} points`);
+    }
+  }
+});
+
+test('Sobol: the first two dimensions form a (0, m, 2)-net', () => {
+  const next = Carlo._createSequence('sobol', 2, () => 0);
+  const points = Array.from({ length: 64 }, () => next());
+  for (let k = 0; k <= 6; k++) {
+    const cells = new Set(points.map(([x, y]) => Math.floor(x * 2 ** k) + ',' + Math.floor(y * 2 ** (6 - k))));
+    assert.equal(cells.size, 64, `${2 ** k} × ${2 ** (6 - k)} boxes`);
+  }
+});
+
+test('Sobol: direction numbers match the known third dimension (0, 1/2, 1/4, 3/4 ...)', () => {
+  const next = Carlo._createSequence('sobol', 3, () => 0);
+  const third = Array.from({ length: 4 }, () => next()[2]).sort((a, b) => a - b);
+  assert.deepEqual(third, [0, 0.25, 0.5, 0.75]);
+});
+
+test('common random numbers: a change the outcome ignores leaves every paired difference at zero', () => {
+  const model = {
+    variables: [
+      { id: 'x', distribution: 'uniform', min: 0, max: 100 },
+      { id: 'noise', distribution: 'uniform', min: 0, max: 1 }
+    ],
+    outcomes: [{ id: 'x', formula: 'x' }],
+    horizon: { periods: 3 },
+    scenarios: [
+      { id: 'a', changes: {} },
+      { id: 'b', changes: { noise: { delta: 0, dynamics: { resample: true } } } }
+    ]
+  };
+  const results = Carlo.runCarloAllScenarios(model, 200, { seed: 42 });
+  assert.deepEqual(results.b.outcomes, results.a.outcomes);
+  const [comparison] = Carlo.compareScenarios(results, { seed: 1 });
+  assert.equal(comparison.probability, 0);
+  assert.equal(comparison.tieShare, 1);
+  assert.equal(comparison.difference.p10, 0);
+  assert.equal(comparison.difference.p90, 0);
+});
+
+test('common random numbers: a shift moves every future of the scenario by the same amount', () => {
+  const model = {
+    variables: [{ id: 'x', distribution: 'normal', value: 50, min: 0, max: 100 }],
+    outcomes: [{ id: 'x', formula: 'x' }],
+    scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'more', changes: { x: { delta: 5 } } }]
+  };
+  const results = Carlo.runCarloAllScenarios(model, 100, { seed: 7 });
+  results.more.outcomes.forEach((value, i) => assert.ok(Math.abs(value - results.do_nothing.outcomes[i] - 5) < 1e-9));
+  const [comparison] = Carlo.compareScenarios(results, { seed: 1 });
+  assert.equal(comparison.a, 'do_nothing');
+  assert.equal(comparison.probability, 0);
+  assert.ok(Math.abs(comparison.difference.median + 5) < 1e-9);
+  assert.ok(Math.abs(comparison.medianCI.low + 5) < 1e-9 && Math.abs(comparison.medianCI.high + 5) < 1e-9);
+});
+
+test('compareScenarios: wins, ties, Wilson interval and the common prefix of unequal runs', () => {
+  const [comparison] = Carlo.compareScenarios({
+    a: { outcomes: [3, 1, 2, 5, 9] },
+    b: { outcomes: [1, 1, 4, 2] }
+  }, { seed: 3, resamples: 200 });
+  assert.equal(comparison.iterations, 4);
+  assert.equal(comparison.probability, 0.5);
+  assert.equal(comparison.tieShare, 0.25);
+  assert.deepEqual(comparison.probabilityCI, Carlo.wilsonInterval(2, 4));
+  assert.deepEqual([comparison.difference.min, comparison.difference.max], [-2, 3]);
+  assert.ok(comparison.medianCI.low <= comparison.difference.median && comparison.difference.median <= comparison.medianCI.high);
+});
+
+test('baseline: a formula reading `scenario` sees the do-nothing scenario id in the baseline', () => {
+  const model = {
+    variables: [{ id: 'x', distribution: 'fixed', value: 10 }],
+    outcomes: [{ id: 'y', formula: "scenario === 'do_nothing' ? x : 0" }],
+    scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'other', changes: { x: { value: 10 } } }]
+  };
+  const results = Carlo.runCarloAllScenarios(model, 10, { seed: 1 });
+  assert.deepEqual(results.do_nothing.outcomes, new Array(10).fill(0));
+  assert.deepEqual(results.other.outcomes, new Array(10).fill(-10));
+});
+
+const eventModel = (precondition) => ({
+  ...capacityModel({ drivers: { value: 8 } }),
+  horizon: { periods: 3 },
+  events: [{ id: 'quit', probability: 1, preconditions: [precondition], impacts: [{ variable: 'drivers', value: -1 }] }]
+});
+
+test('events: a precondition on a derived node is rejected; its prev_<id> is read instead', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const rejected = Carlo.runScenario(eventModel('capacity > 0'), 'do_nothing', 50, { seed: 1 });
+  assert.equal(rejected.events, undefined);
+  assert.match(warn.mock.calls[0].arguments[0], /read prev_capacity instead/);
+
+  const lagged = Carlo.runScenario(eventModel('prev_capacity > 0'), 'do_nothing', 50, { seed: 1 });
+  assert.equal(lagged.events.quit.occurrences, 50);
+  assert.equal(warn.mock.calls.length, 1);
+});
+
+test('betaQuantile: inverts known Beta CDFs', () => {
+  assert.equal(Carlo.betaQuantile(0.5, 3, 3), 0.5);
+  for (const p of [0.025, 0.3, 0.975]) {
+    assert.ok(Math.abs(Carlo.betaQuantile(p, 1, 1) - p) < 1e-9);
+    assert.ok(Math.abs(Carlo.betaQuantile(p, 2, 1) - Math.sqrt(p)) < 1e-9); // CDF x²
+    assert.ok(Math.abs(Carlo.betaQuantile(p, 1, 2) - (1 - Math.sqrt(1 - p))) < 1e-9);
+  }
+});
@@ -0,0 +1,36 @@
+// DistFit checks: families ranked by AIC on samples with a known shape
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DistFit, Carlo, Prng } = require('../public/js/engine.js');
+
+const sample = (variable, n, seed) => {
+  const rng = Prng.create(seed);
+  return Array.from({ length: n }, () => Carlo.sampleFromDistribution(variable, rng));
+};
+
+test('fitColumn: ranks the generating family first', () => {
+  const cases = [
+    { family: 'normal', variable: { value: 50, min: 20, max: 80, distribution: 'normal' } },
+    { family: 'lognormal', variable: { value: 10, distribution: 'lognormal', params: { sigma: 0.6 } } },
+    { family: 'uniform', variable: { value: 5, min: 0, max: 10, distribution: 'uniform' } }
+  ];
+  for (const { family, variable } of cases) {
+    const fit = DistFit.fitColumn(sample(variable, 1000, 11));
+    assert.equal(fit.best.family, family);
+    assert.equal(fit.best.deltaAic, 0);
+  }
+});
+
+test('fitColumn: candidates are sorted by AIC with weights summing to one', () => {
+  const fit = DistFit.fitColumn(sample({ value: 4, min: 1, max: 7, distribution: 'normal' }, 300, 5));
+  for (let i = 1; i < fit.candidates.length; i++) {
+    assert.ok(fit.candidates[i].aic >= fit.candidates[i - 1].aic);
+  }
+  const total = fit.candidates.reduce((sum, c) => sum + c.weight, 0);
+  assert.ok(Math.abs(total - 1) < 1e-12);
+});
+
+test('fitColumn: too few points or no spread give no fit', () => {
+  assert.equal(DistFit.fitColumn([1, 2, 3]), null);
+  assert.equal(DistFit.fitColumn(new Array(20).fill(7)), null);
+});
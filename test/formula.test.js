@@ -0,0 +1,13 @@
+// Formula checks: identifier lookup
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Formula } = require('../public/js/engine.js');
+
+test('evaluate: identifiers read only the scope\'s own values, never Object.prototype', () => {
+  for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.equal(Formula.compile(name).evaluate({ a: 1 }), undefined, name);
+  }
+  assert.ok(Number.isNaN(Formula.compile('constructor + 1').evaluate({})));
+  assert.equal(Formula.compile('constructor * 2').evaluate({ constructor: 4 }), 8);
+  assert.equal(Formula.compile('a + b').evaluate({ a: 1, b: 2 }), 3);
+});
@@ -0,0 +1,264 @@
+// Markov engine checks: outcome timelines, transition estimates from rows,
+// exact absorption analysis, cohorts and staged policies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Prng, Markov } = require('../public/js/engine.js');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// capacity = drivers × per_driver is derived; Kai quits for sure in month 1
+const capacityModel = (effect) => ({
+  variables: [
+    { id: 'drivers', value: 10, min: 8, max: 12, distribution: 'normal' },
+    { id: 'per_driver', value: 50, min: 40, max: 60, distribution: 'normal' },
+    { id: 'capacity', value: 500, min: 300, max: 700, distribution: 'normal' }
+  ],
+  edges: [{ from: 'drivers', to: 'capacity', formula: 'capacity = drivers * per_driver' }],
+  scenarios: [{ id: 'do_nothing', label: 'Do nothing', changes: {} }],
+  outcome: { id: 'capacity', formula: 'capacity' },
+  markov: {
+    enabled: true,
+    months: 3,
+    entities: [{ id: 'kai', states: ['ok', 'quit'], initialState: 'ok', transitions: { ok: { quit: 1 }, quit: { quit: 1 } } }],
+    stateEffects: { 'kai.quit': { capacity: effect } }
+  }
+});
+
+test('getMarkovOutcomeTimeline: a tiny effect on a derived variable moves the timeline by a tiny amount', () => {
+  const model = capacityModel(-1e-6);
+  const results = Markov.runAllMarkov(model, 'do_nothing', 100, { seed: 1 });
+  const timeline = Markov.getMarkovOutcomeTimeline(model, 'do_nothing', results, 3, { seed: 2, iterations: 400 });
+  for (const point of timeline.slice(1)) close(point.outcomeMedian, timeline[0].outcomeMedian, 1e-5);
+  assert.deepEqual(timeline[3].shifts, { capacity: -1e-6 });
+});
+
+test('getMarkovOutcomeTimeline: an effect on a derived variable is added to what its edges compute', () => {
+  const model = capacityModel(-50);
+  const results = Markov.runAllMarkov(model, 'do_nothing', 100, { seed: 1 });
+  const timeline = Markov.getMarkovOutcomeTimeline(model, 'do_nothing', results, 3, { seed: 2, iterations: 400 });
+  close(timeline[3].outcomeMedian - timeline[0].outcomeMedian, -50, 1e-6);
+  assert.ok(timeline[3].outcomeP90 - timeline[3].outcomeP10 > 50, 'capacity still follows drivers × per_driver');
+});
+
+test('estimateTransitions: counts month-to-month moves and smooths with the prior', () => {
+  // good good bad good bad bad → good→good 1, good→bad 2, bad→good 1, bad→bad 1
+  const rows = [8, 9, 2, 7, 1, 3].map((score, i) => ({ date: `2024-0${i + 1}-15`, score }));
+  const entity = {
+    id: 'x',
+    states: ['good', 'bad'],
+    estimate: { timeColumn: 'date', rules: [{ state: 'good', when: 'score > 5' }], otherwise: 'bad' }
+  };
+  const estimate = Markov.estimateTransitions(entity, rows);
+  assert.deepEqual(estimate.counts, { good: { good: 1, bad: 2 }, bad: { good: 1, bad: 1 } });
+  assert.equal(estimate.observations, 5);
+  assert.equal(estimate.lastState, 'bad');
+  // Even prior worth one observation per state: (n + 1) / (N + 2)
+  close(estimate.transitions.good.good, 2 / 5);
+  close(estimate.transitions.good.bad, 3 / 5);
+  close(estimate.transitions.bad.bad, 1 / 2);
+  const [low, high] = estimate.intervals.good.bad;
+  assert.ok(low < 0.6 && 0.6 < high);
+});
+
+test('estimateTransitions: months without data break the chain of transitions', () => {
+  const rows = [
+    { date: '2024-01-15', score: 8 },
+    { date: '2024-02-15', score: 2 },
+    { date: '2024-05-15', score: 9 },
+    { date: '2024-06-15', score: 9 }
+  ];
+  const entity = { id: 'x', states: ['good', 'bad'], estimate: { timeColumn: 'date', rules: [{ state: 'good', when: 'score > 5' }], otherwise: 'bad' } };
+  const estimate = Markov.estimateTransitions(entity, rows);
+  assert.deepEqual(estimate.counts, { good: { good: 1, bad: 1 }, bad: { good: 0, bad: 0 } });
+});
+
+test('analyzeChain: expected months until absorption follow the fundamental matrix', () => {
+  // a → b → quit, each step leaving with probability 0.5: 2 months per state
+  const chain = Markov.analyzeChain({ a: { a: 0.5, b: 0.5 }, b: { b: 0.5, quit: 0.5 }, quit: { quit: 1 } }, 'a');
+  assert.deepEqual(chain.absorbingStates, ['quit']);
+  close(chain.expectedMonths, 4);
+  close(chain.byState.b.expectedMonths, 2);
+  close(chain.absorptionProbabilities.quit, 1);
+});
+
+test('analyzeChain: absorption probabilities split between absorbing states', () => {
+  const chain = Markov.analyzeChain({ s: { s: 0.5, x: 0.375, y: 0.125 }, x: { x: 1 }, y: { y: 1 } }, 's');
+  close(chain.expectedMonths, 2);
+  close(chain.absorptionProbabilities.x, 0.75);
+  close(chain.absorptionProbabilities.y, 0.25);
+});
+
+test('analyzeChain: chains without absorbing states report the stationary distribution', () => {
+  const chain = Markov.analyzeChain({ a: { a: 0.9, b: 0.1 }, b: { a: 0.5, b: 0.5 } }, 'a');
+  assert.equal(chain.expectedMonths, null);
+  close(chain.stationary.a, 5 / 6);
+  close(chain.stationary.b, 1 / 6);
+});
+
+test('analyzeChain: a transient state that may never be absorbed has no expected time', () => {
+  const chain = Markov.analyzeChain({ s: { s: 0.5, x: 0.25, c: 0.25 }, x: { x: 1 }, c: { c: 0.5, d: 0.5 }, d: { c: 1 } }, 's', ['s', 'x', 'c', 'd']);
+  assert.equal(chain.expectedMonths, null);
+  close(chain.absorptionProbabilities.x, 0.5);
+});
+
+// New drivers train in a month; hiring follows a per-month list (or a flat rate under "hire")
+const fleet = () => ({
+  id: 'fleet',
+  type: 'cohort',
+  states: ['new', 'trained'],
+  initialCounts: { new: 2 },
+  transitions: { new: { trained: 1 }, trained: { trained: 1 } },
+  inflows: { new: [3, 1] },
+  scenarioInflows: { hire: { new: 4 } }
+});
+const counts = result => result.monthlyCounts.map(month => {
+  const row = {};
+  for (const [state, q] of Object.entries(month)) {
+    assert.equal(q.p10, q.p90); // every population moves the same way
+    row[state] = q.p50;
+  }
+  return row;
+});
+
+test('runCohort: members move on together and per-month inflows join in their month', () => {
+  const result = Markov.runCohort(fleet(), 'do_nothing', 5, 3, Prng.create(1));
+  assert.equal(result.method, 'cohort');
+  assert.deepEqual(counts(result), [{ new: 2, trained: 0 }, { new: 3, trained: 2 }, { new: 1, trained: 5 }, { new: 0, trained: 6 }]);
+  assert.deepEqual(result.monthlyDistributions[3], { new: 0, trained: 1 });
+});
+
+test('runCohort: scenario flows replace the cohort\'s own', () => {
+  const result = Markov.runCohort(fleet(), 'hire', 5, 2, Prng.create(1));
+  assert.deepEqual(counts(result), [{ new: 2, trained: 0 }, { new: 4, trained: 2 }, { new: 4, trained: 6 }]);
+});
+
+test('runCohort: multinomial moves and binomial outflows match their expected counts', () => {
+  const entity = {
+    id: 'c',
+    type: 'cohort',
+    states: ['a', 'b'],
+    initialCounts: { a: 1000 },
+    transitions: { a: { a: 0.7, b: 0.3 }, b: { b: 1 } },
+    outflows: { b: 0.5 }
+  };
+  const result = Markov.runCohort(entity, 'do_nothing', 400, 2, Prng.create(5));
+  // a keeps 70% a month; b gains 30% of a and loses half of itself to the outflow
+  close(result.monthlyCounts[1].a.mean, 700, 5);
+  close(result.monthlyCounts[1].b.mean, 150, 5);
+  close(result.monthlyCounts[2].a.mean, 490, 5);
+  close(result.monthlyCounts[2].b.mean, 180, 5);
+  assert.ok(result.monthlyCounts[1].b.p10 < result.monthlyCounts[1].b.p90);
+});
+
+test('validateCohort: counts, flows and states are checked', () => {
+  const { errors } = Markov.validateCohort({
+    id: 'c',
+    states: ['a'],
+    initialCounts: { a: 1.5, z: 1 },
+    inflows: { a: [1, -1] },
+    outflows: { a: 2 }
+  });
+  assert.deepEqual(errors, [
+    'initialCounts.a must be a whole number >= 0 (got 1.5)',
+    'initialCounts: unknown state "z"',
+    'inflows.a must be a count >= 0 (or one count per month)',
+    'outflows.a must be a probability 0-1'
+  ]);
+  assert.deepEqual(Markov.validateCohort({ id: 'c', states: ['a'] }).errors, ['Cohort "c" needs initialCounts']);
+});
+
+test('getMarkovOutcomeTimeline: a cohort\'s state effect applies per member gained since month 0', () => {
+  const model = {
+    variables: [{ id: 'capacity', distribution: 'fixed', value: 100 }],
+    outcome: { id: 'capacity', formula: 'capacity' },
+    scenarios: [{ id: 'do_nothing', changes: {} }],
+    markov: { enabled: true, months: 3, entities: [fleet()], stateEffects: { 'fleet.trained': { capacity: 10 } } }
+  };
+  const results = Markov.runAllMarkov(model, 'do_nothing', 20, { seed: 1 });
+  const timeline = Markov.getMarkovOutcomeTimeline(model, 'do_nothing', results, 3, { seed: 2, iterations: 50 });
+  assert.deepEqual(timeline.map(point => point.shifts.capacity || 0), [0, 20, 50, 60]);
+  assert.deepEqual(timeline.map(point => point.outcomeMedian), [0, 20, 50, 60]);
+});
+
+// Kai burns out in month 1 unless resting; the fleet wears out unless resting, and resting hires [2]
+const policyModel = (policy) => ({
+  variables: [],
+  outcome: { id: 'none', formula: '0' },
+  scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'rest', changes: {} }, { id: 'plan', changes: {} }],
+  markov: {
+    enabled: true,
+    months: 4,
+    entities: [
+      {
+        id: 'kai',
+        states: ['ok', 'burned'],
+        initialState: 'ok',
+        transitions: { ok: { burned: 1 }, burned: { burned: 1 } },
+        scenarioTransitions: { rest: { ok: { ok: 1 }, burned: { ok: 1 } } }
+      },
+      {
+        id: 'fleet',
+        type: 'cohort',
+        states: ['reliable', 'worn'],
+        initialCounts: { reliable: 10 },
+        transitions: { reliable: { reliable: 0.5, worn: 0.5 }, worn: { worn: 1 } },
+        scenarioTransitions: { rest: { reliable: { reliable: 1 }, worn: { worn: 1 } } },
+        scenarioInflows: { rest: { reliable: [2] } }
+      }
+    ],
+    policies: { plan: policy }
+  }
+});
+const okShare = results => results.kai.monthlyDistributions.map(d => d.ok);
+
+test('runPolicy: a schedule switches scenarios in its month, and inflow lists start there', () => {
+  const results = Markov.runAllMarkov(policyModel({ schedule: [{ month: 2, use: 'rest' }] }), 'plan', 4, { seed: 1 });
+  assert.equal(results.kai.method, 'policy');
+  assert.deepEqual(okShare(results), [1, 0, 0, 1, 1]);
+  const [, , before, after, later] = results.fleet.monthlyCounts;
+  assert.equal(after.reliable.mean, before.reliable.mean + 2);
+  assert.equal(later.reliable.mean, after.reliable.mean);
+  assert.deepEqual(results.kai.policy, {
+    label: 'Scheduled', switchMonths: [null, null, null, null], firedByMonth: [0, 0, 0, 0, 0], switchedByMonth: [0, 0, 0, 0, 0]
+  });
+});
+
+test('runPolicy: a trigger fires once on a path\'s states, from its first eligible month', () => {
+  const now = Markov.runAllMarkov(policyModel({ trigger: { when: "kai === 'burned'", use: 'rest' } }), 'plan', 4, { seed: 1 });
+  assert.deepEqual(okShare(now), [1, 0, 1, 1, 1]);
+  assert.deepEqual(now.kai.policy.switchMonths, [1, 1, 1, 1]);
+  assert.deepEqual(now.kai.policy.firedByMonth, [0, 1, 0, 0, 0]);
+  assert.deepEqual(now.kai.policy.switchedByMonth, [0, 1, 1, 1, 1]);
+
+  const policy = { trigger: { when: "kai === 'burned'", use: 'rest', from: 2, label: 'Kai burns out' } };
+  const later = Markov.runAllMarkov(policyModel(policy), 'plan', 4, { seed: 1 });
+  assert.deepEqual(okShare(later), [1, 0, 0, 1, 1]);
+  assert.deepEqual(later.kai.policy.switchMonths, [2, 2, 2, 2]);
+  assert.equal(later.fleet.policy.label, 'Kai burns out');
+});
+
+test('runPolicy: a trigger reads cohort counts and fires in the first month the condition holds', () => {
+  const policy = { trigger: { when: 'fleet_reliable / fleet_total < 0.7', use: 'rest' } };
+  const results = Markov.runAllMarkov(policyModel(policy), 'plan', 200, { seed: 1 });
+  const { switchMonths, switchedByMonth } = results.kai.policy;
+  results.fleet.paths.forEach((path, i) => {
+    const first = path.findIndex(c => c.reliable / (c.reliable + c.worn) < 0.7);
+    assert.equal(switchMonths[i], first);
+  });
+  assert.ok(switchedByMonth[1] > 0 && switchedByMonth[1] < 1);
+  assert.equal(switchedByMonth[4], 1);
+});
+
+test('validatePolicy: months, scenario ids and the trigger formula are checked', () => {
+  const model = policyModel({});
+  assert.deepEqual(Markov.validatePolicy({
+    schedule: [{ month: -1, use: 'nope' }],
+    trigger: { when: 'bogus > 1', use: 'rest' }
+  }, model).errors, [
+    'schedule[0].month must be a whole number >= 0',
+    'schedule[0]: unknown scenario "nope"',
+    'trigger.when: Unknown identifier "bogus" at position 0'
+  ]);
+  assert.deepEqual(Markov.validatePolicy({}, model).errors, ['A policy needs a schedule or a trigger']);
+});
@@ -0,0 +1,125 @@
+// Nassim checks: sensitivity planning, weighted scores, Pareto trade-offs,
+// constraint wording and value of information
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Carlo, Nassim } = require('../public/js/engine.js');
+
+const ids = list => list.map(v => v.id);
+
+test('planSensitivity: phase 1 holds the variables the outcome formula reads, by whole identifier', () => {
+  const plan = Nassim.planSensitivity({
+    variables: [
+      { id: 'price', distribution: 'uniform', min: 1, max: 2 },
+      { id: 'price_index', distribution: 'uniform', min: 1, max: 2 },
+      { id: 'units', distribution: 'uniform', min: 10, max: 20 },
+      { id: 'rent', distribution: 'fixed', value: 5 }
+    ],
+    outcomes: [{ id: 'profit', formula: 'price_index * units - prev_price - rent' }]
+  });
+  assert.deepEqual(ids(plan.phase1Vars), ['price', 'price_index', 'units']);
+  assert.deepEqual(ids(plan.phase2Vars), []);
+
+  const narrow = Nassim.planSensitivity({
+    variables: [
+      { id: 'price', distribution: 'uniform', min: 1, max: 2 },
+      { id: 'price_index', distribution: 'uniform', min: 1, max: 2 }
+    ],
+    outcomes: [{ id: 'profit', formula: 'price_index * 2' }]
+  });
+  assert.deepEqual(ids(narrow.phase1Vars), ['price_index']);
+  assert.deepEqual(ids(narrow.phase2Vars), ['price']);
+});
+
+const tradeOffModel = {
+  variables: [{ id: 'price', distribution: 'fixed', value: 10 }, { id: 'cost', distribution: 'fixed', value: 5 }],
+  outcomes: [
+    { id: 'profit', formula: 'price', weight: 3 },
+    { id: 'spend', formula: 'cost', direction: 'lower_is_better', weight: 1 }
+  ],
+  scenarios: [
+    { id: 'do_nothing', changes: {} },
+    { id: 'raise', changes: { price: { delta: 2 } } },
+    { id: 'cut', changes: { cost: { delta: -1 } } },
+    { id: 'worse', changes: { price: { delta: -1 }, cost: { delta: 1 } } }
+  ]
+};
+
+test('classifyAllScenarios: scores each metric, weights them and marks dominated scenarios', () => {
+  const results = Carlo.runCarloAllScenarios(tradeOffModel, 20, { seed: 1 });
+  const classifications = Nassim.classifyAllScenarios(results, tradeOffModel);
+  assert.equal(results.cut.metrics.spend.summary.median, 1); // lower is better: a cut is a gain
+  assert.equal(classifications.raise.metrics.profit.score, 100);
+  assert.equal(classifications.raise.weightedScore, 75);
+  assert.equal(classifications.cut.weightedScore, 25);
+  assert.deepEqual(classifications.raise.dominatedBy, []);
+  assert.deepEqual(classifications.cut.dominatedBy, []);
+  assert.deepEqual(classifications.do_nothing.dominatedBy, ['raise', 'cut']);
+  assert.deepEqual(classifications.worse.dominatedBy, ['do_nothing', 'raise', 'cut']);
+});
+
+test('paretoFront: ties on every metric dominate nobody; scenarios without every metric are left out', () => {
+  const outcomes = Carlo.resolveOutcomes(tradeOffModel);
+  const result = (profit, spend) => ({ metrics: { profit: { summary: { median: profit } }, spend: { summary: { median: spend } } } });
+  const front = Nassim.paretoFront({
+    a: result(1, 2), b: result(1, 2), c: result(1, 1), single: { metrics: { profit: { summary: { median: 9 } } } }
+  }, outcomes);
+  assert.deepEqual(front, {
+    a: { dominated: false, dominatedBy: [] },
+    b: { dominated: false, dominatedBy: [] },
+    c: { dominated: true, dominatedBy: ['a', 'b'] }
+  });
+});
+
+test('weightedScore: averages by weight, and falls back to the primary metric when every weight is 0', () => {
+  const metrics = { profit: { score: 80 }, spend: { score: 20 } };
+  const outcomes = Carlo.resolveOutcomes(tradeOffModel);
+  assert.equal(Nassim.weightedScore(metrics, outcomes), 65);
+  assert.equal(Nassim.weightedScore(metrics, outcomes.map(o => ({ ...o, weight: 0 }))), 80);
+  assert.equal(Nassim.weightedScore({}, outcomes), 50);
+});
+
+test('describeViolation: words a broken constraint without the dashboard loaded', () => {
+  assert.equal(typeof globalThis.Visualizations, 'undefined');
+  assert.equal(Nassim.describeViolation({
+    label: 'Monthly cost', operator: '<=', threshold: 25000, unit: '€/month', probability: 0.123, maxViolationProbability: 0.05
+  }), 'Monthly cost above 25,000 €/month in 12% of futures (limit 5%)');
+  assert.equal(Nassim.describeViolation({
+    label: 'Cash', operator: '>', threshold: 2.25, probability: 0.004, maxViolationProbability: 0.01
+  }), 'Cash at or below 2.3 in 0.4% of futures (limit 1%)');
+});
+
+test('computeValueOfInformation: EVPI and per-variable EVPPI on paired futures', () => {
+  const results = {
+    a: { outcomes: [0, 10, 0, 10], inputs: { signal: [0, 1, 0, 1], noise: [1, 2, 3, 4], flat: [7, 7, 7, 7] } },
+    b: { outcomes: [5, 5, 5, 5] }
+  };
+  const voi = Nassim.computeValueOfInformation(results, { variables: [{ id: 'signal', label: 'Signal' }] });
+  // Both average 5; knowing each future would pick a's 10 half the time: 7.5 − 5
+  assert.equal(voi.evpi, 2.5);
+  assert.equal(voi.bestScenarioId, 'a');
+  assert.equal(voi.bins, 2);
+  assert.deepEqual(voi.variables, [
+    { variableId: 'signal', variableLabel: 'Signal', evppi: 2.5, share: 1 },
+    { variableId: 'noise', variableLabel: 'noise', evppi: 0, share: 0 },
+    { variableId: 'flat', variableLabel: 'flat', evppi: 0, share: 0 }
+  ]);
+  assert.equal(Nassim.computeValueOfInformation({ a: results.a }, {}), null);
+});
+
+test('computeValueOfInformation: a bet on a uniform input is worth E[max(0, x)] to know', () => {
+  const model = {
+    variables: [
+      { id: 'x', distribution: 'uniform', value: 0, min: -1, max: 1 },
+      { id: 'y', distribution: 'uniform', value: 0, min: -1, max: 1 },
+      { id: 'stake', distribution: 'fixed', value: 0 }
+    ],
+    outcome: { id: 'gain', formula: 'x * stake + 0 * y' },
+    scenarios: [{ id: 'do_nothing', changes: {} }, { id: 'bet', changes: { stake: { delta: 1 } } }]
+  };
+  const results = Carlo.runCarloAllScenarios(model, 2000, { seed: 3, recordInputs: true });
+  const voi = Nassim.computeValueOfInformation(results, model);
+  assert.ok(Math.abs(voi.evpi - 0.25) < 0.02, `evpi ${voi.evpi}`);
+  assert.deepEqual(voi.variables.map(v => v.variableId), ['x', 'y']);
+  assert.ok(voi.variables[0].share > 0.95);
+  assert.ok(voi.variables[1].share < 0.05);
+});
@@ -0,0 +1,117 @@
+// Optimizer checks: search plans, ranking, the search trace and lever candidates under markov.joint
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Optimizer } = require('../public/js/engine.js');
+
+// Revenue rises with price, but a constraint caps the price at 3
+const priceModel = (threshold = 3) => ({
+  variables: [
+    { id: 'price', distribution: 'fixed', value: 3, min: 1, max: 5, lever: { step: 1 } },
+    { id: 'units', distribution: 'uniform', value: 100, min: 90, max: 110 }
+  ],
+  outcome: { id: 'revenue', formula: 'price * units' },
+  constraints: [{ id: 'cap', label: 'Price', formula: 'price', operator: '<=', threshold }],
+  scenarios: [{ id: 'do_nothing', changes: {} }]
+});
+
+const twoLevers = {
+  variables: [
+    { id: 'a', distribution: 'fixed', value: 0, min: 0, max: 9, lever: true },
+    { id: 'b', distribution: 'fixed', value: 0, min: 0, max: 9, lever: true }
+  ],
+  outcome: { id: 'total', formula: 'a + b' },
+  scenarios: [{ id: 'do_nothing', changes: {} }]
+};
+
+test('plan: the full grid when it fits the budget, last lever varying fastest', () => {
+  const plan = Optimizer.plan(twoLevers, { budget: 100 }, { seed: 4 });
+  assert.equal(plan.method, 'grid');
+  assert.equal(plan.gridSize, 100);
+  assert.equal(plan.candidates.length, 100);
+  assert.deepEqual(plan.candidates.slice(0, 3).map(c => c.values), [{ b: 0, a: 0 }, { b: 1, a: 0 }, { b: 2, a: 0 }]);
+  assert.deepEqual(plan.candidates[99].values, { b: 9, a: 9 });
+  assert.deepEqual(plan.candidates[0].scenario.changes.a, { value: 0, min: 0, max: 0 });
+});
+
+test('plan: a seeded random sample of distinct grid points when the grid is over budget', () => {
+  const plan = Optimizer.plan(twoLevers, { budget: 10 }, { seed: 4 });
+  assert.equal(plan.method, 'random');
+  assert.equal(plan.candidates.length, 10);
+  const points = plan.candidates.map(c => c.values.a + ',' + c.values.b);
+  assert.equal(new Set(points).size, 10);
+  assert.deepEqual(Optimizer.plan(twoLevers, { budget: 10 }, { seed: 4 }).candidates.map(c => c.values), plan.candidates.map(c => c.values));
+  assert.notDeepEqual(Optimizer.plan(twoLevers, { budget: 10 }, { seed: 5 }).candidates.map(c => c.values), plan.candidates.map(c => c.values));
+});
+
+test('optimize: feasible settings rank first, then by objective; the trace keeps the best so far', () => {
+  const report = Optimizer.optimize(priceModel(), { objective: 'median', iterations: 50, top: 2 }, { seed: 4 });
+  assert.equal(report.method, 'grid');
+  assert.deepEqual(report.best.map(b => b.values.price), [3, 2]);
+  assert.ok(report.best.every(b => b.feasible));
+  assert.deepEqual(report.best.map(b => b.scenario.id), ['optimized_1', 'optimized_2']);
+  assert.deepEqual(report.best[0].scenario.changes, { price: { value: 3, min: 3, max: 3 } });
+
+  assert.deepEqual(report.trace.map(t => t.feasible), [true, true, true, false, false]);
+  const medians = report.trace.map(t => t.median);
+  assert.deepEqual(report.trace.map(t => t.bestSoFar), [medians[0], medians[1], medians[2], medians[2], medians[2]]);
+  assert.ok(medians[4] > medians[2]); // the capped settings would earn more
+});
+
+test('optimize: with no feasible setting the best infeasible one wins and says so', () => {
+  const report = Optimizer.optimize(priceModel(0), { objective: 'median', iterations: 50, top: 1 }, { seed: 4 });
+  assert.equal(report.best[0].values.price, 5);
+  assert.equal(report.best[0].feasible, false);
+  assert.deepEqual(report.best[0].violatedConstraints.map(c => c.id), ['cap']);
+  assert.match(report.best[0].scenario.assumptions[1], /no feasible setting/);
+});
+
+test('finish: equal objectives fall back to the higher median, then to evaluation order', () => {
+  const plan = Optimizer.plan(priceModel(), { top: 5 }, { seed: 4 });
+  const evaluation = (price, objective, median) => ({
+    values: { price }, objective, score: objective, feasible: true, violatedConstraints: [], summary: { median, percentPositive: 50 }
+  });
+  const report = Optimizer.finish(plan, [
+    evaluation(1, 60, 10), evaluation(2, 70, 5), evaluation(3, 70, 8), evaluation(4, 60, 10), evaluation(5, 50, 99)
+  ]);
+  assert.deepEqual(report.best.map(b => b.values.price), [3, 2, 1, 4, 5]);
+  assert.deepEqual(report.trace.map(t => t.bestSoFar), [60, 70, 70, 70, 70]);
+});
+
+// Kai quits in month 1 under do_nothing (and stays put otherwise); quitting costs one driver
+const jointModel = () => ({
+  variables: [
+    { id: 'drivers', value: 5, min: 4, max: 6, distribution: 'fixed', lever: { min: 4, max: 6, step: 1 } },
+    { id: 'per_driver', value: 100, min: 100, max: 100, distribution: 'fixed' }
+  ],
+  scenarios: [{ id: 'do_nothing', label: 'Do nothing', changes: {} }],
+  outcome: { id: 'capacity', formula: 'drivers * per_driver' },
+  markov: {
+    enabled: true,
+    joint: true,
+    months: 3,
+    entities: [{
+      id: 'kai',
+      states: ['ok', 'quit'],
+      initialState: 'ok',
+      transitions: { ok: { ok: 1 }, quit: { quit: 1 } },
+      scenarioTransitions: { do_nothing: { ok: { quit: 1 }, quit: { quit: 1 } } }
+    }],
+    stateEffects: { 'kai.quit': { drivers: -1 } }
+  }
+});
+
+test('evaluate: joint candidates walk the base scenario\'s transitions', () => {
+  const model = jointModel();
+  const plan = Optimizer.plan(model, { iterations: 50 }, { seed: 1 });
+  const medians = plan.candidates.map(c => Optimizer.evaluate(model, c, plan.settings, { seed: plan.runSeed }).summary.median);
+  // drivers 4 / 5 / 6, each one short once Kai has quit, against today's 5 × 100
+  assert.deepEqual(medians, [-200, -100, 0]);
+});
+
+test('evaluate: without markov.joint the chains leave candidates alone', () => {
+  const model = jointModel();
+  model.markov.joint = false;
+  const plan = Optimizer.plan(model, { iterations: 50 }, { seed: 1 });
+  const medians = plan.candidates.map(c => Optimizer.evaluate(model, c, plan.settings, { seed: plan.runSeed }).summary.median);
+  assert.deepEqual(medians, [-100, 0, 100]);
+});
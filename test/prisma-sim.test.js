@@ -0,0 +1,43 @@
+// CLI checks: model validation before a run and once-per-run warnings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate } = require('../bin/prisma-sim.js');
+const example = require('../schemas/prisma-data.example.json');
+
+const copy = () => JSON.parse(JSON.stringify(example));
+const quick = { iterations: 50, seed: 1, sensitivity: false, markov: false };
+
+test('simulate: the schema example validates and runs', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const report = await simulate(copy(), quick);
+  assert.deepEqual(report.warnings, []);
+  assert.equal(report.scenarios.length, 3);
+});
+
+test('simulate: an outcome formula reading unknown ids stops the run', async () => {
+  const data = copy();
+  data.outcome.formula = 'scenario_monthly_profit - baseline_monthly_profit';
+  await assert.rejects(simulate(data, quick), /reads scenario_monthly_profit, baseline_monthly_profit/);
+});
+
+test('simulate: contradictory correlations stop the run', async () => {
+  const data = copy();
+  data.correlations = [
+    { between: ['daily_deliveries', 'fuel_cost_monthly'], coefficient: 0.9 },
+    { between: ['fuel_cost_monthly', 'delivery_time_avg'], coefficient: 0.9 },
+    { between: ['daily_deliveries', 'delivery_time_avg'], coefficient: -0.9 }
+  ];
+  await assert.rejects(simulate(data, quick), /Invalid correlations/);
+});
+
+test('simulate: each engine warning is printed and reported once per run', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const data = copy();
+  data.variables.find(v => v.id === 'daily_deliveries').dynamics = { growth: 'fast' };
+  data.horizon = { periods: 3 };
+  const report = await simulate(data, { ...quick, sensitivity: true, sensitivityIterations: 20 });
+  const messages = warn.mock.calls.map(call => call.arguments.join(' '));
+  assert.equal(new Set(messages).size, messages.length);
+  assert.ok(report.warnings.length > 0);
+  assert.deepEqual(report.warnings, messages);
+});